@@ -7,125 +7,227 @@
 
 var HTTPDigest = function () {
   var crypto = require('crypto');
-  var http = require('http');
+  var EventEmitter = require('events').EventEmitter;
+
+  // Digest algorithms mapped to node crypto hashes, "-sess" variants use the same hash
+  var ALGORITHMS = {
+    'MD5': 'md5',
+    'SHA-256': 'sha256',
+    'SHA-512-256': 'sha512-256'
+  };
+
+  // How many times a request is re-sent after 401 (first challenge and a stale nonce)
+  var MAX_CHALLENGES = 2;
 
   var HTTPDigest = function (username, password, https) {
     this.nc = 0;
     this.username = username;
     this.password = password;
-    if(https === true) {
-      http = require('https');
-    }
+    // Last challenge of the server, it's reused until the server rejects it
+    this.challenge = null;
+    // Every client keeps its own module, so http and https clients can coexist
+    this.http = require(https === true ? 'https' : 'http');
   };
 
   //
   // ## Make request
   //
   // Wraps the http.request function to apply digest authorization.
+  // Returns request-like object: data can be written to it with `write()`
+  // or passed as `options.body`, it's sent by `end()`. Errors of every
+  // underlying request are emitted on it as 'error'.
   //
   HTTPDigest.prototype.request = function (options, callback) {
     var self = this;
-    return http.request(options, function (res) {
-      self._handleResponse(options, res, callback);
-    }, function(err){
-      console.log("request err", err);
-    });
+    var req = new EventEmitter();
+    var chunks = [];
+
+    if (options.body) {
+      chunks.push(Buffer.from(options.body));
+    }
+
+    req.current = null;
+    req.destroyed = false;
+
+    req.write = function (chunk) {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    };
+
+    req.end = function (chunk) {
+      if (chunk) {
+        req.write(chunk);
+      }
+      self._send(options, Buffer.concat(chunks), req, callback, 0);
+      return req;
+    };
+
+    req.destroy = function (err) {
+      req.destroyed = true;
+      if (req.current) {
+        req.current.destroy(err);
+      }
+      return req;
+    };
+    req.abort = req.destroy;
+
+    return req;
   };
 
   //
-  // ## Handle authentication
+  // ## Send request
   //
-  // Parse authentication headers and set response.
+  // Sends the request authorized by the cached challenge if there is one.
+  // When the server answers 401 with a new challenge (first request or stale
+  // nonce) the request is sent again.
   //
-  HTTPDigest.prototype._handleResponse = function handleResponse(options, res, callback) {
-    var challenge = this._parseChallenge(res.headers['www-authenticate']);
-    var ha1 = crypto.createHash('md5');
-    ha1.update([this.username, challenge.realm, this.password].join(':'));
-    var ha2 = crypto.createHash('md5');
-    ha2.update([options.method, options.path].join(':'));
+  HTTPDigest.prototype._send = function send(options, body, proxy, callback, attempt) {
+    var self = this;
+    if (proxy.destroyed) {
+      return;
+    }
+
+    var headers = Object.assign({}, options.headers);
+    if (body.length) {
+      headers['Content-Length'] = body.length;
+    }
+    var authorized = !!this.challenge;
+    if (authorized) {
+      headers.Authorization = this._authorize(options.method || 'GET', options.path, body);
+    }
+
+    var requestOptions = Object.assign({}, options, { headers: headers });
+    delete requestOptions.body;
+
+    var req = this.http.request(requestOptions, function (res) {
+      if (res.statusCode === 401 && attempt < MAX_CHALLENGES) {
+        var challenge = self._parseChallenge(res.headers['www-authenticate']);
+        // a repeated 401 on authorized request means wrong credentials unless nonce is stale
+        if (challenge.nonce && (!authorized || challenge.stale === 'true' || attempt === 0)) {
+          self._setChallenge(challenge);
+          res.resume();
+          return self._send(options, body, proxy, callback, attempt + 1);
+        }
+      }
+      callback(res);
+    });
+
+    req.on('error', function (err) {
+      proxy.emit('error', err);
+    });
+    proxy.current = req;
 
-    // Generate cnonce
-    var cnonce = false;
-    var nc = false;
-    if (typeof challenge.qop === 'string') {
-      var cnonceHash = crypto.createHash('md5');
-      cnonceHash.update(Math.random().toString(36));
-      cnonce = cnonceHash.digest('hex').substr(0, 8);
-      nc = this.updateNC();
+    if (body.length) {
+      req.write(body);
     }
+    req.end();
+  };
 
-    // Generate response hash
-    var response = crypto.createHash('md5');
-    var responseParams = [
-      ha1.digest('hex'),
-      challenge.nonce
-    ];
+  //
+  // ## Cache challenge
+  //
+  HTTPDigest.prototype._setChallenge = function setChallenge(challenge) {
+    if (!this.challenge || this.challenge.nonce !== challenge.nonce) {
+      this.nc = 0;
+    }
+    this.challenge = challenge;
+  };
 
-    if (cnonce) {
-      responseParams.push(nc);
-      responseParams.push(cnonce);
+  //
+  // ## Compose authorization header
+  //
+  // Calculates response hash for the cached challenge.
+  //
+  HTTPDigest.prototype._authorize = function authorize(method, uri, body) {
+    var challenge = this.challenge;
+    var algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+    var session = /-SESS$/.test(algorithm);
+    var hashName = ALGORITHMS[algorithm.replace(/-SESS$/, '')] || 'md5';
+    var hash = function () {
+      return crypto.createHash(hashName).update(Array.prototype.join.call(arguments, ':')).digest('hex');
+    };
+    var qop = this._chooseQop(challenge.qop);
+
+    var cnonce = crypto.randomBytes(8).toString('hex');
+    var nc = qop ? this.updateNC() : false;
+
+    var ha1 = hash(this.username, challenge.realm, this.password);
+    if (session) {
+      ha1 = hash(ha1, challenge.nonce, cnonce);
     }
 
-    responseParams.push(challenge.qop);
-    responseParams.push(ha2.digest('hex'));
-    response.update(responseParams.join(':'));
+    var ha2 = qop === 'auth-int' ?
+      hash(method, uri, crypto.createHash(hashName).update(body).digest('hex')) :
+      hash(method, uri);
+
+    var response = qop ?
+      hash(ha1, challenge.nonce, nc, cnonce, qop, ha2) :
+      hash(ha1, challenge.nonce, ha2);
 
-    // Setup response parameters
     var authParams = {
       username: this.username,
-      uri: options.path,
-      response: response.digest('hex'),
+      realm: challenge.realm,
+      nonce: challenge.nonce,
+      uri: uri,
+      response: response
     };
-    if ( challenge.realm ){
-      authParams.realm = challenge.realm;
-    }
-    if ( challenge.qop ){
-      authParams.qop = challenge.qop;
+    if (challenge.algorithm) {
+      authParams.algorithm = challenge.algorithm;
     }
-    if ( challenge.opaque ){
+    if (challenge.opaque) {
       authParams.opaque = challenge.opaque;
     }
-    if ( challenge.nonce ){
-      authParams.nonce = challenge.nonce;
-    }
-    if (cnonce) {
+    if (qop) {
+      authParams.qop = qop;
       authParams.nc = nc;
       authParams.cnonce = cnonce;
     }
 
-    var headers = options.headers || {};
-    headers.Authorization = this._compileParams(authParams);
-    options.headers = headers;
-    if ( options && options.body ){
-      options.headers['Content-Length'] = options.body.length;
+    return this._compileParams(authParams);
+  };
+
+  //
+  // ## Choose qop
+  //
+  // Server can offer several qop values, "auth" is preferred as it doesn't
+  // require hashing of the body.
+  //
+  HTTPDigest.prototype._chooseQop = function chooseQop(qop) {
+    if (!qop) {
+      return false;
     }
-    var req = http.request(options, function (res) {
-      callback(res);
+    var offered = qop.split(',').map(function (value) {
+      return value.trim();
     });
-    if ( options && options.body ){
-      req.write(options.body);
-      //TODO: Figure out why this hack is nessecary
-      options.headers['Content-Length'] = 0;
+    if (offered.indexOf('auth') !== -1) {
+      return 'auth';
     }
-    req.end();
+    if (offered.indexOf('auth-int') !== -1) {
+      return 'auth-int';
+    }
+    return false;
   };
 
   //
   // ## Parse challenge digest
   //
+  // Quoted values can contain commas, so the header is tokenized instead of
+  // split.
+  //
   HTTPDigest.prototype._parseChallenge = function parseChallenge(digest) {
-    var prefix = "Digest ";
+    var prefix = 'Digest ';
     var params = {};
-    if (digest && digest.substr){
+    if (Array.isArray(digest)) {
+      digest = digest.filter(function (value) {
+        return value.indexOf(prefix) !== -1;
+      })[0];
+    }
+    if (digest && digest.indexOf(prefix) !== -1) {
       var challenge = digest.substr(digest.indexOf(prefix) + prefix.length);
-      var parts = challenge.split(',');
-      var length = parts.length;
-
-      for (var i = 0; i < length; i++) {
-        var part = parts[i].match(/^\s*?([a-zA-Z0-0]+)=(.*)\s*?$/);
-        if (part.length > 2) {
-          params[part[1]] = part[2].replace(/"/g,"");
-        }
+      var re = /([a-zA-Z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+      var part;
+      while ((part = re.exec(challenge))) {
+        params[part[1].toLowerCase()] = part[2] !== undefined ? part[2].replace(/\\(.)/g, '$1') : part[3];
       }
     }
     return params;
@@ -134,25 +236,30 @@ var HTTPDigest = function () {
   //
   // ## Compose authorization header
   //
+  // qop, nc and algorithm are tokens and must not be quoted.
+  //
   HTTPDigest.prototype._compileParams = function compileParams(params) {
+    var tokens = ['qop', 'nc', 'algorithm'];
     var parts = [];
     for (var i in params) {
-      parts.push(i + '="' + params[i] + '"');
+      parts.push(tokens.indexOf(i) !== -1 ? i + '=' + params[i] : i + '="' + params[i] + '"');
     }
-    return 'Digest ' + parts.join(',');
+    return 'Digest ' + parts.join(', ');
   };
 
   //
   // ## Update and zero pad nc
   //
+  // nc is 8 hex digits and grows with every request on the same nonce.
+  //
   HTTPDigest.prototype.updateNC = function updateNC() {
-    var max = 99999999;
+    var max = 0xffffffff;
     this.nc++;
     if (this.nc > max) {
       this.nc = 1;
     }
     var padding = new Array(8).join('0') + "";
-    var nc = this.nc + "";
+    var nc = this.nc.toString(16);
     return padding.substr(0, 8 - nc.length) + nc;
   };
 
@@ -0,0 +1,150 @@
+'use strict'
+
+const crypto = require('crypto');
+const { WowzaValidationError } = require('./errors');
+
+// groups of users of the REST API and the manager: full access, advanced properties, read-only access
+const ADMIN_GROUPS = ['admin', 'advUser', 'basic'];
+
+// letters and digits only, generated passwords are safe in RTMP URLs and query strings
+const PASSWORD_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Check a publisher account
+ *
+ * @function validatePublisher
+ * @param {Object} publisher {name, password}
+ * @param {Object} [settings]
+ * @param {boolean} [settings.partial = false] check only present fields except the name, for updates
+ * @throws {WowzaValidationError} with all of the problems in the message
+ */
+function validatePublisher(publisher, settings) {
+	let partial = !!(settings && settings.partial);
+	let problems = [];
+	if (!publisher || typeof publisher !== 'object') throw new WowzaValidationError('publisher should be an object');
+
+	checkName(problems, 'name', publisher.name);
+	if (!partial || publisher.password !== undefined) checkPassword(problems, publisher.password);
+
+	if (problems.length) throw new WowzaValidationError(`publisher${publisher.name ? ` ${publisher.name}` : ''}: ${problems.join(', ')}`);
+}
+
+/**
+ * Check a user of the REST API and the manager
+ *
+ * @function validateAdminUser
+ * @param {Object} user {userName, password, groups}, groups are 'admin', 'advUser' and 'basic'
+ * @param {Object} [settings]
+ * @param {boolean} [settings.partial = false] check only present fields except the name, for updates
+ * @throws {WowzaValidationError} with all of the problems in the message
+ */
+function validateAdminUser(user, settings) {
+	let partial = !!(settings && settings.partial);
+	let problems = [];
+	if (!user || typeof user !== 'object') throw new WowzaValidationError('user should be an object');
+
+	checkName(problems, 'userName', user.userName);
+	if (!partial || user.password !== undefined) checkPassword(problems, user.password);
+	if (!partial || user.groups !== undefined) {
+		if (!Array.isArray(user.groups) || !user.groups.length) {
+			problems.push(`groups should be a non-empty array of ${ADMIN_GROUPS.join(', ')}`);
+		} else {
+			user.groups.filter(group => ADMIN_GROUPS.indexOf(group) === -1)
+				.forEach(group => problems.push(`unknown group ${group}, groups are ${ADMIN_GROUPS.join(', ')}`));
+		}
+	}
+
+	if (problems.length) throw new WowzaValidationError(`user${user.userName ? ` ${user.userName}` : ''}: ${problems.join(', ')}`);
+}
+
+/**
+ * Generate a random password of letters and digits
+ *
+ * @function generatePassword
+ * @param {number} [length = 20]
+ * @return {string}
+ */
+function generatePassword(length) {
+	length = length || 20;
+	let password = '';
+	while (password.length < length) {
+		crypto.randomBytes(length).forEach(byte => {
+			// bytes above the last multiple of the alphabet size are skipped to keep characters equally likely
+			if (password.length < length && byte < 256 - 256 % PASSWORD_ALPHABET.length) password += PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length];
+		});
+	}
+	return password;
+}
+
+/**
+ * Create publishers of encoders which don't have one and rotate passwords of existing ones.
+ * Encoders are handled one by one, a failure of one doesn't stop the others.
+ *
+ * @function provisionPublishers
+ * @param {WowzaAPI} wowza
+ * @param {Object} [options] request options of the server, e.g. {serverName: '_defaultServer_'}
+ * @param {boolean} [options.rotate = true] set new passwords of existing publishers, they are left unchanged with false
+ * @param {number} [options.passwordLength = 20] length of generated passwords
+ * @param {Array<string|Object>} encoders names of publishers or {name, password} to set a known password
+ * @return {Promise} promise which resolve by {publishers: [{name, status, password, error}], summary: {created, rotated, unchanged, failed}},
+ * status is 'created', 'rotated', 'unchanged' or 'failed', password is set for created and rotated publishers
+ */
+function provisionPublishers(wowza, options, encoders) {
+	options = Object.assign({}, options);
+	let rotate = options.rotate !== false;
+	let passwordLength = options.passwordLength;
+	delete options.rotate;
+	delete options.passwordLength;
+
+	let publishers;
+	try {
+		if (!Array.isArray(encoders)) throw new WowzaValidationError('encoders should be an array');
+		publishers = encoders.map(encoder => {
+			let publisher = typeof encoder === 'string' ? { name: encoder } : Object.assign({}, encoder);
+			if (publisher.password === undefined) publisher.password = generatePassword(passwordLength);
+			validatePublisher(publisher);
+			return publisher;
+		});
+	} catch (err) {
+		return Promise.reject(err);
+	}
+
+	return wowza.getPublishersList(options).then(response => {
+		let existing = (response.publishers || []).map(item => item.name);
+		let results = [];
+
+		return publishers.reduce((previous, publisher) => previous.then(() => {
+			let exists = existing.indexOf(publisher.name) !== -1;
+			if (exists && !rotate) {
+				results.push({ name: publisher.name, status: 'unchanged' });
+				return;
+			}
+			let request = exists ? wowza.updatePublisher(options, publisher) : wowza.createPublisher(options, publisher);
+			return request.then(
+				() => results.push({ name: publisher.name, status: exists ? 'rotated' : 'created', password: publisher.password }),
+				err => results.push({ name: publisher.name, status: 'failed', error: err })
+			);
+		}), Promise.resolve()).then(() => {
+			let summary = { created: 0, rotated: 0, unchanged: 0, failed: 0 };
+			results.forEach(result => { summary[result.status]++; });
+			return { publishers: results, summary: summary };
+		});
+	});
+}
+
+function checkName(problems, field, value) {
+	if (typeof value !== 'string' || !value) problems.push(`${field} is required`);
+	else if (/[\/\s]/.test(value)) problems.push(`${field} should not contain slashes or spaces`);
+}
+
+function checkPassword(problems, value) {
+	if (typeof value !== 'string' || !value) problems.push('password is required');
+}
+
+module.exports = {
+	validatePublisher,
+	validateAdminUser,
+	generatePassword,
+	provisionPublishers,
+	ADMIN_GROUPS
+};
@@ -0,0 +1,916 @@
+'use strict'
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const accounts = require('./accounts');
+const errors = require('./errors');
+const reconcile = require('./reconcile');
+const secureToken = require('./secure-token');
+const smil = require('./smil');
+const snapshot = require('./snapshot');
+const streamTargets = require('./stream-targets');
+
+const EXIT_OK = 0;
+const EXIT_API_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_NETWORK_ERROR = 3;
+const EXIT_PARSE_ERROR = 4;
+
+// flags of the connection: flag name => [WowzaAPI option, environment variable, type]
+const CONNECTION_FLAGS = {
+	'host': ['wowzaAdress', 'WOWZA_HOST', 'string'],
+	'port': ['port', 'WOWZA_PORT', 'number'],
+	'protocol': ['protocol', 'WOWZA_PROTOCOL', 'string'],
+	'username': ['username', 'WOWZA_USERNAME', 'string'],
+	'password': ['password', 'WOWZA_PASSWORD', 'string'],
+	'server-name': ['serverName', 'WOWZA_SERVER_NAME', 'string'],
+	'vhost': ['vhost', 'WOWZA_VHOST', 'string'],
+	'application': ['application', 'WOWZA_APPLICATION', 'string'],
+	'app-instance': ['appInstance', 'WOWZA_APP_INSTANCE', 'string'],
+	'stream-file': ['streamFile', 'WOWZA_STREAM_FILE', 'string'],
+	'media-caster-type': ['mediaCasterType', 'WOWZA_MEDIA_CASTER_TYPE', 'string'],
+	'timeout': ['timeout', 'WOWZA_TIMEOUT', 'number'],
+	'retries': ['retries', 'WOWZA_RETRIES', 'number'],
+	'response-format': ['responseFormat', 'WOWZA_RESPONSE_FORMAT', 'string'],
+	'insecure': ['rejectUnauthorized', 'WOWZA_INSECURE', 'insecure'],
+	'streaming-host': ['streamingHost', 'WOWZA_STREAMING_HOST', 'string'],
+	'streaming-secure': ['streamingSecure', 'WOWZA_STREAMING_SECURE', 'boolean']
+};
+
+// flags of the tool itself, every command can declare its own flags in addition
+const GLOBAL_FLAGS = ['profile', 'config', 'json', 'help'];
+const BOOLEAN_FLAGS = ['json', 'help', 'insecure', 'connected', 'disconnected', 'no-deletes', 'dry-run', 'prune', 'recorders', 'streaming-secure', 'keep-existing', 'no-wait'];
+const SHORT_FLAGS = { a: 'application', i: 'app-instance', h: 'help' };
+
+class UsageError extends Error {}
+
+// Commands are grouped by resource: `wowza <group> <action> [args] [flags]`.
+// run receives the client, request options built from the flags and positional args, the positional args and the parsed flags.
+// exitCode (result) => code can make a successful request exit with an error, e.g. when some changes failed.
+// json: true prints the result as JSON without --json, e.g. when it's meant to be saved to a file.
+const COMMANDS = {
+	applications: {
+		list: {
+			description: 'List applications of the vhost',
+			run: (wowza, options) => wowza.getApplicationsList(options)
+		},
+		get: {
+			usage: '<application>',
+			description: 'Show configuration of an application',
+			run: (wowza, options) => wowza.getApplicationConfig(options)
+		},
+		create: {
+			usage: '<application> [--data <json>]',
+			description: 'Create an application, --data is its configuration e.g. {"appType": "Live"}',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.createApplication(options, readData(flags, false))
+		},
+		update: {
+			usage: '<application> --data <json>',
+			description: 'Update configuration of an application',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateApplicationConfig(options, readData(flags, true))
+		},
+		delete: {
+			usage: '<application>',
+			description: 'Delete an application',
+			run: (wowza, options) => wowza.deleteApplication(options)
+		},
+		restart: {
+			usage: '<application>',
+			description: 'Restart an application',
+			run: (wowza, options) => wowza.restartApplication(options)
+		},
+		shutdown: {
+			usage: '<application>',
+			description: 'Shut down an application',
+			run: (wowza, options) => wowza.shutdownApplication(options)
+		},
+		'get-adv': {
+			usage: '<application>',
+			description: 'Show advanced configuration of an application',
+			run: (wowza, options) => wowza.getApplicationAdvancedConfig(options)
+		},
+		'update-adv': {
+			usage: '<application> --data <json>',
+			description: 'Update advanced configuration of an application',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateApplicationAdvancedConfig(options, readData(flags, true))
+		},
+		'get-security': {
+			usage: '<application>',
+			description: 'Show SecureToken, publish authentication and client IP restrictions of an application',
+			run: (wowza, options) => wowza.getApplicationSecurity(options)
+		},
+		'update-security': {
+			usage: '<application> --data <json>',
+			description: 'Update security settings of an application, e.g. {"secureTokenVersion": 2, "secureTokenSharedSecret": "..."}',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateApplicationSecurity(options, readData(flags, true))
+		},
+		'get-repeater': {
+			usage: '<application>',
+			description: 'Show live stream repeater settings of an application: mode, queue type, origin URLs and secure connection',
+			run: (wowza, options) => wowza.getStreamRepeater(options)
+		},
+		'update-repeater': {
+			usage: '<application> --data <json>',
+			description: 'Update live stream repeater settings, e.g. {"mode": "edge", "originUrls": ["wowz://origin:1935/live"]}, restart the application to apply them',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateStreamRepeater(options, readData(flags, true))
+		},
+		instances: {
+			usage: '<application>',
+			description: 'List running instances of an application',
+			run: (wowza, options) => wowza.getApplicationInstancesList(options)
+		},
+		export: {
+			usage: '<application>',
+			description: 'Print a JSON snapshot of the configuration, streamfiles, stream targets and recorders of an application',
+			json: true,
+			run: (wowza, options) => wowza.exportApplication(options)
+		},
+		import: {
+			usage: '[application] --data <json> [--prune] [--recorders] [--concurrency <n>]',
+			description: 'Restore a snapshot of `applications export`, the application of the snapshot is used when it\'s not passed',
+			flags: ['data', 'prune', 'recorders', 'concurrency'],
+			run: (wowza, options, args, flags) => wowza.importApplication(Object.assign({
+				prune: flags.prune,
+				recorders: flags.recorders,
+				concurrency: toNumber(flags.concurrency, 'concurrency')
+			}, options), readData(flags, true)).then(report => Object.assign({}, report, {
+				streamFiles: Object.assign({}, report.streamFiles, {
+					results: report.streamFiles.results.map(item => Object.assign({}, item, { error: item.error && item.error.message }))
+				}),
+				recorders: report.recorders.map(item => Object.assign({}, item, { error: item.error && item.error.message }))
+			})),
+			exitCode: report => report.streamFiles.summary.failed || report.recorders.some(item => item.status === 'failed') ? EXIT_API_ERROR : EXIT_OK
+		},
+		compare: {
+			usage: '<application> --data <json>',
+			description: 'Show differences between an application and a snapshot of `applications export`',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => {
+				let data = readData(flags, true);
+				return wowza.exportApplication(options).then(current => snapshot.compareSnapshots(data, current));
+			}
+		}
+	},
+	streamfiles: {
+		list: {
+			description: 'List streamfiles of the application',
+			run: (wowza, options) => wowza.getStreamFilesList(options)
+		},
+		get: {
+			usage: '<streamFile>',
+			description: 'Show configuration of a streamfile',
+			run: (wowza, options) => wowza.getStreamFileConfiguration(options)
+		},
+		create: {
+			usage: '--data <json>',
+			description: 'Add a streamfile, --data is its configuration e.g. {"name": "ipCam", "uri": "rtsp://..."}',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.addStreamFile(options, readData(flags, true))
+		},
+		update: {
+			usage: '<streamFile> --data <json>',
+			description: 'Update configuration of a streamfile',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateStreamFileOptions(options, readData(flags, true))
+		},
+		'update-adv': {
+			usage: '<streamFile> --data <json>',
+			description: 'Update advanced configuration of a streamfile',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateAdvancedStreamFileOptions(options, readData(flags, true))
+		},
+		delete: {
+			usage: '<streamFile>',
+			description: 'Delete a streamfile',
+			run: (wowza, options) => wowza.deleteStreamFile(options)
+		},
+		connect: {
+			usage: '<streamFile>',
+			description: 'Connect a streamfile',
+			run: (wowza, options) => wowza.connectStreamFile(options)
+		},
+		urls: {
+			usage: '<streamFile>',
+			description: 'Print playback URLs of a streamfile, the host is taken from --streaming-host',
+			run: (wowza, options) => wowza.getPlaybackUrls(options)
+		}
+	},
+	streams: {
+		list: {
+			usage: '[--name-pattern <pattern>] [--source-type <type,...>] [--connected | --disconnected] [--page <n>] [--page-size <n>]',
+			description: 'List incoming streams of the application instance',
+			flags: ['name-pattern', 'source-type', 'connected', 'disconnected', 'page', 'page-size'],
+			run: (wowza, options, args, flags) => wowza.getIncomingStreamsList(options, {
+				namePattern: flags['name-pattern'],
+				sourceType: flags['source-type'] && flags['source-type'].split(','),
+				isConnected: flags.connected ? true : flags.disconnected ? false : undefined,
+				page: toNumber(flags.page, 'page'),
+				pageSize: toNumber(flags['page-size'], 'page-size')
+			})
+		},
+		info: {
+			usage: '<streamName>',
+			description: 'Show an incoming stream, the name is exact e.g. ipCam.stream or myCam',
+			run: (wowza, options) => wowza.getIncomingStreamInfo(options)
+		},
+		stats: {
+			usage: '<streamName>',
+			description: 'Show current monitoring stats of an incoming stream',
+			run: (wowza, options) => wowza.getIncomingStreamStats(options)
+		},
+		disconnect: {
+			usage: '<streamName>',
+			description: 'Disconnect an incoming stream',
+			run: (wowza, options) => wowza.disconnectIncomingStream(options)
+		},
+		reset: {
+			usage: '<streamName>',
+			description: 'Reset an incoming stream',
+			run: (wowza, options) => wowza.resetIncomingStream(options)
+		},
+		urls: {
+			usage: '[streamName] [--smil <name>]',
+			description: 'Print playback URLs of a stream or a SMIL group, the host is taken from --streaming-host',
+			flags: ['smil'],
+			run: (wowza, options, args, flags) => wowza.getPlaybackUrls(Object.assign({ smil: flags.smil }, options))
+		},
+		sign: {
+			usage: '[streamName] [--smil <name>] [--expires <seconds>] [--cidr <range>] [--secret <secret>]',
+			description: 'Print playback URLs signed by SecureToken, the secret, prefix and algorithm are read from the application unless --secret is passed',
+			flags: ['smil', 'expires', 'cidr', 'secret'],
+			run: (wowza, options, args, flags) => {
+				let expires = toNumber(flags.expires, 'expires');
+				return (flags.secret ? Promise.resolve({}) : wowza.getApplicationSecurity(options)).then(security => {
+					let urls = wowza.getPlaybackUrls(Object.assign({ smil: flags.smil }, options));
+					let sign = url => url && secureToken.signPlaybackUrl(url, {
+						security: security,
+						secret: flags.secret,
+						endTime: expires === undefined ? undefined : Math.floor(Date.now() / 1000) + expires,
+						cidr: flags.cidr
+					});
+					return Object.assign({}, urls, { hls: sign(urls.hls), dash: sign(urls.dash), rtmp: sign(urls.rtmp), rtsp: sign(urls.rtsp) });
+				});
+			}
+		}
+	},
+	dvr: {
+		get: {
+			description: 'Show nDVR settings of the application',
+			run: (wowza, options) => wowza.getDvrConfig(options)
+		},
+		update: {
+			usage: '--data <json>',
+			description: 'Update nDVR settings, e.g. {"enabled": true, "windowDuration": 7200, "archiveStrategy": "version"}',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateDvrConfig(options, readData(flags, true))
+		},
+		stores: {
+			description: 'List DVR stores of the application instance',
+			run: (wowza, options) => wowza.getDvrStoresList(options)
+		},
+		store: {
+			usage: '<storeName>',
+			description: 'Show a DVR store and the status of its conversion',
+			run: (wowza, options, args) => wowza.getDvrStore(options, args[0])
+		},
+		convert: {
+			usage: '<storeName> [--start <time>] [--end <time>] [--file-name <name>] [--no-wait]',
+			description: 'Convert a DVR store to MP4 and wait for the end, times are ISO dates or milliseconds since the epoch',
+			flags: ['start', 'end', 'file-name', 'no-wait'],
+			run: (wowza, options, args, flags) => {
+				let conversion = { startTime: toTime(flags.start, 'start'), endTime: toTime(flags.end, 'end'), fileName: flags['file-name'] };
+				return flags['no-wait'] ? wowza.startDvrConversion(options, args[0], conversion) : wowza.convertDvrStore(options, args[0], conversion);
+			}
+		}
+	},
+	smil: {
+		list: {
+			description: 'List SMIL files of the application',
+			run: (wowza, options) => wowza.getSmilFilesList(options)
+		},
+		get: {
+			usage: '<name>',
+			description: 'Show a SMIL file',
+			run: (wowza, options, args) => wowza.getSmilFile(options, args[0])
+		},
+		create: {
+			usage: '<name> --data <json> | --streams <name,...> | --template <name> --source <streamName>',
+			description: 'Create a SMIL file from its configuration, stream names as is, or outputs of a transcoder template for a source stream',
+			flags: ['data', 'streams', 'template', 'source'],
+			run: (wowza, options, args, flags) => {
+				let build;
+				if (flags.template) {
+					if (!flags.source) throw new UsageError('--source is required with --template');
+					build = wowza.buildTranscoderSmilFile(options, args[0], flags.template, flags.source);
+				} else if (flags.streams) {
+					build = Promise.resolve(smil.buildSmilFile(args[0], toList(flags.streams)));
+				} else {
+					build = Promise.resolve(Object.assign({}, readData(flags, true), { name: args[0] }));
+				}
+				return build.then(smilFile => wowza.createSmilFile(options, smilFile));
+			}
+		},
+		update: {
+			usage: '<name> --data <json>',
+			description: 'Update a SMIL file, smilStreams of --data replace the current ones',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateSmilFile(options, Object.assign({}, readData(flags, true), { name: args[0] }))
+		},
+		delete: {
+			usage: '<name>',
+			description: 'Delete a SMIL file',
+			run: (wowza, options, args) => wowza.deleteSmilFile(options, args[0])
+		}
+	},
+	recorders: {
+		list: {
+			description: 'List recorders of the application instance',
+			run: (wowza, options) => wowza.getRecordersList(options)
+		},
+		start: {
+			usage: '[streamFile] [--data <json>]',
+			description: 'Start recording of a stream, --data is the recorder configuration',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.createRecorder(readData(flags, false) || {}, options)
+		},
+		stop: {
+			usage: '[streamFile]',
+			description: 'Stop recording of a stream',
+			run: (wowza, options) => wowza.stopRecording(options)
+		},
+		get: {
+			usage: '[streamFile]',
+			description: 'Show parameters and state of a recorder',
+			run: (wowza, options) => wowza.getRecorder(options)
+		},
+		split: {
+			usage: '[streamFile]',
+			description: 'Close the current file of a recorder and continue to a new one',
+			run: (wowza, options) => wowza.splitRecording(options)
+		},
+		restart: {
+			usage: '[streamFile]',
+			description: 'Restart recording of a stream',
+			run: (wowza, options) => wowza.restartRecording(options)
+		},
+		delete: {
+			usage: '[streamFile]',
+			description: 'Delete a recorder',
+			run: (wowza, options) => wowza.deleteRecorder(options)
+		}
+	},
+	targets: {
+		list: {
+			description: 'List stream targets of the application',
+			run: (wowza, options) => wowza.getStreamTargets(options)
+		},
+		get: {
+			usage: '<entryName>',
+			description: 'Show configuration of a stream target',
+			run: (wowza, options, args) => wowza.getStreamTarget(options, args[0])
+		},
+		create: {
+			usage: '<entryName> --data <json> [--type <rtmp|akamai|facebook|youtube|hls|srt>]',
+			description: 'Create a stream target, --type fills in the profile and its defaults, e.g. --type youtube --data \'{"sourceStreamName": "cam", "streamKey": "..."}\'',
+			flags: ['data', 'type'],
+			run: (wowza, options, args, flags) => {
+				let config = Object.assign(readData(flags, true), { entryName: args[0] });
+				if (flags.type !== undefined) {
+					if (!streamTargets.streamTargets[flags.type]) throw new UsageError(`Unknown --type ${flags.type}, expected one of ${Object.keys(streamTargets.streamTargets).join(', ')}`);
+					config = streamTargets.streamTargets[flags.type](config);
+				}
+				return wowza.createStreamTarget(options, config);
+			}
+		},
+		update: {
+			usage: '<entryName> --data <json>',
+			description: 'Update a stream target',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateStreamTarget(options, Object.assign(readData(flags, true), { entryName: args[0] }))
+		},
+		delete: {
+			usage: '<entryName>',
+			description: 'Delete a stream target',
+			run: (wowza, options, args) => wowza.deleteStreamTarget(options, args[0])
+		},
+		enable: {
+			usage: '<entryName>',
+			description: 'Enable a stream target',
+			run: (wowza, options, args) => wowza.enableStreamTarget(options, args[0])
+		},
+		disable: {
+			usage: '<entryName>',
+			description: 'Disable a stream target',
+			run: (wowza, options, args) => wowza.disableStreamTarget(options, args[0])
+		},
+		restart: {
+			usage: '<entryName>',
+			description: 'Restart a stream target',
+			run: (wowza, options, args) => wowza.restartStreamTarget(options, args[0])
+		}
+	},
+	transcoder: {
+		get: {
+			description: 'Show transcoder configuration of the application',
+			run: (wowza, options) => wowza.getTranscoderConfig(options)
+		},
+		enable: {
+			usage: '[--data <json>]',
+			description: 'Enable the transcoder',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.enableTranscoder(options, readData(flags, false))
+		},
+		disable: {
+			description: 'Disable the transcoder',
+			run: (wowza, options) => wowza.disableTranscoder(options)
+		},
+		templates: {
+			description: 'List transcoder templates',
+			run: (wowza, options) => wowza.getTranscoderTemplates(options)
+		},
+		template: {
+			usage: '<template>',
+			description: 'Show a transcoder template',
+			run: (wowza, options, args) => wowza.getTranscoderTemplate(options, args[0])
+		},
+		'template-create': {
+			usage: '--data <json>',
+			description: 'Create a transcoder template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.createTranscoderTemplate(options, readData(flags, true))
+		},
+		'template-update': {
+			usage: '--data <json>',
+			description: 'Update a transcoder template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateTranscoderTemplate(options, readData(flags, true))
+		},
+		'template-delete': {
+			usage: '<template>',
+			description: 'Delete a transcoder template',
+			run: (wowza, options, args) => wowza.deleteTranscoderTemplate(options, args[0])
+		},
+		encode: {
+			usage: '<template> <encode>',
+			description: 'Show an encode of a template',
+			run: (wowza, options, args) => wowza.getTranscoderEncode(options, args[0], args[1])
+		},
+		'encode-create': {
+			usage: '<template> --data <json>',
+			description: 'Create an encode of a template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.createTranscoderEncode(options, args[0], readData(flags, true))
+		},
+		'encode-update': {
+			usage: '<template> --data <json>',
+			description: 'Update an encode of a template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateTranscoderEncode(options, args[0], readData(flags, true))
+		},
+		'encode-delete': {
+			usage: '<template> <encode>',
+			description: 'Delete an encode of a template',
+			run: (wowza, options, args) => wowza.deleteTranscoderEncode(options, args[0], args[1])
+		},
+		decode: {
+			usage: '<template>',
+			description: 'Show decode settings of a template',
+			run: (wowza, options, args) => wowza.getTranscoderDecode(options, args[0])
+		},
+		'decode-update': {
+			usage: '<template> --data <json>',
+			description: 'Update decode settings of a template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateTranscoderDecode(options, args[0], readData(flags, true))
+		},
+		'group-create': {
+			usage: '<template> --data <json>',
+			description: 'Create a stream name group of a template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.createTranscoderStreamNameGroup(options, args[0], readData(flags, true))
+		},
+		'group-update': {
+			usage: '<template> --data <json>',
+			description: 'Update a stream name group of a template',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => wowza.updateTranscoderStreamNameGroup(options, args[0], readData(flags, true))
+		},
+		'group-delete': {
+			usage: '<template> <group>',
+			description: 'Delete a stream name group of a template',
+			run: (wowza, options, args) => wowza.deleteTranscoderStreamNameGroup(options, args[0], args[1])
+		}
+	},
+	reconcile: {
+		plan: {
+			usage: '--data <json>',
+			description: 'Show changes which make streamfiles and stream targets of the application match the desired state',
+			flags: ['data'],
+			run: (wowza, options, args, flags) => reconcile.plan(wowza, readData(flags, true), options)
+		},
+		apply: {
+			usage: '--data <json> [--no-deletes] [--dry-run] [--concurrency <n>]',
+			description: 'Apply the desired state of streamfiles and stream targets to the application',
+			flags: ['data', 'no-deletes', 'dry-run', 'concurrency'],
+			run: (wowza, options, args, flags) => reconcile.reconcile(wowza, readData(flags, true), Object.assign({
+				noDeletes: flags['no-deletes'],
+				dryRun: flags['dry-run'],
+				concurrency: toNumber(flags.concurrency, 'concurrency')
+			}, options)).then(report => Object.assign({}, report, {
+				results: report.results.map(item => Object.assign({}, item, { error: item.error && item.error.message }))
+			})),
+			exitCode: report => report.summary.failed ? EXIT_API_ERROR : EXIT_OK
+		}
+	},
+	server: {
+		monitoring: {
+			description: 'Show traffic and connections of the server',
+			run: (wowza, options) => wowza.getServerMonitoring(options)
+		},
+		machine: {
+			description: 'Show CPU, memory and heap of the machine',
+			run: (wowza, options) => wowza.getMachineMonitoring(options)
+		}
+	},
+	publishers: {
+		list: {
+			description: 'List publishers of the server',
+			run: (wowza, options) => wowza.getPublishersList(options)
+		},
+		get: {
+			usage: '<name>',
+			description: 'Show a publisher',
+			run: (wowza, options, args) => wowza.getPublisher(options, args[0])
+		},
+		create: {
+			usage: '<name> [--new-password <password>]',
+			description: 'Create a publisher, the password is generated and printed when it\'s not passed',
+			flags: ['new-password'],
+			run: (wowza, options, args, flags) => {
+				let publisher = { name: args[0], password: flags['new-password'] || accounts.generatePassword() };
+				return wowza.createPublisher(options, publisher).then(() => publisher);
+			}
+		},
+		update: {
+			usage: '<name> [--new-password <password>]',
+			description: 'Set a new password of a publisher, it\'s generated and printed when it\'s not passed',
+			flags: ['new-password'],
+			run: (wowza, options, args, flags) => {
+				let publisher = { name: args[0], password: flags['new-password'] || accounts.generatePassword() };
+				return wowza.updatePublisher(options, publisher).then(() => publisher);
+			}
+		},
+		delete: {
+			usage: '<name>',
+			description: 'Delete a publisher',
+			run: (wowza, options, args) => wowza.deletePublisher(options, args[0])
+		},
+		provision: {
+			usage: '<name> [name ...] [--keep-existing]',
+			description: 'Create publishers of encoders and rotate passwords of existing ones, prints generated passwords',
+			flags: ['keep-existing'],
+			run: (wowza, options, args, flags) => wowza.provisionPublishers(Object.assign({ rotate: !flags['keep-existing'] }, options), args)
+				.then(result => Object.assign({}, result, {
+					publishers: result.publishers.map(item => Object.assign({}, item, { error: item.error && item.error.message }))
+				})),
+			exitCode: result => result.summary.failed ? EXIT_API_ERROR : EXIT_OK
+		}
+	},
+	users: {
+		list: {
+			description: 'List users of the REST API and the manager with their groups',
+			run: (wowza, options) => wowza.getAdminUsersList(options)
+		},
+		get: {
+			usage: '<userName>',
+			description: 'Show a user',
+			run: (wowza, options, args) => wowza.getAdminUser(options, args[0])
+		},
+		create: {
+			usage: '<userName> --groups <group,...> [--new-password <password>]',
+			description: `Create a user, groups are ${accounts.ADMIN_GROUPS.join(', ')}, the password is generated and printed when it's not passed`,
+			flags: ['groups', 'new-password'],
+			run: (wowza, options, args, flags) => {
+				let user = { userName: args[0], password: flags['new-password'] || accounts.generatePassword(), groups: toList(flags.groups) };
+				return wowza.createAdminUser(options, user).then(() => user);
+			}
+		},
+		update: {
+			usage: '<userName> [--groups <group,...>] [--new-password <password>]',
+			description: 'Change groups or the password of a user',
+			flags: ['groups', 'new-password'],
+			run: (wowza, options, args, flags) => wowza.updateAdminUser(options, {
+				userName: args[0],
+				password: flags['new-password'],
+				groups: toList(flags.groups)
+			})
+		},
+		delete: {
+			usage: '<userName>',
+			description: 'Delete a user',
+			run: (wowza, options, args) => wowza.deleteAdminUser(options, args[0])
+		}
+	}
+};
+
+// the first positional argument of a command fills this option of the request
+const POSITIONAL_OPTIONS = {
+	applications: 'application',
+	streamfiles: 'streamFile',
+	streams: 'streamName',
+	recorders: 'streamFile'
+};
+
+/**
+ * Run the `wowza` command-line tool
+ *
+ * Connection is configured by flags, then environment variables (WOWZA_HOST, WOWZA_PORT, WOWZA_USERNAME, ...),
+ * then a profile of the config file (--config, WOWZA_CONFIG or ~/.wowzarc.json):
+ * {"defaultProfile": "prod", "profiles": {"prod": {"host": "10.0.0.5", "port": 8087, "username": "admin", "password": "..."}}}
+ * Keys of a profile are camelCased names of the flags.
+ *
+ * Exit codes: 0 success, 1 Wowza answered with an error, 2 wrong usage or configuration,
+ * 3 Wowza is unreachable or didn't answer in time, 4 answer of Wowza can't be parsed.
+ *
+ * @function run
+ * @param {Array<string>} argv arguments without node and script, e.g. ['streamfiles', 'connect', 'ipCam']
+ * @param {Object} [io]
+ * @param {Object} [io.env = process.env]
+ * @param {stream.Writable} [io.stdout = process.stdout]
+ * @param {stream.Writable} [io.stderr = process.stderr]
+ * @param {string} [io.homedir = os.homedir()] where ~/.wowzarc.json is looked for
+ * @param {Function} [io.createClient] (options) => WowzaAPI
+ * @return {Promise} promise which resolve by the exit code
+ *
+ * @example
+ * // wowza --profile prod streamfiles connect ipCam
+ * require('wowza-js-api/lib/cli').run(process.argv.slice(2)).then(code => { process.exitCode = code; });
+ */
+function run(argv, io) {
+	io = Object.assign({
+		env: process.env,
+		stdout: process.stdout,
+		stderr: process.stderr,
+		homedir: os.homedir(),
+		createClient: options => new (require('../wowza'))(options)
+	}, io);
+
+	let parsed;
+	let command;
+	let clientOptions;
+	try {
+		parsed = parseArgs(argv);
+		if (!parsed.positional.length || parsed.positional[0] === 'help') {
+			io.stdout.write(usage(parsed.positional[1]));
+			return Promise.resolve(parsed.positional.length || parsed.flags.help ? EXIT_OK : EXIT_USAGE);
+		}
+
+		let group = COMMANDS[parsed.positional[0]];
+		if (!group) throw new UsageError(`Unknown command ${parsed.positional[0]}`);
+		if (parsed.flags.help || parsed.positional.length < 2) {
+			io.stdout.write(usage(parsed.positional[0]));
+			return Promise.resolve(parsed.flags.help ? EXIT_OK : EXIT_USAGE);
+		}
+		command = group[parsed.positional[1]];
+		if (!command) throw new UsageError(`Unknown command ${parsed.positional[0]} ${parsed.positional[1]}`);
+
+		let allowed = Object.keys(CONNECTION_FLAGS).concat(GLOBAL_FLAGS, command.flags || []);
+		Object.keys(parsed.flags).forEach(flag => {
+			if (allowed.indexOf(flag) === -1) throw new UsageError(`Unknown flag --${flag} of ${parsed.positional[0]} ${parsed.positional[1]}`);
+		});
+		// <name> parts of the usage are required positional arguments unless they are values of flags
+		let required = (command.usage || '').split(' ').filter((part, i, parts) => /^<.+>$/.test(part) && !/^-/.test(parts[i - 1] || '')).length;
+		if (parsed.positional.length - 2 < required) {
+			throw new UsageError(`Usage: wowza ${parsed.positional[0]} ${parsed.positional[1]} ${command.usage}`);
+		}
+
+		clientOptions = getClientOptions(parsed.flags, io);
+	} catch (err) {
+		return Promise.resolve(fail(err, io));
+	}
+
+	let args = parsed.positional.slice(2);
+	let options = {};
+	let positionalOption = POSITIONAL_OPTIONS[parsed.positional[0]];
+	if (positionalOption && args[0]) options[positionalOption] = args[0];
+
+	return Promise.resolve()
+		.then(() => command.run(io.createClient(clientOptions), options, args, parsed.flags))
+		.then(result => {
+			io.stdout.write(parsed.flags.json || command.json ? `${JSON.stringify(result, null, 2)}\n` : formatResult(result));
+			return command.exitCode ? command.exitCode(result) : EXIT_OK;
+		}, err => fail(err, io));
+}
+
+// --name value, --name=value, -a value, boolean flags don't take a value, -- ends flags
+function parseArgs(argv) {
+	let flags = {};
+	let positional = [];
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+		if (arg === '--') {
+			positional = positional.concat(argv.slice(i + 1));
+			break;
+		}
+		let match = /^--([^=]+)(?:=(.*))?$/.exec(arg) || /^-([a-zA-Z])$/.exec(arg);
+		if (!match) {
+			positional.push(arg);
+			continue;
+		}
+		let name = arg[1] === '-' ? match[1] : SHORT_FLAGS[match[1]];
+		if (!name) throw new UsageError(`Unknown flag ${arg}`);
+
+		if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+			flags[name] = match[2] === undefined ? true : match[2] !== 'false';
+		} else if (match[2] !== undefined) {
+			flags[name] = match[2];
+		} else if (i + 1 < argv.length) {
+			flags[name] = argv[++i];
+		} else {
+			throw new UsageError(`Flag --${name} requires a value`);
+		}
+	}
+	return { flags: flags, positional: positional };
+}
+
+// defaults of WowzaAPI < profile of the config file < environment variables < flags
+function getClientOptions(flags, io) {
+	let profile = getProfile(flags, io);
+	let options = {};
+
+	Object.keys(CONNECTION_FLAGS).forEach(flag => {
+		let option = CONNECTION_FLAGS[flag][0];
+		let variable = CONNECTION_FLAGS[flag][1];
+		let type = CONNECTION_FLAGS[flag][2];
+		let key = camelCase(flag);
+
+		let value = profile[key];
+		if (io.env[variable] !== undefined && io.env[variable] !== '') value = io.env[variable];
+		if (flags[flag] !== undefined) value = flags[flag];
+		if (value === undefined) return;
+
+		if (type === 'number') {
+			value = toNumber(value, flag);
+		} else if (type === 'insecure') {
+			value = !(value === true || value === 'true' || value === '1');
+		} else if (type === 'boolean') {
+			value = value === true || value === 'true' || value === '1';
+		}
+		options[option] = value;
+	});
+
+	return options;
+}
+
+function getProfile(flags, io) {
+	let file = flags.config || io.env.WOWZA_CONFIG;
+	let explicit = !!file;
+	file = file || path.join(io.homedir, '.wowzarc.json');
+
+	let config = {};
+	if (explicit || fs.existsSync(file)) {
+		try {
+			config = JSON.parse(fs.readFileSync(file, 'utf8'));
+		} catch (e) {
+			throw new UsageError(`Can't read config file ${file}: ${e.message}`);
+		}
+	}
+
+	let name = flags.profile || io.env.WOWZA_PROFILE || config.defaultProfile;
+	if (!name) return {};
+	let profile = config.profiles && config.profiles[name];
+	if (!profile) throw new UsageError(`Profile ${name} is not found in ${file}`);
+	return profile;
+}
+
+// --data takes JSON or @path of a JSON file
+function readData(flags, required) {
+	let data = flags.data;
+	if (data === undefined) {
+		if (required) throw new UsageError('--data is required');
+		return undefined;
+	}
+	try {
+		if (data[0] === '@') data = fs.readFileSync(data.slice(1), 'utf8');
+		return JSON.parse(data);
+	} catch (e) {
+		throw new UsageError(`Can't read --data: ${e.message}`);
+	}
+}
+
+function toTime(value, flag) {
+	if (value === undefined) return undefined;
+	let time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+	if (isNaN(time)) throw new UsageError(`--${flag} should be an ISO date or milliseconds since the epoch, got ${value}`);
+	return time;
+}
+
+function toList(value) {
+	if (value === undefined) return undefined;
+	return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function toNumber(value, flag) {
+	if (value === undefined) return undefined;
+	let number = Number(value);
+	if (value === '' || isNaN(number)) throw new UsageError(`--${flag} should be a number, got ${value}`);
+	return number;
+}
+
+function camelCase(name) {
+	return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function fail(err, io) {
+	io.stderr.write(`Error: ${err && err.message || err}\n`);
+	// wrong data is reported by the library with WowzaValidationError before any request
+	if (err instanceof UsageError || err instanceof errors.WowzaValidationError) return EXIT_USAGE;
+	if (err instanceof errors.WowzaNetworkError) return EXIT_NETWORK_ERROR;
+	if (err instanceof errors.WowzaParseError) return EXIT_PARSE_ERROR;
+	// anything else is a bug rather than a failed request, its stack helps to find it
+	if (!(err instanceof errors.WowzaApiError) && err && err.stack) io.stderr.write(`${err.stack}\n`);
+	return EXIT_API_ERROR;
+}
+
+function usage(groupName) {
+	let groups = groupName && COMMANDS[groupName] ? [groupName] : Object.keys(COMMANDS);
+	let lines = ['Usage: wowza <command> <action> [arguments] [flags]', ''];
+
+	groups.forEach(name => {
+		lines.push(`${name}:`);
+		Object.keys(COMMANDS[name]).forEach(action => {
+			let command = COMMANDS[name][action];
+			lines.push(`  ${[name, action, command.usage].filter(Boolean).join(' ')}`);
+			lines.push(`      ${command.description}`);
+		});
+		lines.push('');
+	});
+
+	lines.push('Connection flags (environment variable in brackets):');
+	Object.keys(CONNECTION_FLAGS).forEach(flag => lines.push(`  --${flag} (${CONNECTION_FLAGS[flag][1]})`));
+	lines.push('');
+	lines.push('Other flags:');
+	lines.push('  --profile <name>  profile of the config file (WOWZA_PROFILE)');
+	lines.push('  --config <path>   config file, ~/.wowzarc.json by default (WOWZA_CONFIG)');
+	lines.push('  --json            print the answer of Wowza as JSON');
+	lines.push('  -a, -i            short forms of --application and --app-instance');
+	lines.push('');
+	return `${lines.join('\n')}`;
+}
+
+// lists are printed as a table, other answers as a table of fields, success answers as their message
+function formatResult(result) {
+	if (result === undefined || result === null || typeof result !== 'object') {
+		return `${result === undefined || result === null ? 'OK' : result}\n`;
+	}
+
+	let listKey = Object.keys(result).find(key => Array.isArray(result[key]) && result[key].length && result[key].every(isPlainObject));
+	if (listKey) {
+		let rows = result[listKey];
+		let columns = [];
+		rows.forEach(row => Object.keys(row).forEach(key => {
+			if (columns.indexOf(key) === -1 && !isPlainObject(row[key]) && !Array.isArray(row[key])) columns.push(key);
+		}));
+		return formatTable(columns, rows.map(row => columns.map(column => row[column])));
+	}
+
+	if (result.success !== undefined && result.message !== undefined && Object.keys(result).every(key => ['success', 'message', 'data'].indexOf(key) !== -1)) {
+		return `${result.message || (result.success ? 'OK' : 'Failed')}\n`;
+	}
+
+	return formatTable(['field', 'value'], Object.keys(result).map(key => [key, result[key]]));
+}
+
+function formatTable(columns, rows) {
+	let cells = [columns].concat(rows).map(row => row.map(formatCell));
+	let widths = columns.map((column, i) => Math.max.apply(null, cells.map(row => row[i].length)));
+	let line = row => row.map((cell, i) => i === row.length - 1 ? cell : cell + ' '.repeat(widths[i] - cell.length)).join('  ');
+
+	return `${[line(cells[0]), line(widths.map(width => '-'.repeat(width)))].concat(cells.slice(1).map(line)).join('\n')}\n`;
+}
+
+function formatCell(value) {
+	if (value === undefined || value === null) return '';
+	if (typeof value === 'object') return JSON.stringify(value);
+	return String(value);
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+	run,
+	COMMANDS,
+	EXIT_OK,
+	EXIT_API_ERROR,
+	EXIT_USAGE,
+	EXIT_NETWORK_ERROR,
+	EXIT_PARSE_ERROR
+};
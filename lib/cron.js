@@ -0,0 +1,148 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+// fields of a cron expression in their order with allowed values
+const FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'dayOfMonth', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12 },
+	{ name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// how far next() and previous() look for a match
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a 5-field cron expression: minute hour day-of-month month day-of-week, e.g. '0 9 * * 1-5'.
+ * Fields support *, numbers, ranges (1-5), lists (1,3,5), steps (*\/15, 0-30/10) and names of months and days (jan, mon-fri).
+ * Like in cron, when both day fields are restricted a date matches either of them. Dates are in local time.
+ *
+ * @function parseCron
+ * @param {string} expression
+ * @return {Object} {expression, matches(date), next(after, [until]), previous(before, [since])},
+ * next returns the first matching minute after the date, previous the last one not later than the date, or null
+ * @throws {WowzaValidationError} when the expression is invalid
+ *
+ * @example
+ * parseCron('0 9 * * mon-fri').next(new Date('2026-10-17T12:00:00')); // Mon Oct 19 2026 09:00
+ */
+function parseCron(expression) {
+	let parts = String(expression || '').trim().split(/\s+/);
+	if (parts.length !== FIELDS.length) {
+		throw new WowzaValidationError(`cron expression should have ${FIELDS.length} fields, got '${expression}'`);
+	}
+
+	let values = {};
+	FIELDS.forEach((field, index) => {
+		values[field.name] = parseField(parts[index], field, expression);
+	});
+	// 7 is Sunday as well as 0
+	if (values.dayOfWeek.has(7)) values.dayOfWeek.add(0);
+
+	let anyDayOfMonth = parts[2] === '*';
+	let anyDayOfWeek = parts[4] === '*';
+
+	let matchesDay = date => {
+		let dayOfMonth = values.dayOfMonth.has(date.getDate());
+		let dayOfWeek = values.dayOfWeek.has(date.getDay());
+		if (anyDayOfMonth || anyDayOfWeek) return dayOfMonth && dayOfWeek;
+		return dayOfMonth || dayOfWeek;
+	};
+
+	let matches = date => values.month.has(date.getMonth() + 1) && matchesDay(date) &&
+		values.hour.has(date.getHours()) && values.minute.has(date.getMinutes());
+
+	// steps to the next candidate skip whole months, days and hours which can't match
+	let next = (after, until) => {
+		let date = new Date(after);
+		date.setSeconds(0, 0);
+		date.setMinutes(date.getMinutes() + 1);
+		let limit = until !== undefined ? new Date(until).getTime() : date.getTime() + SEARCH_LIMIT;
+
+		while (date.getTime() <= limit) {
+			if (!values.month.has(date.getMonth() + 1)) {
+				date.setMonth(date.getMonth() + 1, 1);
+				date.setHours(0, 0);
+			} else if (!matchesDay(date)) {
+				date.setDate(date.getDate() + 1);
+				date.setHours(0, 0);
+			} else if (!values.hour.has(date.getHours())) {
+				date.setHours(date.getHours() + 1, 0);
+			} else if (!values.minute.has(date.getMinutes())) {
+				date.setMinutes(date.getMinutes() + 1);
+			} else {
+				return date;
+			}
+		}
+		return null;
+	};
+
+	let previous = (before, since) => {
+		let date = new Date(before);
+		date.setSeconds(0, 0);
+		let limit = since !== undefined ? new Date(since).getTime() : date.getTime() - SEARCH_LIMIT;
+
+		while (date.getTime() >= limit) {
+			if (!values.month.has(date.getMonth() + 1)) {
+				date.setDate(0);
+				date.setHours(23, 59);
+			} else if (!matchesDay(date)) {
+				date.setDate(date.getDate() - 1);
+				date.setHours(23, 59);
+			} else if (!values.hour.has(date.getHours())) {
+				date.setHours(date.getHours() - 1, 59);
+			} else if (!values.minute.has(date.getMinutes())) {
+				date.setMinutes(date.getMinutes() - 1);
+			} else {
+				return date;
+			}
+		}
+		return null;
+	};
+
+	return { expression: expression, matches: matches, next: next, previous: previous };
+}
+
+function parseField(text, field, expression) {
+	let result = new Set();
+	let names = field.name === 'month' ? MONTH_NAMES : field.name === 'dayOfWeek' ? DAY_NAMES : null;
+	let offset = field.name === 'month' ? 1 : 0;
+	let invalid = () => new WowzaValidationError(`invalid ${field.name} '${text}' in cron expression '${expression}'`);
+
+	let toNumber = value => {
+		if (names && names.indexOf(value.toLowerCase()) !== -1) return names.indexOf(value.toLowerCase()) + offset;
+		if (!/^\d+$/.test(value)) throw invalid();
+		let number = Number(value);
+		if (number < field.min || number > field.max) throw invalid();
+		return number;
+	};
+
+	text.split(',').forEach(item => {
+		let match = /^([^/]+)(?:\/(\d+))?$/.exec(item);
+		if (!match) throw invalid();
+		let step = match[2] !== undefined ? Number(match[2]) : 1;
+		if (step < 1) throw invalid();
+
+		let from = field.min;
+		let to = field.max;
+		if (match[1] !== '*') {
+			let range = match[1].split('-');
+			if (range.length > 2) throw invalid();
+			from = toNumber(range[0]);
+			to = range.length === 2 ? toNumber(range[1]) : match[2] !== undefined ? field.max : from;
+			if (from > to) throw invalid();
+		}
+		for (let value = from; value <= to; value += step) result.add(value);
+	});
+
+	return result;
+}
+
+module.exports = {
+	parseCron
+};
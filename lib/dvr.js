@@ -0,0 +1,135 @@
+'use strict'
+
+const errors = require('./errors');
+
+const ARCHIVE_STRATEGIES = ['append', 'version', 'delete'];
+
+// states of a conversion of a DVR store
+const CONVERSION_STATES = ['INIT', 'RUNNING', 'SUCCESSFUL', 'ERROR'];
+
+/**
+ * Check and normalize nDVR settings of an application, only present fields are checked
+ *
+ * @function validateDvrConfig
+ * @param {Object} config {enabled, windowDuration, archiveStrategy, storageDir}
+ * @return {Object} normalized copy, windowDuration is a number of seconds
+ * @throws {WowzaValidationError} with all of the problems in the message
+ */
+function validateDvrConfig(config) {
+	if (!config || typeof config !== 'object') throw new errors.WowzaValidationError('DVR settings should be an object');
+	let result = Object.assign({}, config);
+	let problems = [];
+
+	if (result.enabled !== undefined && typeof result.enabled !== 'boolean') problems.push('enabled should be a boolean');
+	if (result.windowDuration !== undefined) {
+		let seconds = Number(result.windowDuration);
+		if (result.windowDuration === '' || !(seconds >= 0)) problems.push(`windowDuration should be a non-negative number of seconds, 0 for unlimited, got ${result.windowDuration}`);
+		else result.windowDuration = seconds;
+	}
+	if (result.archiveStrategy !== undefined && ARCHIVE_STRATEGIES.indexOf(result.archiveStrategy) === -1) {
+		problems.push(`archiveStrategy should be one of ${ARCHIVE_STRATEGIES.join(', ')}`);
+	}
+	if (result.storageDir !== undefined && (typeof result.storageDir !== 'string' || !result.storageDir)) problems.push('storageDir should be a non-empty string');
+
+	if (problems.length) throw new errors.WowzaValidationError(`DVR settings: ${problems.join(', ')}`);
+	return result;
+}
+
+/**
+ * Query of the convert action of a DVR store
+ *
+ * @function buildConversionQuery
+ * @param {Object} [conversion]
+ * @param {Date|number} [conversion.startTime] start of the range, a Date or milliseconds since the epoch, the start of the store by default
+ * @param {Date|number} [conversion.endTime] end of the range, the end of the store by default
+ * @param {string} [conversion.fileName] name of the MP4 file, Wowza names it after the store by default
+ * @return {Object} parameters of the query
+ * @throws {WowzaValidationError} when the range is wrong
+ */
+function buildConversionQuery(conversion) {
+	conversion = conversion || {};
+	let query = {};
+	let startTime = toMilliseconds(conversion.startTime, 'startTime');
+	let endTime = toMilliseconds(conversion.endTime, 'endTime');
+	if (startTime !== undefined && endTime !== undefined && startTime >= endTime) throw new errors.WowzaValidationError('startTime should be before endTime');
+
+	if (startTime !== undefined) query.dvrConverterStartTime = startTime;
+	if (endTime !== undefined) query.dvrConverterEndTime = endTime;
+	if (conversion.fileName) query.dvrConverterOutputFilename = conversion.fileName;
+	return query;
+}
+
+/**
+ * Poll a DVR store till its conversion finishes
+ *
+ * @function waitForConversion
+ * @param {WowzaAPI} wowza
+ * @param {Object} [options] request options of the instance, options.signal stops waiting
+ * @param {string} storeName
+ * @param {Object} [settings]
+ * @param {number} [settings.interval = 1000] interval of checks in milliseconds
+ * @param {Function} [settings.onProgress] (conversionStatus) => void, called on every check of a running conversion
+ * @param {Object} [settings.previousStatus] conversionStatus of the store before the conversion was started,
+ * the store shows it till the engine takes the new conversion, so checks with the same status are ignored till it changes
+ * @return {Promise} promise which resolve by conversionStatus of the store when the conversion is successful,
+ * it's rejected by WowzaApiError when the conversion fails and by WowzaAbortError when options.signal is aborted.
+ * A store without a state or in INIT state is waited for as the conversion may be starting.
+ */
+function waitForConversion(wowza, options, storeName, settings) {
+	settings = settings || {};
+	let interval = settings.interval || 1000;
+	let signal = options && options.signal;
+	let previous = settings.previousStatus;
+
+	return new Promise((resolve, reject) => {
+		let timer;
+		let onAbort = () => {
+			clearTimeout(timer);
+			finish(reject, new errors.WowzaAbortError(`Waiting for DVR conversion of ${storeName} was aborted`));
+		};
+		let finish = (callback, value) => {
+			if (signal) signal.removeEventListener('abort', onAbort);
+			callback(value);
+		};
+		let check = () => {
+			wowza.getDvrStore(options, storeName).then(store => {
+				let status = store.conversionStatus || {};
+				// till the engine takes the new conversion, the store shows the previous one
+				if (!previous || !isSameStatus(status, previous)) {
+					previous = null;
+					if (status.state === 'SUCCESSFUL') return finish(resolve, status);
+					if (status.state === 'ERROR') {
+						return finish(reject, new errors.WowzaApiError(`DVR conversion of ${storeName} failed${status.errorString ? `: ${status.errorString}` : ''}`, { response: status }));
+					}
+					if (status.state && settings.onProgress) settings.onProgress(status);
+				}
+				if (!signal || !signal.aborted) timer = setTimeout(check, interval);
+			}).catch(err => finish(reject, err));
+		};
+
+		if (signal) {
+			if (signal.aborted) return onAbort();
+			signal.addEventListener('abort', onAbort);
+		}
+		check();
+	});
+}
+
+function isSameStatus(status, previous) {
+	return ['state', 'fileName', 'fileSize', 'fileDuration', 'errorString'].every(field => status[field] === previous[field]);
+}
+
+function toMilliseconds(time, field) {
+	if (time === undefined || time === null) return undefined;
+	let value = time instanceof Date ? time.getTime() : Number(time);
+	if (!Number.isFinite(value) || value < 0) throw new errors.WowzaValidationError(`${field} should be a Date or milliseconds since the epoch, got ${time}`);
+	return Math.floor(value);
+}
+
+module.exports = {
+	validateDvrConfig,
+	buildConversionQuery,
+	waitForConversion,
+	ARCHIVE_STRATEGIES,
+	CONVERSION_STATES
+};
@@ -0,0 +1,111 @@
+'use strict'
+
+/**
+ * Error of a request to the Wowza REST API
+ *
+ * @class WowzaApiError
+ * @extends Error
+ * @param {string} message description of the error, Wowza's message is used when the engine sent it
+ * @param {Object} [details]
+ * @param {number} [details.status] HTTP status code of the response
+ * @param {string} [details.method] HTTP method of the request
+ * @param {string} [details.path] path of the request
+ * @param {Object} [details.response] parsed Wowza error payload, e.g. { success: false, message: '...', code: '404' }
+ * @param {Error} [details.cause] original error
+ *
+ * @example
+ * wowza.deleteStreamFile({streamFile: 'ipCamera'})
+ * 	.catch(err => {
+ * 		if (err.status === 404) return; // already gone
+ * 		throw err;
+ * 	});
+ */
+class WowzaApiError extends Error {
+
+	constructor(message, details) {
+		super(message);
+		details = details || {};
+		this.name = this.constructor.name;
+		this.status = details.status;
+		this.method = details.method;
+		this.path = details.path;
+		this.response = details.response;
+		this.cause = details.cause;
+
+		// fields of the Wowza payload are copied for convenience
+		let response = details.response || {};
+		this.success = response.success;
+		this.code = response.code;
+	}
+}
+
+/**
+ * Request didn't get any response from the engine: connection refused, socket hang up, etc.
+ * Original error is available as `cause`
+ *
+ * @class WowzaNetworkError
+ * @extends WowzaApiError
+ */
+class WowzaNetworkError extends WowzaApiError {}
+
+/**
+ * Engine answered with a body which can't be parsed.
+ * Raw body is available as `body`, parser error as `cause`
+ *
+ * @class WowzaParseError
+ * @extends WowzaApiError
+ */
+class WowzaParseError extends WowzaApiError {
+
+	constructor(message, details) {
+		super(message, details);
+		this.body = details && details.body;
+	}
+}
+
+/**
+ * Request didn't get a response in `timeout` milliseconds
+ *
+ * @class WowzaTimeoutError
+ * @extends WowzaNetworkError
+ */
+class WowzaTimeoutError extends WowzaNetworkError {}
+
+/**
+ * Request was cancelled by its AbortSignal
+ *
+ * @class WowzaAbortError
+ * @extends WowzaApiError
+ */
+class WowzaAbortError extends WowzaApiError {}
+
+/**
+ * Wrong parameters of a method, e.g. a stream target without a host. It's thrown or rejected before any request is sent.
+ * It extends TypeError, so checks of `instanceof TypeError` keep working
+ *
+ * @class WowzaValidationError
+ * @extends TypeError
+ * @param {string} message all of the problems of the parameters
+ *
+ * @example
+ * wowza.createStreamTarget({}, {entryName: 'cdn', profile: 'rtmp'})
+ * 	.catch(err => {
+ * 		if (err instanceof WowzaAPI.WowzaValidationError) console.log('fix the configuration:', err.message);
+ * 	});
+ */
+class WowzaValidationError extends TypeError {
+
+	constructor(message) {
+		super(message);
+		this.name = this.constructor.name;
+	}
+}
+
+module.exports = {
+	WowzaApiError,
+	WowzaNetworkError,
+	WowzaParseError,
+	WowzaTimeoutError,
+	WowzaAbortError,
+	WowzaValidationError
+};
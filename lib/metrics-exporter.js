@@ -0,0 +1,252 @@
+'use strict'
+
+const http = require('http');
+
+// [metric name suffix, field of Wowza stats, type, help]
+const MACHINE_METRICS = [
+	['cpu_idle_percent', 'cpuIdle', 'gauge', 'Idle CPU of the machine in percent'],
+	['cpu_user_percent', 'cpuUser', 'gauge', 'User CPU of the machine in percent'],
+	['cpu_system_percent', 'cpuSystem', 'gauge', 'System CPU of the machine in percent'],
+	['memory_free_bytes', 'memoryFree', 'gauge', 'Free memory of the machine'],
+	['memory_used_bytes', 'memoryUsed', 'gauge', 'Used memory of the machine'],
+	['heap_free_bytes', 'heapFree', 'gauge', 'Free Java heap of the engine'],
+	['heap_used_bytes', 'heapUsed', 'gauge', 'Used Java heap of the engine'],
+	['disk_free_bytes', 'diskFree', 'gauge', 'Free disk space of the machine'],
+	['disk_used_bytes', 'diskUsed', 'gauge', 'Used disk space of the machine']
+];
+
+const SERVER_METRICS = [
+	['server_uptime_seconds', 'uptime', 'gauge', 'Uptime of the server'],
+	['server_bytes_in_total', 'bytesIn', 'counter', 'Bytes received by the server'],
+	['server_bytes_out_total', 'bytesOut', 'counter', 'Bytes sent by the server'],
+	['server_bytes_in_per_second', 'bytesInRate', 'gauge', 'Incoming traffic of the server'],
+	['server_bytes_out_per_second', 'bytesOutRate', 'gauge', 'Outgoing traffic of the server'],
+	['server_connections', 'totalConnections', 'gauge', 'Connections of the server']
+];
+
+const STREAM_METRICS = [
+	['stream_uptime_seconds', 'uptime', 'gauge', 'Uptime of the incoming stream'],
+	['stream_bytes_in_total', 'bytesIn', 'counter', 'Bytes received by the incoming stream'],
+	['stream_bytes_out_total', 'bytesOut', 'counter', 'Bytes sent of the incoming stream'],
+	['stream_bytes_in_per_second', 'bytesInRate', 'gauge', 'Incoming traffic of the incoming stream'],
+	['stream_bytes_out_per_second', 'bytesOutRate', 'gauge', 'Outgoing traffic of the incoming stream'],
+	['stream_connections', 'totalConnections', 'gauge', 'Playback connections of the incoming stream']
+];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Collects stats of incoming streams and monitoring of the server and the machine through WowzaAPI
+ * and serves them in Prometheus text exposition format.
+ *
+ * Every scrape makes getMachineMonitoring, getServerMonitoring, getApplicationsList requests,
+ * getApplicationInstancesList and getIncomingStreamsList per application and getIncomingStreamStats per stream,
+ * so the result is cached for `cacheTtl` and concurrent scrapes share the same collection.
+ * A failed request doesn't fail the scrape: its metrics are skipped and counted in wowza_scrape_errors.
+ *
+ * Metrics are labelled by server, vhost, application, instance and stream,
+ * connections by protocol are exported with protocol label.
+ *
+ * @class MetricsExporter
+ * @param {WowzaAPI} wowza client used for requests
+ * @param {Object} [options]
+ * @param {Array<string>} [options.applications] applications to export, all of the applications of the vhost by default
+ * @param {number} [options.cacheTtl = 5000] milliseconds while the collected metrics are served from cache
+ * @param {string} [options.prefix = 'wowza_'] prefix of metric names
+ * @param {string} [options.path = '/metrics'] path of the HTTP endpoint
+ * @param {number} [options.timeout] timeout of every request to Wowza, the client one by default
+ *
+ * @example
+ * let exporter = new MetricsExporter(wowza, {applications: ['live'], cacheTtl: 10000});
+ * exporter.listen(9935).then(port => console.log(`metrics on http://127.0.0.1:${port}/metrics`));
+ * ...
+ * exporter.close();
+ */
+class MetricsExporter {
+
+	constructor(wowza, options) {
+		options = options || {};
+		this.wowza = wowza;
+		this.applications = options.applications || null;
+		this.cacheTtl = options.cacheTtl === undefined ? 5000 : options.cacheTtl;
+		this.prefix = options.prefix === undefined ? 'wowza_' : options.prefix;
+		this.path = options.path || '/metrics';
+		this.timeout = options.timeout;
+
+		this.cache = null;
+		this.collecting = null;
+		this.server = null;
+	}
+
+	/**
+	 * Get metrics in Prometheus text format, cached result is returned while it's fresh
+	 *
+	 * @method metrics
+	 * @return {Promise} promise which resolve by the text
+	 */
+	metrics() {
+		if (this.cache && Date.now() - this.cache.time < this.cacheTtl) {
+			return Promise.resolve(this.cache.text);
+		}
+		if (!this.collecting) {
+			this.collecting = this.collect().then(text => {
+				this.cache = { time: Date.now(), text: text };
+				this.collecting = null;
+				return text;
+			}, err => {
+				this.collecting = null;
+				throw err;
+			});
+		}
+		return this.collecting;
+	}
+
+	/**
+	 * Collect metrics from Wowza bypassing the cache
+	 *
+	 * @method collect
+	 * @return {Promise} promise which resolve by the text in Prometheus format
+	 */
+	collect() {
+		let started = Date.now();
+		let families = new Map();
+		let errors = 0;
+		let options = { timeout: this.timeout };
+		let serverLabels = { server: this.wowza.serverName };
+		let vhostLabels = Object.assign({}, serverLabels, { vhost: this.wowza.vhost });
+
+		let add = (name, type, help, labels, value) => {
+			if (typeof value !== 'number' || !isFinite(value)) return;
+			name = this.prefix + name;
+			if (!families.has(name)) families.set(name, { type: type, help: help, samples: [] });
+			families.get(name).samples.push({ labels: labels, value: value });
+		};
+		let addStats = (metrics, labels, stats) => {
+			metrics.forEach(metric => add(metric[0], metric[2], metric[3], labels, stats[metric[1]]));
+		};
+		let addConnections = (name, help, labels, stats) => {
+			let counts = stats.connectionCount || {};
+			Object.keys(counts).forEach(protocol => {
+				add(name, 'gauge', help, Object.assign({}, labels, { protocol: protocol }), counts[protocol]);
+			});
+		};
+		let failed = () => { errors++; };
+
+		let machine = this.wowza.getMachineMonitoring(options)
+			.then(stats => addStats(MACHINE_METRICS, serverLabels, stats), failed);
+		let server = this.wowza.getServerMonitoring(options)
+			.then(stats => {
+				addStats(SERVER_METRICS, serverLabels, stats);
+				addConnections('server_protocol_connections', 'Connections of the server by protocol', serverLabels, stats);
+			}, failed);
+
+		let streams = this._getApplications(options)
+			.then(applications => Promise.all(applications.map(application => {
+				let applicationOptions = Object.assign({ application: application }, options);
+				return this.wowza.getApplicationInstancesList(applicationOptions)
+					.then(response => Promise.all((response.instanceList || []).map(instance => {
+						let instanceOptions = Object.assign({ appInstance: instance.name }, applicationOptions);
+						return this.wowza.getIncomingStreamsList(instanceOptions)
+							.then(list => Promise.all(list.incomingStreams.map(stream => {
+								let labels = Object.assign({}, vhostLabels, { application: application, instance: instance.name, stream: stream.name });
+								let connected = stream.isConnected !== false;
+								add('stream_connected', 'gauge', 'Whether the incoming stream is connected', labels, connected ? 1 : 0);
+								if (!connected) return;
+
+								return this.wowza.getIncomingStreamStats(Object.assign({ streamName: stream.name }, instanceOptions))
+									.then(stats => {
+										addStats(STREAM_METRICS, labels, stats);
+										addConnections('stream_protocol_connections', 'Playback connections of the incoming stream by protocol', labels, stats);
+									}, failed);
+							})), failed);
+					})), failed);
+			})), failed);
+
+		return Promise.all([machine, server, streams]).then(() => {
+			add('scrape_errors', 'gauge', 'Failed requests to Wowza during the last scrape', serverLabels, errors);
+			add('scrape_duration_seconds', 'gauge', 'Duration of the last scrape of Wowza', serverLabels, (Date.now() - started) / 1000);
+			return format(families);
+		});
+	}
+
+	/**
+	 * Handler of HTTP requests which can be mounted to an existing server, e.g. express app
+	 *
+	 * @method handle
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	handle(req, res) {
+		if (req.method !== 'GET' || req.url.split('?')[0] !== this.path) {
+			res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+			return res.end('Not found');
+		}
+		this.metrics().then(text => {
+			res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+			res.end(text);
+		}, err => {
+			res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+			res.end(err && err.message || String(err));
+		});
+	}
+
+	/**
+	 * Serve metrics from a local HTTP endpoint
+	 *
+	 * @method listen
+	 * @param {number} [port = 0] port, random free port by default
+	 * @param {string} [host = '127.0.0.1']
+	 * @return {Promise} promise which resolve by the port number
+	 */
+	listen(port, host) {
+		this.server = http.createServer((req, res) => this.handle(req, res));
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port || 0, host || '127.0.0.1', () => {
+				this.server.removeListener('error', reject);
+				resolve(this.server.address().port);
+			});
+		});
+	}
+
+	/**
+	 * Stop the HTTP endpoint
+	 *
+	 * @method close
+	 * @return {Promise}
+	 */
+	close() {
+		if (!this.server) return Promise.resolve();
+		let server = this.server;
+		this.server = null;
+		return new Promise(resolve => server.close(() => resolve()));
+	}
+
+	_getApplications(options) {
+		if (this.applications) return Promise.resolve(this.applications);
+		return this.wowza.getApplicationsList(options)
+			.then(response => (response.applications || []).map(application => application.id));
+	}
+}
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// samples of the same metric are kept together as the exposition format requires
+function format(families) {
+	let lines = [];
+	families.forEach((family, name) => {
+		lines.push(`# HELP ${name} ${family.help}`);
+		lines.push(`# TYPE ${name} ${family.type}`);
+		family.samples.forEach(sample => {
+			let labels = Object.keys(sample.labels)
+				.filter(label => sample.labels[label] !== undefined)
+				.map(label => `${label}="${escapeLabel(sample.labels[label])}"`);
+			lines.push(`${name}{${labels.join(',')}} ${sample.value}`);
+		});
+	});
+	return `${lines.join('\n')}\n`;
+}
+
+module.exports = MetricsExporter;
@@ -0,0 +1,965 @@
+'use strict'
+
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+
+const WOWZA_VERSION = 'Wowza Streaming Engine 4.8.0 (mock)';
+
+/**
+ * In-process mock of the Wowza Streaming Engine REST API built on the node `http` module.
+ * It keeps applications, streamfiles, recorders, stream targets and incoming streams in memory,
+ * supports digest authentication and fault injection, so it can be used for integration tests of code
+ * which works with WowzaAPI.
+ *
+ * @class MockWowzaServer
+ * @param {Object} [options]
+ * @param {string} [options.username] enables digest authentication when passed together with password
+ * @param {string} [options.password]
+ * @param {string} [options.algorithm = 'MD5'] digest algorithm: MD5 | MD5-sess | SHA-256 | SHA-256-sess
+ * @param {string} [options.qop = 'auth'] qop of the digest challenge: auth | auth-int | auth,auth-int
+ * @param {number} [options.latency = 0] delay of every response in milliseconds
+ * @param {string} [options.serverName = '_defaultServer_'] name of the server in answers
+ *
+ * @example
+ * const MockWowzaServer = require('wowza-js-api/lib/mock-server');
+ * let server = new MockWowzaServer({username: 'admin', password: 'secret'});
+ * server.addApplication('live');
+ * server.listen().then(port => {
+ * 	let wowza = new WowzaAPI({port: port, username: 'admin', password: 'secret'});
+ * 	...
+ * 	return server.close();
+ * });
+ */
+class MockWowzaServer {
+
+	constructor(options) {
+		options = options || {};
+		this.username = options.username;
+		this.password = options.password;
+		this.algorithm = options.algorithm || 'MD5';
+		this.qop = options.qop || 'auth';
+		this.latency = options.latency || 0;
+		this.serverName = options.serverName || '_defaultServer_';
+		this.routes = [];
+		this.server = http.createServer((req, res) => this._handle(req, res));
+		this.sockets = new Set();
+		this.server.on('connection', socket => {
+			this.sockets.add(socket);
+			socket.on('close', () => this.sockets.delete(socket));
+		});
+		this.reset();
+		this._registerRoutes();
+		this._registerTranscoderRoutes();
+	}
+
+	/**
+	 * Start listening on localhost
+	 *
+	 * @method listen
+	 * @param {number} [port = 0] port, random free port by default
+	 * @return {Promise} promise which resolve by the port number
+	 */
+	listen(port) {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port || 0, '127.0.0.1', () => {
+				this.server.removeListener('error', reject);
+				this.port = this.server.address().port;
+				resolve(this.port);
+			});
+		});
+	}
+
+	/**
+	 * Stop the server, open connections are destroyed
+	 *
+	 * @method close
+	 * @return {Promise}
+	 */
+	close() {
+		return new Promise(resolve => {
+			this.faults.forEach(fault => clearTimeout(fault.timer));
+			this.sockets.forEach(socket => socket.destroy());
+			this.server.close(() => resolve());
+		});
+	}
+
+	/**
+	 * Remove all of the data, faults and logged requests
+	 *
+	 * @method reset
+	 */
+	reset() {
+		this.applications = {};
+		// server level accounts: publisher name => {name, password}, user name => {userName, password, groups}
+		this.publishers = {};
+		this.users = {};
+		// monitoring stats of the server and the machine, changes of them are visible through the API
+		this.serverMonitoring = {
+			uptime: 0,
+			bytesIn: 0,
+			bytesOut: 0,
+			bytesInRate: 0,
+			bytesOutRate: 0,
+			totalConnections: 0,
+			connectionCount: { RTMP: 0, MPEGDASH: 0, CUPERTINO: 0, SANJOSE: 0, SMOOTH: 0, RTP: 0, WEBRTC: 0 }
+		};
+		this.machineMonitoring = {
+			cpuIdle: 100,
+			cpuUser: 0,
+			cpuSystem: 0,
+			memoryFree: 0,
+			memoryUsed: 0,
+			heapFree: 0,
+			heapUsed: 0,
+			diskFree: 0,
+			diskUsed: 0,
+			connectionCount: 0
+		};
+		// GET requests of a DVR store which a conversion takes to finish
+		this.dvrConversionSteps = 2;
+		// GET requests of a DVR store which still show the previous conversion after a start
+		this.dvrConversionLag = 0;
+		this.faults = [];
+		this.requests = [];
+		this.nonces = {};
+	}
+
+	/**
+	 * Add an application
+	 *
+	 * @method addApplication
+	 * @param {string} name
+	 * @param {Object} [config] application configuration which is returned by GET
+	 * @return {Object} state of the application
+	 */
+	addApplication(name, config) {
+		this.applications[name] = {
+			config: Object.assign({ name: name, appType: 'Live', description: '' }, config),
+			streamFiles: {},
+			streamTargets: {},
+			smilFiles: {},
+			instances: {},
+			dvr: { enabled: false, windowDuration: 0, archiveStrategy: 'append', storageDir: '${com.wowza.wms.context.VHostConfigHome}/dvr' },
+			advanced: { advancedSettings: [], modules: [] },
+			security: {
+				secureTokenVersion: 0,
+				secureTokenSharedSecret: '',
+				secureTokenHashAlgorithm: 'SHA-256',
+				secureTokenQueryParametersPrefix: 'wowzatoken',
+				secureTokenIncludeClientIPInHash: false,
+				publishRequirePassword: true,
+				publishAuthenticationMethod: 'digest',
+				playIPWhiteList: '',
+				playIPBlackList: '',
+				publishIPWhiteList: '',
+				publishIPBlackList: ''
+			},
+			transcoder: { config: { liveStreamTranscoder: '', templates: '' }, templates: {} },
+			restarts: 0
+		};
+		return this.applications[name];
+	}
+
+	/**
+	 * Add a streamfile to an application, the application is created if it doesn't exist
+	 *
+	 * @method addStreamFile
+	 * @param {string} application
+	 * @param {string} name name of the streamfile without '.stream'
+	 * @param {Object} [config] e.g. {uri: 'rtsp://...'}
+	 */
+	addStreamFile(application, name, config) {
+		let app = this._getOrCreateApplication(application);
+		app.streamFiles[name] = Object.assign({ name: name, uri: '' }, config);
+	}
+
+	/**
+	 * Add an incoming stream to an application instance as if it was published
+	 *
+	 * @method addIncomingStream
+	 * @param {string} application
+	 * @param {string} appInstance
+	 * @param {string} name full name of the stream, e.g. 'myCam' or 'ipCam.stream'
+	 * @param {Object} [stats] fields of the stream and it's monitoring stats, e.g. {bytesIn: 100, bytesInRate: 10}
+	 * @return {Object} the stream, changes of it are visible through the API
+	 */
+	addIncomingStream(application, appInstance, name, stats) {
+		let instance = this._getInstance(this._getOrCreateApplication(application), appInstance);
+		instance.incomingStreams[name] = Object.assign({
+			name: name,
+			sourceIp: '127.0.0.1',
+			isConnected: true,
+			isRecordingSet: false,
+			isStreamManagerStream: false,
+			isPublishedToVOD: false,
+			isPTZEnabled: false,
+			ptzPollingInterval: 2000,
+			uptime: 0,
+			bytesIn: 0,
+			bytesOut: 0,
+			bytesInRate: 0,
+			bytesOutRate: 0,
+			totalConnections: 0
+		}, stats);
+		return instance.incomingStreams[name];
+	}
+
+	/**
+	 * Add a DVR store to an application instance as if a stream was recorded by nDVR
+	 *
+	 * @method addDvrStore
+	 * @param {string} application
+	 * @param {string} appInstance
+	 * @param {string} name name of the store, e.g. 'myStream.0'
+	 * @param {Object} [fields] e.g. {utcStart: 1700000000000, utcEnd: 1700003600000},
+	 * conversionError makes conversions of the store fail with this message
+	 * @return {Object} the store, changes of it are visible through the API
+	 */
+	addDvrStore(application, appInstance, name, fields) {
+		let instance = this._getInstance(this._getOrCreateApplication(application), appInstance);
+		let store = Object.assign({ dvrStoreName: name, isLive: false, utcStart: 0, utcEnd: 3600000 }, fields);
+		store.duration = store.utcEnd - store.utcStart;
+		instance.dvrStores[name] = store;
+		return store;
+	}
+
+	/**
+	 * Remove an incoming stream as if it was unpublished
+	 *
+	 * @method removeIncomingStream
+	 * @param {string} application
+	 * @param {string} appInstance
+	 * @param {string} name
+	 */
+	removeIncomingStream(application, appInstance, name) {
+		let app = this.applications[application];
+		if (app && app.instances[appInstance]) {
+			delete app.instances[appInstance].incomingStreams[name];
+		}
+	}
+
+	/**
+	 * Inject a fault for the next matching requests
+	 *
+	 * @method inject
+	 * @param {Object} fault
+	 * @param {string} [fault.method] HTTP method of requests to fail, any by default
+	 * @param {string|RegExp} [fault.path] part of the path or RegExp, any by default
+	 * @param {number} [fault.times = 1] how many requests will be failed, Infinity for all
+	 * @param {number} [fault.latency] delay of the response in milliseconds
+	 * @param {number} [fault.status] answer with this status and Wowza error body, 401 is answered with a new digest challenge
+	 * @param {boolean} [fault.malformed] answer 200 with a broken JSON body
+	 * @param {boolean} [fault.hang] never answer
+	 * @param {string} [fault.body] answer with this body
+	 */
+	inject(fault) {
+		this.faults.push(Object.assign({ times: 1 }, fault));
+	}
+
+	/**
+	 * Make all of the issued nonces stale, next authorized requests are answered with stale=true challenge
+	 *
+	 * @method expireNonces
+	 */
+	expireNonces() {
+		Object.keys(this.nonces).forEach(nonce => { this.nonces[nonce] = false; });
+	}
+
+	/**
+	 * Register a handler for REST resource of the vhost
+	 *
+	 * @method route
+	 * @param {string} method
+	 * @param {string} pattern path relative to /v2/servers/{server}/vhosts/{vhost}, e.g. '/applications/:application',
+	 * or an absolute path starting with /v2/ for resources outside of a vhost, e.g. '/v2/servers/:serverName/monitoring/current'
+	 * @param {Function} handler (request, params) => [status, body] where request is {method, path, query, body}
+	 */
+	route(method, pattern, handler) {
+		let absolute = pattern.indexOf('/v2/') === 0;
+		let names = absolute ? [] : ['serverName', 'vhost'];
+		let source = pattern.replace(/:([a-zA-Z]+)/g, (match, name) => {
+			names.push(name);
+			return '([^/]+)';
+		});
+		this.routes.push({
+			method: method,
+			regexp: new RegExp(absolute ? `^${source}$` : `^/v2/servers/([^/]+)/vhosts/([^/]+)${source}$`),
+			names: names,
+			handler: handler
+		});
+	}
+
+	_registerRoutes() {
+		// monitoring of the server and the machine
+		this.route('GET', '/v2/servers/:serverName/monitoring/current', () => ok(Object.assign({ serverName: this.serverName }, this.serverMonitoring)));
+		this.route('GET', '/v2/machine/monitoring/current', () => ok(Object.assign({ serverName: this.serverName }, this.machineMonitoring)));
+
+		// publishers and users of the server, passwords are never returned
+		this.route('GET', '/v2/servers/:serverName/publishers', () => ok({
+			serverName: this.serverName,
+			publishers: Object.keys(this.publishers).map(name => ({ name: name }))
+		}));
+		this.route('POST', '/v2/servers/:serverName/publishers', req => {
+			let publisher = req.body || {};
+			if (!publisher.name) return error(400, 'Publisher name is required');
+			if (this.publishers[publisher.name]) return error(409, `Publisher (${publisher.name}) already exists`);
+			this.publishers[publisher.name] = { name: publisher.name, password: publisher.password };
+			return success(`Publisher (${publisher.name}) created`, 201);
+		});
+		this.route('GET', '/v2/servers/:serverName/publishers/:name', (req, params) => this._withAccount(this.publishers, 'Publisher', params.name, () =>
+			ok({ serverName: this.serverName, name: params.name })));
+		this.route('PUT', '/v2/servers/:serverName/publishers/:name', (req, params) => this._withAccount(this.publishers, 'Publisher', params.name, publisher => {
+			if (req.body && req.body.password !== undefined) publisher.password = req.body.password;
+			return success('');
+		}));
+		this.route('DELETE', '/v2/servers/:serverName/publishers/:name', (req, params) => this._withAccount(this.publishers, 'Publisher', params.name, () => {
+			delete this.publishers[params.name];
+			return success('');
+		}));
+
+		this.route('GET', '/v2/servers/:serverName/users', () => ok({
+			serverName: this.serverName,
+			userList: Object.keys(this.users).map(name => ({ userName: name, groups: this.users[name].groups }))
+		}));
+		this.route('POST', '/v2/servers/:serverName/users', req => {
+			let user = req.body || {};
+			if (!user.userName) return error(400, 'User name is required');
+			if (this.users[user.userName]) return error(409, `User (${user.userName}) already exists`);
+			this.users[user.userName] = { userName: user.userName, password: user.password, groups: user.groups || [] };
+			return success(`User (${user.userName}) created`, 201);
+		});
+		this.route('GET', '/v2/servers/:serverName/users/:userName', (req, params) => this._withAccount(this.users, 'User', params.userName, user =>
+			ok({ serverName: this.serverName, userName: user.userName, groups: user.groups })));
+		this.route('PUT', '/v2/servers/:serverName/users/:userName', (req, params) => this._withAccount(this.users, 'User', params.userName, user => {
+			let body = req.body || {};
+			if (body.password !== undefined) user.password = body.password;
+			if (body.groups !== undefined) user.groups = body.groups;
+			return success('');
+		}));
+		this.route('DELETE', '/v2/servers/:serverName/users/:userName', (req, params) => this._withAccount(this.users, 'User', params.userName, () => {
+			delete this.users[params.userName];
+			return success('');
+		}));
+
+		// applications
+		this.route('GET', '/applications', () => ok({
+			serverName: this.serverName,
+			applications: Object.keys(this.applications).map(name => ({
+				id: name,
+				href: `/v2/servers/${this.serverName}/vhosts/_defaultVHost_/applications/${name}`,
+				appType: this.applications[name].config.appType
+			}))
+		}));
+		this.route('GET', '/applications/:application', (req, params) => {
+			let app = this.applications[params.application];
+			if (!app) return notFound(`Application (${params.application}) not found`);
+			return ok(Object.assign({ serverName: this.serverName }, app.config));
+		});
+		this.route('POST', '/applications/:application', (req, params) => {
+			if (this.applications[params.application]) return error(409, `Application (${params.application}) already exists`);
+			let config = Object.assign({}, req.body, { name: params.application });
+			delete config.restURI;
+			this.addApplication(params.application, config);
+			return success(`Application (${params.application}) created successfully.`, 201);
+		});
+		this.route('PUT', '/applications/:application', (req, params) => this._withApplication(params, app => {
+			Object.assign(app.config, req.body, { name: params.application });
+			return success('');
+		}));
+		this.route('DELETE', '/applications/:application', (req, params) => this._withApplication(params, () => {
+			delete this.applications[params.application];
+			return success('');
+		}));
+		this.route('PUT', '/applications/:application/actions/:action', (req, params) => this._withApplication(params, app => {
+			if (params.action === 'restart') app.restarts++;
+			else if (params.action === 'shutdown') app.instances = {};
+			else return error(400, `Unknown action (${params.action})`);
+			return success(`Application (${params.application}) ${params.action} successfully.`);
+		}));
+		this.route('GET', '/applications/:application/adv', (req, params) => this._withApplication(params, app =>
+			ok(Object.assign({ serverName: this.serverName }, app.advanced))));
+		this.route('PUT', '/applications/:application/adv', (req, params) => this._withApplication(params, app => {
+			let body = req.body || {};
+			if (body.advancedSettings) app.advanced.advancedSettings = body.advancedSettings;
+			if (body.modules) app.advanced.modules = body.modules;
+			return success('');
+		}));
+		this.route('GET', '/applications/:application/security', (req, params) => this._withApplication(params, app =>
+			ok(Object.assign({ serverName: this.serverName }, app.security))));
+		this.route('PUT', '/applications/:application/security', (req, params) => this._withApplication(params, app => {
+			let body = Object.assign({}, req.body);
+			delete body.serverName;
+			Object.assign(app.security, body);
+			return success('');
+		}));
+
+		// streamfiles of an application
+		this.route('GET', '/applications/:application/streamfiles', (req, params) => this._withApplication(params, app => ok({
+			serverName: this.serverName,
+			streamFiles: Object.keys(app.streamFiles).map(name => ({
+				id: name,
+				href: `/v2/servers/${this.serverName}/vhosts/_defaultVHost_/applications/${params.application}/streamfiles/${name}`
+			}))
+		})));
+		this.route('POST', '/applications/:application/streamfiles', (req, params) => this._withApplication(params, app => {
+			let config = req.body || {};
+			if (!config.name) return error(400, 'Streamfile name is required');
+			if (app.streamFiles[config.name]) return error(409, `Streamfile (${config.name}) already exists`);
+			app.streamFiles[config.name] = Object.assign({ uri: '' }, config);
+			return success(`Streamfile (${config.name}) created`, 201);
+		}));
+		this.route('GET', '/applications/:application/streamfiles/:streamFile', (req, params) => this._withStreamFile(params, (app, streamFile) =>
+			ok(Object.assign({ version: '1', serverName: this.serverName }, streamFile))));
+		this.route('PUT', '/applications/:application/streamfiles/:streamFile', (req, params) => this._withStreamFile(params, (app, streamFile) => {
+			Object.assign(streamFile, req.body, { name: streamFile.name });
+			return success('');
+		}));
+		this.route('DELETE', '/applications/:application/streamfiles/:streamFile', (req, params) => this._withStreamFile(params, app => {
+			delete app.streamFiles[params.streamFile];
+			return success('');
+		}));
+		this.route('GET', '/applications/:application/streamfiles/:streamFile/adv', (req, params) => this._withStreamFile(params, (app, streamFile) =>
+			ok({ serverName: this.serverName, advancedSettings: streamFile.advancedSettings || [] })));
+		this.route('PUT', '/applications/:application/streamfiles/:streamFile/adv', (req, params) => this._withStreamFile(params, (app, streamFile) => {
+			streamFile.advancedSettings = (req.body && req.body.advancedSettings) || [];
+			return success('');
+		}));
+
+		// streamfile actions of the vhost
+		this.route('PUT', '/streamfiles/:streamFile/actions/connect', (req, params) => {
+			let app = this.applications[req.query.connectAppName];
+			if (!app) return notFound(`Application (${req.query.connectAppName}) not found`);
+			if (!app.streamFiles[params.streamFile]) return notFound(`Streamfile (${params.streamFile}) not found`);
+			let appInstance = req.query.appInstance || '_definst_';
+			this.addIncomingStream(req.query.connectAppName, appInstance, `${params.streamFile}.stream`);
+			return success(`Publish stream successfully started [${req.query.connectAppName}/${appInstance}]: mp4:${params.streamFile}.stream`);
+		});
+
+		// application instances
+		this.route('GET', '/applications/:application/instances', (req, params) => this._withApplication(params, app => ok({
+			serverName: this.serverName,
+			instanceList: Object.keys(app.instances).map(name => ({
+				name: name,
+				incomingStreams: Object.keys(app.instances[name].incomingStreams).map(streamName =>
+					this._incomingStreamInfo({ appInstance: name }, app.instances[name].incomingStreams[streamName])),
+				recorders: []
+			}))
+		})));
+
+		// incoming streams
+		this.route('GET', '/applications/:application/instances/:appInstance/incomingstreams', (req, params) => this._withInstance(params, (app, instance) => ok({
+			serverName: this.serverName,
+			name: params.appInstance,
+			incomingStreams: Object.keys(instance.incomingStreams).map(name => this._incomingStreamInfo(params, instance.incomingStreams[name]))
+		})));
+		this.route('GET', '/applications/:application/instances/:appInstance/incomingstreams/:streamName', (req, params) => this._withIncomingStream(params, stream =>
+			ok(this._incomingStreamInfo(params, stream))));
+		this.route('GET', '/applications/:application/instances/:appInstance/incomingstreams/:streamName/monitoring/current', (req, params) => this._withIncomingStream(params, stream => ok({
+			serverName: this.serverName,
+			applicationInstance: params.appInstance,
+			name: stream.name,
+			uptime: stream.uptime,
+			bytesIn: stream.bytesIn,
+			bytesOut: stream.bytesOut,
+			bytesInRate: stream.bytesInRate,
+			bytesOutRate: stream.bytesOutRate,
+			totalConnections: stream.totalConnections,
+			connectionCount: { RTMP: 0, MPEGDASH: 0, CUPERTINO: 0, SANJOSE: 0, SMOOTH: 0, RTP: 0, WEBRTC: 0 },
+			connectionOrigin: 0
+		})));
+		this.route('PUT', '/applications/:application/instances/:appInstance/incomingstreams/:streamName/actions/disconnectStream', (req, params) => this._withIncomingStream(params, (stream, instance) => {
+			delete instance.incomingStreams[params.streamName];
+			return success(`Publish stream successfully stopped [${params.application}/${params.appInstance}]: ${params.streamName}`);
+		}));
+
+		this.route('PUT', '/applications/:application/instances/:appInstance/incomingstreams/:streamName/actions/resetStream', (req, params) => this._withIncomingStream(params, stream => {
+			stream.resets = (stream.resets || 0) + 1;
+			return success(`Stream (${params.streamName}) reset`);
+		}));
+
+		// stream recorders
+		this.route('GET', '/applications/:application/instances/:appInstance/streamrecorders', (req, params) => this._withInstance(params, (app, instance) => ok({
+			serverName: this.serverName,
+			instanceName: params.appInstance,
+			streamrecorder: Object.keys(instance.recorders).map(name => instance.recorders[name])
+		})));
+		this.route('POST', '/applications/:application/instances/:appInstance/streamrecorders/:recorderName', (req, params) => this._withInstance(params, (app, instance) => {
+			instance.recorders[params.recorderName] = Object.assign({
+				recorderName: params.recorderName,
+				instanceName: params.appInstance,
+				recorderState: 'Waiting for stream',
+				currentSize: 0,
+				currentDuration: 0,
+				currentFile: ''
+			}, req.body, { recorderName: params.recorderName });
+			return success('Recorder Created', 201);
+		}));
+		this.route('PUT', '/applications/:application/instances/:appInstance/streamrecorders/:recorderName/actions/stopRecording', (req, params) => this._withRecorder(params, (recorder, instance) => {
+			delete instance.recorders[params.recorderName];
+			return success(`Recording (${params.recorderName}) stopped`);
+		}));
+		this.route('GET', '/applications/:application/instances/:appInstance/streamrecorders/:recorderName', (req, params) => this._withRecorder(params, recorder =>
+			ok(Object.assign({ serverName: this.serverName }, recorder))));
+		this.route('DELETE', '/applications/:application/instances/:appInstance/streamrecorders/:recorderName', (req, params) => this._withRecorder(params, (recorder, instance) => {
+			delete instance.recorders[params.recorderName];
+			return success('');
+		}));
+		this.route('PUT', '/applications/:application/instances/:appInstance/streamrecorders/:recorderName/actions/splitRecording', (req, params) => this._withRecorder(params, recorder => {
+			// the next segment: cam_0.mp4 => cam_1.mp4
+			let match = /^(.*?)(?:_(\d+))?(\.\w+)?$/.exec(recorder.currentFile || params.recorderName);
+			recorder.currentFile = `${match[1]}_${Number(match[2] || 0) + 1}${match[3] || ''}`;
+			recorder.currentSize = 0;
+			recorder.currentDuration = 0;
+			return success(`Recording (${params.recorderName}) split`);
+		}));
+		this.route('PUT', '/applications/:application/instances/:appInstance/streamrecorders/:recorderName/actions/restartRecording', (req, params) => this._withRecorder(params, recorder => {
+			recorder.currentSize = 0;
+			recorder.currentDuration = 0;
+			return success(`Recording (${params.recorderName}) restarted`);
+		}));
+
+		// nDVR settings and stores
+		this.route('GET', '/applications/:application/dvr', (req, params) => this._withApplication(params, app =>
+			ok(Object.assign({ serverName: this.serverName }, app.dvr))));
+		this.route('PUT', '/applications/:application/dvr', (req, params) => this._withApplication(params, app => {
+			let body = Object.assign({}, req.body);
+			delete body.serverName;
+			Object.assign(app.dvr, body);
+			return success('');
+		}));
+		this.route('GET', '/applications/:application/instances/:appInstance/dvrstores', (req, params) => this._withInstance(params, (app, instance) => ok({
+			serverName: this.serverName,
+			dvrconverterstoreList: Object.keys(instance.dvrStores).map(name => ({ dvrStoreName: name }))
+		})));
+		this.route('GET', '/applications/:application/instances/:appInstance/dvrstores/:storeName', (req, params) => this._withDvrStore(params, store => {
+			let pending = store.pendingConversion;
+			if (pending && pending.lag-- <= 0) {
+				store.conversionStatus = pending.status;
+				delete store.pendingConversion;
+			}
+			let status = store.conversionStatus;
+			// a running conversion makes progress on every check
+			if (status && status.state === 'RUNNING' && ++status.steps >= this.dvrConversionSteps) {
+				if (store.conversionError) Object.assign(status, { state: 'ERROR', errorString: store.conversionError });
+				else Object.assign(status, { state: 'SUCCESSFUL', fileDuration: status.endTime - status.startTime, fileSize: (status.endTime - status.startTime) * 100 });
+			} else if (status && status.state === 'RUNNING') {
+				status.fileDuration = Math.floor((status.endTime - status.startTime) * status.steps / this.dvrConversionSteps);
+			}
+			let answer = Object.assign({ serverName: this.serverName }, store);
+			delete answer.conversionError;
+			delete answer.pendingConversion;
+			if (status) {
+				answer.conversionStatus = { state: status.state, fileName: status.fileName, fileSize: status.fileSize, fileDuration: status.fileDuration, errorString: status.errorString };
+			}
+			return ok(answer);
+		}));
+		this.route('PUT', '/applications/:application/instances/:appInstance/dvrstores/:storeName/actions/convert', (req, params) => this._withDvrStore(params, store => {
+			let startTime = req.query.dvrConverterStartTime !== undefined ? Number(req.query.dvrConverterStartTime) : store.utcStart;
+			let endTime = req.query.dvrConverterEndTime !== undefined ? Number(req.query.dvrConverterEndTime) : store.utcEnd;
+			if (startTime < store.utcStart || endTime > store.utcEnd || startTime >= endTime) {
+				return error(400, `Conversion range is outside of the DVR store (${params.storeName})`);
+			}
+			let status = {
+				state: 'RUNNING',
+				fileName: req.query.dvrConverterOutputFilename || `${params.storeName}.mp4`,
+				fileSize: 0,
+				fileDuration: 0,
+				errorString: '',
+				startTime: startTime,
+				endTime: endTime,
+				steps: 0
+			};
+			if (this.dvrConversionLag > 0) store.pendingConversion = { status: status, lag: this.dvrConversionLag };
+			else store.conversionStatus = status;
+			return success(`DVR conversion of (${params.storeName}) started`);
+		}));
+
+		// SMIL files
+		this.route('GET', '/applications/:application/smilfiles', (req, params) => this._withApplication(params, app => ok({
+			serverName: this.serverName,
+			smilFiles: Object.keys(app.smilFiles).map(name => ({
+				id: name,
+				href: `/v2/servers/${params.serverName}/vhosts/${params.vhost}/applications/${params.application}/smilfiles/${name}`
+			}))
+		})));
+		this.route('POST', '/applications/:application/smilfiles/:smilName', (req, params) => this._withApplication(params, app => {
+			if (app.smilFiles[params.smilName]) return error(409, `SMIL file (${params.smilName}) already exists`);
+			app.smilFiles[params.smilName] = Object.assign({ title: '', description: '', smilStreams: [] }, req.body, { name: params.smilName });
+			return success(`SMIL file (${params.smilName}) created`, 201);
+		}));
+		this.route('GET', '/applications/:application/smilfiles/:smilName', (req, params) => this._withSmilFile(params, (app, smilFile) =>
+			ok(Object.assign({ serverName: this.serverName }, smilFile))));
+		this.route('PUT', '/applications/:application/smilfiles/:smilName', (req, params) => this._withSmilFile(params, (app, smilFile) => {
+			Object.assign(smilFile, req.body, { name: params.smilName });
+			return success('');
+		}));
+		this.route('DELETE', '/applications/:application/smilfiles/:smilName', (req, params) => this._withSmilFile(params, app => {
+			delete app.smilFiles[params.smilName];
+			return success('');
+		}));
+
+		// stream targets
+		this.route('GET', '/applications/:application/pushpublish/mapentries', (req, params) => this._withApplication(params, app => ok({
+			serverName: this.serverName,
+			mapEntries: Object.keys(app.streamTargets).map(name => app.streamTargets[name])
+		})));
+		this.route('GET', '/applications/:application/pushpublish/mapentries/:entryName', (req, params) => this._withStreamTarget(params, target =>
+			ok(Object.assign({ serverName: this.serverName }, target))));
+		this.route('POST', '/applications/:application/pushpublish/mapentries/:entryName', (req, params) => this._withApplication(params, app => {
+			if (app.streamTargets[params.entryName]) return error(409, `Stream target (${params.entryName}) already exists`);
+			app.streamTargets[params.entryName] = Object.assign({ enabled: true }, req.body, { entryName: params.entryName });
+			return success('', 201);
+		}));
+		this.route('PUT', '/applications/:application/pushpublish/mapentries/:entryName', (req, params) => this._withStreamTarget(params, target => {
+			Object.assign(target, req.body, { entryName: params.entryName });
+			return success('');
+		}));
+		this.route('DELETE', '/applications/:application/pushpublish/mapentries/:entryName', (req, params) => this._withStreamTarget(params, (target, app) => {
+			delete app.streamTargets[params.entryName];
+			return success('');
+		}));
+		this.route('PUT', '/applications/:application/pushpublish/mapentries/:entryName/actions/:action', (req, params) => this._withStreamTarget(params, target => {
+			if (params.action === 'enable') target.enabled = true;
+			else if (params.action === 'disable') target.enabled = false;
+			else if (params.action !== 'restart') return error(400, `Unknown action (${params.action})`);
+			return success('');
+		}));
+	}
+
+	_registerTranscoderRoutes() {
+		let templatePath = '/applications/:application/transcoder/templates/:templateName';
+
+		this.route('GET', '/applications/:application/transcoder', (req, params) => this._withApplication(params, app =>
+			ok(Object.assign({ serverName: this.serverName }, app.transcoder.config))));
+		this.route('PUT', '/applications/:application/transcoder', (req, params) => this._withApplication(params, app => {
+			Object.assign(app.transcoder.config, req.body);
+			return success('');
+		}));
+		this.route('GET', '/applications/:application/transcoder/templates', (req, params) => this._withApplication(params, app => ok({
+			serverName: this.serverName,
+			templates: Object.keys(app.transcoder.templates).map(name => ({ id: name, href: `${req.path}/${name}` }))
+		})));
+		this.route('GET', templatePath, (req, params) => this._withTemplate(params, template =>
+			ok(Object.assign({ serverName: this.serverName }, template))));
+		this.route('POST', templatePath, (req, params) => this._withApplication(params, app => {
+			if (app.transcoder.templates[params.templateName]) return error(409, `Template (${params.templateName}) already exists`);
+			app.transcoder.templates[params.templateName] = Object.assign({ encodes: [], decode: {}, streamNameGroups: [] }, req.body, { name: params.templateName });
+			return success('', 201);
+		}));
+		this.route('PUT', templatePath, (req, params) => this._withTemplate(params, template => {
+			Object.assign(template, req.body, { name: params.templateName });
+			return success('');
+		}));
+		this.route('DELETE', templatePath, (req, params) => this._withTemplate(params, (template, app) => {
+			delete app.transcoder.templates[params.templateName];
+			return success('');
+		}));
+		this.route('GET', `${templatePath}/decode`, (req, params) => this._withTemplate(params, template => ok(template.decode)));
+		this.route('PUT', `${templatePath}/decode`, (req, params) => this._withTemplate(params, template => {
+			template.decode = req.body || {};
+			return success('');
+		}));
+
+		// encodes and stream name groups are lists of named items of a template
+		[['encodes', 'encodeName', 'Encode'], ['streamnamegroups', 'groupName', 'Stream name group']].forEach(collection => {
+			let path = `${templatePath}/${collection[0]}/:${collection[1]}`;
+			let listName = collection[0] === 'encodes' ? 'encodes' : 'streamNameGroups';
+			let find = (template, name) => template[listName].filter(item => item.name === name)[0];
+			let withItem = (params, callback) => this._withTemplate(params, template => {
+				let item = find(template, params[collection[1]]);
+				if (!item) return notFound(`${collection[2]} (${params[collection[1]]}) not found`);
+				return callback(item, template);
+			});
+
+			this.route('GET', path, (req, params) => withItem(params, item => ok(item)));
+			this.route('POST', path, (req, params) => this._withTemplate(params, template => {
+				if (find(template, params[collection[1]])) return error(409, `${collection[2]} (${params[collection[1]]}) already exists`);
+				template[listName].push(Object.assign({}, req.body, { name: params[collection[1]] }));
+				return success('', 201);
+			}));
+			this.route('PUT', path, (req, params) => withItem(params, item => {
+				Object.assign(item, req.body, { name: params[collection[1]] });
+				return success('');
+			}));
+			this.route('DELETE', path, (req, params) => withItem(params, (item, template) => {
+				template[listName].splice(template[listName].indexOf(item), 1);
+				return success('');
+			}));
+		});
+	}
+
+	_withTemplate(params, callback) {
+		return this._withApplication(params, app => {
+			let template = app.transcoder.templates[params.templateName];
+			if (!template) return notFound(`Template (${params.templateName}) not found`);
+			return callback(template, app);
+		});
+	}
+
+	_incomingStreamInfo(params, stream) {
+		return {
+			serverName: this.serverName,
+			applicationInstance: params.appInstance,
+			name: stream.name,
+			sourceIp: stream.sourceIp,
+			isRecordingSet: stream.isRecordingSet,
+			isStreamManagerStream: stream.isStreamManagerStream,
+			isPublishedToVOD: stream.isPublishedToVOD,
+			isConnected: stream.isConnected,
+			isPTZEnabled: stream.isPTZEnabled,
+			ptzPollingInterval: stream.ptzPollingInterval
+		};
+	}
+
+	_getOrCreateApplication(name) {
+		return this.applications[name] || this.addApplication(name);
+	}
+
+	_getInstance(app, name) {
+		app.instances[name] = app.instances[name] || { incomingStreams: {}, recorders: {}, dvrStores: {} };
+		return app.instances[name];
+	}
+
+	_withApplication(params, callback) {
+		let app = this.applications[params.application];
+		if (!app) return notFound(`Application (${params.application}) not found`);
+		return callback(app);
+	}
+
+	_withDvrStore(params, callback) {
+		return this._withInstance(params, (app, instance) => {
+			let store = instance.dvrStores[params.storeName];
+			if (!store) return notFound(`DVR store (${params.storeName}) not found`);
+			return callback(store);
+		});
+	}
+
+	_withSmilFile(params, callback) {
+		return this._withApplication(params, app => {
+			let smilFile = app.smilFiles[params.smilName];
+			if (!smilFile) return notFound(`SMIL file (${params.smilName}) not found`);
+			return callback(app, smilFile);
+		});
+	}
+
+	_withAccount(accounts, kind, name, callback) {
+		let account = accounts[name];
+		if (!account) return notFound(`${kind} (${name}) not found`);
+		return callback(account);
+	}
+
+	_withInstance(params, callback) {
+		return this._withApplication(params, app => callback(app, this._getInstance(app, params.appInstance)));
+	}
+
+	_withStreamFile(params, callback) {
+		return this._withApplication(params, app => {
+			let streamFile = app.streamFiles[params.streamFile];
+			if (!streamFile) return notFound(`Streamfile (${params.streamFile}) not found`);
+			return callback(app, streamFile);
+		});
+	}
+
+	_withIncomingStream(params, callback) {
+		return this._withInstance(params, (app, instance) => {
+			let stream = instance.incomingStreams[params.streamName];
+			if (!stream) return notFound(`Incoming stream (${params.streamName}) not found`);
+			return callback(stream, instance, app);
+		});
+	}
+
+	_withRecorder(params, callback) {
+		return this._withInstance(params, (app, instance) => {
+			let recorder = instance.recorders[params.recorderName];
+			if (!recorder) return notFound(`Recorder (${params.recorderName}) not found`);
+			return callback(recorder, instance, app);
+		});
+	}
+
+	_withStreamTarget(params, callback) {
+		return this._withApplication(params, app => {
+			let target = app.streamTargets[params.entryName];
+			if (!target) return notFound(`Stream target (${params.entryName}) not found`);
+			return callback(target, app);
+		});
+	}
+
+	_handle(req, res) {
+		let chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			let parsedUrl = url.parse(req.url, true);
+			let rawBody = Buffer.concat(chunks);
+			let request = {
+				method: req.method,
+				path: parsedUrl.pathname,
+				query: Object.assign({}, parsedUrl.query),
+				headers: req.headers,
+				rawBody: rawBody.toString(),
+				body: undefined
+			};
+			this.requests.push(request);
+
+			let fault = this._takeFault(request);
+			let latency = fault && fault.latency !== undefined ? fault.latency : this.latency;
+			if (fault && fault.hang) return;
+
+			let respond = () => {
+				if (!this._authorized(req, rawBody, res)) return;
+				if (fault && (fault.status || fault.malformed || fault.body !== undefined)) {
+					return this._respondFault(res, fault);
+				}
+				try {
+					request.body = request.rawBody ? JSON.parse(request.rawBody) : undefined;
+				} catch (e) {
+					return send(res, error(400, `Malformed JSON: ${e.message}`));
+				}
+				send(res, this._dispatch(request));
+			};
+
+			if (latency) {
+				let timer = setTimeout(respond, latency);
+				if (fault) fault.timer = timer;
+			} else {
+				respond();
+			}
+		});
+	}
+
+	_takeFault(request) {
+		let fault = this.faults.find(fault => {
+			if (fault.times <= 0) return false;
+			if (fault.method && fault.method !== request.method) return false;
+			if (fault.path instanceof RegExp) return fault.path.test(request.path);
+			if (fault.path) return request.path.indexOf(fault.path) !== -1;
+			return true;
+		});
+		if (fault) fault.times--;
+		return fault;
+	}
+
+	_respondFault(res, fault) {
+		if (fault.malformed) {
+			res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+			return res.end('{"success": true, "message": ');
+		}
+		if (fault.status === 401) {
+			return this._challenge(res, false);
+		}
+		if (fault.status) {
+			return send(res, fault.body !== undefined ? [fault.status, fault.body] : error(fault.status, `Injected fault ${fault.status}`));
+		}
+		return send(res, [200, fault.body]);
+	}
+
+	_dispatch(request) {
+		for (let route of this.routes) {
+			if (route.method !== request.method) continue;
+			let match = route.regexp.exec(request.path);
+			if (!match) continue;
+
+			let params = {};
+			route.names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+			try {
+				return route.handler(request, params);
+			} catch (e) {
+				return error(500, e.message);
+			}
+		}
+		return notFound(`Resource ${request.method} ${request.path} not found`);
+	}
+
+	// digest authentication, returns false when the request was answered by a challenge
+	_authorized(req, body, res) {
+		if (!this.username || !this.password) return true;
+
+		let header = req.headers.authorization;
+		if (!header || header.indexOf('Digest ') !== 0) {
+			this._challenge(res, false);
+			return false;
+		}
+
+		let params = {};
+		header.slice(7).replace(/([a-zA-Z0-9_-]+)\s*=\s*(?:"([^"]*)"|([^\s,]+))/g, (match, name, quoted, token) => {
+			params[name] = quoted !== undefined ? quoted : token;
+		});
+
+		if (this.nonces[params.nonce] === undefined) {
+			this._challenge(res, false);
+			return false;
+		}
+		if (this.nonces[params.nonce] === false) {
+			this._challenge(res, true);
+			return false;
+		}
+
+		let algorithm = this.algorithm.toUpperCase();
+		let hashName = algorithm.indexOf('SHA-256') === 0 ? 'sha256' : 'md5';
+		let hash = function () {
+			return crypto.createHash(hashName).update(Array.prototype.join.call(arguments, ':')).digest('hex');
+		};
+
+		let ha1 = hash(this.username, params.realm, this.password);
+		if (/-SESS$/.test(algorithm)) ha1 = hash(ha1, params.nonce, params.cnonce);
+		let ha2 = params.qop === 'auth-int' ?
+			hash(req.method, params.uri, crypto.createHash(hashName).update(body).digest('hex')) :
+			hash(req.method, params.uri);
+		let expected = params.qop ?
+			hash(ha1, params.nonce, params.nc, params.cnonce, params.qop, ha2) :
+			hash(ha1, params.nonce, ha2);
+
+		if (params.username !== this.username || params.response !== expected) {
+			this._challenge(res, false);
+			return false;
+		}
+		return true;
+	}
+
+	_challenge(res, stale) {
+		let nonce = crypto.randomBytes(16).toString('hex');
+		this.nonces[nonce] = true;
+		let challenge = `Digest realm="Streaming Engine", nonce="${nonce}", algorithm=${this.algorithm}, qop="${this.qop}", opaque="mock"`;
+		if (stale) challenge += ', stale=true';
+		res.writeHead(401, { 'WWW-Authenticate': challenge, 'Content-Type': 'text/html' });
+		res.end('<html><body>401 Unauthorized</body></html>');
+	}
+}
+
+function send(res, answer) {
+	let status = answer[0];
+	let body = answer[1];
+	if (body === undefined || body === null) {
+		res.writeHead(status);
+		return res.end();
+	}
+	if (typeof body === 'string') {
+		res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+		return res.end(body);
+	}
+	res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+	res.end(JSON.stringify(body));
+}
+
+function ok(body) {
+	return [200, body];
+}
+
+function success(message, status) {
+	return [status || 200, { success: true, message: message, data: null }];
+}
+
+function error(status, message) {
+	return [status, { success: false, message: message, code: String(status), wowzaServer: WOWZA_VERSION, data: null }];
+}
+
+function notFound(message) {
+	return error(404, message);
+}
+
+MockWowzaServer.ok = ok;
+MockWowzaServer.success = success;
+MockWowzaServer.error = error;
+
+module.exports = MockWowzaServer;
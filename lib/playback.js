@@ -0,0 +1,56 @@
+'use strict'
+
+const DEFAULT_PORTS = { http: 1935, rtmp: 1935, rtsp: 1935, webrtc: 443 };
+const DEFAULT_SECURE_PORTS = { http: 443, rtmp: 443, rtsp: 1935, webrtc: 443 };
+
+// ports which are left out of URLs of their scheme
+const SCHEME_PORTS = { http: 80, https: 443, wss: 443 };
+
+/**
+ * Build playback URLs of a stream or a SMIL group
+ *
+ * @function buildPlaybackUrls
+ * @param {Object} settings
+ * @param {string} settings.host streaming host
+ * @param {boolean} [settings.secure = false] https, rtmps instead of http, rtmp
+ * @param {Object} [settings.ports] {http, rtmp, rtsp, webrtc}, 1935 and 443 for webrtc by default, 443 for http and rtmp when secure
+ * @param {string} settings.application
+ * @param {string} settings.appInstance
+ * @param {string} [settings.streamName] normalized stream name, e.g. 'ipCam.stream', 'myStream' or 'mp4:sample.mp4'
+ * @param {string} [settings.smil] name of a SMIL file, with or without '.smil'
+ * @return {Object} {hls, dash, rtmp, rtsp, webrtc: {url, applicationName, streamName}},
+ * rtmp, rtsp and webrtc are null for a SMIL group because only HTTP streaming plays adaptive groups
+ */
+function buildPlaybackUrls(settings) {
+	let ports = Object.assign({}, settings.secure ? DEFAULT_SECURE_PORTS : DEFAULT_PORTS, settings.ports);
+	let smil = settings.smil ? `smil:${/\.smil$/.test(settings.smil) ? settings.smil : `${settings.smil}.smil`}` : null;
+	let stream = smil || settings.streamName;
+	let path = [settings.application, settings.appInstance, stream].map(segment).join('/');
+
+	let http = `${origin(settings.secure ? 'https' : 'http', settings.host, ports.http)}/${path}`;
+
+	return {
+		hls: `${http}/playlist.m3u8`,
+		dash: `${http}/manifest.mpd`,
+		rtmp: smil ? null : `${origin(settings.secure ? 'rtmps' : 'rtmp', settings.host, ports.rtmp)}/${path}`,
+		rtsp: smil ? null : `${origin('rtsp', settings.host, ports.rtsp)}/${path}`,
+		webrtc: smil ? null : {
+			url: `${origin('wss', settings.host, ports.webrtc)}/webrtc-session.json`,
+			applicationName: `${settings.application}/${settings.appInstance}`,
+			streamName: settings.streamName
+		}
+	};
+}
+
+function origin(scheme, host, port) {
+	return SCHEME_PORTS[scheme] === Number(port) ? `${scheme}://${host}` : `${scheme}://${host}:${port}`;
+}
+
+// prefixes like mp4: and smil: are a part of Wowza stream names, they are kept readable
+function segment(value) {
+	return encodeURIComponent(value).replace(/%3A/gi, ':');
+}
+
+module.exports = {
+	buildPlaybackUrls
+};
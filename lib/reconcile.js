@@ -0,0 +1,235 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+// kinds of resources in the order their changes are applied:
+// streamfiles are created before stream targets which can push their streams and deleted after them
+const CREATE_ORDER = ['streamFile', 'streamTarget'];
+
+// fields which Wowza adds to answers, they are never compared
+const IGNORED_FIELDS = ['serverName', 'version', 'href', 'saveFieldList', 'actionType'];
+
+/**
+ * Compare a desired state of an application with the state of Wowza
+ *
+ * Only fields present in the desired items are compared, so defaults filled in by Wowza don't produce updates.
+ * Streamfiles and stream targets of the application which are missing in the desired state are planned for deletion,
+ * pass `noDeletes` to apply() to keep them.
+ *
+ * @function plan
+ * @param {WowzaAPI} wowza
+ * @param {Object} desired desired state of an application
+ * @param {string} [desired.application] name of the application, the default of the client is used when it's missing
+ * @param {Array<Object>} [desired.streamFiles] streamfile configurations, e.g. {name: 'ipCam', uri: 'rtsp://...'};
+ * the kind is not managed when it's missing
+ * @param {Array<Object>} [desired.streamTargets] stream target configurations, e.g. {entryName: 'fb1', profile: 'rtmp', host: '...', streamName: '...'}
+ * @param {Object} [options] request options, e.g. serverName, vhost, timeout
+ * @return {Promise} promise which resolve by a plan: {application, changes: [{action, kind, name, desired, current, diff}], summary}
+ * where action is create | update | delete and diff is {field: {from, to}} for updates
+ *
+ * @example
+ * WowzaAPI.reconcile.plan(wowza, {
+ * 	application: 'live',
+ * 	streamFiles: [{name: 'ipCam', uri: 'rtsp://192.168.1.10/stream'}],
+ * 	streamTargets: [{entryName: 'fb1', profile: 'rtmp', sourceStreamName: 'ipCam.stream', host: 'live-api-s.facebook.com', streamName: 'key'}]
+ * }).then(plan => console.log(plan.summary));
+ * // { create: 1, update: 1, delete: 0 }
+ */
+function plan(wowza, desired, options) {
+	desired = desired || {};
+	let requestOptions = Object.assign({}, options, { application: desired.application || (options && options.application) || wowza.application });
+
+	let streamFiles = desired.streamFiles ? getStreamFiles(wowza, requestOptions) : Promise.resolve(null);
+	let streamTargets = desired.streamTargets ? getStreamTargets(wowza, requestOptions) : Promise.resolve(null);
+
+	return Promise.all([streamFiles, streamTargets]).then(current => {
+		let changes = [];
+		if (current[0]) changes = changes.concat(diffItems('streamFile', 'name', desired.streamFiles, current[0]));
+		if (current[1]) changes = changes.concat(diffItems('streamTarget', 'entryName', desired.streamTargets, current[1]));
+
+		return {
+			application: requestOptions.application,
+			changes: changes,
+			summary: summarize(changes)
+		};
+	});
+}
+
+/**
+ * Apply changes of a plan
+ *
+ * Changes are applied in stages: streamfiles are created and updated first, then stream targets are created, updated
+ * and deleted, streamfiles are deleted at the end. Changes of a stage are made in parallel, at most `concurrency` at a time.
+ * A failed change doesn't stop the others, every change gets its own result.
+ *
+ * @function apply
+ * @param {WowzaAPI} wowza
+ * @param {Object} plan result of plan()
+ * @param {Object} [options] request options, e.g. serverName, vhost, timeout and:
+ * @param {number} [options.concurrency = 4] how many requests are made at a time
+ * @param {boolean} [options.noDeletes = false] skip deletions
+ * @param {boolean} [options.dryRun = false] don't make any requests, only report what would be done
+ * @return {Promise} promise which resolve by a report: {dryRun, results: [{action, kind, name, status, response, error}], summary}
+ * where status is applied | failed | skipped | planned (dry-run), summary counts results by status
+ *
+ * @example
+ * WowzaAPI.reconcile.plan(wowza, desired)
+ * 	.then(plan => WowzaAPI.reconcile.apply(wowza, plan, {noDeletes: true, concurrency: 2}))
+ * 	.then(report => report.results.filter(result => result.status === 'failed').forEach(result => console.log(result.name, result.error.message)));
+ */
+function apply(wowza, plan, options) {
+	options = options || {};
+	let concurrency = options.concurrency || 4;
+	let requestOptions = Object.assign({}, options, { application: plan.application });
+	['concurrency', 'noDeletes', 'dryRun'].forEach(name => delete requestOptions[name]);
+
+	let results = new Map();
+	let stages = getStages(plan.changes);
+
+	let run = stages.reduce((previous, stage) => previous.then(() => mapLimit(stage, concurrency, change => {
+		if (change.action === 'delete' && options.noDeletes) {
+			results.set(change, result(change, 'skipped'));
+			return;
+		}
+		if (options.dryRun) {
+			results.set(change, result(change, 'planned'));
+			return;
+		}
+		return execute(wowza, change, requestOptions).then(
+			response => results.set(change, result(change, 'applied', { response: response })),
+			err => results.set(change, result(change, 'failed', { error: err }))
+		);
+	})), Promise.resolve());
+
+	return run.then(() => {
+		let list = plan.changes.map(change => results.get(change));
+		let summary = {};
+		list.forEach(item => { summary[item.status] = (summary[item.status] || 0) + 1; });
+		return { dryRun: !!options.dryRun, results: list, summary: summary };
+	});
+}
+
+/**
+ * Plan and apply a desired state in one call
+ *
+ * @function reconcile
+ * @param {WowzaAPI} wowza
+ * @param {Object} desired the same as for plan()
+ * @param {Object} [options] the same as for apply()
+ * @return {Promise} promise which resolve by the report of apply() with the plan in `plan` field
+ */
+function reconcile(wowza, desired, options) {
+	return plan(wowza, desired, options).then(result => apply(wowza, result, options).then(report => Object.assign({ plan: result }, report)));
+}
+
+function getStreamFiles(wowza, options) {
+	return wowza.getStreamFilesList(options).then(response => Promise.all((response.streamFiles || []).map(item =>
+		wowza.getStreamFileConfiguration(Object.assign({}, options, { streamFile: item.id }))
+			.then(config => Object.assign({ name: item.id }, config))
+	)));
+}
+
+function getStreamTargets(wowza, options) {
+	return wowza.getStreamTargets(options).then(response => response.mapEntries || []);
+}
+
+function diffItems(kind, key, desiredItems, currentItems) {
+	let current = new Map(currentItems.map(item => [item[key], item]));
+	let desired = new Map();
+	let changes = [];
+
+	desiredItems.forEach(item => {
+		if (!item || !item[key]) throw new WowzaValidationError(`${kind} without ${key}: ${JSON.stringify(item)}`);
+		if (desired.has(item[key])) throw new WowzaValidationError(`${kind} ${item[key]} is listed twice`);
+		desired.set(item[key], item);
+
+		let existing = current.get(item[key]);
+		if (!existing) {
+			changes.push({ action: 'create', kind: kind, name: item[key], desired: item, current: null, diff: null });
+			return;
+		}
+		let diff = {};
+		Object.keys(item).forEach(field => {
+			if (IGNORED_FIELDS.indexOf(field) !== -1 || isEqual(item[field], existing[field])) return;
+			diff[field] = { from: existing[field], to: item[field] };
+		});
+		if (Object.keys(diff).length) {
+			changes.push({ action: 'update', kind: kind, name: item[key], desired: item, current: existing, diff: diff });
+		}
+	});
+
+	current.forEach((item, name) => {
+		if (!desired.has(name)) {
+			changes.push({ action: 'delete', kind: kind, name: name, desired: null, current: item, diff: null });
+		}
+	});
+
+	return changes;
+}
+
+function getStages(changes) {
+	let select = (kinds, actions) => changes.filter(change => kinds.indexOf(change.kind) !== -1 && actions.indexOf(change.action) !== -1);
+	let stages = [];
+	CREATE_ORDER.forEach(kind => {
+		stages.push(select([kind], ['create', 'update']));
+	});
+	CREATE_ORDER.slice().reverse().forEach(kind => {
+		stages.push(select([kind], ['delete']));
+	});
+	return stages.filter(stage => stage.length);
+}
+
+function execute(wowza, change, options) {
+	if (change.kind === 'streamFile') {
+		let streamFileOptions = Object.assign({}, options, { streamFile: change.name });
+		if (change.action === 'create') return wowza.addStreamFile(options, change.desired);
+		if (change.action === 'update') return wowza.updateStreamFileOptions(streamFileOptions, withoutIgnored(Object.assign({}, change.current, change.desired)));
+		return wowza.deleteStreamFile(streamFileOptions);
+	}
+	if (change.action === 'create') return wowza.createStreamTarget(options, change.desired);
+	if (change.action === 'update') return wowza.updateStreamTarget(options, withoutIgnored(Object.assign({}, change.current, change.desired)));
+	return wowza.deleteStreamTarget(options, change.name);
+}
+
+function result(change, status, fields) {
+	return Object.assign({ action: change.action, kind: change.kind, name: change.name, status: status, response: null, error: null }, fields);
+}
+
+function withoutIgnored(config) {
+	IGNORED_FIELDS.forEach(field => delete config[field]);
+	return config;
+}
+
+// runs fn for every item, not more than limit at a time
+function mapLimit(items, limit, fn) {
+	let index = 0;
+	let worker = () => {
+		if (index >= items.length) return Promise.resolve();
+		let item = items[index++];
+		return Promise.resolve().then(() => fn(item)).then(worker);
+	};
+	let workers = [];
+	for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+	return Promise.all(workers);
+}
+
+function isEqual(a, b) {
+	if (a === b) return true;
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+	if (Array.isArray(a) !== Array.isArray(b)) return false;
+	let keys = Object.keys(a);
+	if (keys.length !== Object.keys(b).length) return false;
+	return keys.every(key => isEqual(a[key], b[key]));
+}
+
+function summarize(changes) {
+	let summary = { create: 0, update: 0, delete: 0 };
+	changes.forEach(change => { summary[change.action]++; });
+	return summary;
+}
+
+module.exports = {
+	plan,
+	apply,
+	reconcile
+};
@@ -0,0 +1,194 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+const SEGMENTATION_TYPES = ['None', 'SegmentByDuration', 'SegmentBySize', 'SegmentBySchedule'];
+const FILE_FORMATS = ['MP4', 'FLV'];
+
+// short names of what to do with an existing file => values Wowza expects
+const FILE_OPTIONS = {
+	version: 'Version existing file',
+	append: 'Append to existing file',
+	overwrite: 'Overwrite existing file'
+};
+
+// the field each segmentation type needs
+const SEGMENT_FIELDS = { SegmentByDuration: 'segmentDuration', SegmentBySize: 'segmentSize', SegmentBySchedule: 'segmentSchedule' };
+
+/**
+ * Check recorder parameters before they are sent to Wowza
+ *
+ * `option` can be a short name: version | append | overwrite, `fileFormat` is case insensitive,
+ * both are returned in the form Wowza expects. Unknown fields are passed as is.
+ *
+ * @function validateRecorderParameters
+ * @param {Object} [parameters] recorderParametres of WowzaAPI.createRecorder()
+ * @return {Object} a normalized copy of the parameters
+ * @throws {WowzaValidationError} when a field has a wrong value
+ *
+ * @example
+ * validateRecorderParameters({segmentationType: 'SegmentByDuration', segmentDuration: 600000, option: 'append', fileFormat: 'mp4'});
+ * // { segmentationType: 'SegmentByDuration', segmentDuration: 600000, option: 'Append to existing file', fileFormat: 'MP4' }
+ */
+function validateRecorderParameters(parameters) {
+	let result = Object.assign({}, parameters);
+
+	if (result.segmentationType !== undefined) {
+		if (SEGMENTATION_TYPES.indexOf(result.segmentationType) === -1) {
+			throw new WowzaValidationError(`segmentationType should be one of ${SEGMENTATION_TYPES.join(', ')}, got ${result.segmentationType}`);
+		}
+		let field = SEGMENT_FIELDS[result.segmentationType];
+		if (field && (result[field] === undefined || result[field] === '')) {
+			throw new WowzaValidationError(`${field} is required for segmentationType ${result.segmentationType}`);
+		}
+	}
+	['segmentDuration', 'segmentSize', 'backBufferTime'].forEach(field => {
+		if (result[field] !== undefined && !(typeof result[field] === 'number' && result[field] >= 0)) {
+			throw new WowzaValidationError(`${field} should be a non-negative number, got ${result[field]}`);
+		}
+	});
+	if (result.segmentSchedule !== undefined && typeof result.segmentSchedule !== 'string') {
+		throw new WowzaValidationError(`segmentSchedule should be a cron string, got ${result.segmentSchedule}`);
+	}
+
+	if (result.option !== undefined) {
+		let option = FILE_OPTIONS[String(result.option).toLowerCase()] ||
+			Object.keys(FILE_OPTIONS).map(name => FILE_OPTIONS[name]).find(value => value.toLowerCase() === String(result.option).toLowerCase());
+		if (!option) {
+			throw new WowzaValidationError(`option should be one of ${Object.keys(FILE_OPTIONS).join(', ')}, got ${result.option}`);
+		}
+		result.option = option;
+	}
+
+	if (result.fileFormat !== undefined) {
+		let fileFormat = String(result.fileFormat).toUpperCase();
+		if (FILE_FORMATS.indexOf(fileFormat) === -1) {
+			throw new WowzaValidationError(`fileFormat should be one of ${FILE_FORMATS.join(', ')}, got ${result.fileFormat}`);
+		}
+		result.fileFormat = fileFormat;
+	}
+
+	return result;
+}
+
+/**
+ * Recording of one stream: a thin wrapper over the streamrecorder methods of WowzaAPI
+ * which validates parameters and returns a parsed status instead of the raw recorder JSON.
+ *
+ * @class RecordingSession
+ * @param {WowzaAPI} wowza client used for requests
+ * @param {Object} options
+ * @param {string} options.streamName name of the recorded stream, it's the name of the recorder as well, e.g. 'ipCam.stream' or 'myStream'
+ * @param {string} [options.application] application of the stream, the default of the client is used when it's missing
+ * @param {string} [options.appInstance] instance of the stream, the default of the client is used when it's missing
+ * Other options (serverName, vhost, timeout, retries...) are passed to every request.
+ *
+ * @example
+ * let session = new RecordingSession(wowza, {application: 'live', streamName: 'ipCam.stream'});
+ * session.start({segmentationType: 'SegmentByDuration', segmentDuration: 900000, option: 'version'})
+ * 	.then(() => session.status())
+ * 	.then(status => console.log(status.currentFile, status.currentDuration));
+ * ...
+ * session.split().then(() => session.stop());
+ */
+class RecordingSession {
+
+	constructor(wowza, options) {
+		options = Object.assign({}, options);
+		if (!options.streamName) throw new WowzaValidationError('streamName is required');
+		this.wowza = wowza;
+		this.streamName = options.streamName;
+		this.application = options.application || wowza.application;
+		this.appInstance = options.appInstance || wowza.appInstance;
+		delete options.streamName;
+		this.requestOptions = Object.assign(options, { application: this.application, appInstance: this.appInstance, streamFile: this.streamName });
+	}
+
+	/**
+	 * Create the recorder, it starts recording as soon as the stream is published
+	 *
+	 * @method start
+	 * @param {Object} [parameters] recorderParametres of WowzaAPI.createRecorder(), they are validated by validateRecorderParameters()
+	 * @return {Promise} promise which resolve by the answer of Wowza or reject by WowzaValidationError for wrong parameters
+	 */
+	start(parameters) {
+		return Promise.resolve().then(() => this.wowza.createRecorder(
+			Object.assign(validateRecorderParameters(parameters), { recorderName: this.streamName }),
+			this.requestOptions
+		));
+	}
+
+	/**
+	 * Close the current file and continue recording to a new one
+	 *
+	 * @method split
+	 * @return {Promise}
+	 */
+	split() {
+		return this.wowza.splitRecording(this.requestOptions);
+	}
+
+	/**
+	 * Restart recording with the same parameters
+	 *
+	 * @method restart
+	 * @return {Promise}
+	 */
+	restart() {
+		return this.wowza.restartRecording(this.requestOptions);
+	}
+
+	/**
+	 * Stop recording, Wowza removes the recorder
+	 *
+	 * @method stop
+	 * @return {Promise}
+	 */
+	stop() {
+		return this.wowza.stopRecording(this.requestOptions);
+	}
+
+	/**
+	 * Current state of the recorder
+	 *
+	 * @method status
+	 * @return {Promise} promise which resolve by {streamName, exists, state, recording, currentFile, currentDuration, currentSize,
+	 * recordingStartTime, segmentationType, fileFormat}; exists is false and other fields are null when there is no recorder
+	 */
+	status() {
+		return this.wowza.getRecorder(this.requestOptions).then(recorder => ({
+			streamName: this.streamName,
+			exists: true,
+			state: recorder.recorderState,
+			recording: /in progress/i.test(recorder.recorderState || ''),
+			currentFile: recorder.currentFile || null,
+			currentDuration: Number(recorder.currentDuration) || 0,
+			currentSize: Number(recorder.currentSize) || 0,
+			recordingStartTime: recorder.recordingStartTime || null,
+			segmentationType: recorder.segmentationType || null,
+			fileFormat: recorder.fileFormat || null
+		}), err => {
+			if (err.status !== 404) throw err;
+			return {
+				streamName: this.streamName,
+				exists: false,
+				state: null,
+				recording: false,
+				currentFile: null,
+				currentDuration: 0,
+				currentSize: 0,
+				recordingStartTime: null,
+				segmentationType: null,
+				fileFormat: null
+			};
+		});
+	}
+}
+
+module.exports = {
+	RecordingSession,
+	validateRecorderParameters,
+	SEGMENTATION_TYPES,
+	FILE_FORMATS,
+	FILE_OPTIONS
+};
@@ -0,0 +1,334 @@
+'use strict'
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseCron } = require('./cron');
+const { RecordingSession, validateRecorderParameters } = require('./recorder');
+const { WowzaValidationError } = require('./errors');
+
+const STORE_VERSION = 1;
+
+/**
+ * Records streams in time windows. A schedule is either one-off: {start, end}
+ * or recurring: {cron, duration}, e.g. weekdays 09:00-11:00 is {cron: '0 9 * * 1-5', duration: 2 * 60 * 60 * 1000}.
+ * Cron expressions are in local time, see parseCron().
+ *
+ * Schedules and their state are kept in a JSON file, so after a restart of the process a recording
+ * whose window has ended is stopped, and a window which started while the process was down is started late
+ * or skipped depending on `missed`. Recordings are not stopped by stop(), they're finished by the next start().
+ *
+ * Events (listeners receive the schedule and the window {start, end} as Date objects):
+ * - started, stopped
+ * - skipped (a missed window with `missed: 'skip'` or a one-off window which ended before the scheduler noticed it)
+ * - failed (the third argument is the error, the fourth is the action: start | stop)
+ * - error (the store can't be saved), ignored while there is no listener
+ *
+ * @class RecordingScheduler
+ * @extends EventEmitter
+ * @param {WowzaAPI} wowza client used for requests
+ * @param {Object} [options]
+ * @param {string} [options.store] path of the JSON file with schedules, they're kept only in memory without it
+ * @param {string} [options.missed = 'start'] what to do with a window which started while the scheduler wasn't running: start | skip
+ * @param {number} [options.lateness = 60000] milliseconds after the start of a window when it's considered missed
+ * @param {number} [options.interval = 1000] how often windows are checked, in milliseconds
+ * @param {Function} [options.now = Date.now] clock returning milliseconds
+ *
+ * @example
+ * let scheduler = new RecordingScheduler(wowza, {store: '/var/lib/wowza/schedules.json', missed: 'start'});
+ * scheduler.add({
+ * 	streamName: 'studio.stream',
+ * 	application: 'live',
+ * 	cron: '0 9 * * 1-5',
+ * 	duration: 2 * 60 * 60 * 1000,
+ * 	recorder: {segmentationType: 'SegmentByDuration', segmentDuration: 900000, option: 'version'}
+ * });
+ * scheduler.add({streamName: 'keynote.stream', start: '2026-11-02T14:00:00Z', end: '2026-11-02T15:30:00Z'});
+ * scheduler.on('started', (schedule, window) => console.log(`recording ${schedule.streamName} till ${window.end}`));
+ * scheduler.on('failed', (schedule, window, err, action) => console.log(`can't ${action} ${schedule.streamName}: ${err.message}`));
+ * scheduler.start();
+ */
+class RecordingScheduler extends EventEmitter {
+
+	constructor(wowza, options) {
+		super();
+		options = options || {};
+		if (options.missed && ['start', 'skip'].indexOf(options.missed) === -1) {
+			throw new WowzaValidationError(`missed should be start or skip, got ${options.missed}`);
+		}
+		this.wowza = wowza;
+		this.store = options.store || null;
+		this.missed = options.missed || 'start';
+		this.lateness = options.lateness !== undefined ? options.lateness : 60000;
+		this.interval = options.interval || 1000;
+		this.now = options.now || Date.now;
+		this.schedules = new Map();
+
+		this.running = false;
+		this.timer = null;
+		this.ticking = null;
+
+		this._load();
+	}
+
+	/**
+	 * Add a schedule, it's saved to the store immediately
+	 *
+	 * @method add
+	 * @param {Object} schedule
+	 * @param {string} schedule.streamName name of the recorded stream, e.g. 'ipCam.stream'
+	 * @param {string} [schedule.id] generated when it's missing
+	 * @param {string} [schedule.application] the default of the client is used when it's missing
+	 * @param {string} [schedule.appInstance] the default of the client is used when it's missing
+	 * @param {Date|string|number} [schedule.start] start of a one-off window
+	 * @param {Date|string|number} [schedule.end] end of a one-off window
+	 * @param {string} [schedule.cron] start of recurring windows, e.g. '0 9 * * 1-5'
+	 * @param {number} [schedule.duration] length of recurring windows in milliseconds
+	 * @param {Object} [schedule.recorder] recorder parameters, see WowzaAPI.createRecorder()
+	 * @return {Object} the added schedule
+	 * @throws {WowzaValidationError} when the schedule is invalid or its id is taken
+	 */
+	add(schedule) {
+		let item = this._normalize(schedule);
+		if (this.schedules.has(item.id)) throw new WowzaValidationError(`schedule ${item.id} already exists`);
+		this.schedules.set(item.id, item);
+		this._save();
+		return this._copy(item);
+	}
+
+	/**
+	 * Remove a schedule, a recording in progress isn't stopped
+	 *
+	 * @method remove
+	 * @param {string} id
+	 * @return {boolean} false when there is no such schedule
+	 */
+	remove(id) {
+		let removed = this.schedules.delete(id);
+		if (removed) this._save();
+		return removed;
+	}
+
+	/**
+	 * @method get
+	 * @param {string} id
+	 * @return {Object|null} the schedule with its state: {window, end, status} where status is recording | done | skipped | failed
+	 */
+	get(id) {
+		let item = this.schedules.get(id);
+		return item ? this._copy(item) : null;
+	}
+
+	/**
+	 * @method list
+	 * @return {Array<Object>} schedules with their state
+	 */
+	list() {
+		return Array.from(this.schedules.values()).map(item => this._copy(item));
+	}
+
+	/**
+	 * The current or next window of a schedule
+	 *
+	 * @method nextWindow
+	 * @param {string} id
+	 * @return {Object|null} {start, end} or null when the schedule has no windows ahead
+	 */
+	nextWindow(id) {
+		let item = this.schedules.get(id);
+		if (!item) return null;
+		let now = this.now();
+		let window = this._currentWindow(item, now);
+		if (window) return window;
+		if (!item.cron) return now < Date.parse(item.start) ? this._window(Date.parse(item.start), Date.parse(item.end)) : null;
+		let start = parseCron(item.cron).next(now);
+		return start ? this._window(start.getTime(), start.getTime() + item.duration) : null;
+	}
+
+	/**
+	 * Start checking windows, the first check is made immediately
+	 *
+	 * @method start
+	 * @return {RecordingScheduler}
+	 */
+	start() {
+		if (this.running) return this;
+		this.running = true;
+		this._schedule(0);
+		return this;
+	}
+
+	/**
+	 * Stop checking windows, recordings in progress are left running
+	 *
+	 * @method stop
+	 * @return {Promise} promise which resolve when the current check is finished
+	 */
+	stop() {
+		this.running = false;
+		clearTimeout(this.timer);
+		this.timer = null;
+		return Promise.resolve(this.ticking);
+	}
+
+	/**
+	 * Start and stop recordings of all of the schedules once, it's called by the timer but can be called by hand
+	 *
+	 * @method tick
+	 * @return {Promise} promise which resolve when all of the events of the check are emitted
+	 */
+	tick() {
+		if (this.ticking) return this.ticking;
+		let now = this.now();
+		this.ticking = Promise.all(Array.from(this.schedules.values()).map(item => this._check(item, now)))
+			.then(() => this._save())
+			.catch(err => this._fail(err))
+			.then(() => { this.ticking = null; });
+		return this.ticking;
+	}
+
+	_schedule(delay) {
+		this.timer = setTimeout(() => {
+			this.tick().then(() => {
+				if (this.running) this._schedule(this.interval);
+			});
+		}, delay);
+	}
+
+	_check(item, now) {
+		let state = item.state;
+
+		// the window of the recording has ended, maybe while the process was down
+		let stopping = Promise.resolve();
+		if (state && state.status === 'recording' && now >= Date.parse(state.end)) {
+			let window = this._window(Date.parse(state.window), Date.parse(state.end));
+			// 404: the recorder is already gone, e.g. stopped by hand
+			stopping = this._session(item).stop().catch(err => {
+				if (err.status !== 404) throw err;
+			}).then(() => {
+				item.state = Object.assign({}, state, { status: 'done' });
+				this.emit('stopped', this._copy(item), window);
+			}, err => {
+				item.state = Object.assign({}, state, { status: 'failed', error: err.message });
+				this.emit('failed', this._copy(item), window, err, 'stop');
+			});
+		}
+
+		return stopping.then(() => {
+			let window = this._currentWindow(item, now);
+			if (!window) {
+				// a one-off window which passed entirely before it could be started
+				if (!item.cron && !item.state && now >= Date.parse(item.end)) {
+					window = this._window(Date.parse(item.start), Date.parse(item.end));
+					item.state = { window: window.start.toISOString(), end: window.end.toISOString(), status: 'skipped' };
+					this.emit('skipped', this._copy(item), window);
+				}
+				return;
+			}
+			if (item.state && item.state.window === window.start.toISOString()) return;
+
+			let next = { window: window.start.toISOString(), end: window.end.toISOString() };
+			if (now - window.start.getTime() > this.lateness && this.missed === 'skip') {
+				item.state = Object.assign(next, { status: 'skipped' });
+				this.emit('skipped', this._copy(item), window);
+				return;
+			}
+
+			return this._session(item).start(item.recorder).then(() => {
+				item.state = Object.assign(next, { status: 'recording' });
+				this.emit('started', this._copy(item), window);
+			}, err => {
+				item.state = Object.assign(next, { status: 'failed', error: err.message });
+				this.emit('failed', this._copy(item), window, err, 'start');
+			});
+		});
+	}
+
+	_currentWindow(item, now) {
+		if (item.cron) {
+			let start = parseCron(item.cron).previous(now, now - item.duration);
+			if (start && now < start.getTime() + item.duration) return this._window(start.getTime(), start.getTime() + item.duration);
+			return null;
+		}
+		let start = Date.parse(item.start);
+		let end = Date.parse(item.end);
+		return now >= start && now < end ? this._window(start, end) : null;
+	}
+
+	_window(start, end) {
+		return { start: new Date(start), end: new Date(end) };
+	}
+
+	_session(item) {
+		return new RecordingSession(this.wowza, { streamName: item.streamName, application: item.application, appInstance: item.appInstance });
+	}
+
+	_normalize(schedule) {
+		schedule = schedule || {};
+		if (!schedule.streamName) throw new WowzaValidationError('streamName is required');
+
+		let item = {
+			id: schedule.id || crypto.randomBytes(16).toString('hex'),
+			streamName: schedule.streamName,
+			application: schedule.application || this.wowza.application,
+			appInstance: schedule.appInstance || this.wowza.appInstance,
+			recorder: validateRecorderParameters(schedule.recorder),
+			state: schedule.state || null
+		};
+
+		if (schedule.cron !== undefined) {
+			parseCron(schedule.cron);
+			if (!(typeof schedule.duration === 'number' && schedule.duration > 0)) {
+				throw new WowzaValidationError(`duration of a recurring schedule should be a positive number of milliseconds, got ${schedule.duration}`);
+			}
+			return Object.assign(item, { cron: schedule.cron, duration: schedule.duration });
+		}
+
+		let start = new Date(schedule.start);
+		let end = new Date(schedule.end);
+		if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+			throw new WowzaValidationError('a schedule needs either start and end or cron and duration');
+		}
+		if (end <= start) throw new WowzaValidationError(`end of a schedule should be after its start, got ${schedule.start} - ${schedule.end}`);
+		return Object.assign(item, { start: start.toISOString(), end: end.toISOString() });
+	}
+
+	_copy(item) {
+		return JSON.parse(JSON.stringify(item));
+	}
+
+	_load() {
+		if (!this.store || !fs.existsSync(this.store)) return;
+		let data;
+		try {
+			data = JSON.parse(fs.readFileSync(this.store, 'utf8'));
+		} catch (e) {
+			throw new Error(`Can't read schedules from ${this.store}: ${e.message}`);
+		}
+		if (data.version > STORE_VERSION) {
+			throw new Error(`Schedules of ${this.store} have version ${data.version}, the latest supported version is ${STORE_VERSION}`);
+		}
+		(data.schedules || []).forEach(schedule => {
+			let item = this._normalize(schedule);
+			this.schedules.set(item.id, item);
+		});
+	}
+
+	// the file is replaced by rename, so it's never left half-written
+	_save() {
+		if (!this.store) return;
+		let data = JSON.stringify({ version: STORE_VERSION, schedules: Array.from(this.schedules.values()) }, null, 2);
+		let temporary = path.join(path.dirname(this.store), `.${path.basename(this.store)}.${process.pid}.tmp`);
+		fs.writeFileSync(temporary, data);
+		fs.renameSync(temporary, this.store);
+	}
+
+	_fail(err) {
+		if (this.listenerCount('error')) {
+			this.emit('error', err);
+		}
+	}
+}
+
+module.exports = RecordingScheduler;
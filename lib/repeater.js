@@ -0,0 +1,163 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+// Settings of the live stream repeater are kept in the application config resource:
+// mode and queue type are streamConfig.streamType, origin URLs are repeaterOriginUrl separated by '|' (primary|backup),
+// the secure connection is the wowzs:// scheme of the origin URLs.
+const MODES = ['origin', 'edge', 'none'];
+const QUEUE_TYPES = ['standard', 'lowlatency'];
+
+// mode => queue type => stream type
+const STREAM_TYPES = {
+	origin: { standard: 'liverepeater-origin', lowlatency: 'liverepeater-origin-lowlatency' },
+	edge: { standard: 'liverepeater-edge', lowlatency: 'liverepeater-edge-lowlatency' },
+	none: { standard: 'live', lowlatency: 'live-lowlatency' }
+};
+
+const DEFAULT_PORT = 1935;
+
+/**
+ * Read repeater settings of an application config
+ *
+ * @function parseRepeaterSettings
+ * @param {Object} config result of getApplicationConfig
+ * @return {Object} {mode, queueType, originUrls, secureConnection, queryString},
+ * mode is 'none' and queueType is null when the stream type isn't one of the repeater or live stream types
+ */
+function parseRepeaterSettings(config) {
+	let streamType = (config && config.streamConfig && config.streamConfig.streamType) || 'live';
+	let originUrls = splitUrls(config && config.repeaterOriginUrl);
+	let result = { mode: 'none', queueType: null, originUrls: originUrls, secureConnection: false, queryString: (config && config.repeaterQueryString) || '' };
+
+	Object.keys(STREAM_TYPES).forEach(mode => Object.keys(STREAM_TYPES[mode]).forEach(queueType => {
+		if (STREAM_TYPES[mode][queueType] === streamType) {
+			result.mode = mode;
+			result.queueType = queueType;
+		}
+	}));
+	result.secureConnection = originUrls.length > 0 && originUrls.every(url => /^wowzs:\/\//.test(url));
+	return result;
+}
+
+/**
+ * Check repeater settings and build the fields of the application config, passed settings are merged with the current ones
+ *
+ * @function buildRepeaterConfig
+ * @param {Object} current current application config, result of getApplicationConfig
+ * @param {Object} settings {mode, queueType, originUrls, secureConnection, queryString}, every field is optional
+ * @return {Object} {streamConfig, repeaterOriginUrl, repeaterQueryString} for updateApplicationConfig
+ * @throws {WowzaValidationError} with all of the problems in the message
+ */
+function buildRepeaterConfig(current, settings) {
+	if (!settings || typeof settings !== 'object') throw new WowzaValidationError('repeater settings should be an object');
+	let merged = Object.assign(parseRepeaterSettings(current), settings);
+	let problems = [];
+
+	if (MODES.indexOf(merged.mode) === -1) problems.push(`mode should be one of ${MODES.join(', ')}`);
+	if (merged.queueType === null || merged.queueType === undefined) merged.queueType = 'standard';
+	if (QUEUE_TYPES.indexOf(merged.queueType) === -1) problems.push(`queueType should be one of ${QUEUE_TYPES.join(', ')}`);
+	if (typeof merged.secureConnection !== 'boolean') problems.push('secureConnection should be a boolean');
+	if (typeof merged.queryString !== 'string') problems.push('queryString should be a string');
+
+	let originUrls = typeof merged.originUrls === 'string' ? splitUrls(merged.originUrls) : merged.originUrls;
+	if (!Array.isArray(originUrls)) {
+		problems.push('originUrls should be an array');
+		originUrls = [];
+	}
+	originUrls = originUrls.map(url => {
+		let match = typeof url === 'string' && /^(?:wowzs?:\/\/)?([^/\s|:]+(?::\d+)?)\/([^/\s|][^\s|]*)$/.exec(url);
+		if (!match) {
+			problems.push(`origin URL ${url} should be like wowz://host:1935/application`);
+			return url;
+		}
+		return `${merged.secureConnection ? 'wowzs' : 'wowz'}://${match[1]}/${match[2]}`;
+	});
+	if (merged.mode === 'edge' && !originUrls.length) problems.push('originUrls are required in edge mode');
+
+	if (problems.length) throw new WowzaValidationError(`stream repeater: ${problems.join(', ')}`);
+
+	return {
+		streamConfig: Object.assign({}, current && current.streamConfig, { streamType: STREAM_TYPES[merged.mode][merged.queueType] }),
+		repeaterOriginUrl: originUrls.join('|'),
+		repeaterQueryString: merged.queryString
+	};
+}
+
+/**
+ * Point edge engines at an origin: the origin application is switched to origin mode, edge applications to edge mode
+ * with the origin URL, and restarted to apply the change. Edge applications which don't exist are created.
+ * Edges are configured in parallel, a failure of one is reported in the result and doesn't stop the others.
+ *
+ * @function configureEdges
+ * @param {WowzaAPI} origin client of the origin engine
+ * @param {Array<WowzaAPI>} edges clients of the edge engines
+ * @param {Object} [options]
+ * @param {string} [options.application] name of the edge applications, application of the edge clients by default
+ * @param {string} [options.originApplication] name of the origin application, application of the origin client by default
+ * @param {string} [options.originHost] host which the edges connect to, streamingHost of the origin client by default
+ * @param {number} [options.originPort = 1935]
+ * @param {Array<string>} [options.backupOriginUrls] URLs of backup origins, e.g. ['wowz://origin2.example.com:1935/live']
+ * @param {string} [options.queueType = 'standard'] standard | lowlatency
+ * @param {boolean} [options.secureConnection = false] edges connect by wowzs://
+ * @param {string} [options.queryString] query string which edges send to the origin
+ * @param {boolean} [options.configureOrigin = true] switch the origin application to origin mode
+ * @param {boolean} [options.restart = true] restart applications after the change
+ * @return {Promise} promise which resolve by {originUrl, origin: {status, error}, edges: [{host, application, status, created, error}]},
+ * status is 'configured', 'skipped' (origin only) or 'failed'; it's rejected only when the settings are wrong
+ */
+function configureEdges(origin, edges, options) {
+	options = Object.assign({}, options);
+	let originApplication = options.originApplication || origin.application;
+	let host = options.originHost || origin.streamingHost;
+	let originUrls = [`wowz://${host}:${options.originPort || DEFAULT_PORT}/${originApplication}`].concat(options.backupOriginUrls || []);
+	let settings = {
+		mode: 'edge',
+		originUrls: originUrls,
+		queueType: options.queueType || 'standard',
+		secureConnection: !!options.secureConnection
+	};
+	if (options.queryString !== undefined) settings.queryString = options.queryString;
+
+	let originUrl;
+	try {
+		if (!Array.isArray(edges)) throw new WowzaValidationError('edges should be an array of WowzaAPI clients');
+		originUrl = buildRepeaterConfig({}, settings).repeaterOriginUrl;
+	} catch (err) {
+		return Promise.reject(err);
+	}
+
+	let restart = (client, requestOptions) => options.restart === false ? Promise.resolve() : client.restartApplication(requestOptions);
+
+	let configureOrigin = options.configureOrigin === false ? Promise.resolve({ status: 'skipped' }) :
+		origin.updateStreamRepeater({ application: originApplication }, { mode: 'origin', queueType: settings.queueType })
+			.then(() => restart(origin, { application: originApplication }))
+			.then(() => ({ status: 'configured' }), err => ({ status: 'failed', error: err }));
+
+	return configureOrigin.then(originResult => Promise.all(edges.map(edge => {
+		let requestOptions = { application: options.application || edge.application };
+		let result = { host: edge.wowzaAdress, application: requestOptions.application, status: 'configured', created: false };
+
+		return edge.updateStreamRepeater(requestOptions, settings)
+			.catch(err => {
+				if (err.status !== 404) throw err;
+				result.created = true;
+				return edge.createApplication(requestOptions, { appType: 'Live', description: `Edge of ${originUrl}` })
+					.then(() => edge.updateStreamRepeater(requestOptions, settings));
+			})
+			.then(() => restart(edge, requestOptions))
+			.then(() => result, err => Object.assign(result, { status: 'failed', error: err }));
+	})).then(results => ({ originUrl: originUrl, origin: originResult, edges: results })));
+}
+
+function splitUrls(value) {
+	return typeof value === 'string' ? value.split('|').map(url => url.trim()).filter(Boolean) : [];
+}
+
+module.exports = {
+	parseRepeaterSettings,
+	buildRepeaterConfig,
+	configureEdges,
+	MODES,
+	QUEUE_TYPES
+};
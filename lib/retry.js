@@ -0,0 +1,19 @@
+'use strict'
+
+/**
+ * Exponential backoff with jitter: a random delay between a half and a whole of the current step,
+ * the step doubles from retryDelay with every attempt and is capped by retryMaxDelay
+ *
+ * @function getRetryDelay
+ * @param {number} attempt number of the attempt which failed, from 1
+ * @param {Object} settings {retryDelay, retryMaxDelay} in ms
+ * @return {number} delay in ms
+ */
+function getRetryDelay(attempt, settings) {
+	let step = Math.min(settings.retryMaxDelay, settings.retryDelay * Math.pow(2, attempt - 1));
+	return Math.round(step / 2 + Math.random() * step / 2);
+}
+
+module.exports = {
+	getRetryDelay
+};
@@ -0,0 +1,173 @@
+'use strict'
+
+const crypto = require('crypto');
+const { WowzaValidationError } = require('./errors');
+
+// values of secureTokenHashAlgorithm => names of node crypto
+const ALGORITHMS = { 'SHA-256': 'sha256', 'SHA-384': 'sha384', 'SHA-512': 'sha512' };
+
+// client IP restrictions of the security resource, comma separated lists of addresses and wildcards
+const IP_LISTS = ['playIPWhiteList', 'playIPBlackList', 'publishIPWhiteList', 'publishIPBlackList'];
+
+// files of HTTP streaming which are not a part of the hashed path
+const HTTP_FILES = /\/(playlist\.m3u8|chunklist[^/]*\.m3u8|manifest\.mpd|manifest\.f4m|Manifest|media[^/]*\.ts)$/;
+
+/**
+ * Sign a playback URL with SecureToken v2 (hash) of Wowza.
+ *
+ * The hashed string is the path of the stream (application, instance and stream name without the HTTP streaming file)
+ * followed by '?' and the sorted list of the client IP, the shared secret and query parameters with the prefix, joined by '&'.
+ * The hash is Base64 encoded with '+' and '/' replaced by '-' and '_' and added as `<prefix>hash`.
+ *
+ * @function signPlaybackUrl
+ * @param {string} url playback URL, e.g. 'http://host:1935/vod/_definst_/mp4:sample.mp4/playlist.m3u8', or a path 'vod/mp4:sample.mp4'
+ * @param {Object} options
+ * @param {string} options.secret shared secret of the application (secureTokenSharedSecret)
+ * @param {string} [options.prefix = 'wowzatoken'] prefix of the query parameters (secureTokenQueryParametersPrefix)
+ * @param {string} [options.algorithm = 'SHA-256'] SHA-256 | SHA-384 | SHA-512 (secureTokenHashAlgorithm)
+ * @param {Date|number} [options.startTime] the URL is valid since, a Date or seconds since the epoch
+ * @param {Date|number} [options.endTime] the URL is valid till, a Date or seconds since the epoch
+ * @param {string} [options.cidr] range of client addresses, e.g. '192.168.1.0/24'
+ * @param {string} [options.clientIp] address of the client, when the application includes it in the hash (secureTokenIncludeClientIPInHash)
+ * @param {Object} [options.params] custom parameters which are protected by the hash, {CustomParameter: 'value'} becomes <prefix>CustomParameter=value
+ * @param {Object} [options.security] result of getApplicationSecurity(), the secret, prefix and algorithm are taken from it
+ * @return {string} the URL with the token parameters
+ * @throws {WowzaValidationError} without a secret or with an unknown algorithm
+ *
+ * @example
+ * signPlaybackUrl('https://stream.example.com/vod/_definst_/mp4:sample.mp4/playlist.m3u8', {
+ * 	secret: 'mySharedSecret',
+ * 	endTime: new Date(Date.now() + 60 * 60 * 1000)
+ * });
+ * // 'https://stream.example.com/vod/_definst_/mp4:sample.mp4/playlist.m3u8?wowzatokenendtime=...&wowzatokenhash=...'
+ */
+function signPlaybackUrl(url, options) {
+	options = Object.assign({}, options);
+	let defaults = securityOptions(options.security);
+	Object.keys(defaults).forEach(name => {
+		if (options[name] === undefined) options[name] = defaults[name];
+	});
+	let prefix = options.prefix || 'wowzatoken';
+	let algorithm = ALGORITHMS[algorithmName(options.algorithm || 'SHA-256')];
+	if (!options.secret) throw new WowzaValidationError('secret is required to sign a URL');
+	if (!algorithm) throw new WowzaValidationError(`algorithm should be one of ${Object.keys(ALGORITHMS).join(', ')}, got ${options.algorithm}`);
+
+	let parsed = parse(url);
+	let tokenParams = parsed.params.filter(param => param.name.indexOf(prefix) === 0 && param.name !== `${prefix}hash`);
+	let otherParams = parsed.params.filter(param => param.name.indexOf(prefix) !== 0);
+
+	let add = (name, value) => {
+		if (value === undefined || value === null) return;
+		tokenParams = tokenParams.filter(param => param.name !== `${prefix}${name}`);
+		tokenParams.push({ name: `${prefix}${name}`, value: String(value) });
+	};
+	add('starttime', seconds(options.startTime));
+	add('endtime', seconds(options.endTime));
+	add('CIDR', options.cidr);
+	Object.keys(options.params || {}).forEach(name => add(name, options.params[name]));
+
+	let hashParams = tokenParams.map(param => `${param.name}=${param.value}`).concat([options.secret]);
+	if (options.clientIp) hashParams.push(options.clientIp);
+	hashParams.sort();
+
+	let hash = crypto.createHash(algorithm).update(`${parsed.streamPath}?${hashParams.join('&')}`).digest('base64')
+		.replace(/\+/g, '-').replace(/\//g, '_');
+
+	let query = otherParams.map(param => param.raw)
+		.concat(tokenParams.slice().sort(byName).map(param => `${param.name}=${encodeURIComponent(param.value)}`))
+		.concat([`${prefix}hash=${hash}`]);
+	return `${parsed.base}?${query.join('&')}`;
+}
+
+/**
+ * The path which is hashed for a playback URL: application, instance and stream name
+ *
+ * @function getStreamPath
+ * @param {string} url playback URL or path
+ * @return {string} e.g. 'vod/_definst_/mp4:sample.mp4'
+ */
+function getStreamPath(url) {
+	return parse(url).streamPath;
+}
+
+/**
+ * Check and normalize settings of the application security resource before they are sent:
+ * IP lists can be passed as arrays, secureTokenHashAlgorithm and secureTokenVersion are checked
+ *
+ * @function normalizeApplicationSecurity
+ * @param {Object} security e.g. {secureTokenVersion: 2, secureTokenSharedSecret: '...', playIPWhiteList: ['10.0.0.*']}
+ * @return {Object} normalized copy
+ * @throws {WowzaValidationError} when a value is wrong
+ */
+function normalizeApplicationSecurity(security) {
+	if (!security || typeof security !== 'object') throw new WowzaValidationError('security settings should be an object');
+	let result = Object.assign({}, security);
+	let problems = [];
+
+	IP_LISTS.forEach(name => {
+		if (Array.isArray(result[name])) result[name] = result[name].join(',');
+		else if (result[name] !== undefined && typeof result[name] !== 'string') problems.push(`${name} should be a string or an array`);
+	});
+	if (result.secureTokenHashAlgorithm !== undefined) {
+		let algorithm = algorithmName(result.secureTokenHashAlgorithm);
+		if (ALGORITHMS[algorithm]) result.secureTokenHashAlgorithm = algorithm;
+		else problems.push(`secureTokenHashAlgorithm should be one of ${Object.keys(ALGORITHMS).join(', ')}`);
+	}
+	if (result.secureTokenVersion !== undefined && [0, 1, 2].indexOf(Number(result.secureTokenVersion)) === -1) {
+		problems.push('secureTokenVersion should be 0 (none), 1 (TEA) or 2 (hash)');
+	}
+	if (result.secureTokenVersion !== undefined) result.secureTokenVersion = Number(result.secureTokenVersion);
+
+	if (problems.length) throw new WowzaValidationError(`application security: ${problems.join(', ')}`);
+	return result;
+}
+
+function parse(url) {
+	let index = url.indexOf('?');
+	let base = index === -1 ? url : url.slice(0, index);
+	let query = index === -1 ? '' : url.slice(index + 1);
+
+	let path = base.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '').replace(/^\/+/, '');
+	let streamPath = decodeURIComponent(path.replace(HTTP_FILES, '').replace(/\/+$/, ''));
+
+	let params = query.split('&').filter(Boolean).map(raw => {
+		let separator = raw.indexOf('=');
+		return {
+			raw: raw,
+			name: decodeURIComponent(separator === -1 ? raw : raw.slice(0, separator)),
+			value: separator === -1 ? '' : decodeURIComponent(raw.slice(separator + 1))
+		};
+	});
+
+	return { base: base, streamPath: streamPath, params: params };
+}
+
+function securityOptions(security) {
+	if (!security) return {};
+	let result = {};
+	if (security.secureTokenSharedSecret) result.secret = security.secureTokenSharedSecret;
+	if (security.secureTokenQueryParametersPrefix) result.prefix = security.secureTokenQueryParametersPrefix;
+	if (security.secureTokenHashAlgorithm) result.algorithm = security.secureTokenHashAlgorithm;
+	return result;
+}
+
+// 'sha256', 'sha-256' and 'SHA-256' are the same
+function algorithmName(algorithm) {
+	return String(algorithm).toUpperCase().replace(/^SHA-?/, 'SHA-');
+}
+
+function seconds(time) {
+	if (time === undefined || time === null) return undefined;
+	return time instanceof Date ? Math.floor(time.getTime() / 1000) : Math.floor(Number(time));
+}
+
+function byName(a, b) {
+	return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+}
+
+module.exports = {
+	signPlaybackUrl,
+	getStreamPath,
+	normalizeApplicationSecurity,
+	ALGORITHMS
+};
@@ -0,0 +1,164 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+const STREAM_TYPES = ['video', 'audio', 'data'];
+
+// typed fields of a smilstream: field => type, numbers are sent as strings the way Wowza keeps SMIL attributes
+const STREAM_FIELDS = {
+	src: 'string',
+	systemLanguage: 'string',
+	videoBitrate: 'number',
+	audioBitrate: 'number',
+	width: 'number',
+	height: 'number',
+	type: 'type'
+};
+
+/**
+ * Check and normalize a SMIL file: its name loses '.smil', numeric fields of smilstreams become strings
+ * and the type of a smilstream is 'video' by default
+ *
+ * @function validateSmilFile
+ * @param {Object} smil {name, title, description, smilStreams: [{src, systemLanguage, videoBitrate, audioBitrate, width, height, type}]}
+ * @param {Object} [settings]
+ * @param {boolean} [settings.partial = false] smilStreams can be left out, for updates
+ * @return {Object} normalized copy
+ * @throws {WowzaValidationError} with all of the problems in the message
+ */
+function validateSmilFile(smil, settings) {
+	let partial = !!(settings && settings.partial);
+	if (!smil || typeof smil !== 'object') throw new WowzaValidationError('smil file should be an object');
+
+	let result = Object.assign({}, smil);
+	let problems = [];
+
+	if (typeof result.name !== 'string' || !result.name) problems.push('name is required');
+	else result.name = getSmilName(result.name);
+
+	if (result.smilStreams === undefined && partial) {
+		// nothing to check
+	} else if (!Array.isArray(result.smilStreams) || !result.smilStreams.length) {
+		problems.push('smilStreams should be a non-empty array');
+	} else {
+		result.smilStreams = result.smilStreams.map((stream, index) => normalizeStream(stream, `smilStreams[${index}]`, problems));
+	}
+
+	if (problems.length) throw new WowzaValidationError(`smil file${result.name ? ` ${result.name}` : ''}: ${problems.join(', ')}`);
+	return result;
+}
+
+/**
+ * Build a SMIL file of an adaptive bitrate group from streams
+ *
+ * @function buildSmilFile
+ * @param {string} name name of the SMIL file, with or without '.smil'
+ * @param {Array<string|Object>} streams a stream name as is, or an object with typed fields and one of:
+ * {streamFile: 'ipCam'} a streamfile, '.stream' is added;
+ * {streamName: 'myStream_720p'} a stream name as is;
+ * {encode, sourceStreamName} an encode of a transcoder template (see buildEncode), the name, bitrates and frame size are taken from it
+ * @param {Object} [settings]
+ * @param {string} [settings.title]
+ * @param {string} [settings.description]
+ * @return {Object} SMIL file which can be passed to createSmilFile
+ * @throws {WowzaValidationError} when a stream is wrong
+ *
+ * @example
+ * WowzaAPI.buildSmilFile('cameras', [
+ * 	{streamFile: 'cam1', videoBitrate: 3000000, width: 1280, height: 720},
+ * 	{streamFile: 'cam1_low', videoBitrate: 850000, width: 640, height: 360}
+ * ]);
+ * //{ name: 'cameras', title: '', description: '', smilStreams: [
+ * //  { type: 'video', src: 'cam1.stream', videoBitrate: '3000000', width: '1280', height: '720' },
+ * //  { type: 'video', src: 'cam1_low.stream', videoBitrate: '850000', width: '640', height: '360' } ] }
+ */
+function buildSmilFile(name, streams, settings) {
+	settings = settings || {};
+	if (!Array.isArray(streams)) throw new WowzaValidationError('streams should be an array');
+
+	return validateSmilFile({
+		name: name,
+		title: settings.title || '',
+		description: settings.description || '',
+		smilStreams: streams.map(toSmilStream)
+	});
+}
+
+/**
+ * SMIL streams of encodes of a transcoder template: enabled encodes which have a video bitrate, passthrough encodes are skipped
+ *
+ * @function getTranscoderSmilStreams
+ * @param {Object} template transcoder template, e.g. result of getTranscoderTemplate or buildAbrTemplate
+ * @param {string} sourceStreamName name of the transcoded stream
+ * @return {Array<Object>} streams for buildSmilFile
+ */
+function getTranscoderSmilStreams(template, sourceStreamName) {
+	return ((template && template.encodes) || [])
+		.filter(encode => encode.enable !== false && encode.video && typeof encode.video.bitrate === 'number')
+		.map(encode => ({ encode: encode, sourceStreamName: sourceStreamName }));
+}
+
+// name of a SMIL file without '.smil'
+function getSmilName(name) {
+	return name.replace(/\.smil$/, '');
+}
+
+function toSmilStream(stream) {
+	if (typeof stream === 'string') return { src: stream };
+	if (!stream || typeof stream !== 'object') return stream;
+
+	let result = Object.assign({}, stream);
+	if (result.streamFile !== undefined) {
+		result.src = `${String(result.streamFile).replace(/\.stream$/, '')}.stream`;
+	} else if (result.streamName !== undefined) {
+		result.src = result.streamName;
+	} else if (result.encode) {
+		let encode = result.encode;
+		let video = encode.video || {};
+		let frameSize = video.frameSize || {};
+		result = Object.assign({
+			src: String(encode.streamName || '').replace('${SourceStreamName}', result.sourceStreamName),
+			videoBitrate: video.bitrate,
+			audioBitrate: encode.audio && encode.audio.bitrate,
+			width: frameSize.width,
+			height: frameSize.height
+		}, result);
+	}
+	['streamFile', 'streamName', 'encode', 'sourceStreamName'].forEach(field => delete result[field]);
+	Object.keys(result).forEach(field => {
+		if (result[field] === undefined) delete result[field];
+	});
+	return result;
+}
+
+function normalizeStream(stream, prefix, problems) {
+	if (!stream || typeof stream !== 'object') {
+		problems.push(`${prefix} should be an object`);
+		return stream;
+	}
+	let result = Object.assign({ type: 'video' }, stream);
+
+	if (typeof result.src !== 'string' || !result.src) problems.push(`${prefix}: src is required`);
+	Object.keys(STREAM_FIELDS).forEach(field => {
+		let value = result[field];
+		if (value === undefined || field === 'src') return;
+
+		if (STREAM_FIELDS[field] === 'string' && typeof value !== 'string') {
+			problems.push(`${prefix}: ${field} should be a string`);
+		} else if (STREAM_FIELDS[field] === 'number') {
+			if (!/^\d+$/.test(String(value))) problems.push(`${prefix}: ${field} should be a non-negative integer, got ${value}`);
+			else result[field] = String(value);
+		} else if (STREAM_FIELDS[field] === 'type' && STREAM_TYPES.indexOf(value) === -1) {
+			problems.push(`${prefix}: type should be one of ${STREAM_TYPES.join(', ')}`);
+		}
+	});
+	return result;
+}
+
+module.exports = {
+	validateSmilFile,
+	buildSmilFile,
+	getTranscoderSmilStreams,
+	getSmilName,
+	STREAM_TYPES
+};
@@ -0,0 +1,188 @@
+'use strict'
+
+const reconcile = require('./reconcile');
+const { WowzaValidationError } = require('./errors');
+
+const FORMAT = 'wowza-application-snapshot';
+const VERSION = 1;
+
+// fields which describe the engine or the current moment rather than the configuration
+const VOLATILE_FIELDS = ['serverName', 'href', 'restURI', 'saveFieldList', 'version', 'actionType'];
+const RECORDER_STATE_FIELDS = ['recorderState', 'currentFile', 'currentSize', 'currentDuration', 'recordingStartTime', 'instanceName', 'recorderErrorString'];
+
+// lists of the snapshot which are compared item by item: list => key of an item
+const KEYED_LISTS = { streamFiles: 'name', streamTargets: 'entryName', recorders: 'recorderName' };
+
+/**
+ * Export configuration of an application to a versioned JSON snapshot:
+ * application config, advanced config (/adv), streamfiles with their configurations, stream targets and recorders.
+ *
+ * @function exportApplication
+ * @param {WowzaAPI} wowza
+ * @param {Object} [options] request options of the application, e.g. {application: 'live', appInstance: '_definst_'}
+ * @return {Promise} promise which resolve by the snapshot
+ */
+function exportApplication(wowza, options) {
+	options = Object.assign({}, options);
+	let application = options.application || wowza.application;
+
+	return Promise.all([
+		wowza.getApplicationConfig(options),
+		wowza.getApplicationAdvancedConfig(options),
+		wowza.getStreamFilesList(options).then(response => Promise.all((response.streamFiles || []).map(item =>
+			wowza.getStreamFileConfiguration(Object.assign({}, options, { streamFile: item.id }))
+				.then(config => Object.assign({ name: item.id }, config))
+		))),
+		wowza.getStreamTargets(options),
+		wowza.getRecordersList(options)
+	]).then(results => ({
+		format: FORMAT,
+		version: VERSION,
+		createdAt: new Date().toISOString(),
+		source: {
+			host: wowza.wowzaAdress,
+			port: wowza.port,
+			serverName: options.serverName || wowza.serverName,
+			vhost: options.vhost || wowza.vhost,
+			application: application,
+			appInstance: options.appInstance || wowza.appInstance
+		},
+		config: clean(results[0]),
+		advanced: clean(results[1]),
+		streamFiles: results[2].map(clean),
+		streamTargets: (results[3].mapEntries || []).map(clean),
+		recorders: (results[4].streamrecorder || []).map(recorder => clean(recorder, RECORDER_STATE_FIELDS))
+	}));
+}
+
+/**
+ * Restore a snapshot of exportApplication() to the same or another engine and application.
+ * The application is created when it's missing, otherwise its configuration is updated.
+ * Streamfiles and stream targets are restored by reconcile.apply(), so existing ones are updated
+ * and ones missing in the snapshot are kept unless `prune` is passed.
+ *
+ * @function importApplication
+ * @param {WowzaAPI} wowza
+ * @param {Object} [options] request options, e.g. serverName, vhost, timeout and:
+ * @param {string} [options.application] name of the restored application, the name of the snapshot by default
+ * @param {string} [options.appInstance] instance of recorders, the one of the snapshot by default
+ * @param {boolean} [options.prune = false] delete streamfiles and stream targets missing in the snapshot
+ * @param {boolean} [options.recorders = false] create recorders of the snapshot, they start recording as soon as their streams are published
+ * @param {number} [options.concurrency = 4] how many streamfiles and stream targets are restored at a time
+ * @param {Object} snapshot
+ * @return {Promise} promise which resolve by a report: {application, created, streamFiles: report of reconcile.apply, recorders: [{name, status, error}]}
+ */
+function importApplication(wowza, options, snapshot) {
+	options = Object.assign({}, options);
+	checkSnapshot(snapshot);
+
+	let application = options.application || snapshot.source.application;
+	let requestOptions = Object.assign({}, options, { application: application });
+	['prune', 'recorders', 'concurrency'].forEach(name => delete requestOptions[name]);
+	let config = Object.assign({}, snapshot.config, { name: application });
+	let report = { application: application, created: false, streamFiles: null, recorders: [] };
+
+	return wowza.getApplicationConfig(requestOptions).then(
+		() => wowza.updateApplicationConfig(requestOptions, config),
+		err => {
+			if (err.status !== 404) throw err;
+			report.created = true;
+			return wowza.createApplication(requestOptions, config);
+		}
+	).then(() => {
+		if (snapshot.advanced && (snapshot.advanced.advancedSettings || snapshot.advanced.modules)) {
+			return wowza.updateApplicationAdvancedConfig(requestOptions, snapshot.advanced);
+		}
+	}).then(() => reconcile.reconcile(wowza, {
+		application: application,
+		streamFiles: snapshot.streamFiles || [],
+		streamTargets: snapshot.streamTargets || []
+	}, Object.assign({}, requestOptions, { noDeletes: !options.prune, concurrency: options.concurrency }))).then(result => {
+		report.streamFiles = result;
+		if (!options.recorders) return;
+
+		let recorderOptions = Object.assign({}, requestOptions, { appInstance: options.appInstance || snapshot.source.appInstance });
+		return Promise.all((snapshot.recorders || []).map(recorder =>
+			wowza.createRecorder(recorder, Object.assign({}, recorderOptions, { streamFile: recorder.recorderName })).then(
+				() => report.recorders.push({ name: recorder.recorderName, status: 'applied', error: null }),
+				err => report.recorders.push({ name: recorder.recorderName, status: 'failed', error: err })
+			)
+		));
+	}).then(() => report);
+}
+
+/**
+ * Compare two snapshots, e.g. of staging and production engines.
+ * Metadata (time, source engine) and the application name are not compared,
+ * streamfiles, stream targets and recorders are matched by their names.
+ *
+ * @function compareSnapshots
+ * @param {Object} a snapshot
+ * @param {Object} b snapshot
+ * @return {Object} {equal, differences: [{path, a, b}]} where path is e.g. 'streamFiles.ipCam.uri',
+ * a value is undefined when it's missing in the snapshot
+ *
+ * @example
+ * Promise.all([staging.exportApplication(), production.exportApplication()])
+ * 	.then(snapshots => WowzaAPI.compareSnapshots(snapshots[0], snapshots[1]).differences
+ * 		.forEach(difference => console.log(difference.path, difference.a, '!=', difference.b)));
+ */
+function compareSnapshots(a, b) {
+	checkSnapshot(a);
+	checkSnapshot(b);
+
+	let differences = [];
+	let comparable = snapshot => {
+		let result = {
+			config: Object.assign({}, snapshot.config),
+			advanced: snapshot.advanced
+		};
+		delete result.config.name;
+		Object.keys(KEYED_LISTS).forEach(list => {
+			result[list] = {};
+			(snapshot[list] || []).forEach(item => { result[list][item[KEYED_LISTS[list]]] = item; });
+		});
+		return result;
+	};
+
+	diff(comparable(a), comparable(b), '', differences);
+	return { equal: !differences.length, differences: differences };
+}
+
+function diff(a, b, path, differences) {
+	if (isPlainObject(a) && isPlainObject(b)) {
+		let keys = Object.keys(a);
+		Object.keys(b).forEach(key => { if (keys.indexOf(key) === -1) keys.push(key); });
+		keys.forEach(key => diff(a[key], b[key], path ? `${path}.${key}` : key, differences));
+		return;
+	}
+	if (JSON.stringify(a) !== JSON.stringify(b)) {
+		differences.push({ path: path, a: a, b: b });
+	}
+}
+
+function checkSnapshot(snapshot) {
+	if (!snapshot || snapshot.format !== FORMAT) {
+		throw new WowzaValidationError('not a snapshot of exportApplication()');
+	}
+	if (snapshot.version > VERSION) {
+		throw new WowzaValidationError(`snapshot version ${snapshot.version} is not supported, the latest supported version is ${VERSION}`);
+	}
+}
+
+function clean(item, extraFields) {
+	let result = Object.assign({}, item);
+	VOLATILE_FIELDS.concat(extraFields || []).forEach(field => delete result[field]);
+	return result;
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+	exportApplication,
+	importApplication,
+	compareSnapshots,
+	SNAPSHOT_VERSION: VERSION
+};
@@ -0,0 +1,306 @@
+'use strict'
+
+const EventEmitter = require('events');
+const streams = require('./streams');
+
+/**
+ * Polls incoming streams of Wowza and emits events when their state changes.
+ * Every poll makes one getIncomingStreamsList request per application instance
+ * and getIncomingStreamStats request per connected stream.
+ *
+ * Every state change should be observed on `debounce` polls in a row before an event is emitted,
+ * and a dropped bitrate is restored only when it rises above `bitrateRestoreThreshold`,
+ * so a flapping stream doesn't flood listeners.
+ *
+ * Events (listeners receive the stream descriptor {key, application, appInstance, name} and the last stats or error):
+ * - connected, disconnected
+ * - bitrateDrop (bytesInRate fell below bitrateThreshold), bitrateRestored
+ * - stalled (bytesIn didn't change), resumed
+ * - error (a request failed), unlike other emitters errors are ignored while there is no listener, so polling is never broken;
+ *   an error thrown by a listener is emitted without a stream descriptor and polling goes on
+ *
+ * @class StreamMonitor
+ * @extends EventEmitter
+ * @param {WowzaAPI} wowza client used for requests
+ * @param {Object} [options]
+ * @param {Array<Object|string>} [options.streams] streams to watch: {application, appInstance, streamFile} or {application, appInstance, streamName}
+ * or a streamfile name string for the defaults of the client
+ * @param {Array<Object>} [options.discover] watch all streams of application instances: {application, appInstance, filter},
+ * filter is the same as for getIncomingStreamsList
+ * @param {number} [options.interval = 10000] polling interval in milliseconds
+ * @param {number} [options.debounce = 2] how many polls in a row should observe a change before an event
+ * @param {number} [options.bitrateThreshold = 0] bytes per second, bitrateDrop is emitted when bytesInRate is below it, 0 disables the check
+ * @param {number} [options.bitrateRestoreThreshold = bitrateThreshold * 1.2] bytes per second, bitrate is restored above it
+ * @param {number} [options.stallPolls = 3] polls without change of bytesIn before stalled
+ *
+ * @example
+ * let monitor = new StreamMonitor(wowza, {
+ * 	streams: [{application: 'live', streamFile: 'ipCam1'}, {application: 'live', streamName: 'myCam'}],
+ * 	interval: 5000,
+ * 	bitrateThreshold: 50000
+ * });
+ * monitor.on('disconnected', stream => alert(`${stream.name} is down`));
+ * monitor.on('error', err => console.log(err));
+ * monitor.start();
+ * ...
+ * monitor.stop();
+ */
+class StreamMonitor extends EventEmitter {
+
+	constructor(wowza, options) {
+		super();
+		options = options || {};
+		this.wowza = wowza;
+		this.interval = options.interval || 10000;
+		this.debounce = options.debounce || 2;
+		this.bitrateThreshold = options.bitrateThreshold || 0;
+		this.bitrateRestoreThreshold = options.bitrateRestoreThreshold || this.bitrateThreshold * 1.2;
+		this.stallPolls = options.stallPolls || 3;
+		this.discover = (options.discover || []).map(target => Object.assign({}, target, this._getLocation(target)));
+		this.streams = new Map();
+		(options.streams || []).forEach(stream => this.add(stream));
+
+		this.running = false;
+		this.timer = null;
+		this.controller = null;
+		this.polling = null;
+	}
+
+	/**
+	 * Add a stream to watch
+	 *
+	 * @method add
+	 * @param {Object|string} stream {application, appInstance, streamFile} or {application, appInstance, streamName} or a streamfile name
+	 * @return {Object} descriptor of the stream
+	 */
+	add(stream) {
+		if (typeof stream === 'string') stream = { streamFile: stream };
+		let location = this._getLocation(stream);
+		return this._track(location.application, location.appInstance, streams.getIncomingStreamName(stream, this.wowza.streamFile));
+	}
+
+	/**
+	 * Stop watching a stream
+	 *
+	 * @method remove
+	 * @param {Object|string} stream the same as for add
+	 */
+	remove(stream) {
+		if (typeof stream === 'string') stream = { streamFile: stream };
+		let location = this._getLocation(stream);
+		this.streams.delete(this._key(location.application, location.appInstance, streams.getIncomingStreamName(stream, this.wowza.streamFile)));
+	}
+
+	/**
+	 * Current state of the watched streams
+	 *
+	 * @method getStates
+	 * @return {Array<Object>} {key, application, appInstance, name, connected, bitrateLow, stalled, stats}
+	 */
+	getStates() {
+		return Array.from(this.streams.values()).map(state => ({
+			key: state.key,
+			application: state.application,
+			appInstance: state.appInstance,
+			name: state.name,
+			connected: state.connected,
+			bitrateLow: state.bitrateLow,
+			stalled: state.stalled,
+			stats: state.stats
+		}));
+	}
+
+	/**
+	 * Start polling, the first poll is made immediately
+	 *
+	 * @method start
+	 * @return {StreamMonitor}
+	 */
+	start() {
+		if (this.running) return this;
+		this.running = true;
+		this._schedule(0);
+		return this;
+	}
+
+	/**
+	 * Stop polling, in-flight requests are aborted
+	 *
+	 * @method stop
+	 * @return {Promise} promise which resolve when the current poll is finished
+	 */
+	stop() {
+		this.running = false;
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (this.controller) this.controller.abort();
+		return Promise.resolve(this.polling);
+	}
+
+	/**
+	 * Poll all of the streams once, it's called by the timer but can be called by hand
+	 *
+	 * @method poll
+	 * @return {Promise} promise which resolve when all of the events of the poll are emitted
+	 */
+	poll() {
+		let controller = typeof AbortController === 'function' ? new AbortController() : null;
+		this.controller = controller;
+		let signal = controller ? controller.signal : undefined;
+
+		let groups = new Map();
+		let group = (application, appInstance) => {
+			let key = this._key(application, appInstance, '');
+			if (!groups.has(key)) groups.set(key, { application: application, appInstance: appInstance, discover: [], streams: [] });
+			return groups.get(key);
+		};
+		this.discover.forEach(target => group(target.application, target.appInstance).discover.push(target));
+		this.streams.forEach(state => group(state.application, state.appInstance).streams.push(state));
+
+		this.polling = Promise.all(Array.from(groups.values()).map(item => this._pollGroup(item, signal)))
+			.then(() => {
+				if (this.controller === controller) this.controller = null;
+			});
+		return this.polling;
+	}
+
+	_schedule(delay) {
+		let next = () => {
+			if (this.running) this._schedule(this.interval);
+		};
+		this.timer = setTimeout(() => {
+			this.poll()
+				.catch(err => this._fail(err))
+				.then(next, next);
+		}, delay);
+	}
+
+	_pollGroup(group, signal) {
+		let options = { application: group.application, appInstance: group.appInstance, signal: signal };
+
+		return this.wowza.getIncomingStreamsList(options).then(list => {
+			if (!this.running && signal && signal.aborted) return;
+			let present = new Map();
+			list.incomingStreams.forEach(stream => present.set(stream.name, stream));
+
+			group.discover.forEach(target => {
+				streams.filterIncomingStreams(list, target.filter || {}).incomingStreams.forEach(stream => {
+					if (!group.streams.some(state => state.name === stream.name)) {
+						group.streams.push(this._track(group.application, group.appInstance, stream.name));
+					}
+				});
+			});
+
+			return Promise.all(group.streams.map(state => {
+				let stream = present.get(state.name);
+				if (!stream || stream.isConnected === false) {
+					return this._update(state, null);
+				}
+				let statsOptions = Object.assign({ streamName: state.name }, options);
+				return this.wowza.getIncomingStreamStats(statsOptions).then(
+					stats => this._update(state, stats),
+					err => err.status === 404 ? this._update(state, null) : this._fail(err, state)
+				);
+			}));
+		}, err => this._fail(err, { application: group.application, appInstance: group.appInstance }));
+	}
+
+	// stats is null for a disconnected stream
+	_update(state, stats) {
+		if (!this.streams.has(state.key)) return;
+
+		let connected = !!stats;
+		if (this._settle(state, 'connected', connected)) {
+			this._emit(connected ? 'connected' : 'disconnected', state, stats);
+		}
+		if (!connected) {
+			state.stats = null;
+			state.unchangedPolls = 0;
+			return;
+		}
+
+		if (this.bitrateThreshold) {
+			let rate = stats.bytesInRate || 0;
+			// hysteresis: low below the threshold, restored only above the restore threshold
+			let low = state.bitrateLow ? rate < this.bitrateRestoreThreshold : rate < this.bitrateThreshold;
+			if (this._settle(state, 'bitrateLow', low)) {
+				this._emit(low ? 'bitrateDrop' : 'bitrateRestored', state, stats);
+			}
+		}
+
+		if (state.stats && state.stats.bytesIn === stats.bytesIn) {
+			state.unchangedPolls++;
+		} else {
+			state.unchangedPolls = 0;
+		}
+		if (state.stats || state.stalled) {
+			if (this._settle(state, 'stalled', state.unchangedPolls >= this.stallPolls, 1)) {
+				this._emit(state.stalled ? 'stalled' : 'resumed', state, stats);
+			}
+		}
+		state.stats = stats;
+	}
+
+	// applies debounce to a change of the field, returns true when the field was changed
+	_settle(state, field, value, debounce) {
+		if (state[field] === value) {
+			state.pending[field] = 0;
+			return false;
+		}
+		state.pending[field] = (state.pending[field] || 0) + 1;
+		if (state.pending[field] < (debounce || this.debounce)) return false;
+
+		let initial = state[field] === null;
+		state.pending[field] = 0;
+		state[field] = value;
+		// nothing to report when a stream just appeared with normal bitrate
+		return !(initial && field !== 'connected' && !value);
+	}
+
+	_emit(event, state, stats) {
+		this.emit(event, this._descriptor(state), stats);
+	}
+
+	_fail(err, stream) {
+		if (!this.running && err instanceof Error && err.name === 'WowzaAbortError') return;
+		if (this.listenerCount('error')) {
+			this.emit('error', err, stream && stream.key ? this._descriptor(stream) : stream);
+		}
+	}
+
+	_track(application, appInstance, name) {
+		let key = this._key(application, appInstance, name);
+		if (!this.streams.has(key)) {
+			this.streams.set(key, {
+				key: key,
+				application: application,
+				appInstance: appInstance,
+				name: name,
+				connected: null,
+				bitrateLow: null,
+				stalled: null,
+				stats: null,
+				unchangedPolls: 0,
+				pending: {}
+			});
+		}
+		return this.streams.get(key);
+	}
+
+	_descriptor(state) {
+		return { key: state.key, application: state.application, appInstance: state.appInstance, name: state.name };
+	}
+
+	_getLocation(stream) {
+		return {
+			application: stream.application || this.wowza.application,
+			appInstance: stream.appInstance || this.wowza.appInstance
+		};
+	}
+
+	_key(application, appInstance, name) {
+		return `${application}/${appInstance}/${name}`;
+	}
+}
+
+module.exports = StreamMonitor;
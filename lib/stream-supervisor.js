@@ -0,0 +1,378 @@
+'use strict'
+
+const EventEmitter = require('events');
+const streams = require('./streams');
+const retry = require('./retry');
+
+/**
+ * Keeps streamfiles connected: checks their incoming streams and re-issues connectStreamFile
+ * with exponential backoff when a stream disappears (e.g. an IP camera was rebooted).
+ * Every check makes one getIncomingStreamsList request per application instance,
+ * a reconnecting stream is verified by getIncomingStreamInfo before every next attempt.
+ *
+ * States of a stream:
+ * - null: not checked yet
+ * - connected
+ * - reconnecting: connectStreamFile is re-issued with backoff
+ * - given-up: maxAttempts were made, call resume() to try again
+ * - paused: the stream was disconnected by disconnect(), it isn't reconnected until resume()
+ *
+ * Events (listeners receive the stream descriptor {key, application, appInstance, streamFile, mediaCasterType, name}):
+ * - change (descriptor, state, previousState) on every transition
+ * - connected, reconnecting, given-up, paused on transition to the state
+ * - attempt (descriptor, attempt) before every connectStreamFile
+ * - error (err, descriptor) a request failed, errors are ignored while there is no listener the same way as in StreamMonitor;
+ *   an error thrown by a listener is emitted without a descriptor and checks go on
+ *
+ * @class StreamSupervisor
+ * @extends EventEmitter
+ * @param {WowzaAPI} wowza client used for requests
+ * @param {Object} [options]
+ * @param {Array<Object|string>} [options.streams] streamfiles to keep connected: {application, appInstance, streamFile, mediaCasterType}
+ * or a streamfile name string for the defaults of the client
+ * @param {number} [options.interval = 10000] interval of checks of connected streams in milliseconds
+ * @param {number} [options.retryDelay = 1000] delay before the second attempt, it's doubled with every next attempt
+ * @param {number} [options.retryMaxDelay = 60000] maximum delay between attempts
+ * @param {number} [options.maxAttempts = 10] attempts before the stream is given up, Infinity to never give up
+ *
+ * @example
+ * let supervisor = new StreamSupervisor(wowza, {
+ * 	streams: [{application: 'live', streamFile: 'ipCam1', mediaCasterType: 'rtp'}, 'ipCam2'],
+ * 	retryMaxDelay: 30000
+ * });
+ * supervisor.on('change', (stream, state) => console.log(`${stream.name} is ${state}`));
+ * supervisor.start();
+ * ...
+ * // maintenance of the camera, the supervisor doesn't reconnect it
+ * supervisor.disconnect('ipCam2');
+ * ...
+ * supervisor.resume('ipCam2');
+ */
+class StreamSupervisor extends EventEmitter {
+
+	constructor(wowza, options) {
+		super();
+		options = options || {};
+		this.wowza = wowza;
+		this.interval = options.interval || 10000;
+		this.retryDelay = options.retryDelay || 1000;
+		this.retryMaxDelay = options.retryMaxDelay || 60000;
+		this.maxAttempts = options.maxAttempts === undefined ? 10 : options.maxAttempts;
+		this.streams = new Map();
+		(options.streams || []).forEach(stream => this.add(stream));
+
+		this.running = false;
+		this.timer = null;
+		this.controller = null;
+		this.checking = null;
+	}
+
+	/**
+	 * Add a streamfile to supervise
+	 *
+	 * @method add
+	 * @param {Object|string} stream {application, appInstance, streamFile, mediaCasterType} or a streamfile name
+	 * @return {Object} descriptor of the stream
+	 */
+	add(stream) {
+		let descriptor = this._getDescriptor(stream);
+		if (!this.streams.has(descriptor.key)) {
+			this.streams.set(descriptor.key, Object.assign(descriptor, {
+				state: null,
+				attempts: 0,
+				lastError: null,
+				timer: null,
+				busy: false
+			}));
+		}
+		return this._descriptor(this.streams.get(descriptor.key));
+	}
+
+	/**
+	 * Stop supervising a streamfile, its stream isn't disconnected
+	 *
+	 * @method remove
+	 * @param {Object|string} stream the same as for add
+	 */
+	remove(stream) {
+		let state = this._find(stream);
+		if (!state) return;
+		clearTimeout(state.timer);
+		this.streams.delete(state.key);
+	}
+
+	/**
+	 * Current state of a supervised streamfile
+	 *
+	 * @method getState
+	 * @param {Object|string} stream the same as for add
+	 * @return {Object|null} {key, application, appInstance, streamFile, mediaCasterType, name, state, attempts, lastError}
+	 */
+	getState(stream) {
+		let state = this._find(stream);
+		return state ? this._snapshot(state) : null;
+	}
+
+	/**
+	 * Current states of all of the supervised streamfiles
+	 *
+	 * @method getStates
+	 * @return {Array<Object>} the same objects as getState returns
+	 */
+	getStates() {
+		return Array.from(this.streams.values()).map(state => this._snapshot(state));
+	}
+
+	/**
+	 * Start supervising, the first check is made immediately
+	 *
+	 * @method start
+	 * @return {StreamSupervisor}
+	 */
+	start() {
+		if (this.running) return this;
+		this.running = true;
+		this.controller = typeof AbortController === 'function' ? new AbortController() : null;
+		this._schedule(0);
+		return this;
+	}
+
+	/**
+	 * Stop supervising, in-flight requests are aborted, states are kept and reconnection continues after start()
+	 *
+	 * @method stop
+	 * @return {Promise} promise which resolve when the current check is finished
+	 */
+	stop() {
+		this.running = false;
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.streams.forEach(state => {
+			clearTimeout(state.timer);
+			state.timer = null;
+		});
+		if (this.controller) this.controller.abort();
+		this.controller = null;
+		return Promise.resolve(this.checking);
+	}
+
+	/**
+	 * Check all of the streams once, it's called by the timer but can be called by hand
+	 *
+	 * @method check
+	 * @return {Promise} promise which resolve when the check and first attempts of reconnection are finished, next attempts go on in background
+	 */
+	check() {
+		let groups = new Map();
+		this.streams.forEach(state => {
+			let key = `${state.application}/${state.appInstance}`;
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(state);
+		});
+
+		this.checking = Promise.all(Array.from(groups.values()).map(states => this._checkGroup(states)));
+		return this.checking;
+	}
+
+	/**
+	 * Disconnect the incoming stream of a supervised streamfile, reconnection is paused until resume()
+	 *
+	 * @method disconnect
+	 * @param {Object|string} stream the same as for add
+	 * @param {Object} [options] request options of disconnectIncomingStream, e.g. timeout
+	 * @return {Promise} promise which resolve by Wowza answer of disconnectIncomingStream
+	 */
+	disconnect(stream, options) {
+		let state = this._find(stream);
+		if (!state) return Promise.reject(new Error(`Stream ${this._getDescriptor(stream).key} is not supervised`));
+
+		// paused before the request, so a concurrent check doesn't see the stream missing and reconnect it
+		clearTimeout(state.timer);
+		state.timer = null;
+		this._setState(state, 'paused');
+
+		return this.wowza.disconnectIncomingStream(Object.assign(this._requestOptions(state), options));
+	}
+
+	/**
+	 * Resume supervising of a paused or given-up streamfile, it's connected immediately when it's missing
+	 *
+	 * @method resume
+	 * @param {Object|string} stream the same as for add
+	 * @return {Promise} promise which resolve when the stream is checked
+	 */
+	resume(stream) {
+		let state = this._find(stream);
+		if (!state || (state.state !== 'paused' && state.state !== 'given-up')) return Promise.resolve();
+
+		state.attempts = 0;
+		state.lastError = null;
+		this._setState(state, null);
+		return this._checkGroup([state]);
+	}
+
+	_schedule(delay) {
+		let next = () => {
+			if (this.running) this._schedule(this.interval);
+		};
+		this.timer = setTimeout(() => {
+			this.check()
+				.catch(err => this._fail(err))
+				.then(next, next);
+		}, delay);
+	}
+
+	_checkGroup(states) {
+		let first = states[0];
+		let options = { application: first.application, appInstance: first.appInstance, signal: this._signal() };
+
+		return this.wowza.getIncomingStreamsList(options).then(list => {
+			let present = new Map();
+			list.incomingStreams.forEach(stream => present.set(stream.name, stream));
+
+			return Promise.all(states.map(state => {
+				if (!this._isActive(state) || state.busy || state.timer) return;
+
+				let stream = present.get(state.name);
+				if (stream && stream.isConnected !== false) {
+					return this._connected(state);
+				}
+				return this._reconnect(state);
+			}));
+		}, err => this._fail(err, first));
+	}
+
+	_reconnect(state) {
+		if (state.attempts >= this.maxAttempts) {
+			this._setState(state, 'given-up');
+			return;
+		}
+		this._setState(state, 'reconnecting');
+
+		state.attempts++;
+		state.busy = true;
+		// a throwing listener doesn't cancel the attempt, otherwise the stream would stay busy forever
+		try {
+			this.emit('attempt', this._descriptor(state), state.attempts);
+		} catch (err) {
+			this._fail(err);
+		}
+
+		return this.wowza.connectStreamFile(this._requestOptions(state))
+			.catch(err => {
+				state.lastError = err;
+				this._fail(err, state);
+			})
+			.then(() => {
+				state.busy = false;
+				if (!this._isActive(state) || !this.running) return;
+
+				let delay = retry.getRetryDelay(state.attempts, { retryDelay: this.retryDelay, retryMaxDelay: this.retryMaxDelay });
+				state.timer = setTimeout(() => {
+					state.timer = null;
+					this._verify(state).catch(err => this._fail(err));
+				}, delay);
+			});
+	}
+
+	// the connect action only starts connecting, so the result of an attempt is checked before the next one
+	_verify(state) {
+		state.busy = true;
+		return this.wowza.getIncomingStreamInfo(this._requestOptions(state)).then(
+			stream => stream.isConnected !== false,
+			err => {
+				if (err.status !== 404) this._fail(err, state);
+				return false;
+			}
+		).then(connected => {
+			state.busy = false;
+			if (!this._isActive(state) || !this.running) return;
+			return connected ? this._connected(state) : this._reconnect(state);
+		});
+	}
+
+	_connected(state) {
+		state.attempts = 0;
+		state.lastError = null;
+		this._setState(state, 'connected');
+	}
+
+	_setState(state, value) {
+		let previous = state.state;
+		if (previous === value) return;
+		state.state = value;
+		if (value === null) return;
+
+		let descriptor = this._descriptor(state);
+		this.emit('change', descriptor, value, previous);
+		this.emit(value, descriptor);
+	}
+
+	// paused and given-up streams aren't touched, removed streams are forgotten
+	_isActive(state) {
+		return this.streams.get(state.key) === state && state.state !== 'paused' && state.state !== 'given-up';
+	}
+
+	_fail(err, state) {
+		if (!this.running && err instanceof Error && err.name === 'WowzaAbortError') return;
+		if (this.listenerCount('error')) {
+			this.emit('error', err, state ? this._descriptor(state) : undefined);
+		}
+	}
+
+	_signal() {
+		return this.controller ? this.controller.signal : undefined;
+	}
+
+	_requestOptions(state) {
+		return {
+			application: state.application,
+			appInstance: state.appInstance,
+			streamFile: state.streamFile,
+			mediaCasterType: state.mediaCasterType,
+			signal: this._signal()
+		};
+	}
+
+	_find(stream) {
+		return this.streams.get(this._getDescriptor(stream).key);
+	}
+
+	_getDescriptor(stream) {
+		if (typeof stream === 'string') stream = { streamFile: stream };
+		let application = stream.application || this.wowza.application;
+		let appInstance = stream.appInstance || this.wowza.appInstance;
+		let streamFile = streams.checkStreamFileName(stream.streamFile || this.wowza.streamFile);
+		let name = streams.getIncomingStreamName({ streamFile: streamFile });
+
+		return {
+			key: `${application}/${appInstance}/${name}`,
+			application: application,
+			appInstance: appInstance,
+			streamFile: streamFile,
+			mediaCasterType: stream.mediaCasterType || this.wowza.mediaCasterType,
+			name: name
+		};
+	}
+
+	_descriptor(state) {
+		return {
+			key: state.key,
+			application: state.application,
+			appInstance: state.appInstance,
+			streamFile: state.streamFile,
+			mediaCasterType: state.mediaCasterType,
+			name: state.name
+		};
+	}
+
+	_snapshot(state) {
+		return Object.assign(this._descriptor(state), {
+			state: state.state,
+			attempts: state.attempts,
+			lastError: state.lastError
+		});
+	}
+}
+
+module.exports = StreamSupervisor;
@@ -0,0 +1,202 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+// push publish profiles: the value of `profile`, required fields and defaults filled in by the builders
+const PROFILES = {
+	rtmp: {
+		profile: 'rtmp',
+		required: ['host', 'application', 'streamName'],
+		defaults: { port: 1935 }
+	},
+	akamai: {
+		profile: 'rtmp-akamai',
+		required: ['streamName', 'akamai.hostId', 'akamai.streamId'],
+		defaults: { 'akamai.destinationServer': 'primary' }
+	},
+	facebook: {
+		profile: 'rtmp',
+		required: ['host', 'application', 'streamName'],
+		defaults: { host: 'live-api-s.facebook.com', port: 443, application: 'rtmp', sendSSL: true }
+	},
+	youtube: {
+		profile: 'rtmp',
+		required: ['host', 'application', 'streamName'],
+		defaults: { host: 'a.rtmp.youtube.com', port: 1935, application: 'live2' }
+	},
+	hls: {
+		profile: 'cupertino-http',
+		required: ['host'],
+		defaults: { port: 80 }
+	},
+	srt: {
+		profile: 'srt',
+		required: ['host', 'port'],
+		defaults: {}
+	}
+};
+
+// types which are recognized by the profile alone, facebook and youtube are rtmp targets with defaults
+const BY_PROFILE = { 'rtmp': 'rtmp', 'rtmp-akamai': 'akamai', 'cupertino-http': 'hls', 'srt': 'srt' };
+
+// field names which are often used instead of the ones Wowza expects
+const MISSPELLINGS = {
+	username: 'userName',
+	user: 'userName',
+	app: 'application',
+	applicationName: 'application',
+	stream: 'streamName',
+	streamKey: 'streamName',
+	key: 'streamName',
+	source: 'sourceStreamName',
+	sourceStream: 'sourceStreamName',
+	name: 'entryName',
+	ssl: 'sendSSL',
+	secure: 'sendSSL',
+	hostname: 'host',
+	hostName: 'host',
+	'akamai.hostID': 'akamai.hostId',
+	'akamai.streamID': 'akamai.streamId',
+	srtPassphrase: 'srtPassPhrase'
+};
+
+const BOOLEAN_FIELDS = ['enabled', 'sendSSL', 'autoStartRecording', 'adaptiveStreaming', 'sendStreamCloseCommands', 'debugLog'];
+
+/**
+ * Check a stream target configuration before it is sent to Wowza
+ *
+ * Every target needs entryName, profile and sourceStreamName, profiles of PROFILES need their fields, e.g. rtmp needs host, application and streamName.
+ * Misspelled field names (username, streamKey, app...) and wrong types of port and boolean fields are reported.
+ *
+ * @function validateStreamTarget
+ * @param {Object} config stream target configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.partial = false] check only fields which are present, e.g. for updates; entryName is required anyway
+ * @return {Object} the configuration
+ * @throws {WowzaValidationError} with all of the problems in the message
+ *
+ * @example
+ * validateStreamTarget({entryName: 'fb1', profile: 'rtmp', host: 'live-api-s.facebook.com', streamKey: '...'});
+ * // WowzaValidationError: stream target fb1: application is required, streamName is required, unknown field streamKey, did you mean streamName?
+ */
+function validateStreamTarget(config, options) {
+	let partial = !!(options && options.partial);
+	if (!config || typeof config !== 'object') throw new WowzaValidationError('stream target configuration should be an object');
+
+	let problems = [];
+	let type = BY_PROFILE[config.profile];
+	let required = ['entryName'].concat(partial ? [] : ['profile', 'sourceStreamName'], type && !partial ? PROFILES[type].required : []);
+
+	required.forEach(field => {
+		if (config[field] === undefined || config[field] === null || config[field] === '') problems.push(`${field} is required`);
+	});
+	Object.keys(config).forEach(field => {
+		if (MISSPELLINGS[field] && config[MISSPELLINGS[field]] === undefined) {
+			problems.push(`unknown field ${field}, did you mean ${MISSPELLINGS[field]}?`);
+		}
+	});
+	if (config.port !== undefined) {
+		let port = Number(config.port);
+		if (config.port === '' || !Number.isInteger(port) || port < 1 || port > 65535) problems.push(`port should be 1-65535, got ${config.port}`);
+	}
+	BOOLEAN_FIELDS.forEach(field => {
+		if (config[field] !== undefined && typeof config[field] !== 'boolean' && config[field] !== 'true' && config[field] !== 'false') {
+			problems.push(`${field} should be a boolean, got ${config[field]}`);
+		}
+	});
+
+	if (problems.length) {
+		throw new WowzaValidationError(`${config.entryName ? `stream target ${config.entryName}` : 'stream target'}: ${problems.join(', ')}`);
+	}
+	return config;
+}
+
+function build(type, fields) {
+	return validateStreamTarget(Object.assign({ profile: PROFILES[type].profile, enabled: true }, PROFILES[type].defaults, fields));
+}
+
+/**
+ * Builders of stream target configurations, they fill in the profile and defaults and validate the result.
+ * Every builder takes entryName and sourceStreamName, other fields are listed by builder.
+ *
+ * @example
+ * wowza.createStreamTarget({application: 'live'}, streamTargets.youtube({entryName: 'yt', sourceStreamName: 'studio', streamKey: 'xxxx-xxxx'}));
+ */
+const streamTargets = {
+
+	/**
+	 * Generic RTMP target
+	 *
+	 * @function rtmp
+	 * @param {Object} fields entryName, sourceStreamName, host, application, streamName and optional port (1935), userName, password, sendSSL
+	 * @return {Object} stream target configuration
+	 */
+	rtmp: fields => build('rtmp', fields),
+
+	/**
+	 * Akamai RTMP target
+	 *
+	 * @function akamai
+	 * @param {Object} fields entryName, sourceStreamName, streamName, 'akamai.hostId', 'akamai.streamId'
+	 * and optional 'akamai.destinationServer' (primary | backup), userName, password
+	 * @return {Object} stream target configuration
+	 */
+	akamai: fields => build('akamai', fields),
+
+	/**
+	 * Facebook Live over RTMPS
+	 *
+	 * @function facebook
+	 * @param {Object} fields entryName, sourceStreamName, streamKey (or streamName) and optional host, port, application
+	 * @return {Object} stream target configuration
+	 */
+	facebook: fields => build('facebook', withStreamKey(fields)),
+
+	/**
+	 * YouTube Live over RTMP
+	 *
+	 * @function youtube
+	 * @param {Object} fields entryName, sourceStreamName, streamKey (or streamName) and optional backup: true for the backup ingest server
+	 * @return {Object} stream target configuration
+	 */
+	youtube: fields => {
+		fields = withStreamKey(fields);
+		let backup = fields.backup;
+		delete fields.backup;
+		if (backup) fields = Object.assign({ host: 'b.rtmp.youtube.com', application: 'live2?backup=1' }, fields);
+		return build('youtube', fields);
+	},
+
+	/**
+	 * Generic HLS target which pushes playlists and chunks over HTTP
+	 *
+	 * @function hls
+	 * @param {Object} fields entryName, sourceStreamName, host and optional port (80), userName, password, sendSSL
+	 * @return {Object} stream target configuration
+	 */
+	hls: fields => build('hls', fields),
+
+	/**
+	 * SRT target
+	 *
+	 * @function srt
+	 * @param {Object} fields entryName, sourceStreamName, host, port and optional srtLatency, srtPassPhrase
+	 * @return {Object} stream target configuration
+	 */
+	srt: fields => build('srt', fields)
+};
+
+function withStreamKey(fields) {
+	fields = Object.assign({}, fields);
+	if (fields.streamKey !== undefined) {
+		fields.streamName = fields.streamKey;
+		delete fields.streamKey;
+	}
+	return fields;
+}
+
+module.exports = {
+	streamTargets,
+	validateStreamTarget,
+	PROFILES
+};
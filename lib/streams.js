@@ -0,0 +1,91 @@
+'use strict'
+
+/**
+ * Strip '.stream' from the end of a streamfile name.
+ * Connect streamfile wowza http method works only for streamfiles which name pattern is: [name].stream,
+ * and URL connect stream method need only [name] part for identificate streamfile,
+ * others URL methods works with all named streamfiles and need full name in params.
+ *
+ * @function checkStreamFileName
+ * @param {string} streamFile e.g. 'ipCam' or 'ipCam.stream'
+ * @return {string} e.g. 'ipCam'
+ */
+function checkStreamFileName(streamFile) {
+	let splitted = streamFile.split('.');
+	return splitted.pop() === 'stream' ? splitted.join('.') : streamFile;
+}
+
+/**
+ * Name of an incoming stream: options.streamName is used as is (e.g. RTMP published 'myCam'),
+ * options.streamFile is a streamfile which incoming stream is always named [name].stream,
+ * so both 'ipCam' and 'ipCam.stream' are normalized to 'ipCam.stream'.
+ *
+ * @function getIncomingStreamName
+ * @param {Object} [options] {streamName} or {streamFile}
+ * @param {string} [defaultStreamFile] streamfile used when options have neither
+ * @return {string}
+ */
+function getIncomingStreamName(options, defaultStreamFile) {
+	if (options && options.streamName) return options.streamName;
+
+	let streamFile = (options && options.streamFile) || defaultStreamFile;
+	return `${checkStreamFileName(streamFile)}.stream`;
+}
+
+/**
+ * Source of an incoming stream
+ *
+ * @function getIncomingStreamSourceType
+ * @param {Object} stream incoming stream from getIncomingStreamsList
+ * @return {string} streamfile | publish | scheme of the source URI
+ */
+function getIncomingStreamSourceType(stream) {
+	if (/\.stream$/.test(stream.name)) return 'streamfile';
+	let scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(stream.sourceIp || '');
+	return scheme ? scheme[1].toLowerCase() : 'publish';
+}
+
+/**
+ * Filter and paginate incoming streams of a getIncomingStreamsList response
+ *
+ * @function filterIncomingStreams
+ * @param {Object} response getIncomingStreamsList response
+ * @param {Object} filter {namePattern, sourceType, isConnected, page, pageSize} as for getIncomingStreamsList
+ * @return {Object} copy of the response with sourceType on every stream and {total, page, pageSize, pages}
+ */
+function filterIncomingStreams(response, filter) {
+	let namePattern = filter.namePattern;
+	if (typeof namePattern === 'string') {
+		namePattern = new RegExp(`^${namePattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+	}
+	let sourceTypes = filter.sourceType === undefined ? null : [].concat(filter.sourceType);
+
+	let streams = (response.incomingStreams || [])
+		.map(stream => Object.assign({ sourceType: getIncomingStreamSourceType(stream) }, stream))
+		.filter(stream => {
+			if (namePattern && !namePattern.test(stream.name)) return false;
+			if (sourceTypes && sourceTypes.indexOf(stream.sourceType) === -1) return false;
+			if (filter.isConnected !== undefined && stream.isConnected !== filter.isConnected) return false;
+			return true;
+		});
+
+	let total = streams.length;
+	let pageSize = filter.pageSize || total;
+	let page = filter.page || 1;
+	let start = (page - 1) * pageSize;
+
+	return Object.assign({}, response, {
+		incomingStreams: streams.slice(start, start + pageSize),
+		total: total,
+		page: page,
+		pageSize: pageSize,
+		pages: pageSize ? Math.ceil(total / pageSize) : 0
+	});
+}
+
+module.exports = {
+	checkStreamFileName,
+	getIncomingStreamName,
+	getIncomingStreamSourceType,
+	filterIncomingStreams
+};
@@ -0,0 +1,143 @@
+'use strict'
+
+const { WowzaValidationError } = require('./errors');
+
+const DEFAULT_VIDEO_CODEC = 'H.264';
+const DEFAULT_AUDIO_CODEC = 'AAC';
+
+// bitrate can be passed as a number of bits per second or as a string with k/m suffix: '850k', '3M'
+function parseBitrate(value, field) {
+	if (typeof value === 'number' && value > 0) return Math.round(value);
+	let match = typeof value === 'string' && /^([0-9.]+)\s*([km]?)$/i.exec(value.trim());
+	if (!match) {
+		throw new WowzaValidationError(`${field} should be a positive number of bits per second or a string like '850k', got ${value}`);
+	}
+	let multiplier = { '': 1, k: 1000, m: 1000000 }[match[2].toLowerCase()];
+	return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+function checkDimension(value, field) {
+	if (!Number.isInteger(value) || value <= 0) {
+		throw new WowzaValidationError(`${field} should be a positive integer, got ${value}`);
+	}
+	return value;
+}
+
+/**
+ * Build a transcoder encode of a single rendition
+ *
+ * @function buildEncode
+ * @param {Object} rendition
+ * @param {string} rendition.name name of the encode, it's used as a suffix of the stream name
+ * @param {number} rendition.width
+ * @param {number} rendition.height
+ * @param {number|string} rendition.videoBitrate bits per second or a string like '850k'
+ * @param {number|string} [rendition.audioBitrate = 96000] bits per second or a string like '96k'
+ * @param {string} [rendition.videoCodec = 'H.264']
+ * @param {string} [rendition.audioCodec = 'AAC']
+ * @param {string} [rendition.profile = 'main'] video codec profile: baseline | main | high
+ * @param {number} [rendition.keyFrameInterval] key frame interval in frames, the source one is followed by default
+ * @param {string} [rendition.fitMode = 'fit-height'] fit mode of the frame size
+ * @param {string} [rendition.implementation = 'default'] encoder implementation: default | NVENC | QuickSync
+ * @return {Object} encode in the shape of the transcoder REST resource
+ */
+function buildEncode(rendition) {
+	if (!rendition || !rendition.name) {
+		throw new WowzaValidationError('rendition.name is required');
+	}
+	let prefix = `rendition ${rendition.name}`;
+
+	return {
+		name: rendition.name,
+		enable: true,
+		description: `${rendition.width}x${rendition.height}`,
+		streamName: `mp4:\${SourceStreamName}_${rendition.name}`,
+		video: {
+			codec: rendition.videoCodec || DEFAULT_VIDEO_CODEC,
+			implementation: rendition.implementation || 'default',
+			gpuid: -1,
+			bitrate: parseBitrate(rendition.videoBitrate, `${prefix}: videoBitrate`),
+			profile: rendition.profile || 'main',
+			frameSize: {
+				fitMode: rendition.fitMode || 'fit-height',
+				width: checkDimension(rendition.width, `${prefix}: width`),
+				height: checkDimension(rendition.height, `${prefix}: height`)
+			},
+			keyFrameInterval: rendition.keyFrameInterval ?
+				{ followSource: false, interval: checkDimension(rendition.keyFrameInterval, `${prefix}: keyFrameInterval`) } :
+				{ followSource: true, interval: 60 }
+		},
+		audio: {
+			codec: rendition.audioCodec || DEFAULT_AUDIO_CODEC,
+			bitrate: parseBitrate(rendition.audioBitrate || 96000, `${prefix}: audioBitrate`)
+		}
+	};
+}
+
+/**
+ * Build a transcoder template with a standard ABR ladder from a list of renditions.
+ * Every rendition becomes an encode, all of them (and the source passthrough) are members
+ * of a stream name group which can be played as a single ABR stream.
+ *
+ * @function buildAbrTemplate
+ * @param {Array<Object>} renditions renditions of the ladder, see buildEncode
+ * @param {Object} [options]
+ * @param {string} [options.name = 'abr'] name of the template
+ * @param {string} [options.description]
+ * @param {boolean} [options.sourcePassthrough = true] add passthrough encode of the source stream to the group
+ * @param {string} [options.groupName = 'all'] name of the stream name group, false to skip the group
+ * @return {Object} template which can be passed to createTranscoderTemplate
+ *
+ * @example
+ * let template = WowzaAPI.buildAbrTemplate([
+ * 	{name: '720p', width: 1280, height: 720, videoBitrate: '3000k', audioBitrate: '128k', profile: 'high'},
+ * 	{name: '360p', width: 640, height: 360, videoBitrate: '850k'}
+ * ], {name: 'cameras'});
+ * wowza.createTranscoderTemplate({application: 'live'}, template);
+ */
+function buildAbrTemplate(renditions, options) {
+	options = options || {};
+	if (!Array.isArray(renditions) || !renditions.length) {
+		throw new WowzaValidationError('renditions should be a non-empty array');
+	}
+
+	let encodes = renditions.map(buildEncode);
+	let names = encodes.map(encode => encode.name);
+	names.forEach((name, i) => {
+		if (names.indexOf(name) !== i || name === 'source') {
+			throw new WowzaValidationError(`rendition name ${name} is not unique`);
+		}
+	});
+
+	if (options.sourcePassthrough !== false) {
+		encodes.unshift({
+			name: 'source',
+			enable: true,
+			description: 'Source passthrough',
+			streamName: 'mp4:${SourceStreamName}_source',
+			video: { codec: 'PassThru' },
+			audio: { codec: 'PassThru' }
+		});
+	}
+
+	let groupName = options.groupName === undefined ? 'all' : options.groupName;
+
+	return {
+		name: options.name || 'abr',
+		description: options.description || `ABR ladder: ${names.join(', ')}`,
+		decode: {
+			video: { implementation: 'default', deinterlace: false }
+		},
+		encodes: encodes,
+		streamNameGroups: groupName ? [{
+			name: groupName,
+			streamName: `\${SourceStreamName}_${groupName}`,
+			members: encodes.map(encode => ({ encodeName: encode.name }))
+		}] : []
+	};
+}
+
+module.exports = {
+	buildEncode,
+	buildAbrTemplate
+};
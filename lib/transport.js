@@ -0,0 +1,48 @@
+'use strict'
+
+/**
+ * Transport is an object which sends requests to the Wowza REST API on behalf of a WowzaAPI instance.
+ * Any object with the same `request(options, callback)` signature as the node `http` module can be used,
+ * the only difference is that a transport is responsible for sending `options.body` itself.
+ *
+ * @typedef {Object} Transport
+ * @property {Function} request (options, callback) => request object, the request object should emit 'error'
+ * and should be finished by the caller with `end()`; callback receives an `http.IncomingMessage` like response
+ */
+
+/**
+ * Create a transport over the native `http` or `https` module
+ *
+ * @function createNativeTransport
+ * @param {string} [protocol = 'http'] one of: http | https
+ * @return {Transport}
+ *
+ * @example
+ * let transport = createNativeTransport('https');
+ * let req = transport.request({host: 'localhost', port: 8087, path: '/v2/servers', method: 'GET'}, res => {...});
+ * req.on('error', err => {...});
+ * req.end();
+ */
+function createNativeTransport(protocol) {
+	let http = require(protocol === 'https' ? 'https' : 'http');
+
+	return {
+		request(options, callback) {
+			let body = options.body;
+
+			//the native module knows nothing about body, so it should be written to the request by hand
+			let requestOptions = Object.assign({}, options);
+			delete requestOptions.body;
+
+			let req = http.request(requestOptions, callback);
+			if (body) {
+				req.write(body);
+			}
+			return req;
+		}
+	};
+}
+
+module.exports = {
+	createNativeTransport
+};
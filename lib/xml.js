@@ -0,0 +1,189 @@
+'use strict'
+
+// Minimal XML parser for answers of the Wowza REST API.
+// It doesn't try to be a full featured XML parser: no DTD, no namespaces, only what Wowza sends.
+
+const ENTITIES = {
+	lt: '<',
+	gt: '>',
+	amp: '&',
+	quot: '"',
+	apos: "'"
+};
+
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+		if (entity[0] === '#') {
+			let code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+			return String.fromCharCode(code);
+		}
+		return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+	});
+}
+
+function parseAttributes(source) {
+	let attributes = {};
+	let re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+	let match;
+	while ((match = re.exec(source))) {
+		attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+	}
+	return attributes;
+}
+
+/**
+ * Parse XML text to a tree of nodes
+ *
+ * @function parseTree
+ * @param {string} text
+ * @return {Object} root node { name, attributes, children, text }
+ */
+function parseTree(text) {
+	let root = { name: null, attributes: {}, children: [], text: '' };
+	let stack = [root];
+	let re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+	let match;
+	let position = 0;
+
+	while ((match = re.exec(text))) {
+		if (match.index !== position) break;
+		position = re.lastIndex;
+		let current = stack[stack.length - 1];
+
+		if (match[1] !== undefined) {
+			current.text += match[1];
+		} else if (match[2] !== undefined) {
+			if (current.name !== match[2]) {
+				throw new SyntaxError(`Unexpected closing tag </${match[2]}>`);
+			}
+			stack.pop();
+		} else if (match[3] !== undefined) {
+			let node = { name: match[3], attributes: parseAttributes(match[4] || ''), children: [], text: '' };
+			current.children.push(node);
+			if (!match[5]) stack.push(node);
+		} else if (match[6] !== undefined) {
+			current.text += decodeEntities(match[6]);
+		}
+	}
+
+	if (position !== text.length) {
+		throw new SyntaxError(`Unexpected XML at position ${position}`);
+	}
+	if (stack.length !== 1) {
+		throw new SyntaxError(`Unclosed tag <${stack[stack.length - 1].name}>`);
+	}
+	if (root.children.length !== 1) {
+		throw new SyntaxError('XML document should have a single root element');
+	}
+
+	return root.children[0];
+}
+
+function lowerCamel(name) {
+	return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+// text values are typed the way Wowza types them in JSON answers
+function toValue(text) {
+	let value = text.trim();
+	if (value === 'true') return true;
+	if (value === 'false') return false;
+	if (/^-?(0|[1-9][0-9]{0,14})(\.[0-9]+)?$/.test(value)) return Number(value);
+	return value;
+}
+
+// list containers of Wowza answers => keys of the lists in JSON answers,
+// their items don't always have the singular name, e.g. <Applications><ApplicationConfig>
+const LIST_CONTAINERS = {
+	Applications: 'applications',
+	DvrConverterStores: 'dvrconverterstoreList',
+	IncomingStreams: 'incomingStreams',
+	Instances: 'instanceList',
+	MapEntries: 'mapEntries',
+	Publishers: 'publishers',
+	SMILFiles: 'smilFiles',
+	StreamFiles: 'streamFiles',
+	StreamRecorders: 'streamrecorder',
+	Templates: 'templates',
+	Users: 'userList'
+};
+
+// <StreamFiles><StreamFile/>...</StreamFiles> is a list of StreamFile items,
+// known containers are lists even with a single item or no items
+function isList(node) {
+	if (LIST_CONTAINERS[node.name]) return node.children.length > 0 || !node.text.trim();
+	if (!node.children.length) return false;
+	let itemName = node.children[0].name;
+	return node.name.toLowerCase() === `${itemName.toLowerCase()}s` &&
+		node.children.every(child => child.name === itemName);
+}
+
+function listKey(node) {
+	return LIST_CONTAINERS[node.name] || lowerCamel(node.name);
+}
+
+function toObject(node) {
+	if (isList(node)) {
+		return node.children.map(toObject);
+	}
+	if (!node.children.length && !Object.keys(node.attributes).length) {
+		return toValue(node.text);
+	}
+
+	let result = {};
+	Object.keys(node.attributes).forEach(name => {
+		result[name] = toValue(node.attributes[name]);
+	});
+
+	let counts = {};
+	node.children.forEach(child => {
+		counts[child.name] = (counts[child.name] || 0) + 1;
+	});
+	node.children.forEach(child => {
+		let value = toObject(child);
+		let key = Array.isArray(value) && isList(child) ? listKey(child) : lowerCamel(child.name);
+		if (counts[child.name] > 1) {
+			result[key] = result[key] || [];
+			result[key].push(value);
+		} else {
+			result[key] = value;
+		}
+	});
+
+	return result;
+}
+
+/**
+ * Parse XML answer of Wowza to the same object shape the JSON answer has.
+ * Root element is unwrapped, element names are converted to lowerCamelCase,
+ * repeated elements and list containers (e.g. StreamFiles of StreamFile items) become arrays,
+ * known containers of Wowza get the keys of JSON answers, e.g. MapEntries of MapEntry items are mapEntries.
+ *
+ * @function parseXml
+ * @param {string} text
+ * @return {Object}
+ *
+ * @example
+ * parseXml('<StreamFiles serverName="_defaultServer_"><StreamFile><id>ipCamera</id></StreamFile></StreamFiles>');
+ * // {serverName: '_defaultServer_', streamFiles: [{id: 'ipCamera'}]}
+ */
+function parseXml(text) {
+	let root = parseTree(text.trim());
+
+	if (isList(root)) {
+		let result = {};
+		Object.keys(root.attributes).forEach(name => {
+			result[name] = toValue(root.attributes[name]);
+		});
+		result[listKey(root)] = toObject(root);
+		return result;
+	}
+
+	let result = toObject(root);
+	return typeof result === 'object' ? result : { [lowerCamel(root.name)]: result };
+}
+
+module.exports = {
+	parseXml,
+	parseTree
+};
@@ -0,0 +1,104 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('generatePassword', () => {
+	let password = WowzaAPI.generatePassword();
+	assert.ok(/^[A-Za-z0-9]{20}$/.test(password));
+	assert.strictEqual(WowzaAPI.generatePassword(40).length, 40);
+	assert.notStrictEqual(WowzaAPI.generatePassword(), password);
+});
+
+test('publishers and users', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	t.beforeEach(() => server.reset());
+	t.after(() => server.close());
+
+	await t.test('publishers CRUD with digest auth of the server', async () => {
+		await wowza.createPublisher({}, { name: 'encoder1', password: 'first' });
+		assert.deepStrictEqual(await wowza.getPublishersList(), { serverName: '_defaultServer_', publishers: [{ name: 'encoder1' }] });
+		assert.strictEqual((await wowza.getPublisher({}, 'encoder1')).name, 'encoder1');
+
+		await wowza.updatePublisher({}, { name: 'encoder1', password: 'second' });
+		assert.strictEqual(server.publishers.encoder1.password, 'second');
+
+		await wowza.deletePublisher({}, 'encoder1');
+		await assert.rejects(wowza.getPublisher({}, 'encoder1'), { name: 'WowzaApiError', status: 404 });
+		assert.ok(server.requests.every(request => request.path.indexOf('/v2/servers/_defaultServer_/publishers') === 0));
+	});
+
+	await t.test('wrong publishers and users are rejected without a request', async () => {
+		await assert.rejects(wowza.createPublisher({}, { name: 'encoder 1' }), {
+			name: 'WowzaValidationError',
+			message: 'publisher encoder 1: name should not contain slashes or spaces, password is required'
+		});
+		await assert.rejects(wowza.updatePublisher({}, { password: 'x' }), /name is required/);
+		await assert.rejects(wowza.createAdminUser({}, { userName: 'ops', password: 'x', groups: ['root'] }),
+			/user ops: unknown group root, groups are admin, advUser, basic/);
+		await assert.rejects(wowza.createAdminUser({}, { userName: 'ops', password: 'x' }), /groups should be a non-empty array/);
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('admin users and groups', async () => {
+		await wowza.createAdminUser({}, { userName: 'support', password: 'secret', groups: ['basic'] });
+		await wowza.updateAdminUser({}, { userName: 'support', groups: ['admin', 'advUser'] });
+		assert.deepStrictEqual(await wowza.getAdminUser({}, 'support'), { serverName: '_defaultServer_', userName: 'support', groups: ['admin', 'advUser'] });
+		assert.strictEqual(server.users.support.password, 'secret');
+		assert.deepStrictEqual((await wowza.getAdminUsersList()).userList, [{ userName: 'support', groups: ['admin', 'advUser'] }]);
+
+		await wowza.deleteAdminUser({}, 'support');
+		assert.deepStrictEqual(server.users, {});
+	});
+
+	await t.test('provisionPublishers creates and rotates credentials', async () => {
+		server.publishers.old = { name: 'old', password: 'stale' };
+		server.inject({ method: 'POST', path: '/publishers', status: 500, times: 1 });
+
+		let result = await wowza.provisionPublishers({}, ['broken', 'old', { name: 'known', password: 'given' }, 'fresh']);
+		assert.deepStrictEqual(result.summary, { created: 2, rotated: 1, unchanged: 0, failed: 1 });
+		assert.deepStrictEqual(result.publishers.map(item => [item.name, item.status]),
+			[['broken', 'failed'], ['old', 'rotated'], ['known', 'created'], ['fresh', 'created']]);
+		assert.strictEqual(result.publishers[0].error.status, 500);
+		assert.strictEqual(result.publishers[0].password, undefined);
+
+		let passwords = {};
+		result.publishers.forEach(item => { passwords[item.name] = item.password; });
+		assert.strictEqual(passwords.known, 'given');
+		assert.strictEqual(server.publishers.old.password, passwords.old);
+		assert.notStrictEqual(passwords.old, 'stale');
+		assert.strictEqual(server.publishers.fresh.password, passwords.fresh);
+
+		result = await wowza.provisionPublishers({ rotate: false }, ['old', 'new']);
+		assert.deepStrictEqual(result.publishers.map(item => item.status), ['unchanged', 'created']);
+		assert.strictEqual(server.publishers.old.password, passwords.old);
+
+		await assert.rejects(wowza.provisionPublishers({}, ['ok', 'not ok']), /name should not contain slashes or spaces/);
+		assert.strictEqual(server.publishers.ok, undefined);
+	});
+
+	await t.test('CLI manages publishers and users', async () => {
+		let stdout = '';
+		let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+
+		assert.strictEqual(await cli.run(['publishers', 'create', 'enc1', '--json'], io), cli.EXIT_OK);
+		assert.strictEqual(server.publishers.enc1.password, JSON.parse(stdout).password);
+
+		stdout = '';
+		server.inject({ method: 'PUT', path: '/publishers/enc1', status: 500, times: 1 });
+		assert.strictEqual(await cli.run(['publishers', 'provision', 'enc1', 'enc2', '--json'], io), cli.EXIT_API_ERROR);
+		assert.deepStrictEqual(JSON.parse(stdout).publishers.map(item => item.status), ['failed', 'created']);
+
+		assert.strictEqual(await cli.run(['users', 'create', 'ops', '--groups', 'admin, advUser', '--new-password', 'pw'], io), cli.EXIT_OK);
+		assert.deepStrictEqual(server.users.ops, { userName: 'ops', password: 'pw', groups: ['admin', 'advUser'] });
+		assert.strictEqual(await cli.run(['users', 'update', 'ops', '--groups', 'basic'], io), cli.EXIT_OK);
+		assert.deepStrictEqual(server.users.ops.groups, ['basic']);
+		assert.strictEqual(await cli.run(['users', 'create', 'x', '--groups', 'root'], io), cli.EXIT_USAGE);
+	});
+});
@@ -0,0 +1,57 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('application lifecycle', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+	});
+	t.after(() => server.close());
+
+	await t.test('createApplication and getApplicationsList', async () => {
+		await wowza.createApplication({ application: 'customer42' }, { appType: 'VOD', description: 'Customer 42' });
+		let request = server.requests[0];
+		assert.strictEqual(request.body.name, 'customer42');
+		assert.strictEqual(request.body.appType, 'VOD');
+		assert.strictEqual(request.body.restURI, `http://localhost:${port}/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/customer42`);
+
+		let list = await wowza.getApplicationsList();
+		assert.deepStrictEqual(list.applications.map(app => app.id), ['live', 'customer42']);
+	});
+
+	await t.test('createApplication of an existing application is rejected by 409', async () => {
+		await assert.rejects(wowza.createApplication({ application: 'live' }), { status: 409 });
+	});
+
+	await t.test('updateApplicationConfig', async () => {
+		await wowza.updateApplicationConfig({}, { description: 'Cameras' });
+		assert.strictEqual((await wowza.getApplicationConfig()).description, 'Cameras');
+	});
+
+	await t.test('restartApplication and shutdownApplication', async () => {
+		await wowza.restartApplication();
+		await wowza.shutdownApplication({ application: 'live' });
+		assert.deepStrictEqual(server.requests.map(request => request.path.split('/').pop()), ['restart', 'shutdown']);
+		assert.strictEqual(server.applications.live.restarts, 1);
+	});
+
+	await t.test('getApplicationAdvancedConfig and updateApplicationAdvancedConfig', async () => {
+		let advancedSettings = [{ name: 'securityPublishRequirePassword', value: 'true', section: '/Root/Application', enabled: true }];
+		await wowza.updateApplicationAdvancedConfig({}, { advancedSettings: advancedSettings });
+		let config = await wowza.getApplicationAdvancedConfig();
+		assert.deepStrictEqual(config.advancedSettings, advancedSettings);
+	});
+
+	await t.test('deleteApplication', async () => {
+		await wowza.deleteApplication({ application: 'live' });
+		await assert.rejects(wowza.getApplicationConfig(), { status: 404 });
+	});
+});
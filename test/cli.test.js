@@ -0,0 +1,138 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const cli = require('../lib/cli');
+const MockWowzaServer = require('../lib/mock-server');
+
+function output() {
+	let text = '';
+	return { write: chunk => { text += chunk; }, get text() { return text; } };
+}
+
+test('wowza CLI', async (t) => {
+	let server = new MockWowzaServer({ username: 'admin', password: 'secret' });
+	let port = await server.listen();
+	let home = fs.mkdtempSync(path.join(os.tmpdir(), 'wowza-cli-'));
+
+	t.after(() => {
+		fs.rmSync(home, { recursive: true, force: true });
+		return server.close();
+	});
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addStreamFile('live', 'ipCam', { uri: 'rtsp://192.168.1.10/stream' });
+		server.addStreamFile('live', 'cam2', { uri: 'rtsp://192.168.1.11/stream' });
+		server.addIncomingStream('live', '_definst_', 'cam2.stream');
+	});
+
+	function run(argv, env) {
+		let io = { stdout: output(), stderr: output(), env: Object.assign({ WOWZA_PORT: String(port), WOWZA_USERNAME: 'admin', WOWZA_PASSWORD: 'secret' }, env), homedir: home };
+		return cli.run(argv, io).then(code => ({ code: code, stdout: io.stdout.text, stderr: io.stderr.text }));
+	}
+
+	await t.test('prints lists as a table and --json as JSON', async () => {
+		let result = await run(['streamfiles', 'list']);
+		assert.strictEqual(result.code, 0);
+		let lines = result.stdout.split('\n');
+		assert.deepStrictEqual(lines[0].split(/\s+/), ['id', 'href']);
+		assert.ok(/^-+ +-+$/.test(lines[1]));
+		assert.ok(lines[2].indexOf('ipCam  /v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/live/streamfiles/ipCam') === 0);
+
+		result = await run(['streamfiles', 'list', '--json']);
+		assert.deepStrictEqual(JSON.parse(result.stdout).streamFiles.map(streamFile => streamFile.id), ['ipCam', 'cam2']);
+	});
+
+	await t.test('runs actions with positional arguments', async () => {
+		let result = await run(['streamfiles', 'connect', 'ipCam']);
+		assert.strictEqual(result.code, 0);
+		assert.strictEqual(result.stdout, 'Publish stream successfully started [live/_definst_]: mp4:ipCam.stream\n');
+
+		result = await run(['streams', 'list', '--name-pattern', 'ip*', '--json']);
+		assert.deepStrictEqual(JSON.parse(result.stdout).incomingStreams.map(stream => stream.name), ['ipCam.stream']);
+
+		result = await run(['streams', 'disconnect', 'cam2.stream', '-a', 'live', '-i', '_definst_']);
+		assert.strictEqual(result.code, 0);
+		assert.strictEqual(server.applications.live.instances._definst_.incomingStreams['cam2.stream'], undefined);
+
+		result = await run(['targets', 'create', 'fb1', '--data', '{"profile": "rtmp", "sourceStreamName": "ipCam.stream", "host": "live-api.facebook.com", "application": "rtmp", "streamName": "key"}']);
+		assert.strictEqual(result.code, 0);
+		result = await run(['targets', 'disable', 'fb1']);
+		assert.strictEqual(result.code, 0);
+		assert.strictEqual(server.applications.live.streamTargets.fb1.enabled, false);
+	});
+
+	await t.test('reads connection from a profile, environment and flags', async () => {
+		let config = path.join(home, 'config.json');
+		fs.writeFileSync(config, JSON.stringify({
+			defaultProfile: 'local',
+			profiles: {
+				local: { port: port, username: 'admin', password: 'secret', application: 'other' },
+				wrong: { port: port, username: 'admin', password: 'wrong' }
+			}
+		}));
+		let env = { WOWZA_PORT: '', WOWZA_USERNAME: '', WOWZA_PASSWORD: '', WOWZA_CONFIG: config };
+
+		server.addStreamFile('other', 'otherCam');
+		let result = await run(['streamfiles', 'list', '--json'], env);
+		assert.deepStrictEqual(JSON.parse(result.stdout).streamFiles.map(streamFile => streamFile.id), ['otherCam']);
+
+		result = await run(['streamfiles', 'list', '--json'], Object.assign({ WOWZA_APPLICATION: 'live' }, env));
+		assert.deepStrictEqual(JSON.parse(result.stdout).streamFiles.map(streamFile => streamFile.id), ['ipCam', 'cam2']);
+
+		result = await run(['streamfiles', 'list', '--json', '--application', 'other'], Object.assign({ WOWZA_APPLICATION: 'live' }, env));
+		assert.deepStrictEqual(JSON.parse(result.stdout).streamFiles.map(streamFile => streamFile.id), ['otherCam']);
+
+		result = await run(['streamfiles', 'list', '--profile', 'wrong'], env);
+		assert.strictEqual(result.code, cli.EXIT_API_ERROR);
+
+		result = await run(['streamfiles', 'list', '--profile', 'missing'], env);
+		assert.strictEqual(result.code, cli.EXIT_USAGE);
+		assert.ok(/Profile missing is not found/.test(result.stderr));
+	});
+
+	await t.test('exits with codes of the failure', async () => {
+		let result = await run(['streams', 'info', 'nope']);
+		assert.strictEqual(result.code, cli.EXIT_API_ERROR);
+		assert.strictEqual(result.stderr, 'Error: Incoming stream (nope) not found\n');
+
+		assert.strictEqual((await run(['streamfiles', 'bogus'])).code, cli.EXIT_USAGE);
+		assert.strictEqual((await run(['streamfiles', 'list', '--bogus'])).code, cli.EXIT_USAGE);
+		assert.strictEqual((await run(['streamfiles', 'update', 'ipCam'])).code, cli.EXIT_USAGE);
+		assert.strictEqual((await run(['targets', 'enable'])).code, cli.EXIT_USAGE);
+
+		server.inject({ malformed: true, times: Infinity });
+		assert.strictEqual((await run(['streamfiles', 'list'])).code, cli.EXIT_PARSE_ERROR);
+		server.faults = [];
+
+		server.inject({ hang: true });
+		assert.strictEqual((await run(['streamfiles', 'list', '--timeout', '50'])).code, cli.EXIT_NETWORK_ERROR);
+
+		// a bug isn't reported as wrong usage
+		let io = { stdout: output(), stderr: output(), env: { WOWZA_PORT: String(port) }, homedir: home, createClient: () => ({}) };
+		assert.strictEqual(await cli.run(['streamfiles', 'list'], io), cli.EXIT_API_ERROR);
+		assert.ok(/^Error: wowza\.getStreamFilesList is not a function\nTypeError: wowza\.getStreamFilesList is not a function\n\s+at /.test(io.stderr.text));
+	});
+
+	await t.test('prints help', async () => {
+		let result = await run(['help']);
+		assert.strictEqual(result.code, 0);
+		assert.ok(result.stdout.indexOf('streamfiles connect <streamFile>') !== -1);
+		assert.strictEqual((await run([])).code, cli.EXIT_USAGE);
+	});
+
+	await t.test('bin sets the exit code of the process', async () => {
+		let bin = path.join(__dirname, '..', 'bin', 'wowza.js');
+		let result = await new Promise(resolve => {
+			childProcess.execFile(process.execPath, [bin, 'streams', 'info', 'nope', '--port', String(port), '--username', 'admin', '--password', 'secret'],
+				{ env: Object.assign({}, process.env, { HOME: home }) }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr }));
+		});
+		assert.strictEqual(result.code, cli.EXIT_API_ERROR);
+		assert.strictEqual(result.stdout, '');
+	});
+});
@@ -0,0 +1,82 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+function createServer(options) {
+	let server = new MockWowzaServer(Object.assign({ username: 'admin', password: 'secret' }, options));
+	server.addApplication('live');
+	return server.listen().then(port => ({ server: server, port: port }));
+}
+
+['MD5', 'MD5-sess', 'SHA-256'].forEach(algorithm => {
+	test(`digest authentication with ${algorithm}`, async () => {
+		let mock = await createServer({ algorithm: algorithm });
+		let wowza = new WowzaAPI({ port: mock.port, username: 'admin', password: 'secret' });
+		try {
+			await wowza.getApplicationConfig();
+			assert.strictEqual(mock.server.requests.length, 2);
+
+			// the nonce is reused with incremented nc
+			await wowza.addStreamFile({}, { name: 'ipCam', uri: 'rtsp://camera' });
+			assert.strictEqual(mock.server.requests.length, 3);
+			assert.match(mock.server.requests[2].headers.authorization, /nc=00000002/);
+			assert.strictEqual(mock.server.applications.live.streamFiles.ipCam.uri, 'rtsp://camera');
+		} finally {
+			await mock.server.close();
+		}
+	});
+});
+
+test('digest authentication with qop=auth-int', async () => {
+	let mock = await createServer({ qop: 'auth-int' });
+	let wowza = new WowzaAPI({ port: mock.port, username: 'admin', password: 'secret' });
+	try {
+		await wowza.addStreamFile({}, { name: 'ipCam' });
+		assert.match(mock.server.requests[1].headers.authorization, /qop=auth-int/);
+	} finally {
+		await mock.server.close();
+	}
+});
+
+test('digest authentication handles stale nonce', async () => {
+	let mock = await createServer();
+	let wowza = new WowzaAPI({ port: mock.port, username: 'admin', password: 'secret' });
+	try {
+		await wowza.getApplicationConfig();
+		mock.server.expireNonces();
+		await wowza.getApplicationConfig();
+		assert.strictEqual(mock.server.requests.length, 4);
+	} finally {
+		await mock.server.close();
+	}
+});
+
+test('digest authentication rejects wrong credentials by 401', async () => {
+	let mock = await createServer();
+	let wowza = new WowzaAPI({ port: mock.port, username: 'admin', password: 'wrong' });
+	try {
+		await assert.rejects(wowza.getApplicationConfig(), { status: 401 });
+	} finally {
+		await mock.server.close();
+	}
+});
+
+test('digest client surfaces socket errors', async () => {
+	let wowza = new WowzaAPI({ port: 1, username: 'admin', password: 'secret' });
+	await assert.rejects(wowza.getApplicationConfig(), WowzaAPI.WowzaNetworkError);
+});
+
+test('instances with different credentials do not share transport', async () => {
+	let mock = await createServer();
+	let good = new WowzaAPI({ port: mock.port, username: 'admin', password: 'secret' });
+	let bad = new WowzaAPI({ port: mock.port, username: 'admin', password: 'wrong' });
+	try {
+		await assert.rejects(bad.getApplicationConfig(), { status: 401 });
+		assert.strictEqual((await good.getApplicationConfig()).name, 'live');
+	} finally {
+		await mock.server.close();
+	}
+});
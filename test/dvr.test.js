@@ -0,0 +1,111 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('nDVR', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'live' });
+	let hour = 60 * 60 * 1000;
+	let start = Date.UTC(2026, 9, 19, 20);
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+		server.addDvrStore('live', '_definst_', 'news.0', { utcStart: start, utcEnd: start + 2 * hour });
+	});
+	t.after(() => server.close());
+
+	await t.test('get and update settings', async () => {
+		await wowza.updateDvrConfig({}, { enabled: true, windowDuration: '7200', archiveStrategy: 'version' });
+		assert.deepStrictEqual(await wowza.getDvrConfig(), {
+			serverName: '_defaultServer_',
+			enabled: true,
+			windowDuration: 7200,
+			archiveStrategy: 'version',
+			storageDir: '${com.wowza.wms.context.VHostConfigHome}/dvr'
+		});
+
+		server.requests = [];
+		await assert.rejects(wowza.updateDvrConfig({}, { enabled: 'yes', windowDuration: -1, archiveStrategy: 'keep', storageDir: '' }), {
+			name: 'WowzaValidationError',
+			message: 'DVR settings: enabled should be a boolean, windowDuration should be a non-negative number of seconds, 0 for unlimited, got -1, ' +
+				'archiveStrategy should be one of append, version, delete, storageDir should be a non-empty string'
+		});
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('list stores and convert a time range', async () => {
+		assert.deepStrictEqual((await wowza.getDvrStoresList()).dvrconverterstoreList, [{ dvrStoreName: 'news.0' }]);
+
+		let progress = [];
+		let status = await wowza.convertDvrStore({}, 'news.0', {
+			startTime: new Date(start + hour / 2),
+			endTime: start + hour,
+			fileName: 'news-half.mp4',
+			interval: 5,
+			onProgress: current => progress.push(current.state)
+		});
+		assert.deepStrictEqual(status, { state: 'SUCCESSFUL', fileName: 'news-half.mp4', fileSize: hour / 2 * 100, fileDuration: hour / 2, errorString: '' });
+		assert.deepStrictEqual(progress, ['RUNNING']);
+
+		let convert = server.requests.find(request => /actions\/convert/.test(request.path));
+		assert.deepStrictEqual(convert.query, {
+			dvrConverterStartTime: String(start + hour / 2),
+			dvrConverterEndTime: String(start + hour),
+			dvrConverterOutputFilename: 'news-half.mp4'
+		});
+		assert.strictEqual((await wowza.getDvrStore({}, 'news.0')).conversionStatus.state, 'SUCCESSFUL');
+	});
+
+	await t.test('failures of conversions are rejected', async () => {
+		server.addDvrStore('live', '_definst_', 'broken.0', { conversionError: 'Disk full' });
+		await assert.rejects(wowza.convertDvrStore({}, 'broken.0', { interval: 5 }), { name: 'WowzaApiError', message: 'DVR conversion of broken.0 failed: Disk full' });
+
+		await assert.rejects(wowza.convertDvrStore({}, 'news.0', { startTime: start - hour }), { name: 'WowzaApiError', status: 400 });
+		await assert.rejects(wowza.startDvrConversion({}, 'news.0', { startTime: start + hour, endTime: start }), /startTime should be before endTime/);
+	});
+
+	await t.test('a second conversion of a store waits for its own result', async () => {
+		server.dvrConversionLag = 2;
+		let first = await wowza.convertDvrStore({}, 'news.0', { endTime: start + hour, fileName: 'first.mp4', interval: 5 });
+		assert.deepStrictEqual([first.fileName, first.fileDuration], ['first.mp4', hour]);
+
+		let progress = [];
+		let second = await wowza.convertDvrStore({}, 'news.0', { fileName: 'second.mp4', interval: 5, onProgress: current => progress.push(current.fileName) });
+		assert.deepStrictEqual([second.state, second.fileName, second.fileDuration], ['SUCCESSFUL', 'second.mp4', 2 * hour]);
+		assert.deepStrictEqual(progress, ['second.mp4']);
+		assert.strictEqual(server.requests.filter(request => request.method === 'GET').length, 2 * (1 + 2 + 2));
+	});
+
+	await t.test('waiting can be aborted', async () => {
+		server.dvrConversionSteps = 1000;
+		await wowza.startDvrConversion({}, 'news.0');
+
+		let controller = new AbortController();
+		let checks = 0;
+		let waiting = wowza.waitForDvrConversion({ signal: controller.signal }, 'news.0', {
+			interval: 5,
+			onProgress: () => { if (++checks === 2) controller.abort(); }
+		});
+		await assert.rejects(waiting, { name: 'WowzaAbortError' });
+		assert.strictEqual(checks, 2);
+	});
+
+	await t.test('CLI converts stores', async () => {
+		server.dvrConversionSteps = 1;
+		let stdout = '';
+		let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+
+		let code = await cli.run(['dvr', 'convert', 'news.0', '--start', new Date(start).toISOString(), '--end', String(start + hour), '--json'], io);
+		assert.strictEqual(code, cli.EXIT_OK);
+		assert.strictEqual(JSON.parse(stdout).fileDuration, hour);
+
+		assert.strictEqual(await cli.run(['dvr', 'convert', 'news.0', '--start', 'yesterday'], io), cli.EXIT_USAGE);
+		assert.strictEqual(await cli.run(['dvr', 'update', '--data', '{"archiveStrategy": "keep"}'], io), cli.EXIT_USAGE);
+	});
+});
@@ -0,0 +1,64 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('incoming streams', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addIncomingStream('live', '_definst_', 'cam1.stream', { sourceIp: 'rtsp://192.168.1.10/stream' });
+		server.addIncomingStream('live', '_definst_', 'cam2.stream', { sourceIp: 'rtsp://192.168.1.11/stream', isConnected: false });
+		server.addIncomingStream('live', '_definst_', 'cam3.stream', { sourceIp: 'rtsp://192.168.1.12/stream' });
+		server.addIncomingStream('live', '_definst_', 'myCam', { sourceIp: '10.0.0.5' });
+	});
+	t.after(() => server.close());
+
+	await t.test('getIncomingStreamsList returns all streams with source type', async () => {
+		let list = await wowza.getIncomingStreamsList();
+		assert.strictEqual(list.total, 4);
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.sourceType), ['streamfile', 'streamfile', 'streamfile', 'publish']);
+	});
+
+	await t.test('getIncomingStreamsList filters by name pattern, source type and isConnected', async () => {
+		let list = await wowza.getIncomingStreamsList({}, { namePattern: 'cam*' });
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.name), ['cam1.stream', 'cam2.stream', 'cam3.stream']);
+
+		list = await wowza.getIncomingStreamsList({}, { namePattern: /^my/ });
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.name), ['myCam']);
+
+		list = await wowza.getIncomingStreamsList({}, { sourceType: 'publish' });
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.name), ['myCam']);
+
+		list = await wowza.getIncomingStreamsList({}, { isConnected: false });
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.name), ['cam2.stream']);
+	});
+
+	await t.test('getIncomingStreamsList paginates', async () => {
+		let list = await wowza.getIncomingStreamsList({}, { sourceType: 'streamfile', page: 2, pageSize: 2 });
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.name), ['cam3.stream']);
+		assert.strictEqual(list.total, 3);
+		assert.strictEqual(list.pages, 2);
+	});
+
+	await t.test('stream names are normalized the same way by all methods', async () => {
+		for (let streamFile of ['cam1', 'cam1.stream']) {
+			assert.strictEqual((await wowza.getIncomingStreamInfo({ streamFile: streamFile })).name, 'cam1.stream');
+			assert.strictEqual((await wowza.getIncomingStreamStats({ streamFile: streamFile })).name, 'cam1.stream');
+		}
+		assert.strictEqual((await wowza.getIncomingStreamInfo({ streamName: 'myCam' })).name, 'myCam');
+
+		await wowza.resetIncomingStream({ streamFile: 'cam1' });
+		assert.strictEqual(server.applications.live.instances._definst_.incomingStreams['cam1.stream'].resets, 1);
+
+		await wowza.disconnectIncomingStream({ streamFile: 'cam3' });
+		await wowza.disconnectIncomingStream({ streamName: 'myCam' });
+		let list = await wowza.getIncomingStreamsList();
+		assert.deepStrictEqual(list.incomingStreams.map(stream => stream.name), ['cam1.stream', 'cam2.stream']);
+	});
+});
@@ -0,0 +1,91 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+function get(port, path) {
+	return new Promise((resolve, reject) => {
+		http.get({ host: '127.0.0.1', port: port, path: path }, res => {
+			let body = '';
+			res.on('data', chunk => { body += chunk; });
+			res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body }));
+		}).on('error', reject);
+	});
+}
+
+test('MetricsExporter', async (t) => {
+	let server = new MockWowzaServer({ username: 'admin', password: 'secret' });
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, username: 'admin', password: 'secret' });
+
+	t.after(() => server.close());
+
+	t.beforeEach(() => {
+		server.reset();
+		Object.assign(server.machineMonitoring, { cpuIdle: 80, cpuUser: 15, cpuSystem: 5, heapUsed: 536870912, heapFree: 268435456 });
+		Object.assign(server.serverMonitoring, { uptime: 3600, bytesIn: 1000, totalConnections: 3 });
+		server.serverMonitoring.connectionCount.CUPERTINO = 3;
+		server.addIncomingStream('live', '_definst_', 'cam1.stream', { uptime: 60, bytesIn: 2048, bytesInRate: 128, totalConnections: 2 });
+		server.addIncomingStream('live', '_definst_', 'cam2.stream', { isConnected: false });
+		server.addIncomingStream('vod', 'archive', 'myCam');
+	});
+
+	await t.test('collects stream, server and machine metrics with labels', async () => {
+		let exporter = new WowzaAPI.MetricsExporter(wowza);
+		let text = await exporter.collect();
+		let lines = text.split('\n');
+
+		[
+			'# TYPE wowza_cpu_user_percent gauge',
+			'wowza_cpu_user_percent{server="_defaultServer_"} 15',
+			'wowza_heap_used_bytes{server="_defaultServer_"} 536870912',
+			'# TYPE wowza_server_bytes_in_total counter',
+			'wowza_server_connections{server="_defaultServer_"} 3',
+			'wowza_server_protocol_connections{server="_defaultServer_",protocol="CUPERTINO"} 3',
+			'wowza_stream_connected{server="_defaultServer_",vhost="_defaultVHost_",application="live",instance="_definst_",stream="cam1.stream"} 1',
+			'wowza_stream_connected{server="_defaultServer_",vhost="_defaultVHost_",application="live",instance="_definst_",stream="cam2.stream"} 0',
+			'wowza_stream_bytes_in_total{server="_defaultServer_",vhost="_defaultVHost_",application="live",instance="_definst_",stream="cam1.stream"} 2048',
+			'wowza_stream_bytes_in_per_second{server="_defaultServer_",vhost="_defaultVHost_",application="live",instance="_definst_",stream="cam1.stream"} 128',
+			'wowza_stream_connected{server="_defaultServer_",vhost="_defaultVHost_",application="vod",instance="archive",stream="myCam"} 1',
+			'wowza_scrape_errors{server="_defaultServer_"} 0'
+		].forEach(line => assert.ok(lines.indexOf(line) !== -1, `missing ${line}`));
+
+		// stats of a disconnected stream are not requested
+		assert.ok(!/stream_uptime_seconds\{[^}]*cam2/.test(text));
+		// every metric family is declared once
+		let types = lines.filter(line => line.indexOf('# TYPE') === 0);
+		assert.strictEqual(types.length, new Set(types).size);
+	});
+
+	await t.test('failed requests are counted instead of failing the scrape', async () => {
+		let exporter = new WowzaAPI.MetricsExporter(wowza, { applications: ['live'] });
+		server.inject({ path: '/v2/machine/', status: 500, times: Infinity });
+
+		let text = await exporter.collect();
+		assert.ok(text.indexOf('wowza_scrape_errors{server="_defaultServer_"} 1') !== -1);
+		assert.ok(text.indexOf('wowza_cpu_user_percent') === -1);
+		assert.ok(text.indexOf('application="vod"') === -1);
+		assert.ok(text.indexOf('stream="cam1.stream"') !== -1);
+	});
+
+	await t.test('serves cached metrics over HTTP', async () => {
+		let exporter = new WowzaAPI.MetricsExporter(wowza, { cacheTtl: 60000 });
+		let exporterPort = await exporter.listen();
+		t.after(() => exporter.close());
+
+		let responses = await Promise.all([get(exporterPort, '/metrics'), get(exporterPort, '/metrics')]);
+		let requests = server.requests.length;
+		let cached = await get(exporterPort, '/metrics');
+
+		assert.strictEqual(responses[0].status, 200);
+		assert.strictEqual(responses[0].headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+		assert.strictEqual(responses[0].body, responses[1].body);
+		assert.strictEqual(cached.body, responses[0].body);
+		assert.strictEqual(server.requests.length, requests);
+
+		assert.strictEqual((await get(exporterPort, '/other')).status, 404);
+	});
+});
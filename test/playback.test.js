@@ -0,0 +1,71 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const cli = require('../lib/cli');
+
+test('getPlaybackUrls', async (t) => {
+	let wowza = new WowzaAPI({ wowzaAdress: '10.0.0.2', application: 'live', streamFile: 'ipCam', streamingHost: 'stream.example.com' });
+
+	await t.test('builds URLs of a streamfile with the same normalization as streamfile methods', () => {
+		let expected = {
+			hls: 'http://stream.example.com:1935/live/_definst_/ipCam.stream/playlist.m3u8',
+			dash: 'http://stream.example.com:1935/live/_definst_/ipCam.stream/manifest.mpd',
+			rtmp: 'rtmp://stream.example.com:1935/live/_definst_/ipCam.stream',
+			rtsp: 'rtsp://stream.example.com:1935/live/_definst_/ipCam.stream',
+			webrtc: { url: 'wss://stream.example.com/webrtc-session.json', applicationName: 'live/_definst_', streamName: 'ipCam.stream' }
+		};
+		assert.deepStrictEqual(wowza.getPlaybackUrls(), expected);
+		assert.deepStrictEqual(wowza.getPlaybackUrls({ streamFile: 'ipCam.stream' }), expected);
+	});
+
+	await t.test('takes stream names as is, application and instance per call', () => {
+		let urls = wowza.getPlaybackUrls({ streamName: 'myStream', application: 'webrtc', appInstance: 'room 1' });
+		assert.strictEqual(urls.hls, 'http://stream.example.com:1935/webrtc/room%201/myStream/playlist.m3u8');
+		assert.strictEqual(urls.webrtc.applicationName, 'webrtc/room 1');
+		assert.strictEqual(urls.webrtc.streamName, 'myStream');
+
+		assert.strictEqual(wowza.getPlaybackUrls({ streamName: 'mp4:sample.mp4', application: 'vod' }).dash,
+			'http://stream.example.com:1935/vod/_definst_/mp4:sample.mp4/manifest.mpd');
+	});
+
+	await t.test('builds HTTP URLs of a SMIL group', () => {
+		let urls = wowza.getPlaybackUrls({ smil: 'abr' });
+		assert.deepStrictEqual(urls, {
+			hls: 'http://stream.example.com:1935/live/_definst_/smil:abr.smil/playlist.m3u8',
+			dash: 'http://stream.example.com:1935/live/_definst_/smil:abr.smil/manifest.mpd',
+			rtmp: null,
+			rtsp: null,
+			webrtc: null
+		});
+		assert.deepStrictEqual(wowza.getPlaybackUrls({ smil: 'abr.smil' }), urls);
+	});
+
+	await t.test('uses configured host, ports and secure schemes', () => {
+		let secure = new WowzaAPI({ streamingSecure: true, streamingHost: 'cdn.example.com', streamingPorts: { rtsp: 554 } });
+		let urls = secure.getPlaybackUrls({ streamName: 'cam' });
+		assert.strictEqual(urls.hls, 'https://cdn.example.com/live/_definst_/cam/playlist.m3u8');
+		assert.strictEqual(urls.rtmp, 'rtmps://cdn.example.com:443/live/_definst_/cam');
+		assert.strictEqual(urls.rtsp, 'rtsp://cdn.example.com:554/live/_definst_/cam');
+
+		urls = secure.getPlaybackUrls({ streamName: 'cam', streamingSecure: false, streamingPorts: { http: 80 }, streamingHost: 'origin' });
+		assert.strictEqual(urls.hls, 'http://origin/live/_definst_/cam/playlist.m3u8');
+		assert.strictEqual(urls.rtmp, 'rtmp://origin:1935/live/_definst_/cam');
+		assert.strictEqual(urls.rtsp, 'rtsp://origin:554/live/_definst_/cam');
+
+		assert.strictEqual(new WowzaAPI({ wowzaAdress: '10.0.0.2' }).getPlaybackUrls({ streamName: 'cam' }).rtmp, 'rtmp://10.0.0.2:1935/live/_definst_/cam');
+	});
+
+	await t.test('CLI prints URLs without a request', async () => {
+		let stdout = '';
+		let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_STREAMING_HOST: 'stream.example.com' }, homedir: __dirname };
+
+		assert.strictEqual(await cli.run(['streamfiles', 'urls', 'ipCam', '--json'], io), cli.EXIT_OK);
+		assert.strictEqual(JSON.parse(stdout).hls, 'http://stream.example.com:1935/live/_definst_/ipCam.stream/playlist.m3u8');
+
+		stdout = '';
+		assert.strictEqual(await cli.run(['streams', 'urls', '--smil', 'abr', '--streaming-secure', '--json'], io), cli.EXIT_OK);
+		assert.strictEqual(JSON.parse(stdout).dash, 'https://stream.example.com/live/_definst_/smil:abr.smil/manifest.mpd');
+	});
+});
@@ -0,0 +1,134 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('reconcile', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	t.after(() => server.close());
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addStreamFile('live', 'cam1', { uri: 'rtsp://192.168.1.10/stream' });
+		server.addStreamFile('live', 'cam2', { uri: 'rtsp://192.168.1.11/stream' });
+		server.addStreamFile('live', 'old', { uri: 'rtsp://192.168.1.99/stream' });
+		server.applications.live.streamTargets.fb1 = { entryName: 'fb1', enabled: true, profile: 'rtmp', sourceStreamName: 'cam1.stream', host: 'a.facebook.com', application: 'rtmp', streamName: 'key1' };
+		server.applications.live.streamTargets.yt = { entryName: 'yt', enabled: true, profile: 'rtmp', sourceStreamName: 'old.stream', host: 'a.youtube.com', application: 'live2', streamName: 'key2' };
+	});
+
+	let desired = {
+		application: 'live',
+		streamFiles: [
+			{ name: 'cam1', uri: 'rtsp://192.168.1.10/stream' },
+			{ name: 'cam2', uri: 'rtsp://192.168.1.12/stream' },
+			{ name: 'cam3', uri: 'rtsp://192.168.1.13/stream' }
+		],
+		streamTargets: [
+			{ entryName: 'fb1', profile: 'rtmp', sourceStreamName: 'cam1.stream', host: 'a.facebook.com', application: 'rtmp', streamName: 'key1', enabled: false },
+			{ entryName: 'cam3push', profile: 'rtmp', sourceStreamName: 'cam3.stream', host: 'b.example.com', application: 'live', streamName: 'key3' }
+		]
+	};
+
+	await t.test('plan returns a typed diff', async () => {
+		let result = await WowzaAPI.reconcile.plan(wowza, desired);
+
+		assert.strictEqual(result.application, 'live');
+		assert.deepStrictEqual(result.summary, { create: 2, update: 2, delete: 2 });
+		assert.deepStrictEqual(result.changes.map(change => `${change.action} ${change.kind} ${change.name}`), [
+			'update streamFile cam2',
+			'create streamFile cam3',
+			'delete streamFile old',
+			'update streamTarget fb1',
+			'create streamTarget cam3push',
+			'delete streamTarget yt'
+		]);
+		assert.deepStrictEqual(result.changes[0].diff, { uri: { from: 'rtsp://192.168.1.11/stream', to: 'rtsp://192.168.1.12/stream' } });
+		assert.deepStrictEqual(result.changes[3].diff, { enabled: { from: true, to: false } });
+	});
+
+	await t.test('apply executes changes in order and reports every item', async () => {
+		let result = await WowzaAPI.reconcile.plan(wowza, desired);
+		server.inject({ method: 'POST', path: '/mapentries/cam3push', status: 500 });
+		server.requests = [];
+
+		let report = await WowzaAPI.reconcile.apply(wowza, result, { concurrency: 1 });
+
+		assert.deepStrictEqual(report.summary, { applied: 5, failed: 1 });
+		let failed = report.results.find(item => item.status === 'failed');
+		assert.strictEqual(failed.name, 'cam3push');
+		assert.strictEqual(failed.error.status, 500);
+
+		assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.path.split('/applications/live/')[1]}`), [
+			'PUT streamfiles/cam2',
+			'POST streamfiles',
+			'PUT pushpublish/mapentries/fb1',
+			'POST pushpublish/mapentries/cam3push',
+			'DELETE pushpublish/mapentries/yt',
+			'DELETE streamfiles/old'
+		]);
+		assert.strictEqual(server.requests[2].body.actionType, undefined);
+		let app = server.applications.live;
+		assert.deepStrictEqual(Object.keys(app.streamFiles), ['cam1', 'cam2', 'cam3']);
+		assert.strictEqual(app.streamFiles.cam2.uri, 'rtsp://192.168.1.12/stream');
+		assert.strictEqual(app.streamTargets.fb1.enabled, false);
+		assert.deepStrictEqual(Object.keys(app.streamTargets), ['fb1']);
+	});
+
+	await t.test('stream targets are validated before requests', async () => {
+		let result = await WowzaAPI.reconcile.plan(wowza, { streamTargets: [{ entryName: 'fb1', profile: 'rtmp', port: 'x' }, { entryName: 'bad', profile: 'rtmp' }], application: 'live' });
+		server.requests = [];
+
+		let report = await WowzaAPI.reconcile.apply(wowza, result, { noDeletes: true });
+		assert.deepStrictEqual(report.results.map(item => [item.action, item.name, item.status, item.error && item.error.name]), [
+			['update', 'fb1', 'failed', 'WowzaValidationError'],
+			['create', 'bad', 'failed', 'WowzaValidationError'],
+			['delete', 'yt', 'skipped', null]
+		]);
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('no deletes mode and dry-run', async () => {
+		let result = await WowzaAPI.reconcile.plan(wowza, desired);
+		server.requests = [];
+
+		let report = await WowzaAPI.reconcile.apply(wowza, result, { dryRun: true });
+		assert.strictEqual(report.dryRun, true);
+		assert.deepStrictEqual(report.summary, { planned: 6 });
+		assert.strictEqual(server.requests.length, 0);
+
+		report = await WowzaAPI.reconcile.reconcile(wowza, desired, { noDeletes: true });
+		assert.deepStrictEqual(report.summary, { applied: 4, skipped: 2 });
+		assert.deepStrictEqual(Object.keys(server.applications.live.streamFiles), ['cam1', 'cam2', 'old', 'cam3']);
+		assert.deepStrictEqual(Object.keys(server.applications.live.streamTargets), ['fb1', 'yt', 'cam3push']);
+
+		let second = await WowzaAPI.reconcile.plan(wowza, desired);
+		assert.deepStrictEqual(second.summary, { create: 0, update: 0, delete: 2 });
+	});
+
+	await t.test('kinds missing in the desired state are not managed', async () => {
+		let result = await WowzaAPI.reconcile.plan(wowza, { application: 'live', streamFiles: [{ name: 'cam1' }, { name: 'cam2' }, { name: 'old' }] });
+		assert.deepStrictEqual(result.changes, []);
+		await assert.rejects(WowzaAPI.reconcile.plan(wowza, { streamFiles: [{ uri: 'rtsp://x' }] }), TypeError);
+	});
+
+	await t.test('CLI plans and applies a desired state', async () => {
+		let stdout = '';
+		let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+
+		let code = await cli.run(['reconcile', 'apply', '--data', JSON.stringify(desired), '--no-deletes', '--json'], io);
+		assert.strictEqual(code, cli.EXIT_OK);
+		assert.deepStrictEqual(JSON.parse(stdout).summary, { applied: 4, skipped: 2 });
+
+		server.inject({ path: '/streamfiles/cam2', method: 'PUT', status: 500 });
+		stdout = '';
+		code = await cli.run(['reconcile', 'apply', '--data', JSON.stringify({ streamFiles: [{ name: 'cam2', uri: 'rtsp://x' }] }), '--no-deletes'], io);
+		assert.strictEqual(code, cli.EXIT_API_ERROR);
+		assert.ok(/update\s+streamFile\s+cam2\s+failed\s+Injected fault 500/.test(stdout));
+	});
+});
@@ -0,0 +1,117 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('stream recorders', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'live' });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+		server.addIncomingStream('live', '_definst_', 'ipCam.stream');
+	});
+	t.after(() => server.close());
+
+	await t.test('getRecorder, splitRecording, restartRecording and deleteRecorder', async () => {
+		await wowza.createRecorder({ recorderName: 'ipCam.stream', segmentationType: 'None' }, { streamFile: 'ipCam.stream' });
+		let recorders = server.applications.live.instances._definst_.recorders;
+		Object.assign(recorders['ipCam.stream'], { currentFile: 'ipCam_0.mp4', currentSize: 2048, currentDuration: 30000 });
+
+		let recorder = await wowza.getRecorder({ streamFile: 'ipCam.stream' });
+		assert.strictEqual(recorder.recorderName, 'ipCam.stream');
+		assert.strictEqual(recorder.currentSize, 2048);
+
+		let response = await wowza.splitRecording({ streamFile: 'ipCam.stream' });
+		assert.strictEqual(response.message, 'Recording (ipCam.stream) split');
+		assert.strictEqual(recorders['ipCam.stream'].currentFile, 'ipCam_1.mp4');
+
+		await wowza.restartRecording({ streamFile: 'ipCam.stream' });
+		await wowza.deleteRecorder({ streamFile: 'ipCam.stream' });
+		assert.deepStrictEqual(recorders, {});
+
+		await assert.rejects(wowza.getRecorder({ streamFile: 'ipCam.stream' }), err => err.status === 404);
+		assert.deepStrictEqual(server.requests.slice(-4).map(request => `${request.method} ${request.path.split('/streamrecorders/')[1]}`), [
+			'PUT ipCam.stream/actions/splitRecording',
+			'PUT ipCam.stream/actions/restartRecording',
+			'DELETE ipCam.stream',
+			'GET ipCam.stream'
+		]);
+	});
+
+	await t.test('parameters are validated before sending', async () => {
+		let validate = WowzaAPI.validateRecorderParameters;
+
+		assert.deepStrictEqual(validate({ segmentationType: 'SegmentByDuration', segmentDuration: 600000, option: 'append', fileFormat: 'mp4' }),
+			{ segmentationType: 'SegmentByDuration', segmentDuration: 600000, option: 'Append to existing file', fileFormat: 'MP4' });
+		assert.strictEqual(validate({ option: 'Overwrite existing file' }).option, 'Overwrite existing file');
+		assert.deepStrictEqual(validate(), {});
+
+		assert.throws(() => validate({ segmentationType: 'ByDuration' }), /segmentationType should be one of/);
+		assert.throws(() => validate({ segmentationType: 'SegmentBySize' }), /segmentSize is required/);
+		assert.throws(() => validate({ segmentationType: 'SegmentBySchedule', segmentSchedule: 5 }), /segmentSchedule should be a cron string/);
+		assert.throws(() => validate({ segmentDuration: -1 }), /segmentDuration should be a non-negative number/);
+		assert.throws(() => validate({ option: 'replace' }), /option should be one of version, append, overwrite/);
+		assert.throws(() => validate({ fileFormat: 'MKV' }), /fileFormat should be one of MP4, FLV/);
+
+		server.requests = [];
+		await assert.rejects(wowza.createRecorder({ fileFormat: 'MKV' }, { streamFile: 'ipCam.stream' }), TypeError);
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('RecordingSession', async () => {
+		let session = new WowzaAPI.RecordingSession(wowza, { streamName: 'ipCam.stream', appInstance: '_definst_' });
+
+		let status = await session.status();
+		assert.strictEqual(status.exists, false);
+		assert.strictEqual(status.recording, false);
+
+		await assert.rejects(session.start({ option: 'replace' }), TypeError);
+		await session.start({ segmentationType: 'SegmentBySize', segmentSize: 10485760, option: 'version', fileFormat: 'mp4' });
+		let recorder = server.applications.live.instances._definst_.recorders['ipCam.stream'];
+		assert.strictEqual(recorder.option, 'Version existing file');
+		assert.strictEqual(recorder.fileFormat, 'MP4');
+
+		Object.assign(recorder, { recorderState: 'Recording in Progress', currentFile: 'ipCam.mp4', currentSize: 4096, currentDuration: 60000, recordingStartTime: '2026-10-19-10.00.00.000-+00:00' });
+		status = await session.status();
+		assert.deepStrictEqual(status, {
+			streamName: 'ipCam.stream',
+			exists: true,
+			state: 'Recording in Progress',
+			recording: true,
+			currentFile: 'ipCam.mp4',
+			currentDuration: 60000,
+			currentSize: 4096,
+			recordingStartTime: '2026-10-19-10.00.00.000-+00:00',
+			segmentationType: 'SegmentBySize',
+			fileFormat: 'MP4'
+		});
+
+		await session.split();
+		status = await session.status();
+		assert.strictEqual(status.currentFile, 'ipCam_1.mp4');
+		assert.strictEqual(status.currentSize, 0);
+
+		await session.stop();
+		assert.strictEqual((await session.status()).exists, false);
+		assert.throws(() => new WowzaAPI.RecordingSession(wowza, {}), /streamName is required/);
+	});
+
+	await t.test('CLI recorder commands', async () => {
+		let run = argv => {
+			let io = { stdout: { write: () => {} }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+			return cli.run(argv, io);
+		};
+
+		assert.strictEqual(await run(['recorders', 'start', 'ipCam.stream', '--data', '{"fileFormat": "MKV"}']), cli.EXIT_USAGE);
+		assert.strictEqual(await run(['recorders', 'start', 'ipCam.stream', '--data', '{"option": "overwrite"}']), cli.EXIT_OK);
+		assert.strictEqual(await run(['recorders', 'split', 'ipCam.stream']), cli.EXIT_OK);
+		assert.strictEqual(await run(['recorders', 'delete', 'ipCam.stream']), cli.EXIT_OK);
+		assert.strictEqual(await run(['recorders', 'get', 'ipCam.stream']), cli.EXIT_API_ERROR);
+	});
+});
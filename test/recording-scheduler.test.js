@@ -0,0 +1,191 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const { parseCron } = require('../lib/cron');
+
+test('parseCron', () => {
+	let weekdays = parseCron('0 9 * * mon-fri');
+	assert.strictEqual(weekdays.next(new Date(2026, 9, 17, 12, 0)).getTime(), new Date(2026, 9, 19, 9, 0).getTime());
+	assert.strictEqual(weekdays.previous(new Date(2026, 9, 19, 8, 59)).getTime(), new Date(2026, 9, 16, 9, 0).getTime());
+	assert.strictEqual(weekdays.previous(new Date(2026, 9, 19, 9, 0, 30)).getTime(), new Date(2026, 9, 19, 9, 0).getTime());
+	assert.strictEqual(weekdays.previous(new Date(2026, 9, 19, 8, 59), new Date(2026, 9, 19, 0, 0)), null);
+
+	assert.strictEqual(parseCron('*/15 * * * *').next(new Date(2026, 9, 17, 12, 7, 30)).getTime(), new Date(2026, 9, 17, 12, 15).getTime());
+	assert.strictEqual(parseCron('0 0 1 jan *').previous(new Date(2026, 9, 17)).getTime(), new Date(2026, 0, 1).getTime());
+	// both day fields are restricted: the 13th or a Friday
+	assert.strictEqual(parseCron('30 10 13 * 5').next(new Date(2026, 9, 17)).getTime(), new Date(2026, 9, 23, 10, 30).getTime());
+	assert.strictEqual(parseCron('0 12 * * 7').matches(new Date(2026, 9, 18, 12, 0)), true);
+
+	assert.throws(() => parseCron('61 * * * *'), /invalid minute '61'/);
+	assert.throws(() => parseCron('0 9 * *'), /should have 5 fields/);
+	assert.throws(() => parseCron('0 9-5 * * *'), TypeError);
+});
+
+test('RecordingScheduler', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'live' });
+	let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wowza-scheduler-'));
+	let schedulers = [];
+	let time = 0;
+
+	let createScheduler = options => {
+		let scheduler = new WowzaAPI.RecordingScheduler(wowza, Object.assign({ now: () => time }, options));
+		schedulers.push(scheduler);
+		return scheduler;
+	};
+	let record = (scheduler, events) => {
+		['started', 'stopped', 'skipped', 'failed'].forEach(event => scheduler.on(event, (schedule, window, err, action) => {
+			events.push([event, schedule.streamName, window.start.getTime()].concat(action ? [action] : []));
+		}));
+		return events;
+	};
+	let recorders = () => Object.keys(server.applications.live.instances._definst_.recorders);
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+		server.addIncomingStream('live', '_definst_', 'studio.stream');
+	});
+	t.afterEach(() => Promise.all(schedulers.splice(0).map(scheduler => scheduler.stop())));
+	t.after(() => {
+		fs.rmSync(directory, { recursive: true, force: true });
+		return server.close();
+	});
+
+	await t.test('records recurring windows', async () => {
+		let scheduler = createScheduler();
+		let events = record(scheduler, []);
+		let schedule = scheduler.add({
+			streamName: 'studio.stream',
+			cron: '0 9 * * 1-5',
+			duration: 2 * 60 * 60 * 1000,
+			recorder: { segmentationType: 'SegmentByDuration', segmentDuration: 900000, option: 'version' }
+		});
+		let monday = new Date(2026, 9, 19, 9, 0).getTime();
+
+		time = new Date(2026, 9, 19, 8, 59).getTime();
+		await scheduler.tick();
+		assert.deepStrictEqual(events, []);
+		assert.strictEqual(scheduler.nextWindow(schedule.id).start.getTime(), monday);
+
+		time = monday + 5000;
+		await scheduler.tick();
+		await scheduler.tick();
+		assert.deepStrictEqual(events, [['started', 'studio.stream', monday]]);
+		assert.deepStrictEqual(recorders(), ['studio.stream']);
+		assert.strictEqual(server.applications.live.instances._definst_.recorders['studio.stream'].option, 'Version existing file');
+		assert.strictEqual(scheduler.get(schedule.id).state.status, 'recording');
+
+		time = new Date(2026, 9, 19, 11, 0, 1).getTime();
+		await scheduler.tick();
+		assert.deepStrictEqual(events[1], ['stopped', 'studio.stream', monday]);
+		assert.deepStrictEqual(recorders(), []);
+		assert.strictEqual(scheduler.get(schedule.id).state.status, 'done');
+		assert.strictEqual(scheduler.nextWindow(schedule.id).start.getTime(), new Date(2026, 9, 20, 9, 0).getTime());
+	});
+
+	await t.test('keeps schedules in the store and finishes windows after a restart', async () => {
+		let store = path.join(directory, 'restart.json');
+		let first = createScheduler({ store: store });
+		first.add({ id: 'keynote', streamName: 'studio.stream', start: new Date(2026, 9, 19, 10, 0), end: new Date(2026, 9, 19, 10, 30) });
+
+		time = new Date(2026, 9, 19, 10, 0, 5).getTime();
+		await first.tick();
+		assert.deepStrictEqual(recorders(), ['studio.stream']);
+
+		// the process is down until the end of the window
+		let second = createScheduler({ store: store });
+		let events = record(second, []);
+		assert.strictEqual(second.get('keynote').state.status, 'recording');
+
+		time = new Date(2026, 9, 19, 10, 45).getTime();
+		await second.tick();
+		assert.deepStrictEqual(events, [['stopped', 'studio.stream', new Date(2026, 9, 19, 10, 0).getTime()]]);
+		assert.deepStrictEqual(recorders(), []);
+		assert.strictEqual(JSON.parse(fs.readFileSync(store, 'utf8')).schedules[0].state.status, 'done');
+		assert.deepStrictEqual(fs.readdirSync(directory), ['restart.json']);
+	});
+
+	await t.test('starts missed windows late or skips them', async () => {
+		let window = { streamName: 'studio.stream', start: new Date(2026, 9, 19, 9, 0), end: new Date(2026, 9, 19, 10, 0) };
+		time = new Date(2026, 9, 19, 9, 20).getTime();
+
+		let skipping = createScheduler({ missed: 'skip' });
+		let events = record(skipping, []);
+		skipping.add(window);
+		await skipping.tick();
+		assert.deepStrictEqual(events.map(event => event[0]), ['skipped']);
+		assert.deepStrictEqual(recorders(), []);
+
+		let starting = createScheduler({ missed: 'start' });
+		events = record(starting, []);
+		starting.add(window);
+		await starting.tick();
+		assert.deepStrictEqual(events.map(event => event[0]), ['started']);
+		assert.deepStrictEqual(recorders(), ['studio.stream']);
+
+		// a one-off window which ended before the scheduler could start it
+		let late = createScheduler();
+		events = record(late, []);
+		late.add(Object.assign({}, window, { end: new Date(2026, 9, 19, 9, 10) }));
+		await late.tick();
+		assert.deepStrictEqual(events.map(event => event[0]), ['skipped']);
+	});
+
+	await t.test('emits failed when a recording can not be started or stopped', async () => {
+		let scheduler = createScheduler();
+		let events = record(scheduler, []);
+		let errors = [];
+		scheduler.on('failed', (schedule, window, err) => errors.push(err));
+		scheduler.add({ id: 'a', streamName: 'studio.stream', start: new Date(2026, 9, 19, 9, 0), end: new Date(2026, 9, 19, 10, 0) });
+
+		server.inject({ method: 'POST', path: '/streamrecorders/studio.stream', status: 500 });
+		time = new Date(2026, 9, 19, 9, 0, 1).getTime();
+		await scheduler.tick();
+		assert.deepStrictEqual(events.map(event => event.slice(0, 1).concat(event.slice(3))), [['failed', 'start']]);
+		assert.strictEqual(errors[0].status, 500);
+		assert.strictEqual(scheduler.get('a').state.status, 'failed');
+
+		scheduler.add({ id: 'b', streamName: 'studio.stream', start: new Date(2026, 9, 19, 9, 0, 2), end: new Date(2026, 9, 19, 10, 0) });
+		time = new Date(2026, 9, 19, 9, 0, 3).getTime();
+		await scheduler.tick();
+		server.inject({ method: 'PUT', path: '/actions/stopRecording', status: 500 });
+		time = new Date(2026, 9, 19, 10, 0, 0).getTime();
+		await scheduler.tick();
+		assert.deepStrictEqual(events.slice(1).map(event => event.slice(0, 1).concat(event.slice(3))), [['started'], ['failed', 'stop']]);
+	});
+
+	await t.test('runs on a timer', async () => {
+		time = new Date(2026, 9, 19, 9, 0, 1).getTime();
+		let scheduler = createScheduler({ interval: 10 });
+		scheduler.add({ streamName: 'studio.stream', start: new Date(2026, 9, 19, 9, 0), end: new Date(2026, 9, 19, 10, 0) });
+		scheduler.start();
+		await once(scheduler, 'started');
+		time = new Date(2026, 9, 19, 10, 0).getTime();
+		await once(scheduler, 'stopped');
+		await scheduler.stop();
+	});
+
+	await t.test('validates schedules', () => {
+		let scheduler = createScheduler();
+		assert.throws(() => scheduler.add({ start: 0, end: 1 }), /streamName is required/);
+		assert.throws(() => scheduler.add({ streamName: 'a' }), /either start and end or cron and duration/);
+		assert.throws(() => scheduler.add({ streamName: 'a', start: 10, end: 5 }), /should be after its start/);
+		assert.throws(() => scheduler.add({ streamName: 'a', cron: '0 25 * * *', duration: 1000 }), /invalid hour/);
+		assert.throws(() => scheduler.add({ streamName: 'a', cron: '0 9 * * *' }), /duration of a recurring schedule/);
+		assert.throws(() => scheduler.add({ streamName: 'a', start: 0, end: 1, recorder: { fileFormat: 'MKV' } }), /fileFormat/);
+		scheduler.add({ id: 'x', streamName: 'a', start: 0, end: 1 });
+		assert.throws(() => scheduler.add({ id: 'x', streamName: 'a', start: 0, end: 1 }), /already exists/);
+		assert.strictEqual(scheduler.remove('x'), true);
+		assert.strictEqual(scheduler.remove('x'), false);
+		assert.throws(() => createScheduler({ missed: 'later' }), /missed should be start or skip/);
+	});
+});
@@ -0,0 +1,110 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('stream repeater settings', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'liveedge' });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('liveedge', { streamConfig: { streamType: 'live', storageDir: '${com.wowza.wms.context.VHostConfigHome}/content' } });
+	});
+	t.after(() => server.close());
+
+	await t.test('reads and updates the application config', async () => {
+		assert.deepStrictEqual(await wowza.getStreamRepeater(), { mode: 'none', queueType: 'standard', originUrls: [], secureConnection: false, queryString: '' });
+
+		await wowza.updateStreamRepeater({}, { mode: 'edge', originUrls: ['origin.example.com:1935/live', 'wowz://backup.example.com:1935/live'], secureConnection: true });
+		let config = server.applications.liveedge.config;
+		assert.strictEqual(config.streamConfig.streamType, 'liverepeater-edge');
+		assert.strictEqual(config.streamConfig.storageDir, '${com.wowza.wms.context.VHostConfigHome}/content');
+		assert.strictEqual(config.repeaterOriginUrl, 'wowzs://origin.example.com:1935/live|wowzs://backup.example.com:1935/live');
+
+		await wowza.updateStreamRepeater({}, { queueType: 'lowlatency', queryString: 'token=abc' });
+		assert.deepStrictEqual(await wowza.getStreamRepeater(), {
+			mode: 'edge',
+			queueType: 'lowlatency',
+			originUrls: ['wowzs://origin.example.com:1935/live', 'wowzs://backup.example.com:1935/live'],
+			secureConnection: true,
+			queryString: 'token=abc'
+		});
+
+		await wowza.updateStreamRepeater({}, { mode: 'origin', originUrls: [] });
+		assert.strictEqual(server.applications.liveedge.config.streamConfig.streamType, 'liverepeater-origin-lowlatency');
+		assert.strictEqual((await wowza.getStreamRepeater()).mode, 'origin');
+	});
+
+	await t.test('wrong settings are rejected without an update', async () => {
+		server.requests = [];
+		await assert.rejects(wowza.updateStreamRepeater({}, { mode: 'relay', queueType: 'fast', originUrls: ['http://origin'], secureConnection: 'yes' }), {
+			name: 'WowzaValidationError',
+			message: 'stream repeater: mode should be one of origin, edge, none, queueType should be one of standard, lowlatency, ' +
+				'secureConnection should be a boolean, origin URL http://origin should be like wowz://host:1935/application'
+		});
+		await assert.rejects(wowza.updateStreamRepeater({}, { mode: 'edge' }), /originUrls are required in edge mode/);
+		assert.deepStrictEqual(server.requests.map(request => request.method), ['GET', 'GET']);
+	});
+
+	await t.test('CLI shows and updates settings', async () => {
+		let stdout = '';
+		let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+
+		assert.strictEqual(await cli.run(['applications', 'update-repeater', 'liveedge', '--data', '{"mode": "edge", "originUrls": ["wowz://o:1935/live"]}'], io), cli.EXIT_OK);
+		stdout = '';
+		assert.strictEqual(await cli.run(['applications', 'get-repeater', 'liveedge', '--json'], io), cli.EXIT_OK);
+		assert.deepStrictEqual(JSON.parse(stdout).originUrls, ['wowz://o:1935/live']);
+		assert.strictEqual(await cli.run(['applications', 'update-repeater', 'liveedge', '--data', '{"mode": "edge", "originUrls": []}'], io), cli.EXIT_USAGE);
+	});
+});
+
+test('configureEdges', async (t) => {
+	let servers = [new MockWowzaServer(), new MockWowzaServer(), new MockWowzaServer()];
+	let ports = [];
+	for (let server of servers) ports.push(await server.listen());
+	let origin = new WowzaAPI({ port: ports[0], application: 'live', streamingHost: 'origin.example.com' });
+	let edges = [new WowzaAPI({ port: ports[1], application: 'liveedge' }), new WowzaAPI({ port: ports[2], application: 'liveedge' })];
+
+	t.beforeEach(() => {
+		servers.forEach(server => server.reset());
+		servers[0].addApplication('live');
+		servers[1].addApplication('liveedge');
+	});
+	t.after(() => Promise.all(servers.map(server => server.close())));
+
+	await t.test('points edges at the origin, creates missing applications and restarts them', async () => {
+		let result = await WowzaAPI.configureEdges(origin, edges, { secureConnection: true, backupOriginUrls: ['origin2.example.com:1935/live'] });
+
+		assert.strictEqual(result.originUrl, 'wowzs://origin.example.com:1935/live|wowzs://origin2.example.com:1935/live');
+		assert.deepStrictEqual(result.origin, { status: 'configured' });
+		assert.deepStrictEqual(result.edges.map(edge => [edge.application, edge.status, edge.created]), [['liveedge', 'configured', false], ['liveedge', 'configured', true]]);
+		assert.strictEqual(servers[0].applications.live.config.streamConfig.streamType, 'liverepeater-origin');
+		assert.strictEqual(servers[0].applications.live.restarts, 1);
+
+		[1, 2].forEach(index => {
+			let app = servers[index].applications.liveedge;
+			assert.strictEqual(app.config.streamConfig.streamType, 'liverepeater-edge');
+			assert.strictEqual(app.config.repeaterOriginUrl, result.originUrl);
+			assert.strictEqual(app.restarts, 1);
+		});
+	});
+
+	await t.test('a failed edge is reported and others are configured', async () => {
+		servers[1].inject({ method: 'PUT', path: '/applications/liveedge', status: 500, times: 1 });
+		let result = await WowzaAPI.configureEdges(origin, edges, { configureOrigin: false, restart: false, originApplication: 'live', application: 'liveedge' });
+
+		assert.strictEqual(result.origin.status, 'skipped');
+		assert.strictEqual(result.edges[0].status, 'failed');
+		assert.strictEqual(result.edges[0].error.status, 500);
+		assert.strictEqual(result.edges[1].status, 'configured');
+		assert.strictEqual(servers[2].applications.liveedge.restarts, 0);
+		assert.strictEqual(servers[0].applications.live.config.streamConfig, undefined);
+
+		await assert.rejects(WowzaAPI.configureEdges(origin, edges, { queueType: 'fast' }), /queueType should be one of standard, lowlatency/);
+	});
+});
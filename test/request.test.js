@@ -0,0 +1,179 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('requests', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+		server.addStreamFile('live', 'ipCam');
+	});
+	t.after(() => server.close());
+
+	await t.test('rejects by WowzaApiError with Wowza payload', async () => {
+		let wowza = new WowzaAPI({ port: port });
+		await assert.rejects(wowza.deleteStreamFile({ streamFile: 'gone' }), (err) => {
+			assert.ok(err instanceof WowzaAPI.WowzaApiError);
+			assert.strictEqual(err.status, 404);
+			assert.strictEqual(err.method, 'DELETE');
+			assert.strictEqual(err.path, '/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/live/streamfiles/gone');
+			assert.strictEqual(err.message, 'Streamfile (gone) not found');
+			assert.strictEqual(err.success, false);
+			assert.strictEqual(err.code, '404');
+			return true;
+		});
+	});
+
+	await t.test('rejects by WowzaNetworkError when engine is unreachable', async () => {
+		let wowza = new WowzaAPI({ port: 1 });
+		await assert.rejects(wowza.getStreamFilesList(), (err) => {
+			assert.ok(err instanceof WowzaAPI.WowzaNetworkError);
+			assert.strictEqual(err.cause.code, 'ECONNREFUSED');
+			return true;
+		});
+	});
+
+	await t.test('rejects by WowzaParseError on malformed JSON', async () => {
+		let wowza = new WowzaAPI({ port: port });
+		server.inject({ malformed: true });
+		await assert.rejects(wowza.getStreamFilesList(), WowzaAPI.WowzaParseError);
+	});
+
+	await t.test('resolves empty and plain text bodies', async () => {
+		let wowza = new WowzaAPI({ port: port });
+		server.inject({ status: 204, body: null });
+		assert.deepStrictEqual(await wowza.getStreamFilesList(), {});
+		server.inject({ body: 'Stream reset' });
+		assert.deepStrictEqual(await wowza.getStreamFilesList(), { success: true, message: 'Stream reset', data: null });
+	});
+
+	await t.test('asks for XML and parses it in xml mode', async () => {
+		let wowza = new WowzaAPI({ port: port, responseFormat: 'xml' });
+		let transport = {
+			request(options, callback) {
+				assert.strictEqual(options.headers.Accept, 'application/xml; charset=utf-8');
+				let req = new EventEmitter();
+				req.end = () => {
+					let res = new EventEmitter();
+					res.statusCode = 200;
+					res.headers = { 'content-type': 'application/xml' };
+					callback(res);
+					res.emit('data', '<?xml version="1.0" encoding="UTF-8"?><StreamFiles serverName="_defaultServer_">' +
+						'<StreamFile><id>ipCam</id><href>/v2/ipCam</href></StreamFile></StreamFiles>');
+					res.emit('end');
+				};
+				return req;
+			}
+		};
+		wowza.transport = transport;
+		assert.deepStrictEqual(await wowza.getStreamFilesList(), {
+			serverName: '_defaultServer_',
+			streamFiles: [{ id: 'ipCam', href: '/v2/ipCam' }]
+		});
+	});
+
+	await t.test('parses XML lists to the shape of JSON answers', () => {
+		assert.deepStrictEqual(WowzaAPI.parseXml('<MapEntries serverName="_defaultServer_"><MapEntry><entryName>cdn</entryName><enabled>true</enabled></MapEntry></MapEntries>'), {
+			serverName: '_defaultServer_',
+			mapEntries: [{ entryName: 'cdn', enabled: true }]
+		});
+		assert.deepStrictEqual(WowzaAPI.parseXml('<Applications serverName="_defaultServer_"><ApplicationConfig><id>live</id></ApplicationConfig></Applications>'), {
+			serverName: '_defaultServer_',
+			applications: [{ id: 'live' }]
+		});
+		assert.deepStrictEqual(WowzaAPI.parseXml('<StreamFiles serverName="_defaultServer_"></StreamFiles>'), { serverName: '_defaultServer_', streamFiles: [] });
+		assert.deepStrictEqual(WowzaAPI.parseXml('<MapEntries serverName="_defaultServer_"/>'), { serverName: '_defaultServer_', mapEntries: [] });
+		assert.deepStrictEqual(WowzaAPI.parseXml('<Instances><InstanceList><name>_definst_</name><IncomingStreams/></InstanceList></Instances>'), {
+			instanceList: [{ name: '_definst_', incomingStreams: [] }]
+		});
+		assert.deepStrictEqual(WowzaAPI.parseXml('<TranscoderAppConfig><Templates>cameras.xml</Templates></TranscoderAppConfig>'), { templates: 'cameras.xml' });
+	});
+
+	await t.test('uses transport of the instance', async () => {
+		let paths = [];
+		let fake = new WowzaAPI({
+			transport: {
+				request(options, callback) {
+					paths.push(options.path);
+					let req = new EventEmitter();
+					req.end = () => {
+						let res = new EventEmitter();
+						res.statusCode = 200;
+						res.headers = { 'content-type': 'application/json' };
+						callback(res);
+						res.emit('data', '{"fake": true}');
+						res.emit('end');
+					};
+					return req;
+				}
+			}
+		});
+		let real = new WowzaAPI({ port: port });
+
+		assert.deepStrictEqual(await fake.getApplicationConfig(), { fake: true });
+		assert.strictEqual((await real.getApplicationConfig()).name, 'live');
+		assert.deepStrictEqual(paths, ['/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/live']);
+	});
+
+	await t.test('makeTestNetworkRequest sends a single request through the transport of the instance', async () => {
+		let wowza = new WowzaAPI({ port: port });
+		let sent = [];
+		let log = console.log;
+		console.log = (...args) => sent.push(['console', args]);
+		try {
+			let response = await new Promise((resolve, reject) => {
+				server.inject({ status: 500, body: { success: false, message: 'boom' } });
+				wowza.makeTestNetworkRequest(Object.assign({}, wowza.httpOptions, {
+					method: 'GET',
+					path: '/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/live'
+				}), resolve, reject);
+			});
+			assert.deepStrictEqual(response, { success: false, message: 'boom' });
+
+			server.inject({ malformed: true });
+			await assert.rejects(new Promise((resolve, reject) => wowza.makeTestNetworkRequest(Object.assign({}, wowza.httpOptions, { method: 'GET', path: '/v2/servers/_defaultServer_' }), resolve, reject)), SyntaxError);
+		} finally {
+			console.log = log;
+		}
+		assert.deepStrictEqual(sent, []);
+		assert.strictEqual(server.requests.length, 2);
+	});
+
+	await t.test('retries idempotent requests failed with 5xx', async () => {
+		let wowza = new WowzaAPI({ port: port, retries: 2, retryDelay: 1 });
+		server.inject({ status: 503, times: 2 });
+		let list = await wowza.getStreamFilesList();
+		assert.strictEqual(list.streamFiles.length, 1);
+		assert.strictEqual(server.requests.length, 3);
+	});
+
+	await t.test('does not retry POST requests and 4xx', async () => {
+		let wowza = new WowzaAPI({ port: port, retries: 2, retryDelay: 1 });
+		server.inject({ status: 503 });
+		await assert.rejects(wowza.addStreamFile({}, { name: 'cam2' }), { status: 503 });
+		await assert.rejects(wowza.getStreamFileConfiguration({ streamFile: 'gone' }), { status: 404 });
+		assert.strictEqual(server.requests.length, 2);
+	});
+
+	await t.test('rejects by WowzaTimeoutError', async () => {
+		let wowza = new WowzaAPI({ port: port, timeout: 50 });
+		server.inject({ hang: true });
+		await assert.rejects(wowza.getStreamFilesList(), WowzaAPI.WowzaTimeoutError);
+	});
+
+	await t.test('aborts in-flight requests by signal', async () => {
+		let wowza = new WowzaAPI({ port: port, retries: 3 });
+		let controller = new AbortController();
+		server.inject({ hang: true });
+		setTimeout(() => controller.abort(), 20);
+		await assert.rejects(wowza.getIncomingStreamStats({ streamFile: 'ipCam', signal: controller.signal }), WowzaAPI.WowzaAbortError);
+		assert.strictEqual(server.requests.length, 1);
+	});
+});
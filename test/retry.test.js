@@ -0,0 +1,19 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const retry = require('../lib/retry');
+
+test('retry', async (t) => {
+	await t.test('doubles the delay with jitter up to retryMaxDelay', () => {
+		let settings = { retryDelay: 100, retryMaxDelay: 300 };
+		for (let i = 0; i < 20; i++) {
+			let first = retry.getRetryDelay(1, settings);
+			assert.ok(first >= 50 && first <= 100, `${first}`);
+			let second = retry.getRetryDelay(2, settings);
+			assert.ok(second >= 100 && second <= 200, `${second}`);
+			let capped = retry.getRetryDelay(10, settings);
+			assert.ok(capped >= 150 && capped <= 300, `${capped}`);
+		}
+	});
+});
@@ -0,0 +1,133 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+const secureToken = require('../lib/secure-token');
+
+function query(url) {
+	let result = {};
+	url.split('?')[1].split('&').forEach(pair => {
+		let parts = pair.split('=');
+		result[parts[0]] = decodeURIComponent(parts.slice(1).join('='));
+	});
+	return result;
+}
+
+test('signPlaybackUrl', async (t) => {
+	await t.test('matches the example of the documentation with a prefix, client IP and custom parameter', () => {
+		let url = WowzaAPI.signPlaybackUrl('http://192.168.1.1:1935/vod/sample.mp4/playlist.m3u8', {
+			secret: 'mySharedSecret',
+			prefix: 'myTokenPrefix',
+			startTime: 1395230400,
+			endTime: 1500000000,
+			clientIp: '192.168.1.2',
+			params: { CustomParameter: 'abcdef' }
+		});
+		assert.strictEqual(url, 'http://192.168.1.1:1935/vod/sample.mp4/playlist.m3u8?myTokenPrefixCustomParameter=abcdef' +
+			'&myTokenPrefixendtime=1500000000&myTokenPrefixstarttime=1395230400&myTokenPrefixhash=TgJft5hsjKyC5Rem_EoUNP7xZvxbqVPhhd0GxIcA2oo=');
+	});
+
+	await t.test('matches the PHP example of the documentation with the default prefix', () => {
+		let url = secureToken.signPlaybackUrl('http://wowzaaddress:1935/vod/definst/mp4:sample.mp4/playlist.m3u8', {
+			secret: 'abcde',
+			startTime: new Date(1500000000 * 1000),
+			endTime: 1500001800
+		});
+		assert.deepStrictEqual(query(url), {
+			wowzatokenendtime: '1500001800',
+			wowzatokenstarttime: '1500000000',
+			wowzatokenhash: '7vPgrvvHk0UMeTkOZlGfVSryn6P-eqGgDc1y2EJSyto='
+		});
+	});
+
+	await t.test('supports SHA-384, SHA-512 and CIDR', () => {
+		let options = { secret: 'mySharedSecret', endTime: 1700000000, cidr: '10.0.0.0/8' };
+
+		let url = secureToken.signPlaybackUrl('https://cdn.example.com/live/_definst_/cam/manifest.mpd', Object.assign({ algorithm: 'SHA-384' }, options));
+		assert.strictEqual(query(url).wowzatokenhash, 'hkkofg_tq9gitQW9nQTkWIaeuiSi2-J5fWZu_GE0WZijYeniWIXfnd1SDHlhWEVB');
+		assert.ok(url.indexOf('wowzatokenCIDR=10.0.0.0%2F8') !== -1);
+
+		url = secureToken.signPlaybackUrl('rtmp://cdn.example.com/live/_definst_/cam', Object.assign({ algorithm: 'sha512' }, options));
+		assert.strictEqual(query(url).wowzatokenhash, 'demDHpTy_wm1VqsuYlq8mwVUbZdriH47iGMzaIw5WuwBEb7kiVCeI2CrMpajxogaxLesaJ0ibwmT4BiWyQtXMQ==');
+	});
+
+	await t.test('keeps other parameters and re-signs prefixed ones', () => {
+		let url = secureToken.signPlaybackUrl('http://h/live/_definst_/cam/playlist.m3u8?DVR&wowzatokenendtime=1&wowzatokenhash=old', { secret: 's', endTime: 2 });
+		assert.strictEqual(url, 'http://h/live/_definst_/cam/playlist.m3u8?DVR&wowzatokenendtime=2&wowzatokenhash=s5rC2fGNj93ZamPlzTzE3drVx51QsxNWXAxt2PMVT3s=');
+		assert.strictEqual(secureToken.getStreamPath('http://h:1935/live/_definst_/smil:abr.smil/chunklist_w1_b800000.m3u8'), 'live/_definst_/smil:abr.smil');
+	});
+
+	await t.test('takes the secret, prefix and algorithm from application security', () => {
+		let security = { secureTokenSharedSecret: 'abc', secureTokenQueryParametersPrefix: 'tk', secureTokenHashAlgorithm: 'SHA-512' };
+		let url = secureToken.signPlaybackUrl('vod/mp4:sample.mp4', { security: security, secret: undefined, endTime: 5 });
+		assert.strictEqual(url, 'vod/mp4:sample.mp4?tkendtime=5&tkhash=QXDMdMoHgXhYPK5WFW4l7kmedFLGVD8KJnMy8Oer20KJbe4RARS8UgtvtbEAXK4yOX7-LaxGkMMNxDOGCMU-VQ==');
+
+		assert.throws(() => secureToken.signPlaybackUrl('vod/sample.mp4', {}), { name: 'WowzaValidationError', message: 'secret is required to sign a URL' });
+		assert.throws(() => secureToken.signPlaybackUrl('vod/sample.mp4', { secret: 's', algorithm: 'MD5' }), /algorithm should be one of SHA-256, SHA-384, SHA-512/);
+	});
+});
+
+test('application security', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'vod' });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('vod');
+	});
+	t.after(() => server.close());
+
+	await t.test('get and update SecureToken, publish authentication and IP restrictions', async () => {
+		await wowza.updateApplicationSecurity({}, {
+			secureTokenVersion: '2',
+			secureTokenSharedSecret: 'mySharedSecret',
+			secureTokenHashAlgorithm: 'sha-384',
+			publishAuthenticationMethod: 'none',
+			playIPWhiteList: ['10.0.0.*', '192.168.1.10']
+		});
+		let security = await wowza.getApplicationSecurity({});
+		assert.strictEqual(security.secureTokenVersion, 2);
+		assert.strictEqual(security.secureTokenHashAlgorithm, 'SHA-384');
+		assert.strictEqual(security.publishAuthenticationMethod, 'none');
+		assert.strictEqual(security.playIPWhiteList, '10.0.0.*,192.168.1.10');
+		assert.strictEqual(security.publishRequirePassword, true);
+
+		let url = WowzaAPI.signPlaybackUrl(wowza.getPlaybackUrls({ streamName: 'mp4:sample.mp4' }).hls, { security: security, endTime: 10 });
+		assert.strictEqual(query(url).wowzatokenhash, 'Jjwwo0ScdUTitl6Hodahn_AwFOIcBdc4CawHg8Mqv5J1Vmxxu4_ZX6f4pG3vEPzJ');
+	});
+
+	await t.test('wrong settings are rejected without a request', async () => {
+		server.requests = [];
+		await assert.rejects(wowza.updateApplicationSecurity({}, { secureTokenHashAlgorithm: 'MD5', secureTokenVersion: 3, publishIPBlackList: 5 }), {
+			name: 'WowzaValidationError',
+			message: 'application security: publishIPBlackList should be a string or an array, secureTokenHashAlgorithm should be one of SHA-256, SHA-384, SHA-512, ' +
+				'secureTokenVersion should be 0 (none), 1 (TEA) or 2 (hash)'
+		});
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('CLI signs playback URLs with the secret of the application', async () => {
+		server.applications.vod.security.secureTokenVersion = 2;
+		server.applications.vod.security.secureTokenSharedSecret = 'fromServer';
+		let stdout = '';
+		let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port), WOWZA_STREAMING_HOST: 'h' }, homedir: __dirname };
+
+		assert.strictEqual(await cli.run(['streams', 'sign', 'cam', '-a', 'vod', '--expires', '60', '--json'], io), cli.EXIT_OK);
+		let urls = JSON.parse(stdout);
+		let endTime = query(urls.hls).wowzatokenendtime;
+		assert.ok(Math.abs(endTime - (Date.now() / 1000 + 60)) < 5);
+		assert.strictEqual(urls.hls, secureToken.signPlaybackUrl('http://h:1935/vod/_definst_/cam/playlist.m3u8', { secret: 'fromServer', endTime: Number(endTime) }));
+		assert.ok(urls.rtmp.indexOf('rtmp://h:1935/vod/_definst_/cam?wowzatokenendtime=') === 0);
+
+		stdout = '';
+		assert.strictEqual(await cli.run(['streams', 'sign', 'cam', '-a', 'vod', '--secret', 'local', '--json'], io), cli.EXIT_OK);
+		assert.strictEqual(JSON.parse(stdout).dash, 'http://h:1935/vod/_definst_/cam/manifest.mpd?wowzatokenhash=MVIAB_RPNvWT_8v90aelgj5nBTq4PX7hTo1YRl-qO7Q=');
+
+		server.applications.vod.security.secureTokenSharedSecret = '';
+		assert.strictEqual(await cli.run(['streams', 'sign', 'cam', '-a', 'vod'], io), cli.EXIT_USAGE);
+	});
+});
@@ -0,0 +1,99 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('buildSmilFile', () => {
+	let template = WowzaAPI.buildAbrTemplate([
+		{ name: '720p', width: 1280, height: 720, videoBitrate: '3000k', audioBitrate: '128k' },
+		{ name: '360p', width: 640, height: 360, videoBitrate: '850k' }
+	]);
+
+	assert.deepStrictEqual(WowzaAPI.buildSmilFile('cameras.smil', [
+		'myStream_160p',
+		{ streamFile: 'cam1.stream', videoBitrate: 3000000, width: 1280, height: 720, systemLanguage: 'en' },
+		{ streamName: 'cam1_audio', type: 'audio', audioBitrate: '64000' },
+		{ encode: template.encodes[1], sourceStreamName: 'cam1' }
+	], { title: 'Cameras' }), {
+		name: 'cameras',
+		title: 'Cameras',
+		description: '',
+		smilStreams: [
+			{ type: 'video', src: 'myStream_160p' },
+			{ type: 'video', src: 'cam1.stream', videoBitrate: '3000000', width: '1280', height: '720', systemLanguage: 'en' },
+			{ type: 'audio', src: 'cam1_audio', audioBitrate: '64000' },
+			{ type: 'video', src: 'mp4:cam1_720p', videoBitrate: '3000000', audioBitrate: '128000', width: '1280', height: '720' }
+		]
+	});
+
+	assert.throws(() => WowzaAPI.buildSmilFile('bad', [{ streamName: '' }, { src: 'x', width: -1, type: 'subtitle', systemLanguage: 1 }]), {
+		name: 'WowzaValidationError',
+		message: 'smil file bad: smilStreams[0]: src is required, smilStreams[1]: systemLanguage should be a string, ' +
+			'smilStreams[1]: width should be a non-negative integer, got -1, smilStreams[1]: type should be one of video, audio, data'
+	});
+	assert.throws(() => WowzaAPI.buildSmilFile('empty', []), /smilStreams should be a non-empty array/);
+	assert.doesNotThrow(() => WowzaAPI.validateSmilFile({ name: 'x', title: 'renamed' }, { partial: true }));
+});
+
+test('SMIL file methods', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'live' });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+	});
+	t.after(() => server.close());
+
+	await t.test('create, list, get, update and delete', async () => {
+		await wowza.createSmilFile({}, WowzaAPI.buildSmilFile('cameras', [{ streamFile: 'cam1', videoBitrate: 3000000 }, { streamFile: 'cam1_low', videoBitrate: 850000 }]));
+		assert.deepStrictEqual((await wowza.getSmilFilesList()).smilFiles.map(item => item.id), ['cameras']);
+
+		let smilFile = await wowza.getSmilFile({}, 'cameras.smil');
+		assert.deepStrictEqual(smilFile.smilStreams.map(stream => stream.src), ['cam1.stream', 'cam1_low.stream']);
+
+		await wowza.updateSmilFile({}, { name: 'cameras', smilStreams: [{ src: 'cam2.stream', height: 720 }] });
+		assert.deepStrictEqual(server.applications.live.smilFiles.cameras.smilStreams, [{ type: 'video', src: 'cam2.stream', height: '720' }]);
+
+		await wowza.deleteSmilFile({}, 'cameras');
+		await assert.rejects(wowza.getSmilFile({}, 'cameras'), { name: 'WowzaApiError', status: 404 });
+
+		server.requests = [];
+		await assert.rejects(wowza.createSmilFile({}, { name: 'x', smilStreams: [{ src: 'a', videoBitrate: 'fast' }] }), /videoBitrate should be a non-negative integer/);
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('builds a SMIL file of transcoder outputs', async () => {
+		await wowza.createTranscoderTemplate({}, WowzaAPI.buildAbrTemplate([
+			{ name: '720p', width: 1280, height: 720, videoBitrate: '3000k' },
+			{ name: '360p', width: 640, height: 360, videoBitrate: '850k' }
+		], { name: 'cameras' }));
+
+		let smilFile = await wowza.buildTranscoderSmilFile({}, 'cam1', 'cameras', 'cam1.stream');
+		assert.deepStrictEqual(smilFile.smilStreams.map(stream => [stream.src, stream.videoBitrate, stream.height]), [
+			['mp4:cam1.stream_720p', '3000000', '720'],
+			['mp4:cam1.stream_360p', '850000', '360']
+		]);
+		assert.strictEqual(wowza.getPlaybackUrls({ smil: smilFile.name, streamingHost: 'h' }).hls, 'http://h:1935/live/_definst_/smil:cam1.smil/playlist.m3u8');
+	});
+
+	await t.test('CLI creates SMIL files from stream names and transcoder outputs', async () => {
+		let stderr = '';
+		let io = { stdout: { write: () => {} }, stderr: { write: chunk => { stderr += chunk; } }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+
+		assert.strictEqual(await cli.run(['smil', 'create', 'group', '--streams', 'cam_720p,cam_360p'], io), cli.EXIT_OK);
+		assert.deepStrictEqual(server.applications.live.smilFiles.group.smilStreams.map(stream => stream.src), ['cam_720p', 'cam_360p']);
+
+		await wowza.createTranscoderTemplate({}, WowzaAPI.buildAbrTemplate([{ name: '480p', width: 854, height: 480, videoBitrate: '1500k' }], { name: 'abr' }));
+		assert.strictEqual(await cli.run(['smil', 'create', 'cam', '--template', 'abr', '--source', 'cam'], io), cli.EXIT_OK);
+		assert.strictEqual(server.applications.live.smilFiles.cam.smilStreams[0].src, 'mp4:cam_480p');
+
+		assert.strictEqual(await cli.run(['smil', 'create', 'x', '--template', 'abr'], io), cli.EXIT_USAGE);
+		assert.strictEqual(await cli.run(['smil', 'create', 'x', '--data', '{"smilStreams": []}'], io), cli.EXIT_USAGE);
+		assert.ok(/smilStreams should be a non-empty array/.test(stderr));
+	});
+});
@@ -0,0 +1,127 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('application snapshots', async (t) => {
+	let source = new MockWowzaServer();
+	let target = new MockWowzaServer();
+	let wowza = new WowzaAPI({ port: await source.listen() });
+	let other = new WowzaAPI({ port: await target.listen() });
+
+	t.after(() => Promise.all([source.close(), target.close()]));
+
+	t.beforeEach(() => {
+		source.reset();
+		target.reset();
+		let app = source.addApplication('live', { description: 'cameras', clientStreamReadAccess: '*', clientStreamWriteAccess: '*', streamReaders: [{ name: 'rtsp' }] });
+		app.advanced.advancedSettings = [{ name: 'securityPublishRequirePassword', value: 'true', type: 'Boolean', section: '/Root/Application/Streams' }];
+		source.addStreamFile('live', 'cam1', { uri: 'rtsp://192.168.1.10/stream' });
+		source.addStreamFile('live', 'cam2', { uri: 'rtsp://192.168.1.11/stream' });
+		app.streamTargets.fb1 = { entryName: 'fb1', enabled: true, profile: 'rtmp', sourceStreamName: 'cam1.stream', host: 'a.facebook.com', application: 'rtmp', streamName: 'key1' };
+		source._getInstance(app, '_definst_').recorders.cam1 = {
+			recorderName: 'cam1', instanceName: '_definst_', recorderState: 'Recording in Progress', currentSize: 1024, currentDuration: 60, currentFile: 'cam1_0.mp4',
+			segmentationType: 'SegmentByDuration', segmentDuration: 900000, fileFormat: 'MP4'
+		};
+	});
+
+	await t.test('export contains the configuration without runtime fields', async () => {
+		let snapshot = await wowza.exportApplication({ application: 'live' });
+
+		assert.strictEqual(snapshot.format, 'wowza-application-snapshot');
+		assert.strictEqual(snapshot.version, 1);
+		assert.strictEqual(snapshot.source.application, 'live');
+		assert.strictEqual(snapshot.config.description, 'cameras');
+		assert.strictEqual(snapshot.config.serverName, undefined);
+		assert.strictEqual(snapshot.advanced.advancedSettings[0].name, 'securityPublishRequirePassword');
+		assert.deepStrictEqual(snapshot.streamFiles.map(streamFile => [streamFile.name, streamFile.uri]), [
+			['cam1', 'rtsp://192.168.1.10/stream'],
+			['cam2', 'rtsp://192.168.1.11/stream']
+		]);
+		assert.deepStrictEqual(snapshot.streamTargets.map(streamTarget => streamTarget.entryName), ['fb1']);
+		assert.deepStrictEqual(snapshot.recorders, [{ recorderName: 'cam1', segmentationType: 'SegmentByDuration', segmentDuration: 900000, fileFormat: 'MP4' }]);
+		assert.deepStrictEqual(JSON.parse(JSON.stringify(snapshot)), snapshot);
+	});
+
+	await t.test('import restores the application on another engine under another name', async () => {
+		let snapshot = await wowza.exportApplication({ application: 'live' });
+		let report = await other.importApplication({ application: 'copy', recorders: true }, snapshot);
+
+		assert.strictEqual(report.application, 'copy');
+		assert.strictEqual(report.created, true);
+		assert.deepStrictEqual(report.streamFiles.summary, { applied: 3 });
+		assert.deepStrictEqual(report.recorders.map(recorder => [recorder.name, recorder.status]), [['cam1', 'applied']]);
+
+		let app = target.applications.copy;
+		assert.strictEqual(app.config.name, 'copy');
+		assert.strictEqual(app.config.description, 'cameras');
+		assert.deepStrictEqual(app.advanced.advancedSettings, snapshot.advanced.advancedSettings);
+		assert.deepStrictEqual(Object.keys(app.streamFiles), ['cam1', 'cam2']);
+		assert.strictEqual(app.streamTargets.fb1.host, 'a.facebook.com');
+		assert.strictEqual(app.instances._definst_.recorders.cam1.segmentDuration, 900000);
+
+		let copy = await other.exportApplication({ application: 'copy' });
+		assert.deepStrictEqual(WowzaAPI.compareSnapshots(snapshot, copy), { equal: true, differences: [] });
+	});
+
+	await t.test('import updates an existing application and prunes on request', async () => {
+		let snapshot = await wowza.exportApplication();
+		target.addApplication('live', { description: 'old' });
+		target.addStreamFile('live', 'extra', { uri: 'rtsp://192.168.1.99/stream' });
+
+		let report = await other.importApplication(null, snapshot);
+		assert.strictEqual(report.created, false);
+		assert.deepStrictEqual(report.recorders, []);
+		assert.strictEqual(target.applications.live.config.description, 'cameras');
+		assert.deepStrictEqual(Object.keys(target.applications.live.streamFiles), ['extra', 'cam1', 'cam2']);
+		assert.deepStrictEqual(target.applications.live.instances, {});
+
+		report = await other.importApplication({ prune: true }, snapshot);
+		assert.deepStrictEqual(report.streamFiles.summary, { applied: 1 });
+		assert.deepStrictEqual(Object.keys(target.applications.live.streamFiles), ['cam1', 'cam2']);
+	});
+
+	await t.test('compare lists differences by path', async () => {
+		let staging = await wowza.exportApplication();
+		source.applications.live.streamFiles.cam2.uri = 'rtsp://192.168.1.12/stream';
+		source.applications.live.streamTargets.fb1.enabled = false;
+		delete source.applications.live.streamFiles.cam1;
+		let production = await wowza.exportApplication();
+
+		let result = WowzaAPI.compareSnapshots(staging, production);
+		assert.strictEqual(result.equal, false);
+		assert.deepStrictEqual(result.differences.map(difference => difference.path), ['streamFiles.cam1', 'streamFiles.cam2.uri', 'streamTargets.fb1.enabled']);
+		assert.deepStrictEqual(result.differences[1], { path: 'streamFiles.cam2.uri', a: 'rtsp://192.168.1.11/stream', b: 'rtsp://192.168.1.12/stream' });
+		assert.strictEqual(result.differences[0].b, undefined);
+	});
+
+	await t.test('CLI exports, imports and compares applications', async () => {
+		let run = (argv, port) => {
+			let stdout = '';
+			let io = { stdout: { write: chunk => { stdout += chunk; } }, stderr: { write: () => {} }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+			return cli.run(argv, io).then(code => ({ code: code, stdout: stdout }));
+		};
+
+		let result = await run(['applications', 'export', 'live'], wowza.port);
+		assert.strictEqual(result.code, cli.EXIT_OK);
+		let snapshot = JSON.parse(result.stdout);
+		assert.strictEqual(snapshot.streamFiles.length, 2);
+
+		result = await run(['applications', 'import', 'copy', '--data', result.stdout, '--recorders', '--json'], other.port);
+		assert.strictEqual(result.code, cli.EXIT_OK);
+		assert.strictEqual(JSON.parse(result.stdout).created, true);
+
+		target.applications.copy.streamFiles.cam1.uri = 'rtsp://192.168.1.20/stream';
+		result = await run(['applications', 'compare', 'copy', '--data', JSON.stringify(snapshot), '--json'], other.port);
+		assert.deepStrictEqual(JSON.parse(result.stdout).differences, [{ path: 'streamFiles.cam1.uri', a: 'rtsp://192.168.1.10/stream', b: 'rtsp://192.168.1.20/stream' }]);
+	});
+
+	await t.test('rejects data which is not a snapshot', async () => {
+		await assert.rejects(other.importApplication({}, { application: 'live' }), TypeError);
+		await assert.rejects(other.importApplication({}, { format: 'wowza-application-snapshot', version: 99, source: {} }), /version 99 is not supported/);
+		assert.throws(() => WowzaAPI.compareSnapshots({}, {}), TypeError);
+	});
+});
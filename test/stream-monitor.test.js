@@ -0,0 +1,139 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('StreamMonitor', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	t.after(() => server.close());
+
+	function createMonitor(options) {
+		let monitor = new WowzaAPI.StreamMonitor(wowza, options);
+		let events = [];
+		['connected', 'disconnected', 'bitrateDrop', 'bitrateRestored', 'stalled', 'resumed'].forEach(event => {
+			monitor.on(event, (stream) => events.push(`${event} ${stream.name}`));
+		});
+		monitor.on('error', (err, stream) => events.push(`error ${err.status} ${stream.application}`));
+		return { monitor: monitor, events: events };
+	}
+
+	await t.test('emits connected and disconnected after debounce', async () => {
+		server.reset();
+		let cam = server.addIncomingStream('live', '_definst_', 'cam1.stream', { bytesIn: 1 });
+		let { monitor, events } = createMonitor({ streams: [{ application: 'live', streamFile: 'cam1' }], debounce: 2 });
+
+		await monitor.poll();
+		assert.deepStrictEqual(events, []);
+		await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream']);
+
+		// a single missed poll is a flap and is not reported
+		server.removeIncomingStream('live', '_definst_', 'cam1.stream');
+		await monitor.poll();
+		server.applications.live.instances._definst_.incomingStreams['cam1.stream'] = cam;
+		cam.bytesIn++;
+		await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream']);
+
+		server.removeIncomingStream('live', '_definst_', 'cam1.stream');
+		await monitor.poll();
+		await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'disconnected cam1.stream']);
+		assert.strictEqual(monitor.getStates()[0].connected, false);
+	});
+
+	await t.test('emits bitrateDrop with hysteresis', async () => {
+		server.reset();
+		let cam = server.addIncomingStream('live', '_definst_', 'myCam', { bytesIn: 1, bytesInRate: 1000 });
+		let { monitor, events } = createMonitor({
+			streams: [{ application: 'live', streamName: 'myCam' }],
+			debounce: 1,
+			bitrateThreshold: 500,
+			bitrateRestoreThreshold: 800
+		});
+		let poll = (rate) => {
+			cam.bytesInRate = rate;
+			cam.bytesIn += rate;
+			return monitor.poll();
+		};
+
+		await poll(1000);
+		await poll(400);
+		await poll(600);
+		await poll(450);
+		await poll(900);
+		assert.deepStrictEqual(events, ['connected myCam', 'bitrateDrop myCam', 'bitrateRestored myCam']);
+	});
+
+	await t.test('emits stalled when bytesIn does not change', async () => {
+		server.reset();
+		let cam = server.addIncomingStream('live', '_definst_', 'cam1.stream', { bytesIn: 10 });
+		let { monitor, events } = createMonitor({ streams: ['cam1'], debounce: 1, stallPolls: 2 });
+
+		for (let i = 0; i < 3; i++) await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'stalled cam1.stream']);
+
+		cam.bytesIn = 20;
+		await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'stalled cam1.stream', 'resumed cam1.stream']);
+	});
+
+	await t.test('discovers streams and reports errors', async () => {
+		server.reset();
+		server.addIncomingStream('live', '_definst_', 'cam1.stream', { bytesIn: 1 });
+		server.addIncomingStream('live', '_definst_', 'other', { bytesIn: 1 });
+		let { monitor, events } = createMonitor({ discover: [{ application: 'live', filter: { sourceType: 'streamfile' } }], debounce: 1 });
+
+		await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream']);
+
+		server.inject({ status: 500 });
+		await monitor.poll();
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'error 500 live']);
+	});
+
+	await t.test('start polls on interval and stop aborts in-flight requests', async () => {
+		server.reset();
+		server.addIncomingStream('live', '_definst_', 'cam1.stream');
+		let { monitor, events } = createMonitor({ streams: ['cam1'], interval: 10, debounce: 1, stallPolls: 100 });
+		t.after(() => monitor.stop());
+
+		monitor.start();
+		await new Promise(resolve => setTimeout(resolve, 50));
+		assert.deepStrictEqual(events, ['connected cam1.stream']);
+		let requests = server.requests.length;
+		assert.ok(requests > 2);
+
+		server.inject({ hang: true, times: Infinity });
+		await new Promise(resolve => setTimeout(resolve, 20));
+		await monitor.stop();
+		await new Promise(resolve => setTimeout(resolve, 30));
+		assert.strictEqual(server.requests.length, requests + 1);
+		assert.deepStrictEqual(events, ['connected cam1.stream']);
+	});
+
+	await t.test('a throwing listener is reported as an error and polling goes on', async () => {
+		server.reset();
+		let cam = server.addIncomingStream('live', '_definst_', 'cam1.stream', { bytesIn: 1 });
+		let monitor = new WowzaAPI.StreamMonitor(wowza, { streams: ['cam1'], interval: 10, debounce: 1, stallPolls: 100 });
+		let errors = [];
+		monitor.on('connected', () => { throw new Error('listener failed'); });
+		monitor.on('error', (err, stream) => errors.push([err.message, stream]));
+		t.after(() => monitor.stop());
+
+		monitor.start();
+		await new Promise(resolve => setTimeout(resolve, 30));
+		assert.deepStrictEqual(errors, [['listener failed', undefined]]);
+		let requests = server.requests.length;
+
+		cam.bytesIn++;
+		await new Promise(resolve => setTimeout(resolve, 30));
+		assert.ok(server.requests.length > requests);
+		await monitor.stop();
+	});
+});
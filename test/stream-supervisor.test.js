@@ -0,0 +1,158 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('StreamSupervisor', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	let supervisors = [];
+	t.afterEach(() => Promise.all(supervisors.splice(0).map(supervisor => supervisor.stop())));
+	t.after(() => server.close());
+
+	function createSupervisor(options) {
+		let supervisor = new WowzaAPI.StreamSupervisor(wowza, Object.assign({ interval: 10, retryDelay: 10, retryMaxDelay: 20 }, options));
+		let events = [];
+		supervisor.on('change', (stream, state) => events.push(`${state} ${stream.name}`));
+		supervisor.on('error', (err, stream) => events.push(`error ${err.status} ${stream.name}`));
+		supervisors.push(supervisor);
+		return { supervisor: supervisor, events: events };
+	}
+
+	let wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addStreamFile('live', 'cam1', { uri: 'rtsp://192.168.1.10/stream' });
+		server.addStreamFile('live', 'cam2', { uri: 'rtsp://192.168.1.11/stream' });
+		server.addIncomingStream('live', '_definst_', 'cam1.stream');
+	});
+
+	await t.test('reports connected streams and reconnects missing ones', async () => {
+		let { supervisor, events } = createSupervisor({ streams: ['cam1', { application: 'live', streamFile: 'cam2.stream', mediaCasterType: 'rtp' }] });
+
+		await supervisor.check();
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'reconnecting cam2.stream']);
+		let connect = server.requests.filter(request => /\/actions\/connect$/.test(request.path));
+		assert.strictEqual(connect.length, 1);
+		assert.strictEqual(connect[0].path, '/v2/servers/_defaultServer_/vhosts/_defaultVHost_/streamfiles/cam2/actions/connect');
+		assert.deepStrictEqual(connect[0].query, { connectAppName: 'live', appInstance: '_definst_', mediaCasterType: 'rtp' });
+
+		supervisor.start();
+		await wait(50);
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'reconnecting cam2.stream', 'connected cam2.stream']);
+		assert.strictEqual(supervisor.getState('cam2').state, 'connected');
+		assert.strictEqual(supervisor.getState('cam2').attempts, 0);
+	});
+
+	await t.test('backs off and gives up after maxAttempts', async () => {
+		let { supervisor, events } = createSupervisor({ streams: ['cam2'], maxAttempts: 3 });
+		let attempts = [];
+		supervisor.on('attempt', (stream, attempt) => attempts.push(attempt));
+		server.inject({ path: '/actions/connect', status: 500, times: Infinity });
+
+		supervisor.start();
+		await wait(150);
+		assert.deepStrictEqual(attempts, [1, 2, 3]);
+		assert.deepStrictEqual(events, [
+			'reconnecting cam2.stream',
+			'error 500 cam2.stream',
+			'error 500 cam2.stream',
+			'error 500 cam2.stream',
+			'given-up cam2.stream'
+		]);
+		let state = supervisor.getState({ streamFile: 'cam2' });
+		assert.strictEqual(state.state, 'given-up');
+		assert.strictEqual(state.lastError.status, 500);
+
+		server.faults = [];
+		await supervisor.resume('cam2');
+		await wait(50);
+		assert.deepStrictEqual(events.slice(5), ['reconnecting cam2.stream', 'connected cam2.stream']);
+	});
+
+	await t.test('disconnect through the supervisor pauses reconnection', async () => {
+		let { supervisor, events } = createSupervisor({ streams: ['cam1'] });
+
+		supervisor.start();
+		await wait(30);
+		await supervisor.disconnect('cam1');
+		await wait(50);
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'paused cam1.stream']);
+		assert.strictEqual(server.requests.filter(request => /\/actions\/connect$/.test(request.path)).length, 0);
+		assert.deepStrictEqual(server.applications.live.instances._definst_.incomingStreams, {});
+
+		await supervisor.resume('cam1');
+		await wait(50);
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'paused cam1.stream', 'reconnecting cam1.stream', 'connected cam1.stream']);
+	});
+
+	await t.test('a stream disconnected outside of the supervisor is reconnected', async () => {
+		let { supervisor, events } = createSupervisor({ streams: ['cam1'] });
+
+		supervisor.start();
+		await wait(30);
+		await wowza.disconnectIncomingStream({ streamFile: 'cam1' });
+		await wait(60);
+		assert.deepStrictEqual(events, ['connected cam1.stream', 'reconnecting cam1.stream', 'connected cam1.stream']);
+		await supervisor.stop();
+		assert.strictEqual(supervisor.running, false);
+	});
+
+	await t.test('a throwing listener is reported as an error and checks go on', async () => {
+		let supervisor = new WowzaAPI.StreamSupervisor(wowza, { streams: ['cam1'], interval: 10, retryDelay: 10, retryMaxDelay: 20 });
+		supervisors.push(supervisor);
+		let errors = [];
+		let states = [];
+		supervisor.once('connected', () => { throw new Error('listener failed'); });
+		supervisor.on('change', (stream, state) => states.push(state));
+		supervisor.on('error', (err, stream) => errors.push([err.message, stream]));
+
+		supervisor.start();
+		await wait(30);
+		assert.deepStrictEqual(errors, [['listener failed', undefined]]);
+
+		await wowza.disconnectIncomingStream({ streamFile: 'cam1' });
+		await wait(60);
+		assert.deepStrictEqual(states.slice(-2), ['reconnecting', 'connected']);
+	});
+
+	await t.test('a listener throwing after a reconnect is reported as an error', async () => {
+		let supervisor = new WowzaAPI.StreamSupervisor(wowza, { streams: ['cam2'], interval: 10, retryDelay: 10, retryMaxDelay: 20 });
+		supervisors.push(supervisor);
+		let errors = [];
+		let states = [];
+		supervisor.once('connected', () => { throw new Error('listener failed'); });
+		supervisor.on('change', (stream, state) => states.push(state));
+		supervisor.on('error', (err, stream) => errors.push([err.message, stream]));
+
+		supervisor.start();
+		await wait(50);
+		assert.deepStrictEqual(errors, [['listener failed', undefined]]);
+		assert.deepStrictEqual(states, ['reconnecting', 'connected']);
+
+		await wowza.disconnectIncomingStream({ streamFile: 'cam2' });
+		await wait(60);
+		assert.deepStrictEqual(states, ['reconnecting', 'connected', 'reconnecting', 'connected']);
+	});
+
+	await t.test('a throwing attempt listener does not stop the attempt', async () => {
+		let supervisor = new WowzaAPI.StreamSupervisor(wowza, { streams: ['cam2'], interval: 10, retryDelay: 10, retryMaxDelay: 20 });
+		supervisors.push(supervisor);
+		let errors = [];
+		let states = [];
+		supervisor.once('attempt', () => { throw new Error('listener failed'); });
+		supervisor.on('change', (stream, state) => states.push(state));
+		supervisor.on('error', (err, stream) => errors.push([err.message, stream]));
+
+		supervisor.start();
+		await wait(50);
+		assert.deepStrictEqual(errors, [['listener failed', undefined]]);
+		assert.deepStrictEqual(states, ['reconnecting', 'connected']);
+		assert.strictEqual(server.requests.filter(request => /\/actions\/connect$/.test(request.path)).length, 1);
+	});
+});
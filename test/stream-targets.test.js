@@ -0,0 +1,97 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+const cli = require('../lib/cli');
+
+test('stream target profiles', () => {
+	let targets = WowzaAPI.streamTargets;
+
+	assert.deepStrictEqual(targets.rtmp({ entryName: 'cdn', sourceStreamName: 'cam', host: 'rtmp.example.com', application: 'live', streamName: 'cam' }), {
+		profile: 'rtmp', enabled: true, port: 1935, entryName: 'cdn', sourceStreamName: 'cam', host: 'rtmp.example.com', application: 'live', streamName: 'cam'
+	});
+	assert.deepStrictEqual(targets.facebook({ entryName: 'fb', sourceStreamName: 'cam', streamKey: 'FB-1' }), {
+		profile: 'rtmp', enabled: true, host: 'live-api-s.facebook.com', port: 443, application: 'rtmp', sendSSL: true, entryName: 'fb', sourceStreamName: 'cam', streamName: 'FB-1'
+	});
+	let youtube = targets.youtube({ entryName: 'yt', sourceStreamName: 'cam', streamKey: 'abcd-efgh', backup: true });
+	assert.strictEqual(youtube.host, 'b.rtmp.youtube.com');
+	assert.strictEqual(youtube.application, 'live2?backup=1');
+	assert.strictEqual(youtube.streamName, 'abcd-efgh');
+	assert.strictEqual(youtube.backup, undefined);
+	assert.strictEqual(targets.youtube({ entryName: 'yt', sourceStreamName: 'cam', streamKey: 'k' }).host, 'a.rtmp.youtube.com');
+
+	let akamai = targets.akamai({ entryName: 'ak', sourceStreamName: 'cam', streamName: 'cam', 'akamai.hostId': 'p.ep123', 'akamai.streamId': '456' });
+	assert.strictEqual(akamai.profile, 'rtmp-akamai');
+	assert.strictEqual(akamai['akamai.destinationServer'], 'primary');
+	assert.strictEqual(targets.hls({ entryName: 'h', sourceStreamName: 'cam', host: 'ingest.example.com' }).profile, 'cupertino-http');
+	assert.strictEqual(targets.srt({ entryName: 's', sourceStreamName: 'cam', host: '10.0.0.5', port: 9000 }).profile, 'srt');
+
+	assert.throws(() => targets.rtmp({ entryName: 'cdn', sourceStreamName: 'cam', host: 'rtmp.example.com', app: 'live', streamKey: 'cam' }),
+		{ name: 'WowzaValidationError', message: 'stream target cdn: application is required, streamName is required, unknown field app, did you mean application?, unknown field streamKey, did you mean streamName?' });
+	assert.throws(() => targets.akamai({ entryName: 'ak', sourceStreamName: 'cam', streamName: 'cam', 'akamai.hostID': 'x' }), /akamai.hostId is required, akamai.streamId is required/);
+	assert.throws(() => targets.srt({ entryName: 's', sourceStreamName: 'cam', host: '10.0.0.5' }), /port is required/);
+	assert.throws(() => targets.srt({ entryName: 's', sourceStreamName: 'cam', host: '10.0.0.5', port: 70000 }), /port should be 1-65535/);
+	assert.throws(() => targets.facebook({ entryName: 'fb', sourceStreamName: 'cam', streamKey: 'k', enabled: 'yes' }), /enabled should be a boolean/);
+	assert.throws(() => WowzaAPI.validateStreamTarget({ profile: 'rtmp' }), /^WowzaValidationError: stream target: entryName is required, sourceStreamName is required/);
+
+	// profiles without a builder need only the common fields, updates check only present fields
+	assert.doesNotThrow(() => WowzaAPI.validateStreamTarget({ entryName: 'x', profile: 'rtmp-limelight', sourceStreamName: 'cam' }));
+	assert.doesNotThrow(() => WowzaAPI.validateStreamTarget({ entryName: 'x', enabled: false }, { partial: true }));
+	assert.throws(() => WowzaAPI.validateStreamTarget({ entryName: 'x', username: 'u' }, { partial: true }), /did you mean userName/);
+});
+
+test('stream target methods', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'live' });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+	});
+	t.after(() => server.close());
+
+	await t.test('create, get, update and run actions', async () => {
+		await wowza.createStreamTarget({}, WowzaAPI.streamTargets.youtube({ entryName: 'yt', sourceStreamName: 'studio', streamKey: 'abcd' }));
+		let target = await wowza.getStreamTarget({}, 'yt');
+		assert.strictEqual(target.host, 'a.rtmp.youtube.com');
+		assert.strictEqual(target.streamName, 'abcd');
+
+		await wowza.updateStreamTarget({}, { entryName: 'yt', streamName: 'efgh' });
+		assert.strictEqual(server.applications.live.streamTargets.yt.streamName, 'efgh');
+
+		server.requests = [];
+		await wowza.disableStreamTarget({}, 'yt');
+		assert.strictEqual(server.applications.live.streamTargets.yt.enabled, false);
+		await wowza.enableStreamTarget({}, 'yt');
+		await wowza.restartStreamTarget({}, 'yt');
+		assert.deepStrictEqual(server.requests.map(request => `${request.method} ${request.path.split('/mapentries/')[1]}`), [
+			'PUT yt/actions/disable',
+			'PUT yt/actions/enable',
+			'PUT yt/actions/restart'
+		]);
+	});
+
+	await t.test('wrong configurations are rejected without a request', async () => {
+		server.requests = [];
+		await assert.rejects(wowza.createStreamTarget({}, { entryName: 'fb', profile: 'rtmp', sourceStreamName: 'cam', host: 'a.facebook.com' }), /application is required/);
+		await assert.rejects(wowza.updateStreamTarget({}, { streamName: 'x' }), /entryName is required/);
+		assert.strictEqual(server.requests.length, 0);
+	});
+
+	await t.test('CLI builds targets by type', async () => {
+		let stderr = '';
+		let io = { stdout: { write: () => {} }, stderr: { write: chunk => { stderr += chunk; } }, env: { WOWZA_PORT: String(port) }, homedir: __dirname };
+
+		let code = await cli.run(['targets', 'create', 'fb', '--type', 'facebook', '--data', '{"sourceStreamName": "cam", "streamKey": "FB-1"}'], io);
+		assert.strictEqual(code, cli.EXIT_OK);
+		assert.strictEqual(server.applications.live.streamTargets.fb.host, 'live-api-s.facebook.com');
+
+		code = await cli.run(['targets', 'create', 'x', '--type', 'rtmp', '--data', '{"sourceStreamName": "cam"}'], io);
+		assert.strictEqual(code, cli.EXIT_USAGE);
+		assert.ok(/host is required/.test(stderr));
+		assert.strictEqual(await cli.run(['targets', 'create', 'x', '--type', 'twitch', '--data', '{}'], io), cli.EXIT_USAGE);
+	});
+});
@@ -0,0 +1,40 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const streams = require('../lib/streams');
+
+test('streams', async (t) => {
+	await t.test('normalizes names of incoming streams', () => {
+		assert.strictEqual(streams.checkStreamFileName('ipCam.stream'), 'ipCam');
+		assert.strictEqual(streams.checkStreamFileName('cam.v2'), 'cam.v2');
+		assert.strictEqual(streams.getIncomingStreamName({ streamFile: 'ipCam' }), 'ipCam.stream');
+		assert.strictEqual(streams.getIncomingStreamName({ streamFile: 'ipCam.stream' }), 'ipCam.stream');
+		assert.strictEqual(streams.getIncomingStreamName({ streamName: 'myCam' }, 'ipCam'), 'myCam');
+		assert.strictEqual(streams.getIncomingStreamName({}, 'ipCam'), 'ipCam.stream');
+	});
+
+	await t.test('filters and paginates incoming streams', () => {
+		let response = {
+			serverName: '_defaultServer_',
+			incomingStreams: [
+				{ name: 'ipCam.stream', isConnected: true },
+				{ name: 'myCam', isConnected: true },
+				{ name: 'relay', sourceIp: 'RTMP://10.0.0.1', isConnected: false }
+			]
+		};
+
+		let result = streams.filterIncomingStreams(response, { isConnected: true, pageSize: 1, page: 2 });
+		assert.deepStrictEqual(result, {
+			serverName: '_defaultServer_',
+			incomingStreams: [{ sourceType: 'publish', name: 'myCam', isConnected: true }],
+			total: 2,
+			page: 2,
+			pageSize: 1,
+			pages: 2
+		});
+		assert.deepStrictEqual(streams.filterIncomingStreams(response, { namePattern: '*cam*', sourceType: 'streamfile' }).incomingStreams.map(stream => stream.name), []);
+		assert.deepStrictEqual(streams.filterIncomingStreams(response, { namePattern: '*Cam*', sourceType: ['streamfile', 'rtmp'] }).incomingStreams.map(stream => stream.name), ['ipCam.stream']);
+		assert.deepStrictEqual(streams.filterIncomingStreams(response, { sourceType: 'rtmp' }).incomingStreams.map(stream => stream.name), ['relay']);
+	});
+});
@@ -0,0 +1,94 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('buildAbrTemplate', async (t) => {
+	await t.test('builds encodes and a stream name group of all renditions', () => {
+		let template = WowzaAPI.buildAbrTemplate([
+			{ name: '720p', width: 1280, height: 720, videoBitrate: '3000k', audioBitrate: '128k', profile: 'high' },
+			{ name: '360p', width: 640, height: 360, videoBitrate: 850000 }
+		], { name: 'cameras' });
+
+		assert.strictEqual(template.name, 'cameras');
+		assert.deepStrictEqual(template.encodes.map(encode => encode.name), ['source', '720p', '360p']);
+		assert.deepStrictEqual(template.encodes[1].video.frameSize, { fitMode: 'fit-height', width: 1280, height: 720 });
+		assert.strictEqual(template.encodes[1].video.bitrate, 3000000);
+		assert.strictEqual(template.encodes[1].video.profile, 'high');
+		assert.strictEqual(template.encodes[1].audio.bitrate, 128000);
+		assert.strictEqual(template.encodes[2].streamName, 'mp4:${SourceStreamName}_360p');
+		assert.deepStrictEqual(template.streamNameGroups, [{
+			name: 'all',
+			streamName: '${SourceStreamName}_all',
+			members: [{ encodeName: 'source' }, { encodeName: '720p' }, { encodeName: '360p' }]
+		}]);
+	});
+
+	await t.test('validates renditions', () => {
+		assert.throws(() => WowzaAPI.buildAbrTemplate([]), TypeError);
+		assert.throws(() => WowzaAPI.buildAbrTemplate([{ name: '720p', width: 1280, height: 720, videoBitrate: 'fast' }]), /videoBitrate/);
+		assert.throws(() => WowzaAPI.buildAbrTemplate([{ name: '720p', width: 1280.5, height: 720, videoBitrate: 1 }]), /width/);
+		assert.throws(() => WowzaAPI.buildAbrTemplate([
+			{ name: 'hd', width: 1280, height: 720, videoBitrate: 1 },
+			{ name: 'hd', width: 640, height: 360, videoBitrate: 1 }
+		]), /not unique/);
+	});
+});
+
+test('transcoder methods', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live');
+	});
+	t.after(() => server.close());
+
+	await t.test('enableTranscoder and disableTranscoder', async () => {
+		await wowza.enableTranscoder({}, { templates: 'cameras.xml' });
+		let config = await wowza.getTranscoderConfig();
+		assert.strictEqual(config.liveStreamTranscoder, 'transcoder');
+		assert.strictEqual(config.templates, 'cameras.xml');
+
+		await wowza.disableTranscoder();
+		config = await wowza.getTranscoderConfig();
+		assert.strictEqual(config.liveStreamTranscoder, '');
+	});
+
+	await t.test('templates, encodes, decode and stream name groups', async () => {
+		let template = WowzaAPI.buildAbrTemplate([{ name: '720p', width: 1280, height: 720, videoBitrate: '3000k' }], { name: 'cameras' });
+		await wowza.createTranscoderTemplate({}, template);
+		assert.deepStrictEqual((await wowza.getTranscoderTemplates()).templates.map(item => item.id), ['cameras']);
+
+		await wowza.createTranscoderEncode({}, 'cameras', WowzaAPI.buildEncode({ name: '360p', width: 640, height: 360, videoBitrate: '850k' }));
+		let encode = await wowza.getTranscoderEncode({}, 'cameras', '360p');
+		assert.strictEqual(encode.video.bitrate, 850000);
+
+		encode.video.bitrate = 900000;
+		await wowza.updateTranscoderEncode({}, 'cameras', encode);
+		assert.strictEqual((await wowza.getTranscoderEncode({}, 'cameras', '360p')).video.bitrate, 900000);
+
+		await wowza.updateTranscoderDecode({}, 'cameras', { video: { implementation: 'NVCUVID', deinterlace: true } });
+		assert.strictEqual((await wowza.getTranscoderDecode({}, 'cameras')).video.implementation, 'NVCUVID');
+
+		await wowza.createTranscoderStreamNameGroup({}, 'cameras', { name: 'low', streamName: '${SourceStreamName}_low', members: [{ encodeName: '360p' }] });
+		await wowza.updateTranscoderStreamNameGroup({}, 'cameras', { name: 'low', streamName: '${SourceStreamName}_mobile' });
+		await wowza.deleteTranscoderStreamNameGroup({}, 'cameras', 'all');
+		await wowza.deleteTranscoderEncode({}, 'cameras', 'source');
+
+		let saved = await wowza.getTranscoderTemplate({}, 'cameras');
+		assert.deepStrictEqual(saved.encodes.map(item => item.name), ['720p', '360p']);
+		assert.deepStrictEqual(saved.streamNameGroups.map(item => item.streamName), ['${SourceStreamName}_mobile']);
+
+		saved.description = 'Cameras ladder';
+		await wowza.updateTranscoderTemplate({}, saved);
+		assert.strictEqual((await wowza.getTranscoderTemplate({}, 'cameras')).description, 'Cameras ladder');
+
+		await wowza.deleteTranscoderTemplate({}, 'cameras');
+		await assert.rejects(wowza.getTranscoderTemplate({}, 'cameras'), { status: 404 });
+	});
+});
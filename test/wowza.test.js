@@ -0,0 +1,114 @@
+'use strict'
+
+const test = require('node:test');
+const assert = require('assert');
+const WowzaAPI = require('../wowza');
+const MockWowzaServer = require('../lib/mock-server');
+
+test('WowzaAPI methods', async (t) => {
+	let server = new MockWowzaServer();
+	let port = await server.listen();
+	let wowza = new WowzaAPI({ port: port, application: 'live', streamFile: 'ipCam.stream' });
+
+	t.beforeEach(() => {
+		server.reset();
+		server.addApplication('live', { appType: 'Live' });
+		server.addStreamFile('live', 'ipCam', { uri: 'rtsp://192.168.1.10/stream' });
+	});
+	t.after(() => server.close());
+
+	await t.test('getApplicationConfig', async () => {
+		let config = await wowza.getApplicationConfig();
+		assert.strictEqual(config.name, 'live');
+		assert.strictEqual(config.appType, 'Live');
+	});
+
+	await t.test('getStreamFilesList', async () => {
+		let list = await wowza.getStreamFilesList();
+		assert.deepStrictEqual(list.streamFiles.map(file => file.id), ['ipCam']);
+	});
+
+	await t.test('addStreamFile', async () => {
+		let response = await wowza.addStreamFile({}, { name: 'newCam', uri: 'rtsp://192.168.1.11/stream' });
+		assert.strictEqual(response.success, true);
+		assert.strictEqual(server.applications.live.streamFiles.newCam.uri, 'rtsp://192.168.1.11/stream');
+	});
+
+	await t.test('getStreamFileConfiguration', async () => {
+		let config = await wowza.getStreamFileConfiguration({ streamFile: 'ipCam' });
+		assert.strictEqual(config.uri, 'rtsp://192.168.1.10/stream');
+	});
+
+	await t.test('updateStreamFileOptions', async () => {
+		await wowza.updateStreamFileOptions({ streamFile: 'ipCam' }, { uri: 'rtsp://192.168.1.12/stream' });
+		assert.strictEqual(server.applications.live.streamFiles.ipCam.uri, 'rtsp://192.168.1.12/stream');
+	});
+
+	await t.test('updateAdvancedStreamFileOptions', async () => {
+		let advancedSettings = [{ name: 'rtspSessionTimeout', value: '60', enabled: true }];
+		await wowza.updateAdvancedStreamFileOptions({ streamFile: 'ipCam' }, { serverName: '_defaultServer_', advancedSettings: advancedSettings });
+		assert.deepStrictEqual(server.applications.live.streamFiles.ipCam.advancedSettings, advancedSettings);
+	});
+
+	await t.test('deleteStreamFile', async () => {
+		await wowza.deleteStreamFile({ streamFile: 'ipCam' });
+		assert.deepStrictEqual(server.applications.live.streamFiles, {});
+	});
+
+	await t.test('connectStreamFile, getIncomingStreamInfo, getIncomingStreamStats and disconnectIncomingStream', async () => {
+		let response = await wowza.connectStreamFile({ streamFile: 'ipCam.stream' });
+		assert.strictEqual(response.success, true);
+		let request = server.requests[server.requests.length - 1];
+		assert.strictEqual(request.path, '/v2/servers/_defaultServer_/vhosts/_defaultVHost_/streamfiles/ipCam/actions/connect');
+		assert.deepStrictEqual(request.query, { connectAppName: 'live', appInstance: '_definst_', mediaCasterType: 'rtp' });
+
+		let info = await wowza.getIncomingStreamInfo({ streamFile: 'ipCam' });
+		assert.strictEqual(info.name, 'ipCam.stream');
+		assert.strictEqual(info.isConnected, true);
+
+		server.applications.live.instances._definst_.incomingStreams['ipCam.stream'].bytesIn = 1024;
+		let stats = await wowza.getIncomingStreamStats({ streamFile: 'ipCam' });
+		assert.strictEqual(stats.bytesIn, 1024);
+
+		await wowza.disconnectIncomingStream({ streamFile: 'ipCam.stream' });
+		assert.deepStrictEqual(server.applications.live.instances._definst_.incomingStreams, {});
+	});
+
+	await t.test('createRecorder, getRecordersList and stopRecording', async () => {
+		let response = await wowza.createRecorder({ recorderName: 'ipCam', fileFormat: 'MP4', segmentationType: 'None' }, { streamFile: 'ipCam' });
+		assert.strictEqual(response.message, 'Recorder Created');
+
+		let list = await wowza.getRecordersList();
+		assert.strictEqual(list.streamrecorder.length, 1);
+		assert.strictEqual(list.streamrecorder[0].fileFormat, 'MP4');
+
+		await wowza.stopRecording({ streamFile: 'ipCam' });
+		list = await wowza.getRecordersList();
+		assert.strictEqual(list.streamrecorder.length, 0);
+	});
+
+	await t.test('setStreamTarget, getStreamTargets, setStreamTargetOption and deleteStreamTarget', async () => {
+		let target = { entryName: 'fb1', profile: 'rtmp', host: 'live-api.facebook.com', application: 'rtmp', streamName: 'key', sourceStreamName: 'ipCam' };
+		await wowza.setStreamTarget({}, target);
+		await wowza.setStreamTarget({}, Object.assign({ actionType: 'update' }, target, { streamName: 'key2' }));
+
+		let list = await wowza.getStreamTargets();
+		assert.strictEqual(list.mapEntries.length, 1);
+		assert.strictEqual(list.mapEntries[0].streamName, 'key2');
+		assert.strictEqual(list.mapEntries[0].actionType, undefined);
+
+		await wowza.setStreamTargetOption({}, 'fb1', 'disable');
+		assert.strictEqual(server.applications.live.streamTargets.fb1.enabled, false);
+
+		await wowza.deleteStreamTarget({}, 'fb1');
+		list = await wowza.getStreamTargets();
+		assert.strictEqual(list.mapEntries.length, 0);
+	});
+
+	await t.test('per call application, server and vhost', async () => {
+		server.addApplication('vod', { appType: 'VOD' });
+		let config = await wowza.getApplicationConfig({ application: 'vod', serverName: 'other', vhost: 'vhost2' });
+		assert.strictEqual(config.appType, 'VOD');
+		assert.strictEqual(server.requests[0].path, '/v2/servers/other/vhosts/vhost2/applications/vod');
+	});
+});
@@ -1,7 +1,21 @@
 'use strict'
 
-let http,
-	httpClient = require('./http-digest-client/http-digest-client'),
+let httpClient = require('./http-digest-client/http-digest-client'),
+	transport = require('./lib/transport'),
+	errors = require('./lib/errors'),
+	transcoder = require('./lib/transcoder'),
+	snapshot = require('./lib/snapshot'),
+	recorder = require('./lib/recorder'),
+	streamTargets = require('./lib/stream-targets'),
+	playback = require('./lib/playback'),
+	secureToken = require('./lib/secure-token'),
+	accounts = require('./lib/accounts'),
+	smil = require('./lib/smil'),
+	repeater = require('./lib/repeater'),
+	dvr = require('./lib/dvr'),
+	xml = require('./lib/xml'),
+	streams = require('./lib/streams'),
+	retry = require('./lib/retry'),
 	querystring = require('querystring');
 
 /**
@@ -12,15 +26,45 @@ let http,
  * @extends Object
  * @param {Object} [options] possible to set stream parametres which will use as default for methods
  * @param {string} [options.wowzaAdress = 'localhost'] IP address or domein name of Wowza Streaming Engine
+ * @param {string} [options.protocol = 'http'] protocol of the REST API, one of: http | https
+ * @param {number} [options.port = 8087] port of the REST API
+ * @param {string} [options.serverName = '_defaultServer_'] name of a Wowza server
+ * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host
+ * @param {string|Buffer|Array} [options.ca] trusted CA certificates for https, passed to the `https` module as is
+ * @param {string|Buffer} [options.cert] client certificate for https
+ * @param {string|Buffer} [options.key] private key of the client certificate for https
+ * @param {boolean} [options.rejectUnauthorized = true] set to false to accept self-signed certificates of the engine
+ * @param {string} [options.username] username for digest authentication
+ * @param {string} [options.password] password for digest authentication
+ * @param {Object} [options.transport] custom transport with the `request(options, callback)` method of the node `http` module,
+ * it sends `options.body` by itself (see lib/transport.js). By default the native `http`/`https` module or the digest client is used
+ * @param {http.Agent} [options.agent] agent for connections to the engine, e.g. keep-alive agent
+ * @param {number} [options.timeout = 0] request timeout in milliseconds, 0 means no timeout
+ * @param {number} [options.retries = 0] how many times a failed request is repeated
+ * @param {number} [options.retryDelay = 200] base delay before the first retry in milliseconds, it's doubled for every next retry
+ * @param {number} [options.retryMaxDelay = 5000] max delay between retries in milliseconds
+ * @param {string} [options.responseFormat = 'json'] one of: json | xml, in xml mode the engine is asked for XML
+ * (some engine builds return full details only in XML) which is parsed to the same object shape as JSON
+ * @param {Function} [options.shouldRetry] (error, requestOptions) => boolean, by default only GET/PUT/DELETE requests
+ * failed by a network error or 5xx status are repeated
+ *
+ * All of the request options except agent (and also `signal` with an AbortSignal) can be passed to the methods to override them per call.
  * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile
  * @param {string} [options.application = 'application'] name of an application
  * @param {string} [options.appInstance = '_definst_'] name of an application instance
  * @param {string} [options.mediaCasterType = 'rtp'] caster type
+ * @param {string} [options.streamingHost = wowzaAdress] host of playback URLs, see getPlaybackUrls
+ * @param {Object} [options.streamingPorts] ports of playback URLs: {http, rtmp, rtsp, webrtc}
+ * @param {boolean} [options.streamingSecure = false] https and rtmps playback URLs
  *
  * @example
  * let Wowza = require('./wowza.js');
  *	wowza = new Wowza({
  *		wowzaAdress: '192.168.1.15',   // default value is 'localhost'
+ *		protocol: 'https',             // default is 'http'
+ *		port: 8443,                    // default is 8087
+ *		serverName: '_defaultServer_', // default is '_defaultServer_'
+ *		vhost: '_defaultVHost_',       // default is '_defaultVHost_'
  *		streamFile: 'ipCamera.stream', // default is 'myStream.stream'
  *		application: 'webrtc',         // default is 'live'
  *		appIstance: '_definst_',       // default is '_definst_'
@@ -33,31 +77,56 @@ let http,
 class WowzaAPI {
 
 	constructor(options) {
+		options = options || {};
 		this.wowzaAdress = options.wowzaAdress || 'localhost';
+		this.protocol = options.protocol === 'https' ? 'https' : 'http';
+		this.port = options.port || 8087;
+		this.serverName = options.serverName || '_defaultServer_';
+		this.vhost = options.vhost || '_defaultVHost_';
 		this.application = options.application || 'live';
 		this.streamFile = options.streamFile || 'myStream.stream';
 		this.appInstance = options.appInstance || '_definst_';
 		this.mediaCasterType = options.mediaCasterType || 'rtp';
-		this.commonRequestUrl = `http://${this.wowzaAdress}:8087`;
+		this.streamingHost = options.streamingHost || this.wowzaAdress;
+		this.streamingPorts = Object.assign({}, options.streamingPorts);
+		this.streamingSecure = !!options.streamingSecure;
+		this.commonRequestUrl = `${this.protocol}://${this.wowzaAdress}:${this.port}`;
 		this.authEnabled = false;
-		if ( options.username != '' && options.password != '' ){
-				console.log("using digest library");
+		if ( options.transport ){
+				this.transport = options.transport;
+		} else if ( options.username && options.password ){
 				this.authEnabled = true;
-				http = httpClient(options.username, options.password);
+				this.transport = httpClient(options.username, options.password, this.protocol === 'https');
 		} else {
-				console.log("using native library");
-				http = require("http");
+				this.transport = transport.createNativeTransport(this.protocol);
 		}
 		this.httpOptions = {
 			host: this.wowzaAdress,
-			port: '8087',
-			path: '/v2/servers/_defaultServer_/vhosts/_defaultVHost_',
+			port: String(this.port),
+			path: `/v2/servers/${this.serverName}/vhosts/${this.vhost}`,
 			method: 'PUT',
 			headers: {
 				'Accept': 'application/json; charset=utf-8',
 				'Content-Type': 'application/json; charset=utf-8'
 			}
 		}
+
+		// TLS options are passed through to the https module by both the native and the digest library
+		if (this.protocol === 'https') {
+			['ca', 'cert', 'key', 'rejectUnauthorized'].forEach(name => {
+				if (options[name] !== undefined) this.httpOptions[name] = options[name];
+			});
+		}
+		if (options.agent) this.httpOptions.agent = options.agent;
+
+		this.requestSettings = {
+			timeout: options.timeout || 0,
+			retries: options.retries || 0,
+			retryDelay: options.retryDelay || 200,
+			retryMaxDelay: options.retryMaxDelay || 5000,
+			shouldRetry: options.shouldRetry || WowzaAPI.isRetryableError,
+			responseFormat: options.responseFormat === 'xml' ? 'xml' : 'json'
+		};
 	}
 
 	/**
@@ -66,6 +135,9 @@ class WowzaAPI {
 	 * @function getStreamFilesList
 	 * @param {Object} [options]
 	 * @param {string}  [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
 	 * @return {Promise} promise which resolve by object which contains array of streamFiles and it's confifurations
 	 *
 	 * @example
@@ -81,15 +153,18 @@ class WowzaAPI {
 		let application = this.application;
 		if (options && options.application) application = options.application;
 
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
 			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}/streamfiles`;
+			options.path = `${basePath}/applications/${application}/streamfiles`;
 
 			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
@@ -99,6 +174,9 @@ class WowzaAPI {
 	 * @function updateStreamFileOptions
 	 * @param {Object} [options]
 	 * @param {string}  [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
 	 * @param {Object} [options]
 	 * @return {Promise} promise which resolve by object which contains a resposne that looks like this:
 			 {
@@ -116,15 +194,18 @@ class WowzaAPI {
 			streamFile = options.streamFile || this.streamFile;
 		}
 
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
 			options.method = 'PUT';
-			options.path = `${this.httpOptions.path}/applications/${application}/streamfiles/${streamFile}`;
+			options.path = `${basePath}/applications/${application}/streamfiles/${streamFile}`;
 			options.body = JSON.stringify(streamFileAppConfig);
 			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
@@ -134,6 +215,9 @@ class WowzaAPI {
 	 * @function updateAdvancedStreamFileOptions
 	 * @param {Object} [options]
 	 * @param {string}  [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
 	 * @param {Object} [options]
 	 * @return {Promise} promise which resolve by object which contains a resposne that looks like this:
 			 {
@@ -176,16 +260,19 @@ class WowzaAPI {
 			streamFile = options.streamFile || this.streamFile;
 		}
 
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
 			options.method = 'PUT';
 			options.body = JSON.stringify(streamFileAppConfigAdv);
-			options.path = `${this.httpOptions.path}/applications/${application}/streamfiles/${streamFile}/adv`;
+			options.path = `${basePath}/applications/${application}/streamfiles/${streamFile}/adv`;
 
 			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
@@ -195,6 +282,9 @@ class WowzaAPI {
 	 * @function addStreamFile
 	 * @param {Object} [options]
 	 * @param {string}  [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
 	 * @return {Promise} promise which resolve by object which contains array of streamFiles and it's confifurations
 	 *
 	 */
@@ -205,15 +295,18 @@ class WowzaAPI {
 			application = options.application || this.application;
 		}
 
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
 			options.method = 'POST';
-			options.path = `${this.httpOptions.path}/applications/${application}/streamfiles`;
+			options.path = `${basePath}/applications/${application}/streamfiles`;
 			//the http library can be digest or non-digest, options.body allows digest to properly process the request
 			options.body = JSON.stringify(streamFileAppConfig);
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
@@ -226,15 +319,18 @@ class WowzaAPI {
 			streamFile = options.streamFile || this.streamFile;
 		}
 
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
 			options.method = 'DELETE';
-			options.path = `${this.httpOptions.path}/applications/${application}/streamfiles/${streamFile}`;
+			options.path = `${basePath}/applications/${application}/streamfiles/${streamFile}`;
 
 			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
@@ -246,325 +342,1326 @@ class WowzaAPI {
 			application = options.application || this.application;
 		}
 
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
 			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}`;
+			options.path = `${basePath}/applications/${application}`;
 			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
 	/**
-	 *Get specific stream configuration
+	 * Get a list of applications
 	 *
-	 * @function getStreamFileConfiguration
+	 * @method getApplicationsList
 	 * @param {Object} [options]
-	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve by stream configurations object
-	 *
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by object contains applications array
+	 * @example
+	 * wowza.getApplicationsList().then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_',
+	 * //  applications: [ { id: 'live', href: '/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/live', appType: 'Live',
+	 * //    dvrEnabled: false, drmEnabled: false, transcoderEnabled: false, streamTargetsEnabled: true } ] }
 	 */
-	getStreamFileConfiguration(options) {
-
-		let application = this.application;
-		let streamFile = this.streamFile;
-
-		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-		}
-
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}/streamfiles/${streamFile}`;
-
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	getApplicationsList(options) {
+		return this._request(options, 'GET', `${this._getBasePath(options)}/applications`);
 	}
 
 	/**
-	 *Create Recorder
+	 * Create an application
 	 *
-	 * @method createRecorder
-	 * @param {Object} recorderParametres
-	 * @param {string} recorderParametres.restURI
-	 * @param {string} recorderParametres.recorderName
-	 * @param {string} recorderParametres.instanceName
-	 * @param {string} recorderParametres.recorderState
-	 * @param {boolean} recorderParametres.defaultRecorder
-	 * @param {string} recorderParametres.segmentationType
-	 * @param {string} recorderParametres.outputPath  default value is [] and wowza should save files in [install-dir]/content, not tested
-	 * @param {string} recorderParametres.baseFile  default is [], and wowza should name file as a streamfile name, not tested
-	 * @param {string} recorderParametres.fileFormat
-	 * @param {string} recorderParametres.fileVersionDelegateName
-	 * @param {string} recorderParametres.fileTemplate
-	 * @param {number} recorderParametres.segmentDuration
-	 * @param {number} recorderParametres.segmentSize
-	 * @param {string} recorderParametres.segmentSchedule
-	 * @param {boolean} recorderParametres.recordData
-	 * @param {boolean} recorderParametres.startOnKeyFrame
-	 * @param {boolean} recorderParametres.splitOnTcDiscontinuity
-	 * @param {number} recorderParametres.backBufferTime
-	 * @param {string} recorderParametres.option should to work with one of: version | append | overwrite, but not tested
-	 * @param {boolean} recorderParametres.moveFirstVideoFrameToZero
-	 * @param {number} recorderParametres.currentSize
-	 * @param {number} recorderParametres.currentDuration
-	 * @param {string} recorderParametres.recordingStartTime
+	 * @method createApplication
 	 * @param {Object} [options]
-	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve when rec will start
+	 * @param {string} [options.application = 'live'] name of a new application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} [applicationConfig] configuration of the application, name is taken from options.application
+	 * @param {string} [applicationConfig.appType = 'Live'] one of: Live | LiveRecord | LiveHTTPOrigin | LiveEdge | VOD | VODEdge | VODHTTPOrigin
+	 * @param {string} [applicationConfig.description]
+	 * @param {string} [applicationConfig.clientStreamReadAccess = '*']
+	 * @param {string} [applicationConfig.clientStreamWriteAccess = '*']
+	 * @return {Promise} promise which resolve when application will be created
 	 * @example
-	 * wowza.createRecorder({
-	 * 	"restURI": "http://192.168.1.15:8087/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/webrtc/instances/_definst_/streamrecorders/ipCamera.stream",
-	 * 	"recorderName": "ipCameraRecorder",
-	 * 	"instanceName": "_definst_",
-	 * 	"recorderState": "Waiting for stream",
-	 * 	"defaultRecorder": true,
-	 * 	"segmentationType": "None",
-	 * 	"outputPath": "", // default value is [] and wowza save files in [install-dir]/content, not tested
-	 * 	"baseFile": "myrecord2.mp4", // default is [], and wowza will name file as a streamfile name, not tested
-	 * 	"fileFormat": "MP4",
-	 * 	"fileVersionDelegateName": "com.wowza.wms.livestreamrecord.manager.StreamRecorderFileVersionDelegate",
-	 * 	"fileTemplate": "${BaseFileName}_${RecordingStartTime}_${SegmentNumber}",
-	 * 	"segmentDuration": 900000,
-	 * 	"segmentSize": 10485760,
-	 * 	"segmentSchedule": "0 * * * * *",
-	 * 	"recordData": true,
-	 * 	"startOnKeyFrame": true,
-	 * 	"splitOnTcDiscontinuity": false,
-	 * 	"backBufferTime": 3000,
-	 * 	"option": "Version existing file", //should to work with one of: version | append | overwrite, but not tested
-	 * 	"moveFirstVideoFrameToZero": true,
-	 * 	"currentSize": 0,
-	 * 	"currentDuration": 0,
-	 * 	"recordingStartTime": ""
-	 * },{
-	 * 	streamFile: 'ipCamera',
-	 * 	application: 'webrtc',
-	 * 	appIstance: '_definst_'
-	 * })
-	 * 	.then(response => console.log(response))
-	 * 	.catch(errorMsg => console.log(errorMsg));
+	 * wowza.createApplication({application: 'customer42'}, {appType: 'Live', description: 'Customer 42 cameras'})
+	 * 	.then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
 	 * // Wowza answer example:
-	 * //{ success: true, message: 'Recorder Created', data: null }
+	 * //{ success: true, message: 'Application (customer42) created successfully.', data: null }
 	 */
-	createRecorder(recorderParametres, options) {
+	createApplication(options, applicationConfig) {
 
 		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
 
 		if (options) {
 			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
 		}
 
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'POST';
-			options.path = `${this.httpOptions.path}/applications/${application}/instances/${appInstance}/streamrecorders/${streamFile}`;
-			options.body = JSON.stringify(recorderParametres);
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+		return this._applicationRequest(options, 'POST', '', Object.assign({
+			restURI: `${this.commonRequestUrl}${this._getBasePath(options)}/applications/${application}`,
+			appType: 'Live',
+			clientStreamReadAccess: '*',
+			clientStreamWriteAccess: '*',
+			description: ''
+		}, applicationConfig, { name: application }));
 	}
 
 	/**
-	 * Stop recording
+	 * Update configuration of an application
 	 *
-	 * @method stopRecording
+	 * @method updateApplicationConfig
 	 * @param {Object} [options]
 	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve when rec will stop
-	 * @example
-	 * wowza.stopRecording({
-	 * 	streamFile: 'ipCamera',
-	 * 	application: 'webrtc',
-	 * 	appIstance: '_definst_'
-	 * }).then(response => console.log(response)).catch(errorMsg => console.log(errorMsg));
-	 * // Wowza answer example:
-	 * // { success: true, message: 'Recording (ipCamera) stopped', data: null }
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} [applicationConfig] fields of the configuration which are changed, e.g. {description: '...'}
+	 * @return {Promise} promise which resolve when configuration will be saved
 	 */
-	stopRecording(options) {
-
-		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
-
-		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
-		}
-
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'PUT';
-			options.path = `${this.httpOptions.path}/applications/${application}/instances/${appInstance}/streamrecorders/${streamFile}/actions/stopRecording`;
-
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	updateApplicationConfig(options, applicationConfig) {
+		return this._applicationRequest(options, 'PUT', '', applicationConfig);
 	}
 
 	/**
-	 * Updates an existing stream target
+	 * Delete an application
 	 *
-	 * @method deleteStreamTarget
+	 * @method deleteApplication
 	 * @param {Object} [options]
 	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [entryName]
-	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve when application will be deleted
 	 */
-	deleteStreamTarget(options, entryName) {
-
-		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
-
-		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
-		}
-
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = "DELETE";
-			options.path = `${this.httpOptions.path}/applications/${application}/pushpublish/mapentries/${entryName}`;
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	deleteApplication(options) {
+		return this._applicationRequest(options, 'DELETE', '');
 	}
 
 	/**
-	 * Updates an existing stream target
+	 * Restart an application
 	 *
-	 * @method setStreamTargetOption
+	 * @method restartApplication
 	 * @param {Object} [options]
 	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [entryName]
-	 * @param {string} [action]
-	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve when application will be restarted
 	 */
-	setStreamTargetOption(options, entryName, action) {
-
-		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
-
-		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
-		}
-
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = "PUT";
-			options.path = `${this.httpOptions.path}/applications/${application}/pushpublish/mapentries/${entryName}/actions/${action}`;
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	restartApplication(options) {
+		return this._applicationAction(options, 'restart');
 	}
 
 	/**
-	 * Updates an existing stream target
+	 * Shutdown an application
 	 *
-	 * @method setStreamTarget
+	 * @method shutdownApplication
 	 * @param {Object} [options]
 	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {Object} [config]
-	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve when application will be shut down
 	 */
-	setStreamTarget(options, config) {
-
-		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
+	shutdownApplication(options) {
+		return this._applicationAction(options, 'shutdown');
+	}
 
-		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
-		}
+	/**
+	 * Get advanced configuration of an application
+	 *
+	 * @method getApplicationAdvancedConfig
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by object contains advancedSettings and modules arrays
+	 */
+	getApplicationAdvancedConfig(options) {
+		return this._applicationRequest(options, 'GET', '/adv');
+	}
 
-		return new Promise((resolve, reject) => {
+	/**
+	 * Update advanced configuration of an application
+	 *
+	 * @method updateApplicationAdvancedConfig
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} [advancedConfig] the same shape as streamFileAppConfigAdv of updateAdvancedStreamFileOptions, modules array can be passed as well
+	 * @return {Promise} promise which resolve when configuration will be saved
+	 */
+	updateApplicationAdvancedConfig(options, advancedConfig) {
+		return this._applicationRequest(options, 'PUT', '/adv', advancedConfig);
+	}
 
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = (config.actionType == "update" ? 'PUT' : 'POST');
-			options.path = `${this.httpOptions.path}/applications/${application}/pushpublish/mapentries/${config.entryName}`;
-			options.body = JSON.stringify(config);
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	/**
+	 * Get security settings of an application: SecureToken, publish authentication and client IP restrictions
+	 *
+	 * @method getApplicationSecurity
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by security settings
+	 * @example
+	 * wowza.getApplicationSecurity({application: 'vod'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_',
+	 * //  secureTokenVersion: 2,
+	 * //  secureTokenSharedSecret: 'mySharedSecret',
+	 * //  secureTokenHashAlgorithm: 'SHA-256',
+	 * //  secureTokenQueryParametersPrefix: 'wowzatoken',
+	 * //  secureTokenIncludeClientIPInHash: false,
+	 * //  publishRequirePassword: true,
+	 * //  publishAuthenticationMethod: 'digest',
+	 * //  publishRTMPSecureURLParams: '',
+	 * //  playIPWhiteList: '',
+	 * //  playIPBlackList: '',
+	 * //  publishIPWhiteList: '',
+	 * //  publishIPBlackList: '',
+	 * //  ... }
+	 */
+	getApplicationSecurity(options) {
+		return this._applicationRequest(options, 'GET', '/security');
 	}
 
 	/**
-	 * Get a list of stream targets
+	 * Update security settings of an application, only passed fields are changed.
+	 * IP lists (playIPWhiteList, playIPBlackList, publishIPWhiteList, publishIPBlackList) can be arrays, they are joined by commas.
 	 *
-	 * @method getStreamTargets
+	 * @method updateApplicationSecurity
 	 * @param {Object} [options]
 	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} security settings, e.g. {secureTokenVersion: 2, secureTokenSharedSecret: '...', secureTokenHashAlgorithm: 'SHA-256'}
+	 * @return {Promise} promise which resolve when settings will be saved, it's rejected by WowzaValidationError without a request when a value is wrong
 	 * @example
-	 * wowza.getStreamTargets({
-	 * 	application: 'webrtc',
-	 * 	appIstance: '_definst_'
+	 * wowza.updateApplicationSecurity({application: 'vod'}, {
+	 * 	secureTokenVersion: 2,
+	 * 	secureTokenSharedSecret: 'mySharedSecret',
+	 * 	secureTokenHashAlgorithm: 'SHA-256',
+	 * 	publishRequirePassword: true,
+	 * 	publishIPWhiteList: ['10.0.0.*', '192.168.1.10']
 	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
 	 */
-	getStreamTargets(options) {
-		let application = this.application;
-		let appInstance = this.appInstance;
-
-		if (options) {
-			application = options.application || this.application;
-			appInstance = options.appInstance || this.appInstance;
+	updateApplicationSecurity(options, security) {
+		try {
+			security = secureToken.normalizeApplicationSecurity(security);
+		} catch (err) {
+			return Promise.reject(err);
 		}
+		return this._applicationRequest(options, 'PUT', '/security', security);
+	}
 
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}/pushpublish/mapentries`;
-
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	/**
+	 * Get live stream repeater settings of an application, they are read from the application config:
+	 * the stream type gives the mode and the queue type, repeaterOriginUrl gives origin URLs (primary|backup) and the secure connection (wowzs://)
+	 *
+	 * @method getStreamRepeater
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by {mode, queueType, originUrls, secureConnection, queryString}
+	 * @example
+	 * wowza.getStreamRepeater({application: 'liveedge'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * //{ mode: 'edge', queueType: 'standard', originUrls: [ 'wowz://origin.example.com:1935/live' ], secureConnection: false, queryString: '' }
+	 */
+	getStreamRepeater(options) {
+		return this.getApplicationConfig(options).then(config => repeater.parseRepeaterSettings(config));
 	}
 
 	/**
-	 * Get a list of recorders
+	 * Update live stream repeater settings of an application, passed fields are merged with the current settings
+	 * and saved to the application config. The application should be restarted to apply them.
 	 *
-	 * @method getRecordersList
+	 * @method updateStreamRepeater
 	 * @param {Object} [options]
 	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} settings
+	 * @param {string} [settings.mode] origin | edge | none
+	 * @param {string} [settings.queueType] standard | lowlatency
+	 * @param {Array<string>} [settings.originUrls] URLs of the primary and backup origins, e.g. ['wowz://origin.example.com:1935/live'], required in edge mode
+	 * @param {boolean} [settings.secureConnection] connect to origins by wowzs://
+	 * @param {string} [settings.queryString] query string which edges send to origins
+	 * @return {Promise} promise which resolve when settings will be saved, it's rejected by WowzaValidationError without an update when settings are wrong
 	 * @example
-	 * wowza.getRecordersList({
+	 * wowza.updateStreamRepeater({application: 'liveedge'}, {mode: 'edge', originUrls: ['wowz://origin.example.com:1935/live'], secureConnection: true})
+	 * 	.then(() => wowza.restartApplication({application: 'liveedge'}));
+	 */
+	updateStreamRepeater(options, settings) {
+		return this.getApplicationConfig(options)
+			.then(config => this.updateApplicationConfig(options, repeater.buildRepeaterConfig(config, settings)));
+	}
+
+	/**
+	 * Get transcoder configuration of an application
+	 *
+	 * @method getTranscoderConfig
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by transcoder configuration object
+	 */
+	getTranscoderConfig(options) {
+		return this._applicationRequest(options, 'GET', '/transcoder');
+	}
+
+	/**
+	 * Enable the live stream transcoder for an application
+	 *
+	 * @method enableTranscoder
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} [transcoderConfig] fields of the transcoder configuration to save with it
+	 * @param {string} [transcoderConfig.templates = '${SourceStreamName}.xml,transrate.xml'] comma separated list of templates which are applied to incoming streams
+	 * @return {Promise} promise which resolve when transcoder will be enabled
+	 * @example
+	 * wowza.enableTranscoder({application: 'live'}, {templates: 'cameras.xml'})
+	 * 	.then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	enableTranscoder(options, transcoderConfig) {
+		return this._applicationRequest(options, 'PUT', '/transcoder', Object.assign({
+			templates: '${SourceStreamName}.xml,transrate.xml'
+		}, transcoderConfig, { liveStreamTranscoder: 'transcoder' }));
+	}
+
+	/**
+	 * Disable the live stream transcoder for an application
+	 *
+	 * @method disableTranscoder
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve when transcoder will be disabled
+	 */
+	disableTranscoder(options) {
+		return this._applicationRequest(options, 'PUT', '/transcoder', { liveStreamTranscoder: '' });
+	}
+
+	/**
+	 * Get a list of transcoder templates of an application
+	 *
+	 * @method getTranscoderTemplates
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by object contains templates array
+	 */
+	getTranscoderTemplates(options) {
+		return this._applicationRequest(options, 'GET', '/transcoder/templates');
+	}
+
+	/**
+	 * Get a transcoder template with it's encodes, decode and stream name groups
+	 *
+	 * @method getTranscoderTemplate
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template, e.g. 'transrate'
+	 * @return {Promise} promise which resolve by template object
+	 */
+	getTranscoderTemplate(options, templateName) {
+		return this._applicationRequest(options, 'GET', `/transcoder/templates/${templateName}`);
+	}
+
+	/**
+	 * Create a transcoder template
+	 *
+	 * @method createTranscoderTemplate
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} template template, e.g. built by WowzaAPI.buildAbrTemplate
+	 * @param {string} template.name name of the template
+	 * @param {string} [template.description]
+	 * @param {Array<Object>} [template.encodes] encodes of the template, see createTranscoderEncode
+	 * @param {Object} [template.decode] decode settings, see updateTranscoderDecode
+	 * @param {Array<Object>} [template.streamNameGroups] stream name groups, see createTranscoderStreamNameGroup
+	 * @return {Promise} promise which resolve when template will be created
+	 * @example
+	 * wowza.createTranscoderTemplate({application: 'live'}, WowzaAPI.buildAbrTemplate([
+	 * 	{name: '720p', width: 1280, height: 720, videoBitrate: '3000k'},
+	 * 	{name: '360p', width: 640, height: 360, videoBitrate: '850k'}
+	 * ], {name: 'cameras'})).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	createTranscoderTemplate(options, template) {
+		return this._applicationRequest(options, 'POST', `/transcoder/templates/${template.name}`, template);
+	}
+
+	/**
+	 * Update a transcoder template
+	 *
+	 * @method updateTranscoderTemplate
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} template template, the same shape as for createTranscoderTemplate
+	 * @param {string} template.name name of the template
+	 * @return {Promise} promise which resolve when template will be saved
+	 */
+	updateTranscoderTemplate(options, template) {
+		return this._applicationRequest(options, 'PUT', `/transcoder/templates/${template.name}`, template);
+	}
+
+	/**
+	 * Delete a transcoder template
+	 *
+	 * @method deleteTranscoderTemplate
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @return {Promise} promise which resolve when template will be deleted
+	 */
+	deleteTranscoderTemplate(options, templateName) {
+		return this._applicationRequest(options, 'DELETE', `/transcoder/templates/${templateName}`);
+	}
+
+	/**
+	 * Get an encode of a transcoder template
+	 *
+	 * @method getTranscoderEncode
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {string} encodeName name of an encode, e.g. '720p'
+	 * @return {Promise} promise which resolve by encode object
+	 */
+	getTranscoderEncode(options, templateName, encodeName) {
+		return this._applicationRequest(options, 'GET', `/transcoder/templates/${templateName}/encodes/${encodeName}`);
+	}
+
+	/**
+	 * Add an encode to a transcoder template
+	 *
+	 * @method createTranscoderEncode
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {Object} encode encode, can be built by WowzaAPI.buildEncode
+	 * @param {string} encode.name
+	 * @param {boolean} [encode.enable]
+	 * @param {string} [encode.streamName] name of the output stream, e.g. 'mp4:${SourceStreamName}_720p'
+	 * @param {Object} [encode.video] {codec, implementation, bitrate, profile, frameSize: {fitMode, width, height}, keyFrameInterval: {followSource, interval}}
+	 * @param {Object} [encode.audio] {codec, bitrate}
+	 * @return {Promise} promise which resolve when encode will be created
+	 */
+	createTranscoderEncode(options, templateName, encode) {
+		return this._applicationRequest(options, 'POST', `/transcoder/templates/${templateName}/encodes/${encode.name}`, encode);
+	}
+
+	/**
+	 * Update an encode of a transcoder template
+	 *
+	 * @method updateTranscoderEncode
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {Object} encode encode, the same shape as for createTranscoderEncode
+	 * @param {string} encode.name
+	 * @return {Promise} promise which resolve when encode will be saved
+	 */
+	updateTranscoderEncode(options, templateName, encode) {
+		return this._applicationRequest(options, 'PUT', `/transcoder/templates/${templateName}/encodes/${encode.name}`, encode);
+	}
+
+	/**
+	 * Delete an encode of a transcoder template
+	 *
+	 * @method deleteTranscoderEncode
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {string} encodeName name of an encode
+	 * @return {Promise} promise which resolve when encode will be deleted
+	 */
+	deleteTranscoderEncode(options, templateName, encodeName) {
+		return this._applicationRequest(options, 'DELETE', `/transcoder/templates/${templateName}/encodes/${encodeName}`);
+	}
+
+	/**
+	 * Get decode settings of a transcoder template
+	 *
+	 * @method getTranscoderDecode
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @return {Promise} promise which resolve by decode object
+	 */
+	getTranscoderDecode(options, templateName) {
+		return this._applicationRequest(options, 'GET', `/transcoder/templates/${templateName}/decode`);
+	}
+
+	/**
+	 * Update decode settings of a transcoder template
+	 *
+	 * @method updateTranscoderDecode
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {Object} decode e.g. {video: {implementation: 'default', deinterlace: false}}
+	 * @return {Promise} promise which resolve when decode settings will be saved
+	 */
+	updateTranscoderDecode(options, templateName, decode) {
+		return this._applicationRequest(options, 'PUT', `/transcoder/templates/${templateName}/decode`, decode);
+	}
+
+	/**
+	 * Add a stream name group to a transcoder template
+	 *
+	 * @method createTranscoderStreamNameGroup
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {Object} group
+	 * @param {string} group.name
+	 * @param {string} group.streamName name of the ABR stream, e.g. '${SourceStreamName}_all'
+	 * @param {Array<Object>} group.members encodes of the group, e.g. [{encodeName: '720p'}]
+	 * @return {Promise} promise which resolve when group will be created
+	 */
+	createTranscoderStreamNameGroup(options, templateName, group) {
+		return this._applicationRequest(options, 'POST', `/transcoder/templates/${templateName}/streamnamegroups/${group.name}`, group);
+	}
+
+	/**
+	 * Update a stream name group of a transcoder template
+	 *
+	 * @method updateTranscoderStreamNameGroup
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {Object} group group, the same shape as for createTranscoderStreamNameGroup
+	 * @param {string} group.name
+	 * @return {Promise} promise which resolve when group will be saved
+	 */
+	updateTranscoderStreamNameGroup(options, templateName, group) {
+		return this._applicationRequest(options, 'PUT', `/transcoder/templates/${templateName}/streamnamegroups/${group.name}`, group);
+	}
+
+	/**
+	 * Delete a stream name group of a transcoder template
+	 *
+	 * @method deleteTranscoderStreamNameGroup
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} templateName name of a template
+	 * @param {string} groupName name of a group
+	 * @return {Promise} promise which resolve when group will be deleted
+	 */
+	deleteTranscoderStreamNameGroup(options, templateName, groupName) {
+		return this._applicationRequest(options, 'DELETE', `/transcoder/templates/${templateName}/streamnamegroups/${groupName}`);
+	}
+
+	/**
+	 * Get SMIL files of an application
+	 *
+	 * @method getSmilFilesList
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by names of SMIL files
+	 * @example
+	 * wowza.getSmilFilesList({application: 'live'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', smilFiles: [ { id: 'cameras', href: '/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/live/smilfiles/cameras' } ] }
+	 */
+	getSmilFilesList(options) {
+		return this._applicationRequest(options, 'GET', '/smilfiles');
+	}
+
+	/**
+	 * Get a SMIL file of an application
+	 *
+	 * @method getSmilFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} name name of the SMIL file, with or without '.smil'
+	 * @return {Promise} promise which resolve by the SMIL file
+	 * @example
+	 * wowza.getSmilFile({application: 'live'}, 'cameras').then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', name: 'cameras', title: '', description: '',
+	 * //  smilStreams: [ { type: 'video', src: 'cam1.stream', systemLanguage: 'en', videoBitrate: '3000000', audioBitrate: '128000', width: '1280', height: '720' } ] }
+	 */
+	getSmilFile(options, name) {
+		return this._applicationRequest(options, 'GET', `/smilfiles/${smil.getSmilName(name)}`);
+	}
+
+	/**
+	 * Create a SMIL file of an application, it's checked by validateSmilFile() first. WowzaAPI.buildSmilFile() builds it from streams.
+	 * The SMIL file is played by getPlaybackUrls({smil: name}).
+	 *
+	 * @method createSmilFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} smilFile {name, title, description, smilStreams: [{src, systemLanguage, videoBitrate, audioBitrate, width, height, type}]}
+	 * @return {Promise} promise which resolve when the SMIL file is created, it's rejected by WowzaValidationError without a request when the SMIL file is wrong
+	 * @example
+	 * wowza.createSmilFile({application: 'live'}, WowzaAPI.buildSmilFile('cameras', [
+	 * 	{streamFile: 'cam1', videoBitrate: 3000000, width: 1280, height: 720},
+	 * 	{streamFile: 'cam1_low', videoBitrate: 850000, width: 640, height: 360}
+	 * ])).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	createSmilFile(options, smilFile) {
+		try {
+			smilFile = smil.validateSmilFile(smilFile);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._applicationRequest(options, 'POST', `/smilfiles/${smilFile.name}`, smilFile);
+	}
+
+	/**
+	 * Update a SMIL file of an application, passed smilStreams replace the current ones
+	 *
+	 * @method updateSmilFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} smilFile {name, title, description, smilStreams}
+	 * @return {Promise} promise which resolve when the SMIL file is saved, it's rejected by WowzaValidationError without a request when the SMIL file is wrong
+	 */
+	updateSmilFile(options, smilFile) {
+		try {
+			smilFile = smil.validateSmilFile(smilFile, { partial: true });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._applicationRequest(options, 'PUT', `/smilfiles/${smilFile.name}`, smilFile);
+	}
+
+	/**
+	 * Delete a SMIL file of an application
+	 *
+	 * @method deleteSmilFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} name name of the SMIL file, with or without '.smil'
+	 * @return {Promise} promise which resolve when the SMIL file is deleted
+	 */
+	deleteSmilFile(options, name) {
+		return this._applicationRequest(options, 'DELETE', `/smilfiles/${smil.getSmilName(name)}`);
+	}
+
+	/**
+	 * Build a SMIL file of outputs of a transcoder template for a source stream: enabled encodes with a video bitrate
+	 * become smilstreams with their bitrates and frame size, passthrough encodes are skipped. Nothing is saved, see createSmilFile.
+	 *
+	 * @method buildTranscoderSmilFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} name name of the SMIL file
+	 * @param {string} templateName name of the transcoder template
+	 * @param {string} sourceStreamName name of the transcoded stream, e.g. 'myStream' or 'ipCam.stream'
+	 * @return {Promise} promise which resolve by the SMIL file
+	 * @example
+	 * wowza.buildTranscoderSmilFile({application: 'live'}, 'cam1', 'cameras', 'cam1.stream')
+	 * 	.then( smilFile => wowza.createSmilFile({application: 'live'}, smilFile));
+	 * // smilStreams: [ { type: 'video', src: 'mp4:cam1.stream_720p', videoBitrate: '3000000', audioBitrate: '128000', width: '1280', height: '720' }, ... ]
+	 */
+	buildTranscoderSmilFile(options, name, templateName, sourceStreamName) {
+		return this.getTranscoderTemplate(options, templateName)
+			.then(template => smil.buildSmilFile(name, smil.getTranscoderSmilStreams(template, sourceStreamName), { description: `Outputs of ${templateName}` }));
+	}
+
+	/**
+	 *Get specific stream configuration
+	 *
+	 * @function getStreamFileConfiguration
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve by stream configurations object
+	 *
+	 */
+	getStreamFileConfiguration(options) {
+
+		let application = this.application;
+		let streamFile = this.streamFile;
+
+		if (options) {
+			application = options.application || this.application;
+			streamFile = options.streamFile || this.streamFile;
+		}
+
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.method = 'GET';
+			options.path = `${basePath}/applications/${application}/streamfiles/${streamFile}`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 *Create Recorder
+	 *
+	 * @method createRecorder
+	 * @param {Object} recorderParametres
+	 * @param {string} recorderParametres.restURI
+	 * @param {string} recorderParametres.recorderName
+	 * @param {string} recorderParametres.instanceName
+	 * @param {string} recorderParametres.recorderState
+	 * @param {boolean} recorderParametres.defaultRecorder
+	 * @param {string} recorderParametres.segmentationType one of: None | SegmentByDuration | SegmentBySize | SegmentBySchedule
+	 * @param {string} recorderParametres.outputPath  default value is [] and wowza should save files in [install-dir]/content, not tested
+	 * @param {string} recorderParametres.baseFile  default is [], and wowza should name file as a streamfile name, not tested
+	 * @param {string} recorderParametres.fileFormat MP4 | FLV
+	 * @param {string} recorderParametres.fileVersionDelegateName
+	 * @param {string} recorderParametres.fileTemplate
+	 * @param {number} recorderParametres.segmentDuration
+	 * @param {number} recorderParametres.segmentSize
+	 * @param {string} recorderParametres.segmentSchedule
+	 * @param {boolean} recorderParametres.recordData
+	 * @param {boolean} recorderParametres.startOnKeyFrame
+	 * @param {boolean} recorderParametres.splitOnTcDiscontinuity
+	 * @param {number} recorderParametres.backBufferTime
+	 * @param {string} recorderParametres.option one of: version | append | overwrite or the full value, e.g. 'Version existing file'
+	 * @param {boolean} recorderParametres.moveFirstVideoFrameToZero
+	 * @param {number} recorderParametres.currentSize
+	 * @param {number} recorderParametres.currentDuration
+	 * @param {string} recorderParametres.recordingStartTime
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve when rec will start, it's rejected by WowzaValidationError without a request when parameters are wrong
+	 * @example
+	 * wowza.createRecorder({
+	 * 	"restURI": "http://192.168.1.15:8087/v2/servers/_defaultServer_/vhosts/_defaultVHost_/applications/webrtc/instances/_definst_/streamrecorders/ipCamera.stream",
+	 * 	"recorderName": "ipCameraRecorder",
+	 * 	"instanceName": "_definst_",
+	 * 	"recorderState": "Waiting for stream",
+	 * 	"defaultRecorder": true,
+	 * 	"segmentationType": "None",
+	 * 	"outputPath": "", // default value is [] and wowza save files in [install-dir]/content, not tested
+	 * 	"baseFile": "myrecord2.mp4", // default is [], and wowza will name file as a streamfile name, not tested
+	 * 	"fileFormat": "MP4",
+	 * 	"fileVersionDelegateName": "com.wowza.wms.livestreamrecord.manager.StreamRecorderFileVersionDelegate",
+	 * 	"fileTemplate": "${BaseFileName}_${RecordingStartTime}_${SegmentNumber}",
+	 * 	"segmentDuration": 900000,
+	 * 	"segmentSize": 10485760,
+	 * 	"segmentSchedule": "0 * * * * *",
+	 * 	"recordData": true,
+	 * 	"startOnKeyFrame": true,
+	 * 	"splitOnTcDiscontinuity": false,
+	 * 	"backBufferTime": 3000,
+	 * 	"option": "Version existing file", // or version | append | overwrite
+	 * 	"moveFirstVideoFrameToZero": true,
+	 * 	"currentSize": 0,
+	 * 	"currentDuration": 0,
+	 * 	"recordingStartTime": ""
+	 * },{
+	 * 	streamFile: 'ipCamera',
+	 * 	application: 'webrtc',
+	 * 	appIstance: '_definst_'
+	 * })
+	 * 	.then(response => console.log(response))
+	 * 	.catch(errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ success: true, message: 'Recorder Created', data: null }
+	 */
+	createRecorder(recorderParametres, options) {
+
+		try {
+			recorderParametres = recorder.validateRecorderParameters(recorderParametres);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		let application = this.application;
+		let streamFile = this.streamFile;
+		let appInstance = this.appInstance;
+
+		if (options) {
+			application = options.application || this.application;
+			streamFile = options.streamFile || this.streamFile;
+			appInstance = options.appInstance || this.appInstance;
+		}
+
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.method = 'POST';
+			options.path = `${basePath}/applications/${application}/instances/${appInstance}/streamrecorders/${streamFile}`;
+			options.body = JSON.stringify(recorderParametres);
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 * Stop recording
+	 *
+	 * @method stopRecording
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve when rec will stop
+	 * @example
+	 * wowza.stopRecording({
+	 * 	streamFile: 'ipCamera',
+	 * 	application: 'webrtc',
+	 * 	appIstance: '_definst_'
+	 * }).then(response => console.log(response)).catch(errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * // { success: true, message: 'Recording (ipCamera) stopped', data: null }
+	 */
+	stopRecording(options) {
+
+		let application = this.application;
+		let streamFile = this.streamFile;
+		let appInstance = this.appInstance;
+
+		if (options) {
+			application = options.application || this.application;
+			streamFile = options.streamFile || this.streamFile;
+			appInstance = options.appInstance || this.appInstance;
+		}
+
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.method = 'PUT';
+			options.path = `${basePath}/applications/${application}/instances/${appInstance}/streamrecorders/${streamFile}/actions/stopRecording`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 * Get parameters and state of a recorder
+	 *
+	 * @method getRecorder
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of the recorder, it's the name of the recorded stream
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by the recorder, the same object as an item of getRecordersList()
+	 * @example
+	 * wowza.getRecorder({streamFile: 'ipCamera'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', recorderName: 'ipCamera', instanceName: '_definst_', recorderState: 'Recording in Progress',
+	 * //  segmentationType: 'None', fileFormat: 'MP4', currentFile: '/usr/local/WowzaStreamingEngine/content/ipCamera.mp4',
+	 * //  currentSize: 1048576, currentDuration: 60000, recordingStartTime: '2026-10-19-10.00.00.000-+00:00', ... }
+	 */
+	getRecorder(options) {
+		return this._recorderRequest(options, 'GET', '');
+	}
+
+	/**
+	 * Delete a recorder
+	 *
+	 * @method deleteRecorder
+	 * @param {Object} [options] the same as for getRecorder()
+	 * @return {Promise} promise which resolve when the recorder is deleted
+	 */
+	deleteRecorder(options) {
+		return this._recorderRequest(options, 'DELETE', '');
+	}
+
+	/**
+	 * Close the current file of a recorder and continue recording to a new one
+	 *
+	 * @method splitRecording
+	 * @param {Object} [options] the same as for getRecorder()
+	 * @return {Promise} promise which resolve when the file is split
+	 * @example
+	 * wowza.splitRecording({streamFile: 'ipCamera'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * // { success: true, message: 'Recording (ipCamera) split', data: null }
+	 */
+	splitRecording(options) {
+		return this._recorderRequest(options, 'PUT', '/actions/splitRecording');
+	}
+
+	/**
+	 * Restart recording of a recorder with its parameters
+	 *
+	 * @method restartRecording
+	 * @param {Object} [options] the same as for getRecorder()
+	 * @return {Promise} promise which resolve when recording is restarted
+	 */
+	restartRecording(options) {
+		return this._recorderRequest(options, 'PUT', '/actions/restartRecording');
+	}
+
+	/**
+	 * Get nDVR settings of an application
+	 *
+	 * @method getDvrConfig
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by DVR settings
+	 * @example
+	 * wowza.getDvrConfig({application: 'live'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', enabled: true, windowDuration: 7200, archiveStrategy: 'append',
+	 * //  storageDir: '${com.wowza.wms.context.VHostConfigHome}/dvr' }
+	 */
+	getDvrConfig(options) {
+		return this._applicationRequest(options, 'GET', '/dvr');
+	}
+
+	/**
+	 * Update nDVR settings of an application, only passed fields are changed
+	 *
+	 * @method updateDvrConfig
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} config
+	 * @param {boolean} [config.enabled] record incoming streams to DVR stores
+	 * @param {number} [config.windowDuration] seconds of the DVR window which can be played back, 0 for unlimited
+	 * @param {string} [config.archiveStrategy] what happens with the store when a stream is published again: append | version | delete
+	 * @param {string} [config.storageDir] where DVR stores are kept
+	 * @return {Promise} promise which resolve when settings will be saved, it's rejected by WowzaValidationError without a request when a value is wrong
+	 * @example
+	 * wowza.updateDvrConfig({application: 'live'}, {enabled: true, windowDuration: 4 * 60 * 60, archiveStrategy: 'version'})
+	 * 	.then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	updateDvrConfig(options, config) {
+		try {
+			config = dvr.validateDvrConfig(config);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._applicationRequest(options, 'PUT', '/dvr', config);
+	}
+
+	/**
+	 * Get DVR stores of an application instance
+	 *
+	 * @method getDvrStoresList
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve by names of DVR stores
+	 * @example
+	 * wowza.getDvrStoresList({application: 'live'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', dvrconverterstoreList: [ { dvrStoreName: 'myStream.0' }, { dvrStoreName: 'myStream.1' } ] }
+	 */
+	getDvrStoresList(options) {
+		return this._dvrStoreRequest(options, 'GET', '');
+	}
+
+	/**
+	 * Get a DVR store: its time range and the status of the last conversion
+	 *
+	 * @method getDvrStore
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} storeName name of the store, e.g. 'myStream.0'
+	 * @return {Promise} promise which resolve by the store
+	 * @example
+	 * wowza.getDvrStore({application: 'live'}, 'myStream.0').then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', dvrStoreName: 'myStream.0', isLive: false, utcStart: 1700000000000, utcEnd: 1700003600000, duration: 3600000,
+	 * //  conversionStatus: { state: 'RUNNING', fileName: 'myStream.0.mp4', fileSize: 10485760, fileDuration: 600000, errorString: '' } }
+	 */
+	getDvrStore(options, storeName) {
+		return this._dvrStoreRequest(options, 'GET', `/${storeName}`);
+	}
+
+	/**
+	 * Start a conversion of a DVR store to an MP4 file, the whole store or a time range of it.
+	 * The promise resolves when the conversion is started, see convertDvrStore to wait for its end.
+	 *
+	 * @method startDvrConversion
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} storeName name of the store, e.g. 'myStream.0'
+	 * @param {Object} [conversion]
+	 * @param {Date|number} [conversion.startTime] start of the range, a Date or milliseconds since the epoch, the start of the store by default
+	 * @param {Date|number} [conversion.endTime] end of the range, the end of the store by default
+	 * @param {string} [conversion.fileName] name of the MP4 file
+	 * @return {Promise} promise which resolve when the conversion is started, it's rejected by WowzaValidationError without a request when the range is wrong
+	 */
+	startDvrConversion(options, storeName, conversion) {
+		let query;
+		try {
+			query = querystring.stringify(dvr.buildConversionQuery(conversion));
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._dvrStoreRequest(options, 'PUT', `/${storeName}/actions/convert${query ? `?${query}` : ''}`);
+	}
+
+	/**
+	 * Wait till a conversion of a DVR store finishes, the store is checked every `interval` milliseconds
+	 *
+	 * @method waitForDvrConversion
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} storeName name of the store, e.g. 'myStream.0'
+	 * @param {Object} [settings]
+	 * @param {number} [settings.interval = 1000] interval of checks in milliseconds
+	 * @param {Function} [settings.onProgress] (conversionStatus) => void, called on every check of a running conversion
+	 * @param {Object} [settings.previousStatus] conversionStatus of the store before the conversion was started,
+	 * checks which still show it are ignored, so a finished previous conversion isn't taken for the new one
+	 * @return {Promise} promise which resolve by conversionStatus {state, fileName, fileSize, fileDuration} of a successful conversion,
+	 * it's rejected by WowzaApiError when the conversion fails and by WowzaAbortError when options.signal is aborted.
+	 * A store without a conversion state or in INIT state is waited for.
+	 */
+	waitForDvrConversion(options, storeName, settings) {
+		return dvr.waitForConversion(this, options, storeName, settings);
+	}
+
+	/**
+	 * Convert a DVR store to an MP4 file over a time range and wait for the end of the conversion, it replaces runs of DvrConversionUtility
+	 *
+	 * @method convertDvrStore
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} storeName name of the store, e.g. 'myStream.0'
+	 * @param {Object} [conversion] startTime, endTime and fileName as in startDvrConversion, interval and onProgress as in waitForDvrConversion
+	 * @return {Promise} promise which resolve by conversionStatus of a successful conversion
+	 * @example
+	 * wowza.convertDvrStore({application: 'live'}, 'myStream.0', {
+	 * 	startTime: new Date('2026-10-19T20:00:00Z'),
+	 * 	endTime: new Date('2026-10-19T21:00:00Z'),
+	 * 	fileName: 'evening-news.mp4',
+	 * 	onProgress: status => console.log(status.fileDuration)
+	 * }).then( status => console.log(status.fileName)).catch( errorMsg => console.log(errorMsg));
+	 */
+	convertDvrStore(options, storeName, conversion) {
+		conversion = conversion || {};
+		let previousStatus;
+		try {
+			dvr.buildConversionQuery(conversion);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this.getDvrStore(options, storeName)
+			.then(store => {
+				previousStatus = store.conversionStatus || {};
+				return this.startDvrConversion(options, storeName, conversion);
+			})
+			.then(() => this.waitForDvrConversion(options, storeName, {
+				interval: conversion.interval,
+				onProgress: conversion.onProgress,
+				previousStatus: previousStatus
+			}));
+	}
+
+	/**
+	 * Delete a stream target
+	 *
+	 * @method deleteStreamTarget
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [entryName]
+	 * @return {Promise} promise which resolve when the stream target is deleted
+	 */
+	deleteStreamTarget(options, entryName) {
+		return this._applicationRequest(options, 'DELETE', `/pushpublish/mapentries/${entryName}`);
+	}
+
+	/**
+	 * Run an action of a stream target: enable | disable | restart, see enableStreamTarget, disableStreamTarget and restartStreamTarget
+	 *
+	 * @method setStreamTargetOption
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [entryName]
+	 * @param {string} [action]
+	 * @return {Promise} promise which resolve when the action is done
+	 */
+	setStreamTargetOption(options, entryName, action) {
+		return this._applicationRequest(options, 'PUT', `/pushpublish/mapentries/${entryName}/actions/${action}`);
+	}
+
+	/**
+	 * Create or update a stream target without validation: it's updated when config.actionType is 'update',
+	 * actionType itself isn't sent to Wowza
+	 *
+	 * @method setStreamTarget
+	 * @deprecated use createStreamTarget or updateStreamTarget
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} [config]
+	 * @return {Promise} promise which resolve when the stream target is saved
+	 */
+	setStreamTarget(options, config) {
+		let body = Object.assign({}, config);
+		delete body.actionType;
+		return this._applicationRequest(options, config.actionType == 'update' ? 'PUT' : 'POST', `/pushpublish/mapentries/${config.entryName}`, body);
+	}
+
+	/**
+	 * Create a stream target (push publish map entry). The configuration is checked by WowzaAPI.validateStreamTarget() first,
+	 * WowzaAPI.streamTargets has builders for RTMP, Akamai, Facebook, YouTube, HLS and SRT targets.
+	 *
+	 * @method createStreamTarget
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} config stream target configuration: entryName, profile, sourceStreamName and fields of the profile
+	 * @return {Promise} promise which resolve when the stream target is created, it's rejected by WowzaValidationError without a request when the configuration is wrong
+	 * @example
+	 * wowza.createStreamTarget({application: 'live'}, WowzaAPI.streamTargets.rtmp({
+	 * 	entryName: 'cdn',
+	 * 	sourceStreamName: 'ipCamera',
+	 * 	host: 'rtmp.example.com',
+	 * 	application: 'live',
+	 * 	streamName: 'ipCamera'
+	 * })).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ success: true, message: '', data: null }
+	 */
+	createStreamTarget(options, config) {
+		try {
+			streamTargets.validateStreamTarget(config);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._applicationRequest(options, 'POST', `/pushpublish/mapentries/${config.entryName}`, config);
+	}
+
+	/**
+	 * Update a stream target, fields which are present in the configuration are checked by WowzaAPI.validateStreamTarget() first
+	 *
+	 * @method updateStreamTarget
+	 * @param {Object} [options] the same as for createStreamTarget()
+	 * @param {Object} config stream target configuration with entryName
+	 * @return {Promise} promise which resolve when the stream target is saved, it's rejected by WowzaValidationError without a request when the configuration is wrong
+	 */
+	updateStreamTarget(options, config) {
+		try {
+			streamTargets.validateStreamTarget(config, { partial: true });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._applicationRequest(options, 'PUT', `/pushpublish/mapentries/${config.entryName}`, config);
+	}
+
+	/**
+	 * Get configuration of a stream target
+	 *
+	 * @method getStreamTarget
+	 * @param {Object} [options] the same as for createStreamTarget()
+	 * @param {string} entryName
+	 * @return {Promise} promise which resolve by the configuration
+	 * @example
+	 * wowza.getStreamTarget({application: 'live'}, 'cdn').then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', entryName: 'cdn', profile: 'rtmp', sourceStreamName: 'ipCamera', enabled: true,
+	 * //  host: 'rtmp.example.com', port: 1935, application: 'live', streamName: 'ipCamera' }
+	 */
+	getStreamTarget(options, entryName) {
+		return this._applicationRequest(options, 'GET', `/pushpublish/mapentries/${entryName}`);
+	}
+
+	/**
+	 * Enable a stream target, Wowza starts pushing its stream
+	 *
+	 * @method enableStreamTarget
+	 * @param {Object} [options] the same as for createStreamTarget()
+	 * @param {string} entryName
+	 * @return {Promise}
+	 */
+	enableStreamTarget(options, entryName) {
+		return this.setStreamTargetOption(options, entryName, 'enable');
+	}
+
+	/**
+	 * Disable a stream target, Wowza stops pushing its stream
+	 *
+	 * @method disableStreamTarget
+	 * @param {Object} [options] the same as for createStreamTarget()
+	 * @param {string} entryName
+	 * @return {Promise}
+	 */
+	disableStreamTarget(options, entryName) {
+		return this.setStreamTargetOption(options, entryName, 'disable');
+	}
+
+	/**
+	 * Restart pushing of a stream target, e.g. after the destination was down
+	 *
+	 * @method restartStreamTarget
+	 * @param {Object} [options] the same as for createStreamTarget()
+	 * @param {string} entryName
+	 * @return {Promise}
+	 */
+	restartStreamTarget(options, entryName) {
+		return this.setStreamTargetOption(options, entryName, 'restart');
+	}
+
+	/**
+	 * Get a list of stream targets
+	 *
+	 * @method getStreamTargets
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @example
+	 * wowza.getStreamTargets({
+	 * 	application: 'webrtc',
+	 * 	appIstance: '_definst_'
+	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	getStreamTargets(options) {
+		return this._applicationRequest(options, 'GET', '/pushpublish/mapentries');
+	}
+
+	/**
+	 * Get a list of recorders
+	 *
+	 * @method getRecordersList
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve by object contains recorders params array
+	 * @example
+	 * wowza.getRecordersList({
 	 * 	application: 'webrtc',
 	 * 	appIstance: '_definst_'
 	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
@@ -605,244 +1702,939 @@ class WowzaAPI {
 			appInstance = options.appInstance || this.appInstance;
 		}
 
-		return new Promise((resolve, reject) => {
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.method = 'GET';
+			options.path = `${basePath}/applications/${application}/instances/${appInstance}/streamrecorders`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 *Connect a existing streamfile
+	 *
+	 * @method connectStreamFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.mediaCasterType = 'rtp'] caster type (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve when stream will connect
+	 * @example
+	 * wowza.connectStreamFile({
+	 * 	streamFile: 'ipCamera',
+	 * 	application: 'webrtc',
+	 * 	appIstance: '_definst_'
+	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * //Wowza answer example:
+	 * //{ success: true, message: 'Publish stream successfully started [webrtc/_definst_]: mp4:ipCamera.stream', data: null }
+	 */
+	connectStreamFile(options) {
+
+		let application = this.application;
+		let streamFile = this.streamFile;
+		let appInstance = this.appInstance;
+		let mediaCasterType = this.mediaCasterType;
+
+		if (options) {
+			application = options.application || this.application;
+			streamFile = options.streamFile || this.streamFile;
+			appInstance = options.appInstance || this.appInstance;
+			mediaCasterType = options.mediaCasterType || this.mediaCasterType;
+		}
+
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting request query string
+			let data = querystring.stringify({
+				connectAppName: application,
+				appInstance: appInstance,
+				mediaCasterType: mediaCasterType
+			});
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.path = `${basePath}/streamfiles/${ this._checkStreamFileName(streamFile) }/actions/connect?${data}`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 * Get information about an incoming stream
+	 *
+	 * @method getIncomingStreamInfo
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile, '.stream' is appended when it's missing (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamName] exact name of an incoming stream which is used as is, e.g. RTMP published 'myCam', takes precedence over streamFile
+	 * @return {Promise} promise which resolve by incoming stream object
+	 * @example
+	 * wowza.getIncomingStreamInfo({streamFile: 'ipCamera'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', applicationInstance: '_definst_', name: 'ipCamera.stream', sourceIp: 'rtsp://192.168.1.10/stream',
+	 * //  isRecordingSet: false, isStreamManagerStream: true, isPublishedToVOD: false, isConnected: true, isPTZEnabled: false, ptzPollingInterval: 2000 }
+	 */
+	getIncomingStreamInfo(options) {
+		let application = this.application;
+		let appInstance = this.appInstance;
+
+		if (options) {
+			application = options.application || this.application;
+			appInstance = options.appInstance || this.appInstance;
+		}
+
+		let streamName = this._getIncomingStreamName(options);
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.method = 'GET';
+			options.path = `${basePath}/applications/${application}/instances/${appInstance}/incomingstreams/${streamName}`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 * Get current monitoring stats of an incoming stream
+	 *
+	 * @method getIncomingStreamStats
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile, '.stream' is appended when it's missing (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamName] exact name of an incoming stream which is used as is, e.g. RTMP published 'myCam', takes precedence over streamFile
+	 * @return {Promise} promise which resolve by stats object
+	 * @example
+	 * wowza.getIncomingStreamStats({streamName: 'myCam'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', applicationInstance: '_definst_', name: 'myCam', uptime: 120, bytesIn: 15728640, bytesOut: 0,
+	 * //  bytesInRate: 131072, bytesOutRate: 0, totalConnections: 0, connectionCount: { RTMP: 0, ... } }
+	 */
+	getIncomingStreamStats(options) {
+		let application = this.application;
+		let appInstance = this.appInstance;
+
+		if (options) {
+			application = options.application || this.application;
+			appInstance = options.appInstance || this.appInstance;
+		}
+
+		let streamName = this._getIncomingStreamName(options);
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.method = 'GET';
+			options.path = `${basePath}/applications/${application}/instances/${appInstance}/incomingstreams/${streamName}/monitoring/current`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 * Get a list of incoming streams of an application instance with client-side filtering and pagination
+	 *
+	 * @method getIncomingStreamsList
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {Object} [filter]
+	 * @param {string|RegExp} [filter.namePattern] pattern of stream names, a string can contain * wildcards, e.g. 'cam*'
+	 * @param {string|Array<string>} [filter.sourceType] one or several of: streamfile (stream of a streamfile) | publish (published by an encoder, e.g. RTMP)
+	 * or the scheme of the source, e.g. rtsp
+	 * @param {boolean} [filter.isConnected] only connected or only disconnected streams
+	 * @param {number} [filter.page = 1] number of a page starting from 1
+	 * @param {number} [filter.pageSize] size of a page, all of the streams are returned on one page by default
+	 * @return {Promise} promise which resolve by object contains incomingStreams array of the page, total count of matched streams and pages count
+	 * @example
+	 * wowza.getIncomingStreamsList({application: 'live'}, {namePattern: 'cam*', isConnected: false, page: 1, pageSize: 20})
+	 * 	.then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // result example:
+	 * //{ serverName: '_defaultServer_', name: '_definst_',
+	 * //  incomingStreams: [ { name: 'cam1.stream', sourceType: 'streamfile', isConnected: false, ... } ],
+	 * //  total: 1, page: 1, pageSize: 20, pages: 1 }
+	 */
+	getIncomingStreamsList(options, filter) {
+
+		let appInstance = this.appInstance;
+
+		if (options) {
+			appInstance = options.appInstance || this.appInstance;
+		}
+
+		return this._applicationRequest(options, 'GET', `/instances/${appInstance}/incomingstreams`)
+			.then(response => this._filterIncomingStreams(response, filter || {}));
+	}
+
+	/**
+	 * Disconnect a existing stream file
+	 *
+	 * @method disconnectStreamFile
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile, '.stream' is appended when it's missing (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamName] exact name of an incoming stream which is used as is, e.g. RTMP published 'myCam', takes precedence over streamFile
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.mediaCasterType = 'rtp'] caster type (default value can be another if it was passed to the class constructor)
+	 * @return {Promise} promise which resolve when stream will connect
+	 * @example
+	 * wowza.disconnectStreamFile({
+	 * 	streamFile: 'ipCamera.stream',
+	 * 	application: 'webrtc',
+	 * 	appIstance: '_definst_'
+	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * //Wowza answer example:
+ 	 * //{ success: true, message: ''Publish stream successfully stopped [webrtc/_definst_]: mp4:ipCamera.stream'',data: null }
+	 */
+	disconnectIncomingStream(options) {
+
+		let application = this.application;
+		let appInstance = this.appInstance;
+		let mediaCasterType = this.mediaCasterType;
+
+		if (options) {
+			application = options.application || this.application;
+			appInstance = options.appInstance || this.appInstance;
+			mediaCasterType = options.mediaCasterType || mediaCasterType;
+		}
+
+		let streamName = this._getIncomingStreamName(options);
+		let basePath = this._getBasePath(options);
+		let requestSettings = this._getRequestSettings(options);
+
+		return new Promise((resolve, reject) => {
+
+			//getting a clone of the common httpOptions object and change it's path to necessary
+			let options = Object.assign({}, this.httpOptions);
+			options.path = `${basePath}/applications/${application}/instances/${appInstance}/incomingstreams/${streamName}/actions/disconnectStream`;
+
+			//getting request object
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
+		});
+	}
+
+	/**
+	 * Reset an incoming stream
+	 *
+	 * @method resetIncomingStream
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile, '.stream' is appended when it's missing (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamName] exact name of an incoming stream which is used as is, e.g. RTMP published 'myCam', takes precedence over streamFile
+	 * @return {Promise} promise which resolve when stream will be reset
+	 * @example
+	 * wowza.resetIncomingStream({streamFile: 'ipCamera'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	resetIncomingStream(options) {
+
+		let appInstance = this.appInstance;
+
+		if (options) {
+			appInstance = options.appInstance || this.appInstance;
+		}
+
+		let streamName = this._getIncomingStreamName(options);
+
+		return this._applicationRequest(options, 'PUT', `/instances/${appInstance}/incomingstreams/${streamName}/actions/resetStream`);
+	}
+
+	/**
+	 * Get a list of running instances of an application
+	 *
+	 * @method getApplicationInstancesList
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.vhost = '_defaultVHost_'] name of a virtual host (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by object contains instanceList array
+	 * @example
+	 * wowza.getApplicationInstancesList({application: 'live'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', instanceList: [ { name: '_definst_', incomingStreams: [ ... ], recorders: [ ... ] } ] }
+	 */
+	getApplicationInstancesList(options) {
+		return this._applicationRequest(options, 'GET', '/instances');
+	}
+
+	/**
+	 * Get current monitoring stats of the server: traffic and connections
+	 *
+	 * @method getServerMonitoring
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by stats object
+	 * @example
+	 * wowza.getServerMonitoring().then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', uptime: 86400, bytesIn: 15728640, bytesOut: 31457280, bytesInRate: 131072, bytesOutRate: 262144,
+	 * //  totalConnections: 12, connectionCount: { RTMP: 2, MPEGDASH: 0, CUPERTINO: 10, SANJOSE: 0, SMOOTH: 0, RTP: 0, WEBRTC: 0 } }
+	 */
+	getServerMonitoring(options) {
+		return this._serverRequest(options, 'GET', '/monitoring/current');
+	}
+
+	/**
+	 * Get current monitoring stats of the machine Wowza runs on: CPU, memory, Java heap and disk
+	 *
+	 * @method getMachineMonitoring
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by stats object
+	 * @example
+	 * wowza.getMachineMonitoring().then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', cpuIdle: 90, cpuUser: 8, cpuSystem: 2, memoryFree: 2147483648, memoryUsed: 6442450944,
+	 * //  heapFree: 536870912, heapUsed: 536870912, diskFree: 107374182400, diskUsed: 21474836480, connectionCount: 12 }
+	 */
+	getMachineMonitoring(options) {
+		return this._request(options, 'GET', '/v2/machine/monitoring/current');
+	}
+
+	/**
+	 * Get publishers of the server: accounts which encoders use to publish RTMP and RTSP streams
+	 *
+	 * @method getPublishersList
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by names of publishers
+	 * @example
+	 * wowza.getPublishersList().then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', publishers: [ { name: 'encoder1' }, { name: 'encoder2' } ] }
+	 */
+	getPublishersList(options) {
+		return this._serverRequest(options, 'GET', '/publishers');
+	}
+
+	/**
+	 * Get a publisher of the server
+	 *
+	 * @method getPublisher
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} name name of the publisher
+	 * @return {Promise} promise which resolve by the publisher, it's rejected by WowzaApiError with status 404 when it doesn't exist
+	 */
+	getPublisher(options, name) {
+		return this._serverRequest(options, 'GET', `/publishers/${name}`);
+	}
+
+	/**
+	 * Create a publisher of the server, the name and the password are checked by validatePublisher() first
+	 *
+	 * @method createPublisher
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} publisher {name, password}
+	 * @return {Promise} promise which resolve when the publisher is created, it's rejected by WowzaValidationError without a request when the name or the password is wrong
+	 * @example
+	 * wowza.createPublisher({}, {name: 'encoder1', password: 'secret'}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	createPublisher(options, publisher) {
+		try {
+			accounts.validatePublisher(publisher);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._serverRequest(options, 'POST', '/publishers', publisher);
+	}
+
+	/**
+	 * Update a publisher of the server, e.g. set a new password
+	 *
+	 * @method updatePublisher
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} publisher {name, password}
+	 * @return {Promise} promise which resolve when the publisher is saved, it's rejected by WowzaValidationError without a request when the name or the password is wrong
+	 */
+	updatePublisher(options, publisher) {
+		try {
+			accounts.validatePublisher(publisher, { partial: true });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._serverRequest(options, 'PUT', `/publishers/${publisher.name}`, publisher);
+	}
 
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}/instances/${appInstance}/streamrecorders`;
+	/**
+	 * Delete a publisher of the server
+	 *
+	 * @method deletePublisher
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} name name of the publisher
+	 * @return {Promise} promise which resolve when the publisher is deleted
+	 */
+	deletePublisher(options, name) {
+		return this._serverRequest(options, 'DELETE', `/publishers/${name}`);
+	}
 
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+	/**
+	 * Create publishers of encoders which don't have one and rotate passwords of existing ones, generated passwords are returned.
+	 * Encoders are handled one by one, a failure of one is reported in the result and doesn't stop the others.
+	 *
+	 * @method provisionPublishers
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {boolean} [options.rotate = true] set new passwords of existing publishers, they are left unchanged with false
+	 * @param {number} [options.passwordLength = 20] length of generated passwords
+	 * @param {Array<string|Object>} encoders names of publishers or {name, password} to set a known password
+	 * @return {Promise} promise which resolve by {publishers: [{name, status, password, error}], summary: {created, rotated, unchanged, failed}}
+	 * @example
+	 * wowza.provisionPublishers({}, ['customer1-encoder', 'customer2-encoder'])
+	 * 	.then( result => result.publishers.forEach(publisher => console.log(publisher.name, publisher.status, publisher.password)));
+	 * // customer1-encoder created 3hVqE0cXr8LmZ2TfKp9a
+	 * // customer2-encoder rotated Wq7nB1dYs5JoP4uGk0Lx
+	 */
+	provisionPublishers(options, encoders) {
+		return accounts.provisionPublishers(this, options, encoders);
 	}
 
 	/**
-	 *Connect a existing streamfile
+	 * Get users of the REST API and the manager with their groups
 	 *
-	 * @method connectStreamFile
+	 * @method getAdminUsersList
 	 * @param {Object} [options]
-	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.mediaCasterType = 'rtp'] caster type (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve when stream will connect
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @return {Promise} promise which resolve by users, passwords are not returned
 	 * @example
-	 * wowza.connectStreamFile({
-	 * 	streamFile: 'ipCamera',
-	 * 	application: 'webrtc',
-	 * 	appIstance: '_definst_'
-	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
-	 * //Wowza answer example:
-	 * //{ success: true, message: 'Publish stream successfully started [webrtc/_definst_]: mp4:ipCamera.stream', data: null }
+	 * wowza.getAdminUsersList().then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 * // Wowza answer example:
+	 * //{ serverName: '_defaultServer_', userList: [ { userName: 'admin', groups: [ 'admin', 'advUser' ] }, { userName: 'support', groups: [ 'basic' ] } ] }
 	 */
-	connectStreamFile(options) {
+	getAdminUsersList(options) {
+		return this._serverRequest(options, 'GET', '/users');
+	}
 
-		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
-		let mediaCasterType = this.mediaCasterType;
+	/**
+	 * Get a user of the REST API and the manager
+	 *
+	 * @method getAdminUser
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} userName
+	 * @return {Promise} promise which resolve by {userName, groups}
+	 */
+	getAdminUser(options, userName) {
+		return this._serverRequest(options, 'GET', `/users/${userName}`);
+	}
 
-		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
-			mediaCasterType = options.mediaCasterType || this.mediaCasterType;
+	/**
+	 * Create a user of the REST API and the manager, the user is checked by validateAdminUser() first.
+	 * Groups set permissions: 'admin' full access, 'advUser' advanced properties, 'basic' read-only access.
+	 *
+	 * @method createAdminUser
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} user {userName, password, groups}
+	 * @return {Promise} promise which resolve when the user is created, it's rejected by WowzaValidationError without a request when the user is wrong
+	 * @example
+	 * wowza.createAdminUser({}, {userName: 'support', password: 'secret', groups: ['basic']}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	createAdminUser(options, user) {
+		try {
+			accounts.validateAdminUser(user);
+		} catch (err) {
+			return Promise.reject(err);
 		}
+		return this._serverRequest(options, 'POST', '/users', user);
+	}
 
-		return new Promise((resolve, reject) => {
-
-			//getting request query string
-			let data = querystring.stringify({
-				connectAppName: application,
-				appInstance: appInstance,
-				mediaCasterType: mediaCasterType
-			});
+	/**
+	 * Update a user of the REST API and the manager: password and groups, only passed fields are changed
+	 *
+	 * @method updateAdminUser
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {Object} user {userName, password, groups}
+	 * @return {Promise} promise which resolve when the user is saved, it's rejected by WowzaValidationError without a request when a field is wrong
+	 * @example
+	 * wowza.updateAdminUser({}, {userName: 'support', groups: ['admin', 'advUser']}).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
+	 */
+	updateAdminUser(options, user) {
+		try {
+			accounts.validateAdminUser(user, { partial: true });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		return this._serverRequest(options, 'PUT', `/users/${user.userName}`, user);
+	}
 
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.path = `${this.httpOptions.path}/streamfiles/${ this._checkStreamFileName(streamFile) }/actions/connect?${data}`;
+	/**
+	 * Delete a user of the REST API and the manager
+	 *
+	 * @method deleteAdminUser
+	 * @param {Object} [options]
+	 * @param {string} [options.serverName = '_defaultServer_'] name of a server (default value can be another if it was passed to the class constructor)
+	 * @param {AbortSignal} [options.signal] signal to cancel the request, timeout and retries can be passed the same way
+	 * @param {string} userName
+	 * @return {Promise} promise which resolve when the user is deleted
+	 */
+	deleteAdminUser(options, userName) {
+		return this._serverRequest(options, 'DELETE', `/users/${userName}`);
+	}
 
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+	/**
+	 * Build playback URLs of a stream or a SMIL adaptive bitrate group, no request is made.
+	 * A streamfile name is normalized the same way as by the streamfile methods: 'ipCam' and 'ipCam.stream' both give 'ipCam.stream'.
+	 *
+	 * @method getPlaybackUrls
+	 * @param {Object} [options]
+	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
+	 * @param {string} [options.streamName] name of a stream as is, e.g. 'myStream' published by an encoder or 'mp4:sample.mp4', it's used instead of streamFile
+	 * @param {string} [options.smil] name of a SMIL file for adaptive bitrate playback, e.g. 'myStream' or 'myStream.smil'
+	 * @param {string} [options.streamingHost] host of the URLs, this.streamingHost by default
+	 * @param {Object} [options.streamingPorts] ports of the URLs: {http, rtmp, rtsp, webrtc}, they are merged with this.streamingPorts
+	 * @param {boolean} [options.streamingSecure] https and rtmps URLs, this.streamingSecure by default
+	 * @return {Object} {hls, dash, rtmp, rtsp, webrtc: {url, applicationName, streamName}}, rtmp, rtsp and webrtc are null for a SMIL group
+	 * @example
+	 * wowza.getPlaybackUrls({streamFile: 'ipCamera', streamingHost: 'stream.example.com'});
+	 * //{ hls: 'http://stream.example.com:1935/live/_definst_/ipCamera.stream/playlist.m3u8',
+	 * //  dash: 'http://stream.example.com:1935/live/_definst_/ipCamera.stream/manifest.mpd',
+	 * //  rtmp: 'rtmp://stream.example.com:1935/live/_definst_/ipCamera.stream',
+	 * //  rtsp: 'rtsp://stream.example.com:1935/live/_definst_/ipCamera.stream',
+	 * //  webrtc: { url: 'wss://stream.example.com/webrtc-session.json', applicationName: 'live/_definst_', streamName: 'ipCamera.stream' } }
+	 */
+	getPlaybackUrls(options) {
+		options = options || {};
+		return playback.buildPlaybackUrls({
+			host: options.streamingHost || this.streamingHost,
+			secure: options.streamingSecure !== undefined ? !!options.streamingSecure : this.streamingSecure,
+			ports: Object.assign({}, this.streamingPorts, options.streamingPorts),
+			application: options.application || this.application,
+			appInstance: options.appInstance || this.appInstance,
+			streamName: options.smil ? undefined : this._getIncomingStreamName(options),
+			smil: options.smil
 		});
 	}
 
-	getIncomingStreamInfo(options) {
+	/**
+	 * Export the configuration of an application to a versioned JSON snapshot which can be stored in version control
+	 * and restored by importApplication(). The snapshot contains the application config, advanced config, streamfiles,
+	 * stream targets and recorder definitions; fields describing the engine or the current state are left out.
+	 *
+	 * @method exportApplication
+	 * @param {Object} [options]
+	 * @param {string} [options.application = this.application] name of the application
+	 * @param {string} [options.appInstance = this.appInstance] instance of recorders
+	 * @return {Promise} promise which resolve by the snapshot
+	 * @example
+	 * wowza.exportApplication({application: 'live'}).then( snapshot => fs.writeFileSync('live.json', JSON.stringify(snapshot, null, 2)));
+	 * // snapshot example:
+	 * //{ format: 'wowza-application-snapshot', version: 1, createdAt: '2026-10-19T10:00:00.000Z',
+	 * //  source: { host: '127.0.0.1', port: 8087, serverName: '_defaultServer_', vhost: '_defaultVHost_', application: 'live', appInstance: '_definst_' },
+	 * //  config: { name: 'live', appType: 'Live', ... }, advanced: { advancedSettings: [...], modules: [...] },
+	 * //  streamFiles: [ { name: 'ipCam', uri: 'rtsp://192.168.1.10/stream', ... } ],
+	 * //  streamTargets: [ { entryName: 'fb1', profile: 'rtmp', ... } ],
+	 * //  recorders: [ { recorderName: 'ipCam', segmentationType: 'None', ... } ] }
+	 */
+	exportApplication(options) {
+		return snapshot.exportApplication(this, options);
+	}
+
+	/**
+	 * Restore a snapshot of exportApplication() to this engine, the application can be renamed.
+	 * A missing application is created, an existing one is updated. Streamfiles and stream targets missing
+	 * in the snapshot are kept unless options.prune is passed. Recorders are created only with options.recorders,
+	 * because a recorder starts recording as soon as its stream is published.
+	 *
+	 * @method importApplication
+	 * @param {Object} [options]
+	 * @param {string} [options.application] name of the restored application, the one of the snapshot by default
+	 * @param {boolean} [options.prune = false] delete streamfiles and stream targets missing in the snapshot
+	 * @param {boolean} [options.recorders = false] create recorders of the snapshot
+	 * @param {Object} snapshot result of exportApplication()
+	 * @return {Promise} promise which resolve by a report: {application, created, streamFiles, recorders}
+	 * where streamFiles is the report of WowzaAPI.reconcile.reconcile()
+	 * @example
+	 * wowza.importApplication({application: 'live-copy'}, JSON.parse(fs.readFileSync('live.json')))
+	 * 	.then( report => console.log(report.created, report.streamFiles.summary));
+	 */
+	importApplication(options, data) {
+		return Promise.resolve().then(() => snapshot.importApplication(this, options, data));
+	}
+
+	// actions of an application: restart | shutdown
+	_applicationAction(options, action) {
+		return this._applicationRequest(options, 'PUT', `/actions/${action}`);
+	}
+
+	// request to a resource of an application, resourcePath is relative to /applications/{application}
+	_applicationRequest(options, method, resourcePath, body) {
+
 		let application = this.application;
-		let streamFile = this.streamFile;
-		let appInstance = this.appInstance;
 
 		if (options) {
 			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
-			appInstance = options.appInstance || this.appInstance;
 		}
 
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}/instances/${appInstance}/incomingstreams/${streamFile}.stream`;
-
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+		return this._request(options, method, `${this._getBasePath(options)}/applications/${application}${resourcePath}`, body);
 	}
 
+	// request to a recorder, resourcePath is relative to /instances/{appInstance}/streamrecorders/{streamFile}
+	_recorderRequest(options, method, resourcePath) {
 
-	getIncomingStreamStats(options) {
-		let application = this.application;
-		let streamFile = this.streamFile;
 		let appInstance = this.appInstance;
+		let streamFile = this.streamFile;
 
 		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
 			appInstance = options.appInstance || this.appInstance;
+			streamFile = options.streamFile || this.streamFile;
 		}
 
-		return new Promise((resolve, reject) => {
-
-			//getting a clone of the common httpOptions object and change it's path to necessary
-			let options = Object.assign({}, this.httpOptions);
-			options.method = 'GET';
-			options.path = `${this.httpOptions.path}/applications/${application}/instances/${appInstance}/incomingstreams/${streamFile}.stream/monitoring/current`;
-
-			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
-		});
+		return this._applicationRequest(options, method, `/instances/${appInstance}/streamrecorders/${streamFile}${resourcePath}`);
 	}
 
-	/**
-	 * Disconnect a existing stream file
-	 *
-	 * @method disconnectStreamFile
-	 * @param {Object} [options]
-	 * @param {string} [options.application = 'live'] name of an application (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.streamFile = 'myStream.stream'] name of a streamfile (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.appInstance = '_definst_'] name of an instance (default value can be another if it was passed to the class constructor)
-	 * @param {string} [options.mediaCasterType = 'rtp'] caster type (default value can be another if it was passed to the class constructor)
-	 * @return {Promise} promise which resolve when stream will connect
-	 * @example
-	 * wowza.disconnectStreamFile({
-	 * 	streamFile: 'ipCamera.stream',
-	 * 	application: 'webrtc',
-	 * 	appIstance: '_definst_'
-	 * }).then( response => console.log(response)).catch( errorMsg => console.log(errorMsg));
-	 * //Wowza answer example:
- 	 * //{ success: true, message: ''Publish stream successfully stopped [webrtc/_definst_]: mp4:ipCamera.stream'',data: null }
-	 */
-	disconnectIncomingStream(options) {
+	// request to DVR stores of an instance, resourcePath is relative to /instances/{appInstance}/dvrstores
+	_dvrStoreRequest(options, method, resourcePath) {
 
-		let application = this.application;
-		let streamFile = this.streamFile;
 		let appInstance = this.appInstance;
-		let mediaCasterType = this.mediaCasterType;
 
 		if (options) {
-			application = options.application || this.application;
-			streamFile = options.streamFile || this.streamFile;
 			appInstance = options.appInstance || this.appInstance;
-			mediaCasterType = options.mediaCasterType || mediaCasterType;
 		}
 
+		return this._applicationRequest(options, method, `/instances/${appInstance}/dvrstores${resourcePath}`);
+	}
+
+	// request to a resource of a server, resourcePath is relative to /v2/servers/{serverName}
+	_serverRequest(options, method, resourcePath, body) {
+		return this._request(options, method, `${this._getServerPath(options)}${resourcePath}`, body);
+	}
+
+	_request(options, method, path, body) {
+
+		let requestSettings = this._getRequestSettings(options);
+
 		return new Promise((resolve, reject) => {
 
 			//getting a clone of the common httpOptions object and change it's path to necessary
 			let options = Object.assign({}, this.httpOptions);
-			options.path = `${this.httpOptions.path}/applications/${application}/instances/${appInstance}/incomingstreams/${streamFile}/actions/disconnectStream`;
-
+			options.method = method;
+			options.path = path;
+			if (body !== undefined) options.body = JSON.stringify(body);
 			//getting request object
-			this.makeNetworkRequest(options, resolve, reject);
+			this.makeNetworkRequest(options, resolve, reject, requestSettings);
 		});
 	}
 
+	// sends the request once through the transport of the instance, without retries, timeout and error mapping, for debugging
 	makeTestNetworkRequest(options, resolve, reject){
-		var req, body;
-		console.log(9);
+		let req;
 		try {
-				if ( options.body && this.authEnabled == false ){
-					body = options.body;
-					delete options.body;
-				}
-				console.log(12, options);
-				req = http.request(options, this.testResponseHandler(resolve, reject), reject);
-				if ( body && this.authEnabled == false ){
-					req.write(body);
-				}
-				req.on('error', reject);
-				req.end();
+			req = this.transport.request(options, this.testResponseHandler(resolve, reject));
+			req.on('error', reject);
+			if (options.body) req.write(options.body);
+			req.end();
 		} catch(e){
-			console.log(11);
 			reject(e);
 		}
-		console.log(10);
 		return req;
 	}
 
-	makeNetworkRequest(options, resolve, reject){
-			var req, body;
-			try {
-					if ( options.body && this.authEnabled == false ){
-						body = options.body;
-						delete options.body;
-					}
-					req = http.request(options, this.responseHandler(resolve, reject), reject);
-					if ( body && this.authEnabled == false ){
-						req.write(body);
+	// sends the request and repeats it with exponential backoff while settings.shouldRetry allows
+	makeNetworkRequest(options, resolve, reject, settings){
+			settings = settings || this._getRequestSettings();
+			let attempt = 0;
+
+			let send = () => {
+				this._sendRequest(options, settings).then(resolve, (err) => {
+					if (attempt >= settings.retries || err instanceof errors.WowzaAbortError || !settings.shouldRetry(err, options)) {
+						return reject(err);
 					}
-					req.on('error', reject);
-					req.end();
-			} catch(e){
-				reject(e);
+					attempt++;
+					this._wait(this._getRetryDelay(attempt, settings), settings.signal)
+						.then(send, () => reject(this._abortError(options)));
+				});
+			};
+
+			send();
+	}
+
+	// single attempt of a request, rejects on timeout or abort of settings.signal
+	_sendRequest(options, settings) {
+		return new Promise((resolve, reject) => {
+			let req, timer;
+			let signal = settings.signal;
+
+			if (signal && signal.aborted) {
+				return reject(this._abortError(options));
+			}
+
+			if (settings.responseFormat === 'xml') {
+				options = Object.assign({}, options);
+				options.headers = Object.assign({}, options.headers, { 'Accept': 'application/xml; charset=utf-8' });
+			}
+
+			let cancel = (err) => {
+				cleanup();
+				if (req) {
+					if (req.destroy) req.destroy();
+					else if (req.abort) req.abort();
+				}
+				reject(err);
+			};
+			let onAbort = () => cancel(this._abortError(options));
+			let cleanup = () => {
+				clearTimeout(timer);
+				if (signal) signal.removeEventListener('abort', onAbort);
+			};
+
+			if (signal) signal.addEventListener('abort', onAbort);
+			if (settings.timeout > 0) {
+				timer = setTimeout(() => {
+					cancel(new errors.WowzaTimeoutError(`Request timed out after ${settings.timeout} ms`, {
+						method: options.method,
+						path: options.path
+					}));
+				}, settings.timeout);
 			}
 
-			return req;
+			let done = (handler) => (value) => {
+				cleanup();
+				handler(value);
+			};
+
+			try {
+				//the transport of this instance is responsible for sending options.body
+				req = this.transport.request(options, this.responseHandler(done(resolve), done(reject), options));
+				req.on('error', (err) => done(reject)(this._networkError(err, options)));
+				req.end();
+			} catch(e){
+				done(reject)(this._networkError(e, options));
+			}
+		});
 	}
 
-	// handler for responses from wowza engine, if wowza response status 200 handler resolve promise
-	responseHandler(resolve, reject) {
+	// handler for responses from wowza engine, if wowza response status 200 handler resolve promise,
+	// otherwise it rejects by WowzaApiError with parsed Wowza error payload
+	responseHandler(resolve, reject, options) {
+
+		let details = {
+			method: options && options.method,
+			path: options && options.path
+		};
 
 		return (res) => {
+			let responseData = "";
+			res.on('data', (chunk) => { responseData += chunk; });
+			res.on('error', (err) => reject(this._networkError(err, options)));
+
 			if (res.statusCode < 300) {
 
-				let responseData = "";
-				res.on('data', (chunk) => { responseData += chunk; });
-				res.on('end', () => { resolve(JSON.parse(responseData)); });
+				res.on('end', () => {
+					let response;
+					try {
+						response = this._parseResponseBody(res, responseData);
+					} catch (e) {
+						return reject(new errors.WowzaParseError(`Unable to parse response of ${details.method} ${details.path}: ${e.message}`,
+							Object.assign({ status: res.statusCode, body: responseData, cause: e }, details)));
+					}
+					resolve(response);
+				});
 
 			} else {
-				reject(res.statusMessage);
+
+				res.on('end', () => {
+					// Wowza answers with { success: false, message: '...', code: '...' } in most cases, but not always
+					let response;
+					try {
+						response = this._parseResponseBody(res, responseData);
+					} catch (e) {
+						response = undefined;
+					}
+					let message = (response && response.message) || res.statusMessage || `HTTP ${res.statusCode}`;
+					reject(new errors.WowzaApiError(message, Object.assign({ status: res.statusCode, response: response }, details)));
+				});
 			}
 		}
 	}
 
-	// for debugging with write a data to console
+	// Parse body of a response by it's content-type.
+	// Empty bodies (e.g. 204) are parsed to an empty object, plain text bodies are wrapped to the Wowza's
+	// { success, message, data } shape, throws when body doesn't match it's content-type.
+	_parseResponseBody(res, body) {
+		let contentType = String(res.headers && res.headers['content-type'] || '').toLowerCase();
+		let text = body.trim();
+
+		if (!text) return {};
+		if (contentType.indexOf('json') !== -1) return JSON.parse(text);
+		if (contentType.indexOf('xml') !== -1) return xml.parseXml(text);
+
+		// without content-type a guess is made by the first character
+		if (!contentType) {
+			if (text[0] === '{' || text[0] === '[') return JSON.parse(text);
+			if (text[0] === '<') return xml.parseXml(text);
+		}
+
+		return {
+			success: res.statusCode < 300,
+			message: text,
+			data: null
+		};
+	}
+
+	_abortError(options) {
+		return new errors.WowzaAbortError('Request was aborted', {
+			method: options && options.method,
+			path: options && options.path
+		});
+	}
+
+	// wraps socket and transport errors to WowzaNetworkError with the request context
+	_networkError(err, options) {
+		if (err instanceof errors.WowzaApiError) return err;
+		return new errors.WowzaNetworkError(err.message, {
+			method: options && options.method,
+			path: options && options.path,
+			cause: err
+		});
+	}
+
+	// for debugging: resolves by the parsed JSON body of any response, whatever its status code
 	testResponseHandler(resolve, reject) {
 
 		return (res) => {
-			//console.log(res.getHeaders());
-			console.log('status');
-			console.log(res.statusCode);
-			//if (res.statusCode < 300) {
+			let responseData = "";
+			res.on('data', (chunk) => { responseData += chunk; });
+			res.on('error', reject);
+			res.on('end', () => {
+				try {
+					resolve(JSON.parse(responseData));
+				} catch (e) {
+					reject(e);
+				}
+			});
+		};
+	}
 
-				console.log(res.statusMessage);
+	// Request settings of the client merged with ones passed to a method
+	_getRequestSettings(options) {
+		let settings = Object.assign({}, this.requestSettings);
 
-				let responseData = "";
-				res.on('data', (chunk) => {
-					console.log('DATA', chunk.length);
-					responseData+=chunk;
-				});
-				res.on('end', () => {
-					console.log('END RESPONSE', res.req.path, res.req._header, responseData);
-					resolve(JSON.parse(responseData));
-				});
+		if (options) {
+			['timeout', 'retries', 'retryDelay', 'retryMaxDelay', 'shouldRetry', 'signal', 'responseFormat'].forEach(name => {
+				if (options[name] !== undefined) settings[name] = options[name];
+			});
+		}
+
+		return settings;
+	}
+
+	// exponential backoff with jitter: a random delay between a half and a whole of the current step
+	_getRetryDelay(attempt, settings) {
+		return retry.getRetryDelay(attempt, settings);
+	}
+
+	// resolves after ms, rejects when signal is aborted
+	_wait(ms, signal) {
+		return new Promise((resolve, reject) => {
+			if (signal && signal.aborted) return reject();
+
+			let onAbort = () => {
+				clearTimeout(timer);
+				reject();
+			};
+			let timer = setTimeout(() => {
+				if (signal) signal.removeEventListener('abort', onAbort);
+				resolve();
+			}, ms);
+
+			if (signal) signal.addEventListener('abort', onAbort);
+		});
+	}
+
+	// Path of the vhost which all REST resources are relative to,
+	// serverName and vhost can be overridden per call the same way as application.
+	_getBasePath(options) {
+		let vhost = this.vhost;
+
+		if (options) {
+			vhost = options.vhost || this.vhost;
+		}
+
+		return `${this._getServerPath(options)}/vhosts/${vhost}`;
+	}
+
+	// Path of the server which server-level resources (monitoring, publishers, users) are relative to
+	_getServerPath(options) {
+		let serverName = this.serverName;
 
-			/*} else {
-				reject(res.statusMessage);
-			}*/
+		if (options) {
+			serverName = options.serverName || this.serverName;
 		}
+
+		return `/v2/servers/${serverName}`;
+	}
+
+	// Name of an incoming stream, the streamfile of the instance is used when options have neither streamName nor streamFile
+	_getIncomingStreamName(options) {
+		return streams.getIncomingStreamName(options, this.streamFile);
+	}
+
+	// source of an incoming stream: streamfile | publish | scheme of the source URI
+	_getIncomingStreamSourceType(stream) {
+		return streams.getIncomingStreamSourceType(stream);
+	}
+
+	_filterIncomingStreams(response, filter) {
+		return streams.filterIncomingStreams(response, filter);
 	}
 
 	// Connect streamfile wowza http method works only for streamfiles which name pattern is: [name].stream,
@@ -850,9 +2642,47 @@ class WowzaAPI {
 	// others URL methods works with all named streamfils and need full name in params.
 	// This way, necessary checking '.stream' at the end of the streamFile while connect to streamfile.
 	_checkStreamFileName(streamFile) {
-		let splitted = streamFile.split('.');
-		return splitted.pop() === 'stream' ? splitted.join('.') : streamFile;
+		return streams.checkStreamFileName(streamFile);
 	}
 }
 
+/**
+ * Default retry policy: only idempotent methods (GET/PUT/DELETE) are repeated
+ * and only when the engine is unreachable or answers with 5xx
+ *
+ * @param {WowzaApiError} err error of the failed attempt
+ * @param {Object} requestOptions options of the request
+ * @return {boolean}
+ */
+WowzaAPI.isRetryableError = function(err, requestOptions) {
+	if (['GET', 'PUT', 'DELETE'].indexOf(requestOptions.method) === -1) return false;
+	if (err instanceof errors.WowzaNetworkError) return true;
+	return err.status >= 500;
+};
+
 module.exports = WowzaAPI;
+module.exports.createNativeTransport = transport.createNativeTransport;
+module.exports.parseXml = xml.parseXml;
+module.exports.buildEncode = transcoder.buildEncode;
+module.exports.buildAbrTemplate = transcoder.buildAbrTemplate;
+module.exports.StreamMonitor = require('./lib/stream-monitor');
+module.exports.StreamSupervisor = require('./lib/stream-supervisor');
+module.exports.MetricsExporter = require('./lib/metrics-exporter');
+module.exports.reconcile = require('./lib/reconcile');
+module.exports.compareSnapshots = snapshot.compareSnapshots;
+module.exports.RecordingSession = recorder.RecordingSession;
+module.exports.validateRecorderParameters = recorder.validateRecorderParameters;
+module.exports.RecordingScheduler = require('./lib/recording-scheduler');
+module.exports.streamTargets = streamTargets.streamTargets;
+module.exports.validateStreamTarget = streamTargets.validateStreamTarget;
+module.exports.signPlaybackUrl = secureToken.signPlaybackUrl;
+module.exports.generatePassword = accounts.generatePassword;
+module.exports.buildSmilFile = smil.buildSmilFile;
+module.exports.validateSmilFile = smil.validateSmilFile;
+module.exports.configureEdges = repeater.configureEdges;
+module.exports.WowzaApiError = errors.WowzaApiError;
+module.exports.WowzaNetworkError = errors.WowzaNetworkError;
+module.exports.WowzaParseError = errors.WowzaParseError;
+module.exports.WowzaTimeoutError = errors.WowzaTimeoutError;
+module.exports.WowzaAbortError = errors.WowzaAbortError;
+module.exports.WowzaValidationError = errors.WowzaValidationError;